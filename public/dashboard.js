@@ -90,16 +90,45 @@ async function getDashboardApiKey() {
     return null;
 }
 
-async function makeRequest(url, options = {}) {
+/**
+ * Sign in as a lead or admin for actions the shared API key can't do
+ * (deletes, TBA imports, recalculating statistics)
+ */
+async function signInDashboard() {
+    const username = prompt('This needs a lead or admin account.\nUsername:');
+    if (!username) return false;
+    const password = prompt(`Password or PIN for ${username}:`);
+    if (!password) return false;
+
+    const credential = /^\d{4,8}$/.test(password) ? { pin: password } : { password };
+    const response = await fetch(API_BASE + '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, ...credential })
+    });
+
+    if (!response.ok) {
+        showToast('error', 'Sign-in failed');
+        return false;
+    }
+
+    const { data } = await response.json();
+    sessionStorage.setItem('dashboardToken', data.token);
+    showToast('success', `Signed in as ${data.user.display_name}`);
+    return true;
+}
+
+async function makeRequest(url, options = {}, retried = false) {
     const defaultOptions = {
         headers: {
             'Content-Type': 'application/json'
         }
     };
 
-    // Add API key for POST/PUT/DELETE requests
+    // Add API key (or the signed-in account's token) for POST/PUT/DELETE requests
     if (options.method && options.method !== 'GET') {
-        const apiKey = await getDashboardApiKey();
+        const token = sessionStorage.getItem('dashboardToken');
+        const apiKey = token || await getDashboardApiKey();
         console.log('API Key retrieved:', apiKey ? 'Yes' : 'No');
         if (apiKey) {
             defaultOptions.headers['x-api-key'] = apiKey;
@@ -119,6 +148,14 @@ async function makeRequest(url, options = {}) {
     try {
         const response = await fetch(API_BASE + url, mergedOptions);
 
+        // Expired session, or a role the shared key doesn't have: sign in and try once more
+        if ((response.status === 401 || response.status === 403) && options.method && options.method !== 'GET' && !retried) {
+            sessionStorage.removeItem('dashboardToken');
+            if (await signInDashboard()) {
+                return makeRequest(url, options, true);
+            }
+        }
+
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
@@ -257,7 +294,7 @@ async function loadSeasons() {
                                             <i class="fas fa-play me-1"></i>Activate
                                         </button>
                                     ` : ''}
-                                    <button class="btn btn-outline-primary btn-sm" onclick="loadSeasonDetails(${season.id})">
+                                    <button class="btn btn-outline-primary btn-sm" onclick="loadSeasonDetails(${season.season_year})">
                                         <i class="fas fa-eye me-1"></i>Details
                                     </button>
                                 </div>
@@ -286,9 +323,9 @@ async function createSample2025Season() {
     try {
         const seasonData = {
             season_year: 2025,
-            season_name: '2025 Crescendo',
-            game_name: 'Crescendo',
-            start_date: '2025-01-06'
+            season_name: '2025 Reefscape',
+            game_key: 'reefscape_2025',
+            start_date: '2025-01-04'
         };
 
         await makeRequest('/api/seasons', {
@@ -314,6 +351,77 @@ async function activateSeason(year) {
     }
 }
 
+async function loadSeasonDetails(year) {
+    showLoading('seasonsContent');
+
+    try {
+        const response = await makeRequest(`/api/seasons/${year}`);
+        const season = response.data;
+
+        let html = `
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <h5 class="mb-0">${escapeHtml(season.season_name)}</h5>
+                <button class="btn btn-outline-secondary btn-sm" onclick="loadSeasons()">
+                    <i class="fas fa-arrow-left me-1"></i>All Seasons
+                </button>
+            </div>
+            <div class="input-group input-group-sm mb-3">
+                <input type="text" class="form-control" id="newRegionalEventKey" placeholder="TBA event key, e.g. ${season.season_year}caoc">
+                <button class="btn btn-primary-custom" onclick="createRegionalFromEvent(${season.season_year})">
+                    <i class="fas fa-plus me-1"></i>Add Regional
+                </button>
+            </div>
+        `;
+
+        if (season.regionals.length === 0) {
+            html += '<p class="text-muted">No regionals in this season yet.</p>';
+        } else {
+            season.regionals.forEach(regional => {
+                const pinned = regional.id === season.current_regional_id;
+                html += `
+                    <div class="card regional-card mb-2">
+                        <div class="card-body py-2 d-flex justify-content-between align-items-center">
+                            <div>
+                                <strong>${escapeHtml(regional.regional_name)}</strong>
+                                ${regional.regional_code ? `<span class="text-muted ms-2">${escapeHtml(regional.regional_code)}</span>` : ''}
+                                ${pinned ? '<span class="season-badge ms-2">Current</span>' : ''}
+                            </div>
+                            <small class="text-muted">
+                                <i class="fas fa-calendar me-1"></i>${regional.start_date || 'No dates'}
+                            </small>
+                        </div>
+                    </div>
+                `;
+            });
+        }
+
+        document.getElementById('seasonsContent').innerHTML = html;
+
+    } catch (error) {
+        showToast('error', 'Failed to load season: ' + error.message);
+        await loadSeasons();
+    }
+}
+
+async function createRegionalFromEvent(year) {
+    const eventKey = document.getElementById('newRegionalEventKey').value.trim().toLowerCase();
+    if (!eventKey) {
+        showToast('error', 'Please enter a TBA event key');
+        return;
+    }
+
+    try {
+        const response = await makeRequest('/api/regionals', {
+            method: 'POST',
+            body: { event_key: eventKey, season_year: year }
+        });
+        showToast('success', `${response.data.regional_name} added`);
+        await loadSeasonDetails(year);
+    } catch (error) {
+        showToast('error', 'Failed to add regional: ' + error.message);
+    }
+}
+
 // Teams Management
 async function loadTeams() {
     showLoading('teamsContent');
@@ -674,8 +782,37 @@ document.addEventListener('DOMContentLoaded', () => {
             await loadOverviewStats();
         }
     }, 30000);
+
+    // Refresh as soon as the server reports new data
+    connectLiveUpdates();
 });
 
+// Live Updates (Server-Sent Events from /api/stream)
+// The browser reconnects on its own and replays anything it missed.
+function connectLiveUpdates() {
+    if (!window.EventSource) return; // Polling above still keeps the overview fresh
+
+    const source = new EventSource('/api/stream?types=match.created,match.updated,match.deleted,stats.updated');
+    let refreshTimer = null;
+
+    // Several events often arrive together (e.g. a tablet syncing), so refresh once
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(async () => {
+            if (document.querySelector('#overview-tab')?.classList.contains('active')) {
+                await loadOverviewStats();
+            }
+            if (document.querySelector('#matches-tab')?.classList.contains('active')) {
+                await loadMatches();
+            }
+        }, 1000);
+    };
+
+    ['match.created', 'match.updated', 'match.deleted', 'stats.updated', 'reset'].forEach(type => {
+        source.addEventListener(type, scheduleRefresh);
+    });
+}
+
 // Recent Activity
 async function loadRecentActivity() {
     try {
@@ -703,6 +840,7 @@ async function loadRecentActivity() {
                 'info': 'text-info',
                 'request': 'text-secondary',
                 'supabase': 'text-primary',
+                'database': 'text-primary',
                 'tba': 'text-warning'
             };
             const typeIcons = {
@@ -712,6 +850,7 @@ async function loadRecentActivity() {
                 'info': 'fa-info-circle',
                 'request': 'fa-arrow-right',
                 'supabase': 'fa-database',
+                'database': 'fa-database',
                 'tba': 'fa-cloud'
             };
 
@@ -1277,7 +1416,7 @@ async function importFullEvent(event) {
                     <h6><i class="fas fa-check-circle me-2"></i>Import Complete!</h6>
                     <p class="mb-1"><strong>Event:</strong> ${summary.eventKey}</p>
                     <p class="mb-1"><strong>Teams Imported:</strong> ${summary.teams_imported}</p>
-                    <p class="mb-1"><strong>Matches Imported:</strong> ${summary.matches_imported}</p>
+                    <p class="mb-1"><strong>Match Rows:</strong> ${summary.matches_created} new, ${summary.matches_updated} updated</p>
                     ${summary.errors.length > 0 ? `<p class="mb-0"><strong>Errors:</strong> ${summary.errors.length}</p>` : ''}
                 </div>
                 ${response.note ? `<p class="text-muted small">${response.note}</p>` : ''}
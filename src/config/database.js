@@ -1,31 +1,81 @@
 /**
  * Database Configuration
  * Supabase client setup with modern secret key approach
+ *
+ * DATABASE_BACKEND picks where data lives:
+ *   supabase (default) - hosted Supabase project
+ *   postgres           - self-hosted PostgreSQL (DATABASE_URL)
+ *   sqlite             - single file on this machine (SQLITE_PATH), no internet needed
+ *
+ * Core data (teams, matches, robot info, stats, TBA cache) goes through
+ * src/repositories, which works with every backend. Routes that still use
+ * the `supabase` client directly are guarded by requireSupabase
+ * (src/middleware/backend.js) and answer 501 on the local backends.
  */
 
 const { createClient } = require('@supabase/supabase-js');
 
+const BACKENDS = ['supabase', 'postgres', 'sqlite'];
+
+const databaseBackend = (process.env.DATABASE_BACKEND || 'supabase').toLowerCase();
+
+if (!BACKENDS.includes(databaseBackend)) {
+    throw new Error(`Unknown DATABASE_BACKEND "${databaseBackend}". Use one of: ${BACKENDS.join(', ')}`);
+}
+
 // Validate environment variables
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseSecretKey = process.env.SUPABASE_SECRET_KEY;
 
-if (!supabaseUrl || !supabaseSecretKey) {
+if (databaseBackend === 'supabase' && (!supabaseUrl || !supabaseSecretKey)) {
     throw new Error('Missing required Supabase environment variables. Please check your .env file.');
 }
 
-// Create Supabase client with secret key for backend operations
-// Secret keys provide elevated privileges and bypass Row Level Security
-const supabaseClient = createClient(supabaseUrl, supabaseSecretKey, {
-    auth: {
-        autoRefreshToken: false,
-        persistSession: false
-    },
-    global: {
-        headers: {
-            'User-Agent': '589-FRC-Scouting-Backend/1.0.0'
+/**
+ * Create a Supabase client with secret key for backend operations
+ * Secret keys provide elevated privileges and bypass Row Level Security
+ */
+function createSupabaseClient(url = supabaseUrl, secretKey = supabaseSecretKey) {
+    return createClient(url, secretKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        },
+        global: {
+            headers: {
+                'User-Agent': '589-FRC-Scouting-Backend/1.0.0'
+            }
         }
-    }
-});
+    });
+}
+
+/**
+ * Stand-in for the Supabase client on local backends
+ * Every query resolves with an error, exactly like a failed Supabase call,
+ * so routes report it through their normal error handling and lookups that
+ * tolerate errors (e.g. the active season's game) fall back to defaults.
+ */
+function unavailableClient() {
+    const result = {
+        data: null,
+        count: null,
+        error: {
+            code: 'BACKEND_UNAVAILABLE',
+            message: `This feature needs the Supabase backend (DATABASE_BACKEND is "${databaseBackend}")`
+        }
+    };
+
+    const query = new Proxy({}, {
+        get(target, prop) {
+            if (prop === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+            return () => query;
+        }
+    });
+
+    return { from: () => query, rpc: () => query };
+}
+
+const supabaseClient = databaseBackend === 'supabase' ? createSupabaseClient() : unavailableClient();
 
 // Logging function reference (will be set by dashboard module)
 let dashboardLogger = null;
@@ -34,6 +84,10 @@ function setLogger(loggerFn) {
     dashboardLogger = loggerFn;
 }
 
+function logQuery(type, message) {
+    if (dashboardLogger) dashboardLogger(type, message);
+}
+
 // Proxy handler to log Supabase queries
 const supabase = new Proxy(supabaseClient, {
     get(target, prop) {
@@ -86,7 +140,11 @@ async function testConnection() {
 }
 
 module.exports = {
+    BACKENDS,
+    databaseBackend,
     supabase,
+    createSupabaseClient,
     testConnection,
-    setLogger
+    setLogger,
+    logQuery
 };
\ No newline at end of file
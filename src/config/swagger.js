@@ -86,7 +86,11 @@ Mobile App (React Native) → REST API (You are here!) → Supabase (PostgreSQL)
 ## 📚 Core Concepts
 
 ### Teams
-Base entity representing FRC teams. Each team has a number (e.g., 589) and participates in regionals.
+Base entity representing FRC teams. Each team has a number (e.g., 589) and is entered in regionals.
+
+### Seasons & Regionals
+Each season (e.g., 2025) has its regionals. Send \`regional_id\` to pick one;
+a \`regional\` name still works and means that regional in the active season.
 
 ### Matches
 Performance data for one team in one match. Includes:
@@ -167,6 +171,22 @@ Built with ❤️ by Team 589 Falkon Robotics students
         name: 'Statistics',
         description: 'Analytics - Calculated metrics and rankings'
       },
+      {
+        name: 'Predictions',
+        description: 'Match outcome predictions - Predicted scores and win probability from scouting data'
+      },
+      {
+        name: 'Reconciliation',
+        description: 'Scouting accuracy - Scouted totals compared with official TBA score breakdowns'
+      },
+      {
+        name: 'Assignments',
+        description: 'Scouter scheduling - Who scouts which robot in each qualification match'
+      },
+      {
+        name: 'Live Updates',
+        description: 'Real-time push - Server-Sent Events and WebSocket feed of data changes'
+      },
       {
         name: 'Dashboard',
         description: 'Overview data - Summary statistics and recent activity'
@@ -186,7 +206,7 @@ Built with ❤️ by Team 589 Falkon Robotics students
           type: 'apiKey',
           in: 'header',
           name: 'x-api-key',
-          description: 'API key for authentication. Use `dev-key-123` for development.'
+          description: 'API key for authentication, or a session token from `POST /api/auth/login`. Use `dev-key-123` for development.'
         }
       },
       schemas: {
@@ -232,7 +252,7 @@ Built with ❤️ by Team 589 Falkon Robotics students
         // Team schema
         Team: {
           type: 'object',
-          required: ['team_number', 'regional'],
+          required: ['team_number'],
           properties: {
             id: {
               type: 'integer',
@@ -254,10 +274,15 @@ Built with ❤️ by Team 589 Falkon Robotics students
             },
             regional: {
               type: 'string',
-              description: 'Regional competition name',
+              description: 'Regional competition name (the one asked for, or the first the team was added to)',
               example: 'Orange County',
               maxLength: 50
             },
+            regional_id: {
+              type: 'integer',
+              description: 'Regional ID, when the request was for one regional',
+              example: 1
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -274,7 +299,7 @@ Built with ❤️ by Team 589 Falkon Robotics students
         // Match schema
         Match: {
           type: 'object',
-          required: ['team_number', 'match_number', 'regional'],
+          required: ['team_number', 'match_number'],
           properties: {
             id: {
               type: 'integer',
@@ -294,9 +319,14 @@ Built with ❤️ by Team 589 Falkon Robotics students
             },
             regional: {
               type: 'string',
-              description: 'Regional competition name',
+              description: 'Regional competition name (or send regional_id)',
               example: 'Orange County'
             },
+            regional_id: {
+              type: 'integer',
+              description: 'Regional ID (or send the regional name)',
+              example: 1
+            },
             scouter_name: {
               type: 'string',
               description: 'Name of student who collected this data',
@@ -474,6 +504,10 @@ Built with ❤️ by Team 589 Falkon Robotics students
               type: 'string',
               example: 'Orange County'
             },
+            regional_id: {
+              type: 'integer',
+              example: 1
+            },
 
             // Capabilities
             can_score_amp: {
@@ -0,0 +1,128 @@
+/**
+ * 2024 Crescendo Game Definition
+ * The original scouting layout this backend was built around
+ *
+ * Uses `storage: 'columns'` so match fields map 1:1 onto the legacy
+ * `matches` columns (auto_m1, teleop_amp_scored, ...) and statistics land in
+ * the existing team_stats_percentage / team_stats_fraction columns.
+ */
+
+module.exports = {
+    game_key: 'crescendo_2024',
+    game_name: 'Crescendo',
+    season_year: 2024,
+    version: 1,
+    storage: 'columns',
+
+    phases: [
+        { key: 'pregame', name: 'Pregame' },
+        { key: 'auto', name: 'Autonomous' },
+        { key: 'teleop', name: 'Teleop' },
+        { key: 'endgame', name: 'Endgame' },
+        { key: 'postgame', name: 'Postgame' }
+    ],
+
+    elements: [
+        // Pregame
+        {
+            key: 'starting_position', phase: 'pregame', type: 'enum',
+            options: [
+                { value: 'Amp', stat: 'pregame_amp' },
+                { value: 'Middle', stat: 'pregame_middle' },
+                { value: 'Source', stat: 'pregame_source' }
+            ]
+        },
+
+        // Autonomous - midline notes (m1-m5), spike notes (s1-s3), reloads (r)
+        { key: 'auto_taxi', phase: 'auto', type: 'boolean', points: 2, stat: 'auto_taxi' },
+        { key: 'auto_m1', phase: 'auto', type: 'counter', points: 2, stat: 'auto_m1', per_match_rate: true },
+        { key: 'auto_m2', phase: 'auto', type: 'counter', points: 2, stat: 'auto_m2', per_match_rate: true },
+        { key: 'auto_m3', phase: 'auto', type: 'counter', points: 2, stat: 'auto_m3', per_match_rate: true },
+        { key: 'auto_m4', phase: 'auto', type: 'counter', points: 2, stat: 'auto_m4', per_match_rate: true },
+        { key: 'auto_m5', phase: 'auto', type: 'counter', points: 2, stat: 'auto_m5', per_match_rate: true },
+        { key: 'auto_s1', phase: 'auto', type: 'counter', points: 5, stat: 'auto_s1', per_match_rate: true },
+        { key: 'auto_s2', phase: 'auto', type: 'counter', points: 5, stat: 'auto_s2', per_match_rate: true },
+        { key: 'auto_s3', phase: 'auto', type: 'counter', points: 5, stat: 'auto_s3', per_match_rate: true },
+        { key: 'auto_r', phase: 'auto', type: 'counter', points: 3, stat: 'auto_r', per_match_rate: true },
+
+        // Teleop
+        { key: 'teleop_amp_attempts', phase: 'teleop', type: 'counter' },
+        { key: 'teleop_amp_scored', phase: 'teleop', type: 'counter', points: 1, stat: 'teleop_amp', attempts: 'teleop_amp_attempts' },
+        { key: 'teleop_speaker_attempts', phase: 'teleop', type: 'counter' },
+        { key: 'teleop_speaker_scored', phase: 'teleop', type: 'counter', points: 2, stat: 'teleop_speaker', attempts: 'teleop_speaker_attempts' },
+        { key: 'teleop_ground_intake', phase: 'teleop', type: 'counter', stat: 'teleop_ground_intake' },
+        { key: 'teleop_source_intake', phase: 'teleop', type: 'counter', stat: 'teleop_source_intake' },
+
+        // Endgame
+        {
+            key: 'endgame_climb', phase: 'endgame', type: 'enum',
+            options: [
+                { value: 'Nothing', stat: 'endgame_nothing', points: 0 },
+                { value: 'Park', stat: 'endgame_park', points: 0 },
+                { value: 'Single Climb', stat: 'endgame_single_climb', points: 3 },
+                { value: 'Double Climb', stat: 'endgame_double_climb', points: 10 },
+                { value: 'Triple Climb', stat: 'endgame_triple_climb', points: 20 }
+            ]
+        },
+        {
+            key: 'endgame_trap_count', phase: 'endgame', type: 'counter', max: 3, points: 5,
+            distribution: { values: [0, 1, 2, 3], stat: 'endgame_{value}_trap' }
+        },
+
+        // Postgame
+        { key: 'driver_rating', phase: 'postgame', type: 'rating', min: 1, max: 5, stat: 'postgame_driver_rating' },
+        { key: 'robot_disabled', phase: 'postgame', type: 'boolean', stat: 'postgame_disabled' },
+        { key: 'played_defense', phase: 'postgame', type: 'boolean', stat: 'postgame_defense' }
+    ],
+
+    // Extra fraction-table totals (a total without `sum` is the match count)
+    totals: [
+        { stat: 'pregame_total' },
+        { stat: 'auto_total', sum: ['auto_m1', 'auto_m2', 'auto_m3', 'auto_m4', 'auto_m5', 'auto_s1', 'auto_s2', 'auto_s3', 'auto_r'] },
+        { stat: 'teleop_intake_total', sum: ['teleop_ground_intake', 'teleop_source_intake'] },
+        { stat: 'endgame_total' },
+        { stat: 'postgame_total' }
+    ],
+
+    // Compared against TBA score_breakdown by the reconciliation job
+    reconciliation: {
+        alliance: [
+            {
+                label: 'Auto notes',
+                sum: ['auto_m1', 'auto_m2', 'auto_m3', 'auto_m4', 'auto_m5', 'auto_s1', 'auto_s2', 'auto_s3', 'auto_r'],
+                tba: ['autoAmpNoteCount', 'autoSpeakerNoteCount']
+            },
+            { label: 'Teleop amp notes', sum: ['teleop_amp_scored'], tba: ['teleopAmpNoteCount'] },
+            {
+                label: 'Teleop speaker notes',
+                sum: ['teleop_speaker_scored'],
+                tba: ['teleopSpeakerNoteCount', 'teleopSpeakerNoteAmplifiedCount']
+            },
+            { label: 'Trap notes', sum: ['endgame_trap_count'], tba: ['trapStageLeft', 'trapCenterStage', 'trapStageRight'] }
+        ],
+        robot: [
+            { element: 'auto_taxi', tba: 'autoLineRobot{station}', map: { Yes: true, No: false } },
+            {
+                element: 'endgame_climb',
+                tba: 'endGameRobot{station}',
+                map: {
+                    None: 'Nothing',
+                    Parked: 'Park',
+                    StageLeft: ['Single Climb', 'Double Climb', 'Triple Climb'],
+                    CenterStage: ['Single Climb', 'Double Climb', 'Triple Climb'],
+                    StageRight: ['Single Climb', 'Double Climb', 'Triple Climb']
+                }
+            }
+        ]
+    },
+
+    // Split across the alliance's robots by the full-event TBA import. Auto notes aren't:
+    // they're scouted by where they were picked up, which TBA doesn't report.
+    tba_import: {
+        alliance: [
+            { element: 'teleop_amp_scored', tba: ['teleopAmpNoteCount'] },
+            { element: 'teleop_speaker_scored', tba: ['teleopSpeakerNoteCount', 'teleopSpeakerNoteAmplifiedCount'] },
+            { element: 'endgame_trap_count', tba: ['trapStageLeft', 'trapCenterStage', 'trapStageRight'] }
+        ]
+    }
+};
@@ -0,0 +1,328 @@
+/**
+ * Game Definitions
+ * Season-configurable description of what scouters record each year
+ *
+ * Every FRC season ships a new game. Instead of hardcoding field names, each
+ * row in the `seasons` table can carry a `game_definition` (JSONB) that
+ * declares the phases, scoring elements, enum options and point values.
+ * Match validation, storage and statistics are all driven from it.
+ *
+ * Element types:
+ * - counter: non-negative integer (optional `max`, `attempts`, `distribution`)
+ * - boolean: yes/no (points awarded when true)
+ * - enum:    one of `options` (each option can carry `points` and a `stat`)
+ * - rating:  integer between `min` and `max`, averaged in statistics
+ * - text:    free text, stored but not aggregated
+ *
+ * Counters and ratings may set `tolerance`: how far apart two scouters'
+ * numbers can be before the field is flagged for review.
+ */
+
+const Joi = require('joi');
+const repositories = require('../repositories');
+
+const crescendo2024 = require('./crescendo2024');
+const reefscape2025 = require('./reefscape2025');
+
+// Built-in definitions shipped with the backend
+const BUILTIN_GAMES = [crescendo2024, reefscape2025];
+
+// Used when no season is configured (keeps existing Crescendo clients working)
+const DEFAULT_GAME = crescendo2024;
+
+// ============================================================================
+// DEFINITION FORMAT
+// ============================================================================
+
+const statName = Joi.string().pattern(/^[a-z0-9_{}]+$/);
+
+const elementSchema = Joi.object({
+    key: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+    phase: Joi.string().required(),
+    type: Joi.string().valid('counter', 'boolean', 'enum', 'rating', 'text').required(),
+    label: Joi.string().max(100),
+    points: Joi.number().min(0),
+    stat: statName,
+    min: Joi.number().integer(),
+    max: Joi.number().integer(),
+    per_match_rate: Joi.boolean(),
+    tolerance: Joi.number().min(0),
+    attempts: Joi.string(),
+    distribution: Joi.object({
+        values: Joi.array().items(Joi.number().integer().min(0)).min(1).required(),
+        stat: statName.pattern(/\{value\}/).required()
+    }),
+    options: Joi.when('type', {
+        is: 'enum',
+        then: Joi.array().items(Joi.object({
+            value: Joi.string().max(50).required(),
+            stat: statName,
+            points: Joi.number().min(0)
+        })).min(1).required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+const gameDefinitionSchema = Joi.object({
+    game_key: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+    game_name: Joi.string().max(100).required(),
+    season_year: Joi.number().integer().min(1992),
+    version: Joi.number().integer().min(1).default(1),
+    storage: Joi.string().valid('columns', 'json').default('json'),
+    phases: Joi.array().items(Joi.object({
+        key: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).required(),
+        name: Joi.string().max(50)
+    })).min(1).required(),
+    elements: Joi.array().items(elementSchema).min(1).required(),
+    totals: Joi.array().items(Joi.object({
+        stat: statName.required(),
+        sum: Joi.array().items(Joi.string())
+    })).default([]),
+    // How scouted fields line up with TBA's score_breakdown (see services/reconciliation.js)
+    reconciliation: Joi.object({
+        alliance: Joi.array().items(Joi.object({
+            label: Joi.string().max(100).required(),
+            sum: Joi.array().items(Joi.string()).min(1).required(),
+            tba: Joi.array().items(Joi.string()).min(1).required()
+        })).default([]),
+        robot: Joi.array().items(Joi.object({
+            element: Joi.string().required(),
+            tba: Joi.string().pattern(/\{station\}/).required(),
+            // TBA value -> our value, or an array of values that all count as correct
+            map: Joi.object().pattern(Joi.string(), Joi.any()).required()
+        })).default([])
+    }),
+    // Alliance totals the full-event TBA import splits across robots (see services/tbaImport.js);
+    // per-robot values come from reconciliation.robot
+    tba_import: Joi.object({
+        alliance: Joi.array().items(Joi.object({
+            element: Joi.string().required(),
+            tba: Joi.array().items(Joi.string()).min(1).required(),
+            // Subtracted from the total, e.g. auto coral that's also in Reefscape's end-of-match reef
+            minus: Joi.array().items(Joi.string()).default([])
+        })).default([])
+    })
+});
+
+// Keys handled by the match route itself, never by a game definition
+const RESERVED_KEYS = ['id', 'team_id', 'team_number', 'match_number', 'regional', 'regional_id',
+    'scouter_name', 'comments', 'game_data', 'client_id', 'review_status', 'report_count', 'disagreements',
+    'resolved_values', 'resolved_by', 'resolved_at', 'created_at', 'updated_at'];
+
+/**
+ * Validate a game definition
+ * Checks the format plus cross-references (phases, attempts, sums)
+ *
+ * @returns {{ error: string|null, value: object }}
+ */
+function validateGameDefinition(definition) {
+    const { error, value } = gameDefinitionSchema.validate(definition);
+    if (error) {
+        return { error: error.details[0].message, value: null };
+    }
+
+    const phaseKeys = new Set(value.phases.map(phase => phase.key));
+    const elementKeys = new Set();
+
+    for (const element of value.elements) {
+        if (RESERVED_KEYS.includes(element.key)) {
+            return { error: `Element key "${element.key}" is reserved`, value: null };
+        }
+        if (elementKeys.has(element.key)) {
+            return { error: `Duplicate element key "${element.key}"`, value: null };
+        }
+        if (!phaseKeys.has(element.phase)) {
+            return { error: `Element "${element.key}" uses unknown phase "${element.phase}"`, value: null };
+        }
+        elementKeys.add(element.key);
+    }
+
+    for (const element of value.elements) {
+        if (element.attempts && !elementKeys.has(element.attempts)) {
+            return { error: `Element "${element.key}" references unknown attempts element "${element.attempts}"`, value: null };
+        }
+    }
+
+    for (const total of value.totals) {
+        const unknown = (total.sum || []).find(key => !elementKeys.has(key));
+        if (unknown) {
+            return { error: `Total "${total.stat}" references unknown element "${unknown}"`, value: null };
+        }
+    }
+
+    if (value.reconciliation) {
+        const referenced = [
+            ...value.reconciliation.alliance.flatMap(check => check.sum),
+            ...value.reconciliation.robot.map(check => check.element)
+        ];
+        const unknown = referenced.find(key => !elementKeys.has(key));
+        if (unknown) {
+            return { error: `Reconciliation references unknown element "${unknown}"`, value: null };
+        }
+    }
+
+    for (const split of value.tba_import?.alliance || []) {
+        const element = value.elements.find(candidate => candidate.key === split.element);
+        if (!element || element.type !== 'counter') {
+            return { error: `TBA import splits "${split.element}", which isn't a counter element`, value: null };
+        }
+    }
+
+    return { error: null, value };
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Find a built-in definition by game key or game name (case-insensitive)
+ */
+function findBuiltinGameDefinition(nameOrKey) {
+    if (!nameOrKey) return null;
+    const needle = String(nameOrKey).toLowerCase();
+    return BUILTIN_GAMES.find(game =>
+        game.game_key === needle || game.game_name.toLowerCase() === needle
+    ) || null;
+}
+
+/**
+ * Pick the definition for a season row
+ * Prefers the stored game_definition, then a built-in matching game_name
+ */
+function gameDefinitionForSeason(season) {
+    if (!season) return DEFAULT_GAME;
+    return season.game_definition || findBuiltinGameDefinition(season.game_name) || DEFAULT_GAME;
+}
+
+/**
+ * Load the game definition for a season or regional from the database
+ * With no arguments, the active season is used. Falls back to the default
+ * game when the seasons table is missing or nothing is configured.
+ *
+ * @param {object} [options]
+ * @param {number} [options.seasonYear] - Look up by season year
+ * @param {number} [options.regionalId] - Look up through the regional's season
+ */
+async function loadGameDefinition({ seasonYear, regionalId } = {}) {
+    let season = null;
+
+    try {
+        if (regionalId) {
+            season = (await repositories.regionals.findById(regionalId))?.seasons || null;
+        } else {
+            season = seasonYear
+                ? await repositories.seasons.findByYear(seasonYear)
+                : await repositories.seasons.findActive();
+        }
+    } catch (error) {
+        season = null;
+    }
+
+    return gameDefinitionForSeason(season);
+}
+
+// ============================================================================
+// VALIDATION & STORAGE HELPERS
+// ============================================================================
+
+/**
+ * Build Joi keys for every element in a definition
+ * Merge into a base schema with `.keys(buildElementKeys(definition))`
+ */
+function buildElementKeys(definition) {
+    const keys = {};
+
+    for (const element of definition.elements) {
+        let rule;
+        switch (element.type) {
+            case 'counter':
+                rule = Joi.number().integer().min(0);
+                if (element.max !== undefined) rule = rule.max(element.max);
+                rule = rule.default(0);
+                break;
+            case 'boolean':
+                rule = Joi.boolean().default(false);
+                break;
+            case 'enum':
+                rule = Joi.string().valid(...element.options.map(option => option.value));
+                break;
+            case 'rating':
+                rule = Joi.number().integer().min(element.min ?? 1).max(element.max ?? 5);
+                break;
+            case 'text':
+                rule = Joi.string().max(element.max ?? 500).allow('');
+                break;
+        }
+        keys[element.key] = rule;
+    }
+
+    return keys;
+}
+
+/**
+ * Convert validated API input into a `matches` row
+ * Game fields go to their own columns (`storage: 'columns'`) or into the
+ * `game_data` JSONB column. Pass the existing game_data for partial updates.
+ */
+function toMatchRecord(value, definition, existingGameData = {}) {
+    const record = { ...value };
+
+    if (definition.storage === 'columns') {
+        return record;
+    }
+
+    const gameData = { ...existingGameData };
+    let touched = false;
+
+    for (const element of definition.elements) {
+        if (element.key in record) {
+            gameData[element.key] = record[element.key];
+            delete record[element.key];
+            touched = true;
+        }
+    }
+
+    if (touched) {
+        record.game_data = gameData;
+    }
+
+    return record;
+}
+
+/**
+ * Read one element's value from a stored `matches` row
+ */
+function readElement(match, element, definition) {
+    if (definition.storage === 'columns') {
+        return match[element.key];
+    }
+    return match.game_data?.[element.key];
+}
+
+/**
+ * Flatten a stored `matches` row so game fields appear as top-level keys
+ * Handy for API responses and exports
+ */
+function fromMatchRecord(match, definition) {
+    if (!match || definition.storage === 'columns') return match;
+
+    const flattened = { ...match };
+    for (const element of definition.elements) {
+        flattened[element.key] = readElement(match, element, definition);
+    }
+    return flattened;
+}
+
+module.exports = {
+    BUILTIN_GAMES,
+    DEFAULT_GAME,
+    validateGameDefinition,
+    findBuiltinGameDefinition,
+    gameDefinitionForSeason,
+    loadGameDefinition,
+    buildElementKeys,
+    toMatchRecord,
+    readElement,
+    fromMatchRecord
+};
@@ -0,0 +1,116 @@
+/**
+ * 2025 Reefscape Game Definition
+ * Coral on the reef (L1-L4), algae in the processor/net, cage climbs
+ *
+ * Uses `storage: 'json'`, so match fields live in `matches.game_data` and
+ * statistics in the `stats_data` column of the stats tables.
+ */
+
+module.exports = {
+    game_key: 'reefscape_2025',
+    game_name: 'Reefscape',
+    season_year: 2025,
+    version: 1,
+    storage: 'json',
+
+    phases: [
+        { key: 'pregame', name: 'Pregame' },
+        { key: 'auto', name: 'Autonomous' },
+        { key: 'teleop', name: 'Teleop' },
+        { key: 'endgame', name: 'Endgame' },
+        { key: 'postgame', name: 'Postgame' }
+    ],
+
+    elements: [
+        // Pregame
+        {
+            key: 'starting_position', phase: 'pregame', type: 'enum',
+            options: [
+                { value: 'Processor Side', stat: 'pregame_processor_side' },
+                { value: 'Center', stat: 'pregame_center' },
+                { value: 'Barge Side', stat: 'pregame_barge_side' }
+            ]
+        },
+
+        // Autonomous
+        { key: 'auto_leave', phase: 'auto', type: 'boolean', points: 3, stat: 'auto_leave' },
+        { key: 'auto_coral_l1', phase: 'auto', type: 'counter', points: 3, stat: 'auto_coral_l1' },
+        { key: 'auto_coral_l2', phase: 'auto', type: 'counter', points: 4, stat: 'auto_coral_l2' },
+        { key: 'auto_coral_l3', phase: 'auto', type: 'counter', points: 6, stat: 'auto_coral_l3' },
+        { key: 'auto_coral_l4', phase: 'auto', type: 'counter', points: 7, stat: 'auto_coral_l4' },
+        { key: 'auto_algae_processor', phase: 'auto', type: 'counter', points: 6, stat: 'auto_algae_processor' },
+        { key: 'auto_algae_net', phase: 'auto', type: 'counter', points: 4, stat: 'auto_algae_net' },
+
+        // Teleop
+        { key: 'teleop_coral_l1', phase: 'teleop', type: 'counter', points: 2, stat: 'teleop_coral_l1' },
+        { key: 'teleop_coral_l2', phase: 'teleop', type: 'counter', points: 3, stat: 'teleop_coral_l2' },
+        { key: 'teleop_coral_l3', phase: 'teleop', type: 'counter', points: 4, stat: 'teleop_coral_l3' },
+        { key: 'teleop_coral_l4', phase: 'teleop', type: 'counter', points: 5, stat: 'teleop_coral_l4' },
+        { key: 'teleop_algae_processor', phase: 'teleop', type: 'counter', points: 6, stat: 'teleop_algae_processor' },
+        { key: 'teleop_algae_net_attempts', phase: 'teleop', type: 'counter' },
+        { key: 'teleop_algae_net', phase: 'teleop', type: 'counter', points: 4, stat: 'teleop_algae_net', attempts: 'teleop_algae_net_attempts' },
+        { key: 'teleop_algae_removed', phase: 'teleop', type: 'counter', stat: 'teleop_algae_removed' },
+
+        // Endgame
+        {
+            key: 'endgame_barge', phase: 'endgame', type: 'enum',
+            options: [
+                { value: 'None', stat: 'endgame_none', points: 0 },
+                { value: 'Park', stat: 'endgame_park', points: 2 },
+                { value: 'Shallow Cage', stat: 'endgame_shallow_cage', points: 6 },
+                { value: 'Deep Cage', stat: 'endgame_deep_cage', points: 12 }
+            ]
+        },
+
+        // Postgame
+        { key: 'driver_rating', phase: 'postgame', type: 'rating', min: 1, max: 5, stat: 'postgame_driver_rating' },
+        { key: 'robot_disabled', phase: 'postgame', type: 'boolean', stat: 'postgame_disabled' },
+        { key: 'played_defense', phase: 'postgame', type: 'boolean', stat: 'postgame_defense' }
+    ],
+
+    totals: [
+        { stat: 'auto_coral_total', sum: ['auto_coral_l1', 'auto_coral_l2', 'auto_coral_l3', 'auto_coral_l4'] },
+        { stat: 'teleop_coral_total', sum: ['teleop_coral_l1', 'teleop_coral_l2', 'teleop_coral_l3', 'teleop_coral_l4'] },
+        { stat: 'teleop_algae_total', sum: ['teleop_algae_processor', 'teleop_algae_net'] }
+    ],
+
+    // Compared against TBA score_breakdown by the reconciliation job.
+    // teleopReef counts are end-of-match totals, so they include coral scored in auto.
+    reconciliation: {
+        alliance: [
+            { label: 'Auto coral', sum: ['auto_coral_l1', 'auto_coral_l2', 'auto_coral_l3', 'auto_coral_l4'], tba: ['autoCoralCount'] },
+            { label: 'Coral L1', sum: ['auto_coral_l1', 'teleop_coral_l1'], tba: ['teleopReef.trough'] },
+            { label: 'Coral L2', sum: ['auto_coral_l2', 'teleop_coral_l2'], tba: ['teleopReef.tba_botRowCount'] },
+            { label: 'Coral L3', sum: ['auto_coral_l3', 'teleop_coral_l3'], tba: ['teleopReef.tba_midRowCount'] },
+            { label: 'Coral L4', sum: ['auto_coral_l4', 'teleop_coral_l4'], tba: ['teleopReef.tba_topRowCount'] },
+            { label: 'Processor algae', sum: ['auto_algae_processor', 'teleop_algae_processor'], tba: ['wallAlgaeCount'] },
+            { label: 'Net algae', sum: ['auto_algae_net', 'teleop_algae_net'], tba: ['netAlgaeCount'] }
+        ],
+        robot: [
+            { element: 'auto_leave', tba: 'autoLineRobot{station}', map: { Yes: true, No: false } },
+            {
+                element: 'endgame_barge',
+                tba: 'endGameRobot{station}',
+                map: { None: 'None', Parked: 'Park', ShallowCage: 'Shallow Cage', DeepCage: 'Deep Cage' }
+            }
+        ]
+    },
+
+    // Split across the alliance's robots by the full-event TBA import. Teleop coral is the
+    // end-of-match reef less what was scored in auto; TBA counts algae for the whole match,
+    // so it all goes to teleop.
+    tba_import: {
+        alliance: [
+            { element: 'auto_coral_l1', tba: ['autoReef.trough'] },
+            { element: 'auto_coral_l2', tba: ['autoReef.tba_botRowCount'] },
+            { element: 'auto_coral_l3', tba: ['autoReef.tba_midRowCount'] },
+            { element: 'auto_coral_l4', tba: ['autoReef.tba_topRowCount'] },
+            { element: 'teleop_coral_l1', tba: ['teleopReef.trough'], minus: ['autoReef.trough'] },
+            { element: 'teleop_coral_l2', tba: ['teleopReef.tba_botRowCount'], minus: ['autoReef.tba_botRowCount'] },
+            { element: 'teleop_coral_l3', tba: ['teleopReef.tba_midRowCount'], minus: ['autoReef.tba_midRowCount'] },
+            { element: 'teleop_coral_l4', tba: ['teleopReef.tba_topRowCount'], minus: ['autoReef.tba_topRowCount'] },
+            { element: 'teleop_algae_processor', tba: ['wallAlgaeCount'] },
+            { element: 'teleop_algae_net', tba: ['netAlgaeCount'] }
+        ]
+    }
+};
@@ -1,159 +1,283 @@
 /**
  * Authentication Middleware
- * Simple API key validation for educational purposes
+ * API key and account session validation
  *
- * In production, you might use JWT tokens, OAuth, or Supabase Auth
+ * Requests authenticate with an API key from the key store (/api/keys),
+ * the legacy shared 589_API_KEY, or a session token from
+ * POST /api/auth/login. All go in the x-api-key header or
+ * Authorization: Bearer <key-or-token>.
+ *
+ * Every authenticated request gets `req.auth = { type, role, organizationId }`;
+ * signed-in accounts also get `req.user`, and stored keys add `scopes`,
+ * `regionalIds` and `keyId`. The shared key acts for the host organization
+ * (see src/services/organizations.js). Stored keys act as admin with the `admin`
+ * scope and as scouter otherwise; the shared key acts with API_KEY_ROLE
+ * (default: scouter). So deletes, TBA admin imports and recalculations
+ * need a lead or admin account, or an admin key.
  */
 
+const repositories = require('../repositories');
+const { ROLES, hasRole, looksLikeToken, verifyToken, publicUser } = require('../services/accounts');
+const { hashKey, unusableReason, hasScope, shouldTouch } = require('../services/apiKeys');
+const { HOST_ORGANIZATION_ID } = require('../services/organizations');
+
+const credentialFrom = (req) => req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+
+// Role the shared API key acts with
+function apiKeyRole() {
+    const role = process.env.API_KEY_ROLE || 'scouter';
+    return ROLES.includes(role) ? role : 'scouter';
+}
+
 /**
- * Simple API key validation middleware
- * This demonstrates basic authentication concepts for students
+ * Work out who is making a request
+ * @returns {Promise<{ status: 'none'|'valid'|'invalid', auth?: object, user?: object, message?: string }>}
  */
-const validateApiKey = (req, res, next) => {
-    // Get API key from header
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-
-    // For development, allow requests without API key
-    if (process.env.NODE_ENV === 'development' && !apiKey) {
-        console.log('⚠️  Development mode: Skipping API key validation');
-        return next();
+async function identify(req) {
+    const credential = credentialFrom(req);
+    if (!credential) return { status: 'none' };
+
+    if (looksLikeToken(credential)) {
+        const claims = verifyToken(credential);
+        if (!claims) return { status: 'invalid', message: 'Session expired or invalid - sign in again' };
+
+        // Role and active flag come from the database, so changes apply immediately
+        const user = await repositories.users.findById(claims.sub);
+        if (!user || !user.is_active || (user.token_version || 0) !== claims.ver) {
+            return { status: 'invalid', message: 'Session is no longer valid - sign in again' };
+        }
+        return {
+            status: 'valid',
+            auth: { type: 'user', role: user.role, organizationId: user.organization_id ?? HOST_ORGANIZATION_ID },
+            user: publicUser(user)
+        };
     }
 
-    // Check if API key is provided
-    if (!apiKey) {
-        return res.status(401).json({
-            success: false,
-            error: {
-                message: 'API key required. Include x-api-key header or Authorization: Bearer <key>'
-            }
-        });
+    // The legacy shared key from the environment, for tablets not yet moved to their own key
+    const sharedKey = process.env['589_API_KEY'];
+    if (sharedKey && credential === sharedKey) {
+        return { status: 'valid', auth: { type: 'api_key', role: apiKeyRole(), organizationId: HOST_ORGANIZATION_ID } };
     }
 
-    // Validate against 589_API_KEY from environment
-    const validApiKey = process.env['589_API_KEY'];
+    const key = await repositories.apiKeys.findByHash(hashKey(credential));
+    if (!key) return { status: 'invalid', message: 'Invalid API key' };
 
-    if (!validApiKey) {
-        console.error('⚠️  589_API_KEY not configured in .env file');
-        return res.status(500).json({
-            success: false,
-            error: {
-                message: 'Server configuration error: API key not configured'
-            }
-        });
-    }
+    const reason = unusableReason(key);
+    if (reason) return { status: 'invalid', message: reason };
 
-    if (apiKey !== validApiKey) {
-        return res.status(401).json({
-            success: false,
-            error: {
-                message: 'Invalid API key'
-            }
-        });
+    if (shouldTouch(key.id)) {
+        repositories.apiKeys.update(key.id, { last_used_at: new Date().toISOString(), last_used_ip: req.ip })
+            .catch(error => console.error('Could not record API key use:', error.message));
     }
 
-    // API key is valid, continue to next middleware
-    next();
+    return {
+        status: 'valid',
+        auth: {
+            type: 'api_key',
+            role: hasScope(key.scopes, 'admin') ? 'admin' : 'scouter',
+            scopes: key.scopes || [],
+            regionalIds: key.regional_ids || null,
+            organizationId: key.organization_id ?? HOST_ORGANIZATION_ID,
+            keyId: key.id,
+            keyName: key.name
+        }
+    };
+}
+
+function attach(req, result) {
+    req.auth = result.auth;
+    if (result.user) req.user = result.user;
+}
+
+// 401 for a request whose credentials didn't check out
+function rejectCredentials(res, result, missingMessage) {
+    return res.status(401).json({
+        success: false,
+        error: {
+            message: result.status === 'none' ? missingMessage : result.message
+        }
+    });
+}
+
+/**
+ * Require an API key or session on every request
+ */
+const validateApiKey = async (req, res, next) => {
+    try {
+        const result = await identify(req);
+
+        // For development, allow requests without API key
+        if (process.env.NODE_ENV === 'development' && result.status === 'none') {
+            console.log('⚠️  Development mode: Skipping API key validation');
+            return next();
+        }
+
+        if (result.status !== 'valid') {
+            return rejectCredentials(res, result,
+                'API key required. Include x-api-key header or Authorization: Bearer <key>');
+        }
+
+        attach(req, result);
+        next();
+    } catch (error) {
+        next(error);
+    }
 };
 
 /**
  * Optional API key validation - for endpoints that should work with or without auth
  * This allows public read access while still accepting API keys for rate limiting/tracking
  */
-const optionalApiKey = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-
-    if (apiKey) {
-        const validApiKey = process.env['589_API_KEY'];
-        if (apiKey === validApiKey) {
-            req.authenticated = true;
-        } else {
-            req.authenticated = false;
-        }
-    } else {
-        req.authenticated = false;
+const optionalApiKey = async (req, res, next) => {
+    try {
+        const result = await identify(req);
+        req.authenticated = result.status === 'valid';
+        if (req.authenticated) attach(req, result);
+        next();
+    } catch (error) {
+        next(error);
     }
-
-    next();
 };
 
 /**
  * Validate API key for write operations only
- * GET requests are allowed without authentication for read-only access
+ * GET requests are allowed without authentication for read-only access;
+ * with valid credentials they read as the caller's organization
  */
-const validateApiKeyForWrites = (req, res, next) => {
-    // Allow GET requests without authentication (read-only)
-    if (req.method === 'GET') {
-        return next();
+const validateApiKeyForWrites = async (req, res, next) => {
+    try {
+        const result = await identify(req);
+
+        // Allow GET requests without authentication (read-only)
+        if (req.method === 'GET') {
+            if (result.status === 'valid') attach(req, result);
+            return next();
+        }
+
+        if (result.status !== 'valid') {
+            return rejectCredentials(res, result,
+                'API key required for write operations. Include x-api-key header or Authorization: Bearer <key>');
+        }
+
+        attach(req, result);
+        next();
+    } catch (error) {
+        next(error);
     }
+};
 
-    // For POST, PUT, DELETE, PATCH - require API key
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+/**
+ * Role-based access control
+ * Needs a role of at least `role` (scouter < lead < admin). Use after one
+ * of the validators above, or on its own.
+ *
+ * @param {string} role
+ * @param {object} [options]
+ * @param {string} [options.orScope] - API keys with this scope are let through too
+ */
+const requireRole = (role, { orScope } = {}) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.auth) {
+                const result = await identify(req);
+                if (result.status !== 'valid' && result.status !== 'none') {
+                    return rejectCredentials(res, result);
+                }
+                if (result.status === 'valid') attach(req, result);
+            }
 
-    if (!apiKey) {
-        return res.status(401).json({
-            success: false,
-            error: {
-                message: 'API key required for write operations. Include x-api-key header or Authorization: Bearer <key>'
+            if (!req.auth) {
+                return res.status(401).json({
+                    success: false,
+                    error: {
+                        message: `Sign in required. Required role: ${role}`
+                    }
+                });
+            }
+
+            if (!hasRole(req.auth.role, role) && !(orScope && hasScope(req.auth.scopes, orScope))) {
+                return res.status(403).json({
+                    success: false,
+                    error: {
+                        message: `Access denied. Required role: ${role}, your role: ${req.auth.role}`
+                    }
+                });
             }
-        });
-    }
 
-    const validApiKey = process.env['589_API_KEY'];
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Writes through a stored API key need `scope` (or `admin`)
+ * Sessions and the shared key are governed by roles instead, and reads
+ * aren't scoped. Mount after validateApiKeyForWrites.
+ */
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (req.method === 'GET' || !req.auth?.scopes || hasScope(req.auth.scopes, scope)) {
+            return next();
+        }
 
-    if (!validApiKey) {
-        console.error('⚠️  589_API_KEY not configured in .env file');
-        return res.status(500).json({
+        res.status(403).json({
             success: false,
             error: {
-                message: 'Server configuration error: API key not configured'
+                message: `API key "${req.auth.keyName}" doesn't have the ${scope} scope`
             }
         });
-    }
+    };
+};
+
+/**
+ * Keys restricted to some regionals can only write data for those
+ * @returns {boolean}
+ */
+function regionalAllowed(req, regionalId) {
+    const allowed = req.auth?.regionalIds;
+    return !allowed || allowed.includes(Number(regionalId));
+}
+
+/**
+ * Can this request add regionals it names? Not with a regional-restricted key.
+ */
+const canCreateRegionals = (req) => !req.auth?.regionalIds;
 
-    if (apiKey !== validApiKey) {
+/**
+ * With REQUIRE_SCOUTER_ACCOUNTS=true, scouting data can only be submitted
+ * from a signed-in account, never under a typed-in name
+ */
+const requireScouterAccount = (req, res, next) => {
+    if (process.env.REQUIRE_SCOUTER_ACCOUNTS === 'true' && !req.user) {
         return res.status(401).json({
             success: false,
             error: {
-                message: 'Invalid API key'
+                message: 'Sign in with your scouter account to submit data (POST /api/auth/login)'
             }
         });
     }
-
     next();
 };
 
 /**
- * Role-based access control (for future expansion)
- * This shows how you could implement different permission levels
+ * Who submitted scouting data: the signed-in account, if any
+ * @returns {{ scouter_name?: string, scouter_user_id?: number }}
  */
-const requireRole = (role) => {
-    return (req, res, next) => {
-        // In a real app, you'd extract role from JWT token or database
-        // For now, this is just a placeholder for educational purposes
-        const userRole = req.headers['x-user-role'] || 'scouter';
-
-        const roleHierarchy = {
-            'admin': 3,
-            'lead': 2,
-            'scouter': 1
-        };
-
-        if (!roleHierarchy[userRole] || roleHierarchy[userRole] < roleHierarchy[role]) {
-            return res.status(403).json({
-                success: false,
-                error: {
-                    message: `Access denied. Required role: ${role}, your role: ${userRole}`
-                }
-            });
-        }
-
-        next();
-    };
-};
+function scouterIdentity(req) {
+    return req.user ? { scouter_name: req.user.display_name, scouter_user_id: req.user.id } : {};
+}
 
 module.exports = {
+    identify,
     validateApiKey,
     validateApiKeyForWrites,
     optionalApiKey,
-    requireRole
-};
\ No newline at end of file
+    requireRole,
+    requireScope,
+    regionalAllowed,
+    canCreateRegionals,
+    requireScouterAccount,
+    scouterIdentity
+};
@@ -0,0 +1,33 @@
+/**
+ * Backend Middleware
+ * Turns away requests for features the local database backends don't have
+ *
+ * Core data goes through src/repositories and works on every backend. The
+ * routes guarded here are left out of offline mode on purpose (README
+ * "Offline Database") and still query Supabase directly, so on
+ * DATABASE_BACKEND=postgres or sqlite they answer 501 up front instead of
+ * failing partway through with a 500.
+ */
+
+const { databaseBackend } = require('../config/database');
+
+/**
+ * Only serve a route on the Supabase backend
+ * @param {string} feature - Named in the error, e.g. 'Pick lists'
+ */
+const requireSupabase = (feature) => {
+    return (req, res, next) => {
+        if (databaseBackend === 'supabase') return next();
+
+        res.status(501).json({
+            success: false,
+            error: {
+                message: `Not available without Supabase (DATABASE_BACKEND is "${databaseBackend}"): ${feature}`
+            }
+        });
+    };
+};
+
+module.exports = {
+    requireSupabase
+};
@@ -0,0 +1,53 @@
+/**
+ * Rate Limit Middleware
+ * Turns away callers that have used up their route group's budget
+ *
+ * Mount after validateApiKeyForWrites (or validateApiKey) so API keys are
+ * counted per key and scouting devices are recognised and let through.
+ * Budgets and the store are in src/services/rateLimits.js.
+ */
+
+const { rateLimitsEnabled, isExempt, consume } = require('../services/rateLimits');
+
+/**
+ * Limit requests to a route group
+ * Every limited response carries RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds); a refused one gets 429 with Retry-After.
+ *
+ * @param {string} group - One of the groups in GROUPS (read, tba, stream, auth)
+ */
+const rateLimit = (group) => {
+    return async (req, res, next) => {
+        if (!rateLimitsEnabled() || isExempt(req)) return next();
+
+        let usage;
+        try {
+            usage = await consume(req, group);
+        } catch (error) {
+            // A broken store shouldn't take the API down with it
+            console.error(`Rate limit store failed (${group}):`, error.message);
+            return next();
+        }
+
+        const resetSeconds = Math.max(1, Math.ceil((usage.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Limit': String(usage.limit),
+            'RateLimit-Remaining': String(usage.remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (usage.limited) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                error: {
+                    message: `Too many requests - try again in ${resetSeconds} seconds`
+                }
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = { rateLimit };
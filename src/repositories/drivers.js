@@ -0,0 +1,128 @@
+/**
+ * SQL Drivers
+ * Minimal connections for the self-hosted backends
+ *
+ * Both expose the same tiny interface so src/repositories/sql.js doesn't
+ * care which engine it talks to:
+ *   query(sql, params) -> Promise<rows>   (`?` placeholders)
+ *   transaction(work)   -> runs work({ query }) in BEGIN/COMMIT, rolls back on throw
+ *   close()
+ *
+ * Errors carry PostgreSQL codes (23505 unique, 23503 foreign key) on both
+ * engines, the same codes routes already check for with Supabase.
+ *
+ * The driver packages are optional dependencies, loaded only when selected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function requireDriver(packageName, backend) {
+    try {
+        return require(packageName);
+    } catch (error) {
+        throw new Error(`DATABASE_BACKEND=${backend} needs the "${packageName}" package. Run: npm install ${packageName}`);
+    }
+}
+
+/**
+ * Plain PostgreSQL (e.g. running on the pit laptop)
+ * @param {string} connectionString - DATABASE_URL
+ */
+function connectPostgres(connectionString) {
+    if (!connectionString) {
+        throw new Error('DATABASE_BACKEND=postgres needs DATABASE_URL (e.g. postgres://scouting@localhost/scouting)');
+    }
+
+    const { Pool } = requireDriver('pg', 'postgres');
+    const pool = new Pool({ connectionString });
+
+    // Without params the SQL is sent as-is, so a migration file can hold
+    // several statements (and jsonb `?` operators)
+    async function run(target, sql, params = []) {
+        if (params.length === 0) {
+            const result = await target.query(sql);
+            return Array.isArray(result) ? result.flatMap(part => part.rows) : result.rows;
+        }
+        let index = 0;
+        const { rows } = await target.query(sql.replace(/\?/g, () => `$${++index}`), params);
+        return rows;
+    }
+
+    return {
+        dialect: 'postgres',
+        query: (sql, params) => run(pool, sql, params),
+        async transaction(work) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                const result = await work({ query: (sql, params) => run(client, sql, params) });
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+        },
+        close: () => pool.end()
+    };
+}
+
+// SQLite reports constraint failures by name; translate to PostgreSQL codes
+const SQLITE_ERROR_CODES = {
+    SQLITE_CONSTRAINT_UNIQUE: '23505',
+    SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+    SQLITE_CONSTRAINT_FOREIGNKEY: '23503'
+};
+
+/**
+ * Embedded SQLite - one file, no server, no internet
+ * @param {string} filename - SQLITE_PATH
+ */
+function connectSqlite(filename) {
+    const Database = requireDriver('better-sqlite3', 'sqlite');
+
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    async function query(sql, params = []) {
+        try {
+            const statement = db.prepare(sql);
+            if (statement.reader) return statement.all(...params);
+            statement.run(...params);
+            return [];
+        } catch (error) {
+            if (SQLITE_ERROR_CODES[error.code]) error.code = SQLITE_ERROR_CODES[error.code];
+            throw error;
+        }
+    }
+
+    return {
+        dialect: 'sqlite',
+        query,
+        // One connection, so the transaction covers everything until COMMIT
+        async transaction(work) {
+            db.exec('BEGIN');
+            try {
+                const result = await work({ query });
+                db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    connectPostgres,
+    connectSqlite
+};
@@ -0,0 +1,180 @@
+/**
+ * Data Access Layer
+ * Where routes read and write core scouting data
+ *
+ * One set of repositories for the backend chosen with DATABASE_BACKEND
+ * (see src/config/database.js). Routes call these instead of building
+ * Supabase queries, so the whole scouting flow also runs on a pit laptop
+ * with no internet, and `npm run sync-offline` pushes it to Supabase later.
+ *
+ * Every backend implements the same methods (all async). Methods that look
+ * something up return null when it doesn't exist; database failures throw
+ * an Error whose `code` is the PostgreSQL error code (23505 = duplicate).
+ *
+ *   organizations
+ *              list(), findById(id), findBySlug(slug), create(organization), update(id, changes),
+ *              shares(id) -> { outgoing, incoming } (partners it shares with / organizations sharing
+ *              with it), share(id, partnerId), unshare(id, partnerId) -> boolean
+ *   seasons    list({ includeArchived }), findById(id), findActive(), findByYear(year),
+ *              latest() (not archived), create(season), update(id, changes), activate(id)
+ *   regionals  findById(id), findByName(name, { seasonId }), list({ seasonId }), create(regional),
+ *              update(id, changes), addTeam(regionalId, teamId), removeTeam(regionalId, teamId) -> boolean,
+ *              hasTeam(regionalId, teamId),
+ *              resolve({ regional_id, regional }, { create })
+ *   teams      list({ regionalId, includeDeleted }), findById(id, { includeDeleted }),
+ *              findByNumber(number, { regionalId, includeDeleted }), create(team),
+ *              findOrCreate(number, regional) (a trashed team comes back with deleted_at set, untouched),
+ *              remove(id) -> { deleted_at, matches, robot_info } | null (trashes its matches and
+ *              robot info too), restore(id) (and what was trashed with it), listDeleted(),
+ *              purgeDeleted(before) -> count, count()
+ *   matches    list({ teamId, regionalId, matchNumber, organizationIds, includeDeleted, limit, offset }) -> { rows, total },
+ *              listForTeam(teamId, regionalId, { excludeStatus, organizationIds }), teamRegionals({ organizationIds }),
+ *              findById(id, { includeDeleted, organizationIds }), findByClientIds(ids) (deleted too), create(record),
+ *              insertMany(records) -> [{ id, client_id }] (skips client_ids already stored), update(id, changes),
+ *              remove(id) -> boolean, restore(id), reinsert(record) (a purged match, with its original id),
+ *              listDeleted({ regionalId, organizationId }), purgeDeleted(before, { organizationId }) -> count,
+ *              count({ organizationIds })
+ *   robotInfo  find(teamId, regionalId, { organizationIds }), findById(id, { includeDeleted, organizationIds }),
+ *              list({ regionalId, organizationIds }), save(record), remove(id) -> boolean, restore(id),
+ *              listDeleted({ regionalId, organizationId }), purgeDeleted(before, { organizationId }) -> count
+ *   stats      save(teamId, regionalId, organizationId, { percentages, fractions, ranking }),
+ *              rankings(regionalId, organizationId)
+ *   tbaCache   findEvent(eventKey), saveEvent(event), findMatch(matchKey), listMatches(eventKey), saveMatches(records),
+ *              listRankings(eventKey), saveRankings(records) -> count, listAlliances(eventKey),
+ *              saveAlliances(records) -> count, listAwards(eventKey), replaceAwards(eventKey, records) -> count,
+ *              listOprs(eventKey), saveOprs(records) -> count, listDistrictPoints(eventKey),
+ *              saveDistrictPoints(records) -> count (TBA's official data per event - see src/services/officialData.js)
+ *   tbaResponses
+ *              find(endpoint), save(record) (upsert by endpoint), list() (without bodies),
+ *              purge({ prefix }) -> count - see src/services/tbaClient.js
+ *   tbaSync    listSchedules(), findSchedule(eventKey), saveSchedule(schedule) (upsert by event_key),
+ *              updateSchedule(eventKey, changes), removeSchedule(eventKey) -> boolean, logRun(entry),
+ *              listRuns({ eventKey, limit }) (newest first) - see src/services/tbaSync.js
+ *   tbaWebhooks
+ *              create(notification), findById(id), update(id, changes),
+ *              list({ messageType, eventKey, status, limit }) (newest first) - see src/services/tbaWebhooks.js
+ *   predictions
+ *              find(organizationId, matchKey), save(record) (upsert by organization_id and match_key;
+ *              prediction_data is the predictor's output - see src/routes/predictions.js)
+ *   users      list({ organizationId }), findById(id), findByUsername(username), create(user), update(id, changes), count()
+ *              (usernames are stored lowercase; records include credential_hash - see src/services/accounts.js)
+ *   apiKeys    list({ organizationId }), findById(id), findByHash(keyHash), create(record), update(id, changes)
+ *              (scopes and regional_ids are arrays - see src/services/apiKeys.js)
+ *   auditLog   list({ entityType, entityId, action, userId, apiKeyId, regionalId, organizationId, since, until,
+ *              limit, offset })
+ *              -> { rows, total } (newest first), findById(id), create(entry) - see src/services/audit.js
+ *
+ * Matches, robot info, statistics, users, API keys and audit entries belong
+ * to an organization (`organization_id`). Reads take the organizations to
+ * include (`organizationIds`, the caller's own first - see
+ * src/services/organizations.js) and return every organization's rows when
+ * it isn't given; records written carry their `organization_id`.
+ *
+ * Removing a team, match or robot info only sets `deleted_at` (the trash);
+ * every other read leaves trashed rows out unless it takes `includeDeleted`.
+ *
+ * The data model is season -> regional -> team: a team is one row per team
+ * number, entered in regionals through team_regional_participation, and
+ * scouting data points at its regional with `regional_id`. Regionals are
+ * returned with their season (`seasons: { season_year, game_definition, ... }`);
+ * matches, robot info and rankings with `teams: { team_number, team_name }`.
+ * The connection itself is `client` (Supabase) or `db` (local backends), for
+ * the migration runner in src/repositories/migrations.js.
+ */
+
+const { databaseBackend, supabase } = require('../config/database');
+const { createSupabaseRepositories } = require('./supabase');
+const { createSqlRepositories } = require('./sql');
+const { connectPostgres, connectSqlite } = require('./drivers');
+
+// Default file for DATABASE_BACKEND=sqlite
+const DEFAULT_SQLITE_PATH = 'data/scouting.sqlite';
+
+/**
+ * Build repositories for a backend
+ *
+ * @param {string} backend - 'supabase', 'postgres' or 'sqlite'
+ * @param {object} [options]
+ * @param {object} [options.client] - Supabase client (defaults to the app's)
+ * @param {string} [options.databaseUrl] - PostgreSQL connection string
+ * @param {string} [options.sqlitePath] - SQLite file
+ */
+function createRepositories(backend, options = {}) {
+    switch (backend) {
+        case 'supabase': {
+            const client = options.client || supabase;
+            return withResolver({ backend, client, ...createSupabaseRepositories(client) });
+        }
+        case 'postgres': {
+            const db = connectPostgres(options.databaseUrl || process.env.DATABASE_URL);
+            return withResolver({ backend, db, ...createSqlRepositories(db) });
+        }
+        case 'sqlite': {
+            const db = connectSqlite(options.sqlitePath || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+            return withResolver({ backend, db, ...createSqlRepositories(db) });
+        }
+        default:
+            throw new Error(`Unknown database backend "${backend}"`);
+    }
+}
+
+/**
+ * Add `regionals.resolve`, which turns what a client sent into a regional
+ */
+function withResolver(repositories) {
+    const { seasons, regionals } = repositories;
+
+    // Where regionals only known by name go: the active season, else the latest, else a new one
+    async function currentSeason() {
+        const season = await seasons.findActive() || await seasons.latest();
+        if (season) return season;
+
+        const year = new Date().getFullYear();
+        try {
+            return await seasons.create({ season_year: year, season_name: `${year} Season`, is_active: true });
+        } catch (error) {
+            if (error.code !== '23505') throw error;
+            return seasons.findByYear(year);
+        }
+    }
+
+    /**
+     * Find the regional a request refers to
+     *
+     * Clients send `regional_id`, or the older `regional` name (a numeric
+     * `regional` is taken as an ID). Names resolve to the active season's
+     * regional, otherwise the latest season's.
+     *
+     * @param {{ regional_id?: number, regional?: string }} ref
+     * @param {object} [options]
+     * @param {boolean} [options.create] - Add an unknown name to the current season
+     * @returns {Promise<object|null>} The regional, with its season
+     */
+    regionals.resolve = async function resolve({ regional_id: regionalId, regional } = {}, { create = false } = {}) {
+        if (regionalId !== undefined && regionalId !== null && regionalId !== '') {
+            return regionals.findById(parseInt(regionalId));
+        }
+        if (regional === undefined || regional === null || regional === '') return null;
+
+        const name = String(regional).trim();
+        if (/^\d+$/.test(name)) return regionals.findById(parseInt(name));
+
+        const existing = await regionals.findByName(name);
+        if (existing || !create) return existing;
+
+        const season = await currentSeason();
+        try {
+            return await regionals.create({ season_id: season.id, regional_name: name });
+        } catch (error) {
+            if (error.code !== '23505') throw error;
+            return regionals.findByName(name, { seasonId: season.id }); // created by a concurrent request
+        }
+    };
+
+    return repositories;
+}
+
+module.exports = {
+    ...createRepositories(databaseBackend),
+    createRepositories
+};
@@ -0,0 +1,270 @@
+/**
+ * Migration Runner
+ * Versioned schema changes for every backend
+ *
+ * Supabase migrations are the numbered files in supabase/migrations/
+ * (0001_initial_schema.sql, ...); the local backends use the list in
+ * src/repositories/schema.js. Each applied migration is recorded in
+ * `schema_migrations` with a checksum of its SQL, so editing a migration
+ * after it ran is caught instead of silently drifting.
+ *
+ *   npm run setup-db -- status          what's applied, pending or changed
+ *   npm run setup-db -- up [--to N]     apply pending migrations in order
+ *   npm run setup-db -- baseline [--to N]
+ *                                       record migrations as applied without
+ *                                       running them (databases set up by hand
+ *                                       from the old SQL files)
+ *
+ * Supabase migrations run over a direct PostgreSQL connection
+ * (SUPABASE_DB_URL); the API itself only reads `schema_migrations`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { connectPostgres } = require('./drivers');
+const { localMigrations } = require('./schema');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../supabase/migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+const MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    baseline BOOLEAN NOT NULL DEFAULT FALSE,
+    applied_at TEXT NOT NULL
+)`;
+
+// 0001_initial_schema
+const migrationLabel = (migration) => `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+
+function checksum(statements) {
+    // Line endings don't change the SQL, so a Windows checkout still matches
+    return createHash('sha256').update(statements.join(';\n').replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migrations for a backend, ordered by version
+ * @param {string} backend - 'supabase', 'postgres' or 'sqlite'
+ * @returns {Array<{ version: number, name: string, statements: string[], checksum: string }>}
+ */
+function loadMigrations(backend) {
+    const migrations = backend === 'supabase'
+        ? fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => MIGRATION_FILE.test(file))
+            .map((file) => {
+                const [, version, name] = file.match(MIGRATION_FILE);
+                return {
+                    version: parseInt(version),
+                    name,
+                    statements: [fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')]
+                };
+            })
+        : localMigrations(backend);
+
+    migrations.sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Two migrations share version ${migration.version}`);
+        }
+        migration.checksum = checksum(migration.statements);
+    });
+
+    return migrations;
+}
+
+// The table doesn't exist yet (PostgreSQL, SQLite, or PostgREST through Supabase)
+function isMissingTable(error) {
+    return error.code === '42P01' || error.code === 'PGRST205' || /no such table/.test(error.message);
+}
+
+/**
+ * Migrations recorded in schema_migrations
+ * @param {object} source - `{ db }` for a SQL connection or `{ client }` for Supabase
+ * @returns {Promise<Array|null>} null when the database has never been migrated
+ */
+async function appliedMigrations({ db, client }) {
+    if (client) {
+        const { data, error } = await client.from('schema_migrations').select('*').order('version');
+        if (error) {
+            if (isMissingTable(error)) return null;
+            throw new Error(`Could not read schema_migrations: ${error.message}`);
+        }
+        return data;
+    }
+
+    try {
+        return await db.query('SELECT * FROM schema_migrations ORDER BY version');
+    } catch (error) {
+        if (isMissingTable(error)) return null;
+        throw error;
+    }
+}
+
+/**
+ * Compare the migrations on disk with the ones a database has applied
+ */
+function compareMigrations(migrations, applied) {
+    const recorded = new Map((applied || []).map(row => [Number(row.version), row]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+        tracked: applied !== null,
+        expected: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        current: recorded.size > 0 ? Math.max(...recorded.keys()) : 0,
+        pending: migrations.filter(migration => !recorded.has(migration.version)),
+        modified: migrations.filter(migration =>
+            recorded.has(migration.version) && recorded.get(migration.version).checksum !== migration.checksum),
+        unknown: [...recorded.values()].filter(row => !known.has(Number(row.version)))
+    };
+}
+
+/**
+ * Migration status for a backend
+ */
+async function migrationStatus(backend, source) {
+    const migrations = loadMigrations(backend);
+    const applied = await appliedMigrations(source);
+    return { migrations, applied: applied || [], ...compareMigrations(migrations, applied) };
+}
+
+// Changed or unknown migrations mean this code and the database disagree about history
+function assertConsistent(status) {
+    if (status.modified.length > 0) {
+        const versions = status.modified.map(migrationLabel).join(', ');
+        throw new Error(`Migrations changed after they were applied: ${versions}. Add a new migration instead of editing one.`);
+    }
+    if (status.unknown.length > 0) {
+        const versions = status.unknown.map(migrationLabel).join(', ');
+        throw new Error(`Database has migrations this code doesn't know about: ${versions}. Update the API.`);
+    }
+}
+
+function record(query, migration, baseline) {
+    return query(
+        'INSERT INTO schema_migrations (version, name, checksum, baseline, applied_at) VALUES (?, ?, ?, ?, ?)',
+        [migration.version, migration.name, migration.checksum, baseline ? 1 : 0, new Date().toISOString()]
+    );
+}
+
+async function createMigrationsTable(backend, db) {
+    await db.query(MIGRATIONS_TABLE);
+    // Only the service role should see or change migration history
+    if (backend === 'supabase') await db.query('ALTER TABLE schema_migrations ENABLE ROW LEVEL SECURITY');
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ *
+ * @param {string} backend
+ * @param {object} db - SQL connection from src/repositories/drivers.js
+ * @param {object} [options]
+ * @param {number} [options.to] - Stop after this version
+ * @returns {Promise<Array>} Migrations applied
+ */
+async function migrateUp(backend, db, { to } = {}) {
+    await createMigrationsTable(backend, db);
+
+    const status = await migrationStatus(backend, { db });
+    assertConsistent(status);
+
+    const pending = status.pending.filter(migration => to === undefined || migration.version <= to);
+    for (const migration of pending) {
+        await db.transaction(async ({ query }) => {
+            for (const statement of migration.statements) {
+                await query(statement);
+            }
+            await record(query, migration, false);
+        });
+    }
+
+    return pending;
+}
+
+/**
+ * Mark migrations as applied without running them
+ * For a database whose tables already exist from the old hand-run SQL files.
+ *
+ * @returns {Promise<Array>} Migrations recorded
+ */
+async function baseline(backend, db, { to } = {}) {
+    await createMigrationsTable(backend, db);
+
+    const status = await migrationStatus(backend, { db });
+    assertConsistent(status);
+
+    const recorded = status.pending.filter(migration => to === undefined || migration.version <= to);
+    for (const migration of recorded) {
+        await record((sql, params) => db.query(sql, params), migration, true);
+    }
+
+    return recorded;
+}
+
+/**
+ * SQL connection that migrations run over
+ * The local backends use their own; Supabase needs SUPABASE_DB_URL
+ * (Project Settings -> Database -> Connection string).
+ */
+function connectForMigrations(repositories) {
+    if (repositories.db) return repositories.db;
+
+    if (!process.env.SUPABASE_DB_URL) {
+        throw new Error('Set SUPABASE_DB_URL to the Supabase database connection string to run migrations');
+    }
+    return connectPostgres(process.env.SUPABASE_DB_URL);
+}
+
+/**
+ * Startup check: refuse to serve unless the database is at the version the
+ * routes expect. Local backends bring themselves up to date first, since
+ * the pit laptop has nobody to run migrations by hand.
+ *
+ * SKIP_SCHEMA_CHECK=true turns this off (e.g. while writing a migration).
+ *
+ * @param {object} repositories - From src/repositories/index.js
+ * @returns {Promise<object>} Migration status
+ */
+async function verifySchema(repositories) {
+    const { backend } = repositories;
+
+    if (process.env.SKIP_SCHEMA_CHECK === 'true') {
+        console.warn('⚠️  SKIP_SCHEMA_CHECK is set - not checking the database schema version');
+        return null;
+    }
+
+    if (repositories.db) {
+        const applied = await migrateUp(backend, repositories.db);
+        if (applied.length > 0) {
+            console.log(`🗄️  Applied ${applied.length} migration(s): ${applied.map(migrationLabel).join(', ')}`);
+        }
+    }
+
+    const status = await migrationStatus(backend, repositories);
+
+    if (!status.tracked) {
+        throw new Error('Database has no schema_migrations table. Run `npm run setup-db -- up` for a new database, ' +
+            'or `npm run setup-db -- baseline` for one set up from the old SQL files.');
+    }
+    assertConsistent(status);
+    if (status.pending.length > 0) {
+        const versions = status.pending.map(migrationLabel).join(', ');
+        throw new Error(`Database schema is at version ${status.current}, the API needs ${status.expected}. ` +
+            `Pending: ${versions}. Run \`npm run setup-db -- up\`.`);
+    }
+
+    return status;
+}
+
+module.exports = {
+    migrationLabel,
+    loadMigrations,
+    appliedMigrations,
+    compareMigrations,
+    migrationStatus,
+    migrateUp,
+    baseline,
+    connectForMigrations,
+    verifySchema
+};
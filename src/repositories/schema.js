@@ -0,0 +1,612 @@
+/**
+ * Local Database Schema
+ * Tables for the self-hosted backends (PostgreSQL and SQLite)
+ *
+ * Only the columns we filter, join or enforce uniqueness on are real
+ * columns. Everything else in a record (game elements, TBA payloads, ...)
+ * is kept as JSON in `extra`, so the same tables hold any season's game and
+ * records read back with the same shape Supabase returns.
+ *
+ * The SQL is written to run unchanged on both engines; only the
+ * auto-increment ID type differs.
+ *
+ * Tables are created by numbered migrations (see src/repositories/migrations.js).
+ * Never edit a migration that has shipped - add the next version instead,
+ * the same way as supabase/migrations/.
+ */
+
+// Columns per table, besides `id` and `extra`
+const TABLES = {
+    teams: ['team_number', 'team_name', 'regional', 'created_at', 'updated_at', 'deleted_at'],
+    seasons: ['season_year', 'season_name', 'game_name', 'is_active', 'archived_at', 'current_regional_id', 'created_at'],
+    regionals: ['season_id', 'regional_name', 'regional_code', 'created_at'],
+    team_regional_participation: ['team_id', 'regional_id', 'registered_at'],
+    matches: [
+        'team_id', 'regional', 'regional_id', 'match_number', 'scouter_name', 'comments', 'client_id',
+        'review_status', 'report_count', 'scouter_user_id', 'organization_id', 'created_at', 'updated_at', 'deleted_at'
+    ],
+    robot_info: ['team_id', 'regional', 'regional_id', 'organization_id', 'created_at', 'updated_at', 'deleted_at'],
+    team_stats_percentage: ['team_id', 'regional_id', 'organization_id', 'last_calculated'],
+    team_stats_fraction: ['team_id', 'regional_id', 'organization_id', 'last_calculated'],
+    team_rankings: [
+        'team_id', 'regional_id', 'organization_id', 'overall_score', 'auto_score', 'teleop_score', 'endgame_score',
+        'matches_played', 'last_calculated'
+    ],
+    events: ['event_key', 'name', 'year', 'start_date', 'end_date', 'updated_at'],
+    tba_matches: ['match_key', 'event_key', 'comp_level', 'set_number', 'match_number', 'updated_at'],
+    users: [
+        'username', 'display_name', 'role', 'credential_type', 'credential_hash', 'token_version',
+        'is_active', 'last_login_at', 'organization_id', 'created_at', 'updated_at'
+    ],
+    // scopes and regional_ids are JSON arrays in `extra`
+    api_keys: [
+        'name', 'key_prefix', 'key_hash', 'expires_at', 'revoked_at', 'last_used_at', 'last_used_ip',
+        'rotated_from', 'created_by', 'organization_id', 'created_at'
+    ],
+    // scopes and the before/after/details snapshots are in `extra`
+    audit_log: [
+        'entity_type', 'entity_id', 'action', 'regional_id', 'actor_type', 'actor_user_id', 'actor_name',
+        'api_key_id', 'role', 'ip', 'organization_id', 'created_at'
+    ],
+    organizations: ['name', 'slug', 'team_number', 'created_at', 'updated_at'],
+    organization_shares: ['organization_id', 'partner_organization_id', 'created_at'],
+    // The response body is in `extra`
+    tba_responses: ['endpoint', 'etag', 'last_modified', 'size_bytes', 'fetched_at', 'checked_at', 'expires_at'],
+    event_rankings: ['event_key', 'team_key', 'rank', 'updated_at'],
+    event_alliances: ['event_key', 'alliance_number', 'updated_at'],
+    // tasks, last_error and last_summary are in `extra`
+    tba_sync_schedules: [
+        'event_key', 'regional_id', 'enabled', 'interval_minutes', 'follows_active', 'last_run_at', 'last_status',
+        'created_at', 'updated_at'
+    ],
+    tba_sync_log: ['entity_type', 'entity_key', 'status', 'records_synced', 'started_at', 'completed_at'],
+    // message_data, result and error are in `extra`
+    tba_webhook_notifications: ['message_type', 'event_key', 'match_key', 'source', 'status', 'received_at', 'processed_at'],
+    // recipient_team_keys and recipient_list are in `extra`
+    awards: ['event_key', 'award_type', 'name', 'year', 'created_at'],
+    event_opr: ['event_key', 'team_key', 'opr', 'dpr', 'ccwm', 'updated_at'],
+    // The points breakdown and tiebreakers are in `extra`
+    event_district_points: ['event_key', 'team_key', 'total', 'updated_at'],
+    // prediction_data is in `extra`
+    predictions: ['organization_id', 'match_key', 'event_key', 'created_at', 'updated_at']
+};
+
+// The active season's regional with a name (or the latest season's); see supabase/migrations/0005
+const regionalIdByName = (name) => `(
+    SELECT r.id FROM regionals r JOIN seasons s ON s.id = r.season_id
+    WHERE r.regional_name = ${name}
+    ORDER BY s.is_active DESC, s.season_year DESC LIMIT 1
+)`;
+
+// Lowest team ID with the same number as `column`
+const canonicalTeamId = (column) => `(
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = ${column}
+)`;
+
+// Migration SQL must not change between runs (it is checksummed), so no JS dates
+const CURRENT_YEAR = {
+    postgres: 'CAST(EXTRACT(YEAR FROM NOW()) AS INTEGER)',
+    sqlite: "CAST(strftime('%Y', 'now') AS INTEGER)"
+};
+
+// Now as the ISO string the repositories store
+const CURRENT_TIMESTAMP = {
+    postgres: `to_char(NOW() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`,
+    sqlite: "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')"
+};
+
+const DUPLICATE_TEAM = 'team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number)';
+
+/**
+ * Migrations for the local backends, in order
+ * `statements({ id, dialect })` gets the auto-increment primary key type and the dialect.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'core_tables',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS teams (
+                id ${id},
+                team_number INTEGER NOT NULL,
+                team_name VARCHAR(255) NOT NULL,
+                regional VARCHAR(100) NOT NULL,
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (team_number, regional)
+            )`,
+            `CREATE TABLE IF NOT EXISTS matches (
+                id ${id},
+                team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                regional VARCHAR(100) NOT NULL,
+                match_number INTEGER NOT NULL,
+                scouter_name VARCHAR(100),
+                comments TEXT,
+                client_id VARCHAR(36) UNIQUE,
+                review_status VARCHAR(20) NOT NULL DEFAULT 'single',
+                report_count INTEGER DEFAULT 0,
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_matches_team ON matches(team_id, regional)',
+            `CREATE TABLE IF NOT EXISTS robot_info (
+                id ${id},
+                team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                regional VARCHAR(100) NOT NULL,
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (team_id, regional)
+            )`,
+            `CREATE TABLE IF NOT EXISTS team_statistics (
+                id ${id},
+                team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                regional VARCHAR(100) NOT NULL,
+                stat_category VARCHAR(50) NOT NULL,
+                stat_name VARCHAR(100) NOT NULL,
+                stat_value REAL,
+                stat_fraction VARCHAR(20),
+                total_matches INTEGER,
+                last_calculated TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (team_id, regional, stat_category, stat_name)
+            )`,
+            `CREATE TABLE IF NOT EXISTS events (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL UNIQUE,
+                name VARCHAR(255),
+                year INTEGER,
+                start_date TEXT,
+                end_date TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            `CREATE TABLE IF NOT EXISTS tba_matches (
+                id ${id},
+                match_key VARCHAR(50) NOT NULL UNIQUE,
+                event_key VARCHAR(20) NOT NULL,
+                comp_level VARCHAR(10),
+                set_number INTEGER,
+                match_number INTEGER,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_tba_matches_event ON tba_matches(event_key)'
+        ]
+    },
+    {
+        // Same data model as Supabase: one team per number, entered in regionals
+        // of a season. is_active is 0/1 so both engines compare it the same way.
+        version: 2,
+        name: 'season_model',
+        statements: ({ id, dialect }) => [
+            `CREATE TABLE IF NOT EXISTS seasons (
+                id ${id},
+                season_year INTEGER NOT NULL UNIQUE,
+                season_name VARCHAR(255) NOT NULL,
+                game_name VARCHAR(255),
+                is_active INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            `CREATE TABLE IF NOT EXISTS regionals (
+                id ${id},
+                season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+                regional_name VARCHAR(255) NOT NULL,
+                regional_code VARCHAR(20),
+                created_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (season_id, regional_name)
+            )`,
+            `CREATE TABLE IF NOT EXISTS team_regional_participation (
+                id ${id},
+                team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                regional_id INTEGER NOT NULL REFERENCES regionals(id) ON DELETE CASCADE,
+                registered_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (team_id, regional_id)
+            )`,
+            ...['team_stats_percentage', 'team_stats_fraction'].map(table => `CREATE TABLE IF NOT EXISTS ${table} (
+                id ${id},
+                team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                regional_id INTEGER NOT NULL REFERENCES regionals(id) ON DELETE CASCADE,
+                last_calculated TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (team_id, regional_id)
+            )`),
+            `CREATE TABLE IF NOT EXISTS team_rankings (
+                id ${id},
+                team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                regional_id INTEGER NOT NULL REFERENCES regionals(id) ON DELETE CASCADE,
+                overall_score REAL DEFAULT 0,
+                auto_score REAL DEFAULT 0,
+                teleop_score REAL DEFAULT 0,
+                endgame_score REAL DEFAULT 0,
+                matches_played INTEGER DEFAULT 0,
+                last_calculated TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (team_id, regional_id)
+            )`,
+
+            // Regionals for the names already in use
+            `INSERT INTO seasons (season_year, season_name, is_active)
+            SELECT ${CURRENT_YEAR[dialect]}, CAST(${CURRENT_YEAR[dialect]} AS TEXT) || ' Season', 1
+            WHERE NOT EXISTS (SELECT 1 FROM seasons)`,
+            `INSERT INTO regionals (season_id, regional_name)
+            SELECT (SELECT id FROM seasons ORDER BY is_active DESC, season_year DESC LIMIT 1), names.regional
+            FROM (
+                SELECT regional FROM teams
+                UNION SELECT regional FROM matches
+                UNION SELECT regional FROM robot_info
+            ) names
+            WHERE names.regional IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM regionals r WHERE r.regional_name = names.regional)`,
+
+            'ALTER TABLE matches ADD COLUMN regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE',
+            `UPDATE matches SET regional_id = ${regionalIdByName('matches.regional')}`,
+            'CREATE INDEX IF NOT EXISTS idx_matches_team_regional_id ON matches(team_id, regional_id)',
+
+            // robot_info is unique per regional_id now. SQLite can't drop a
+            // constraint, so the table is rebuilt (nothing references it)
+            ...(dialect === 'postgres'
+                ? [
+                    'ALTER TABLE robot_info ADD COLUMN regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE',
+                    'ALTER TABLE robot_info DROP CONSTRAINT IF EXISTS robot_info_team_id_regional_key'
+                ]
+                : [
+                    `CREATE TABLE robot_info_rebuilt (
+                        id ${id},
+                        team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                        regional VARCHAR(100) NOT NULL,
+                        regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+                        created_at TEXT,
+                        updated_at TEXT,
+                        extra TEXT NOT NULL DEFAULT '{}'
+                    )`,
+                    `INSERT INTO robot_info_rebuilt (id, team_id, regional, created_at, updated_at, extra)
+                    SELECT id, team_id, regional, created_at, updated_at, extra FROM robot_info`,
+                    'DROP TABLE robot_info',
+                    'ALTER TABLE robot_info_rebuilt RENAME TO robot_info'
+                ]),
+            `UPDATE robot_info SET regional_id = ${regionalIdByName('robot_info.regional')}`,
+
+            // One team row per number; duplicates become participation rows
+            `INSERT INTO team_regional_participation (team_id, regional_id)
+            SELECT DISTINCT ${canonicalTeamId('teams.id')}, ${regionalIdByName('teams.regional')}
+            FROM teams`,
+            `UPDATE matches SET team_id = ${canonicalTeamId('matches.team_id')} WHERE ${DUPLICATE_TEAM}`,
+            `UPDATE robot_info SET team_id = ${canonicalTeamId('robot_info.team_id')} WHERE ${DUPLICATE_TEAM}`,
+            `UPDATE team_statistics SET team_id = ${canonicalTeamId('team_statistics.team_id')} WHERE ${DUPLICATE_TEAM}`,
+            'DELETE FROM teams WHERE id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number)',
+            `INSERT INTO team_regional_participation (team_id, regional_id)
+            SELECT DISTINCT source.team_id, source.regional_id
+            FROM (
+                SELECT team_id, regional_id FROM matches
+                UNION SELECT team_id, regional_id FROM robot_info
+            ) source
+            WHERE source.regional_id IS NOT NULL
+            AND NOT EXISTS (
+                SELECT 1 FROM team_regional_participation p
+                WHERE p.team_id = source.team_id AND p.regional_id = source.regional_id
+            )`,
+
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_number ON teams(team_number)',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_robot_info_team_regional ON robot_info(team_id, regional_id)',
+            'CREATE INDEX IF NOT EXISTS idx_team_participation_regional ON team_regional_participation(regional_id)'
+        ]
+    },
+    {
+        // Archived seasons, the app's default regional, one active season
+        version: 3,
+        name: 'season_management',
+        statements: () => [
+            'ALTER TABLE seasons ADD COLUMN archived_at TEXT',
+            'ALTER TABLE seasons ADD COLUMN current_regional_id INTEGER REFERENCES regionals(id) ON DELETE SET NULL',
+            `UPDATE seasons SET is_active = 0
+            WHERE is_active = 1
+            AND id <> (SELECT id FROM seasons WHERE is_active = 1 ORDER BY season_year DESC LIMIT 1)`,
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_single_active ON seasons(is_active) WHERE is_active = 1'
+        ]
+    },
+    {
+        version: 4,
+        name: 'user_accounts',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS users (
+                id ${id},
+                username VARCHAR(50) NOT NULL UNIQUE,
+                display_name VARCHAR(100) NOT NULL,
+                role VARCHAR(20) NOT NULL DEFAULT 'scouter',
+                credential_type VARCHAR(10) NOT NULL,
+                credential_hash TEXT NOT NULL,
+                token_version INTEGER NOT NULL DEFAULT 0,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                last_login_at TEXT,
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'ALTER TABLE matches ADD COLUMN scouter_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL'
+        ]
+    },
+    {
+        version: 5,
+        name: 'api_keys',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS api_keys (
+                id ${id},
+                name VARCHAR(100) NOT NULL,
+                key_prefix VARCHAR(20) NOT NULL,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                expires_at TEXT,
+                revoked_at TEXT,
+                last_used_at TEXT,
+                last_used_ip VARCHAR(64),
+                rotated_from INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`
+        ]
+    },
+    {
+        version: 6,
+        name: 'audit_log',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS audit_log (
+                id ${id},
+                entity_type VARCHAR(20) NOT NULL,
+                entity_id VARCHAR(100),
+                action VARCHAR(20) NOT NULL,
+                regional_id INTEGER REFERENCES regionals(id) ON DELETE SET NULL,
+                actor_type VARCHAR(20) NOT NULL,
+                actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                actor_name VARCHAR(100),
+                api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+                role VARCHAR(20),
+                ip VARCHAR(64),
+                created_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)',
+            'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)'
+        ]
+    },
+    {
+        // Trash instead of deleting; see supabase/migrations/0010
+        version: 7,
+        name: 'soft_delete',
+        statements: () => [
+            'ALTER TABLE teams ADD COLUMN deleted_at TEXT',
+            'ALTER TABLE matches ADD COLUMN deleted_at TEXT',
+            'ALTER TABLE robot_info ADD COLUMN deleted_at TEXT',
+            'CREATE INDEX IF NOT EXISTS idx_teams_deleted ON teams(deleted_at) WHERE deleted_at IS NOT NULL',
+            'CREATE INDEX IF NOT EXISTS idx_matches_deleted ON matches(deleted_at) WHERE deleted_at IS NOT NULL',
+            'CREATE INDEX IF NOT EXISTS idx_robot_info_deleted ON robot_info(deleted_at) WHERE deleted_at IS NOT NULL'
+        ]
+    },
+    {
+        // Scouting groups sharing one deployment; see supabase/migrations/0011.
+        // SQLite can't add a foreign key column with a default, so organization_id
+        // is a plain column here
+        version: 8,
+        name: 'organizations',
+        statements: ({ id, dialect }) => [
+            `CREATE TABLE IF NOT EXISTS organizations (
+                id ${id},
+                name VARCHAR(100) NOT NULL,
+                slug VARCHAR(50) NOT NULL UNIQUE,
+                team_number INTEGER,
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            `INSERT INTO organizations (id, name, slug, team_number, created_at, updated_at)
+             VALUES (1, 'Team 589 Falkon Robotics', 'team-589', 589, ${CURRENT_TIMESTAMP[dialect]}, ${CURRENT_TIMESTAMP[dialect]})`,
+            ...(dialect === 'postgres' ? ["SELECT setval(pg_get_serial_sequence('organizations', 'id'), 1)"] : []),
+            `CREATE TABLE IF NOT EXISTS organization_shares (
+                id ${id},
+                organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                partner_organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                created_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (organization_id, partner_organization_id)
+            )`,
+
+            ...['matches', 'robot_info', 'users', 'api_keys', 'audit_log'].map(table =>
+                `ALTER TABLE ${table} ADD COLUMN organization_id INTEGER NOT NULL DEFAULT 1`),
+            'DROP INDEX IF EXISTS idx_robot_info_team_regional',
+            'CREATE UNIQUE INDEX IF NOT EXISTS idx_robot_info_org_team_regional ON robot_info(organization_id, team_id, regional_id)',
+            'CREATE INDEX IF NOT EXISTS idx_matches_org_team_regional ON matches(organization_id, team_id, regional_id)',
+
+            // Statistics are unique per organization now; rebuilt because
+            // SQLite can't drop a constraint (nothing references them)
+            ...['team_stats_percentage', 'team_stats_fraction', 'team_rankings'].flatMap(table => [
+                `CREATE TABLE ${table}_rebuilt (
+                    id ${id},
+                    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+                    regional_id INTEGER NOT NULL REFERENCES regionals(id) ON DELETE CASCADE,
+                    organization_id INTEGER NOT NULL DEFAULT 1,
+                    ${table === 'team_rankings'
+                        ? `overall_score REAL DEFAULT 0,
+                    auto_score REAL DEFAULT 0,
+                    teleop_score REAL DEFAULT 0,
+                    endgame_score REAL DEFAULT 0,
+                    matches_played INTEGER DEFAULT 0,`
+                        : ''}
+                    last_calculated TEXT,
+                    extra TEXT NOT NULL DEFAULT '{}',
+                    UNIQUE (organization_id, team_id, regional_id)
+                )`,
+                table === 'team_rankings'
+                    ? `INSERT INTO team_rankings_rebuilt (id, team_id, regional_id, overall_score, auto_score, teleop_score,
+                        endgame_score, matches_played, last_calculated, extra)
+                    SELECT id, team_id, regional_id, overall_score, auto_score, teleop_score,
+                        endgame_score, matches_played, last_calculated, extra FROM team_rankings`
+                    : `INSERT INTO ${table}_rebuilt (id, team_id, regional_id, last_calculated, extra)
+                    SELECT id, team_id, regional_id, last_calculated, extra FROM ${table}`,
+                // Copied IDs don't advance a PostgreSQL sequence
+                ...(dialect === 'postgres'
+                    ? [`SELECT setval(pg_get_serial_sequence('${table}_rebuilt', 'id'), (SELECT COALESCE(MAX(id), 0) + 1 FROM ${table}_rebuilt), false)`]
+                    : []),
+                `DROP TABLE ${table}`,
+                `ALTER TABLE ${table}_rebuilt RENAME TO ${table}`
+            ])
+        ]
+    },
+    {
+        // Last response per TBA endpoint; see supabase/migrations/0012
+        version: 9,
+        name: 'tba_response_cache',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS tba_responses (
+                id ${id},
+                endpoint VARCHAR(300) NOT NULL UNIQUE,
+                etag VARCHAR(200),
+                last_modified VARCHAR(100),
+                size_bytes INTEGER,
+                fetched_at TEXT,
+                checked_at TEXT,
+                expires_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`
+        ]
+    },
+    {
+        // Scheduled TBA sync of rankings, alliances and matches; see supabase/migrations/0013
+        version: 10,
+        name: 'tba_sync',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS event_rankings (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL,
+                team_key VARCHAR(10) NOT NULL,
+                rank INTEGER,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (event_key, team_key)
+            )`,
+            `CREATE TABLE IF NOT EXISTS event_alliances (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL,
+                alliance_number INTEGER NOT NULL,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (event_key, alliance_number)
+            )`,
+            `CREATE TABLE IF NOT EXISTS tba_sync_schedules (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL UNIQUE,
+                regional_id INTEGER REFERENCES regionals(id) ON DELETE SET NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                interval_minutes INTEGER NOT NULL DEFAULT 5,
+                follows_active INTEGER NOT NULL DEFAULT 0,
+                last_run_at TEXT,
+                last_status VARCHAR(20),
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            `CREATE TABLE IF NOT EXISTS tba_sync_log (
+                id ${id},
+                entity_type VARCHAR(50) NOT NULL,
+                entity_key VARCHAR(100),
+                status VARCHAR(20) NOT NULL,
+                records_synced INTEGER DEFAULT 0,
+                started_at TEXT NOT NULL,
+                completed_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_tba_sync_log_entity_key ON tba_sync_log(entity_key, started_at)'
+        ]
+    },
+    {
+        // Notifications pushed by TBA webhooks; see supabase/migrations/0014
+        version: 11,
+        name: 'tba_webhooks',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS tba_webhook_notifications (
+                id ${id},
+                message_type VARCHAR(50) NOT NULL,
+                event_key VARCHAR(20),
+                match_key VARCHAR(30),
+                source VARCHAR(20) NOT NULL DEFAULT 'tba',
+                status VARCHAR(20) NOT NULL DEFAULT 'received',
+                received_at TEXT,
+                processed_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_tba_webhook_notifications_received ON tba_webhook_notifications(received_at)'
+        ]
+    },
+    {
+        // Official awards, OPRs and district points per event; see supabase/migrations/0015
+        version: 12,
+        name: 'official_event_data',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS awards (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL,
+                award_type INTEGER NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                year INTEGER NOT NULL,
+                created_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}'
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_awards_event ON awards(event_key)',
+            `CREATE TABLE IF NOT EXISTS event_opr (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL,
+                team_key VARCHAR(10) NOT NULL,
+                opr REAL,
+                dpr REAL,
+                ccwm REAL,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (event_key, team_key)
+            )`,
+            `CREATE TABLE IF NOT EXISTS event_district_points (
+                id ${id},
+                event_key VARCHAR(20) NOT NULL,
+                team_key VARCHAR(10) NOT NULL,
+                total INTEGER NOT NULL,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (event_key, team_key)
+            )`
+        ]
+    },
+    {
+        // Saved match predictions, one per organization and match; see supabase/migrations/0016
+        version: 13,
+        name: 'predictions',
+        statements: ({ id }) => [
+            `CREATE TABLE IF NOT EXISTS predictions (
+                id ${id},
+                organization_id INTEGER NOT NULL DEFAULT 1,
+                match_key VARCHAR(50) NOT NULL,
+                event_key VARCHAR(20),
+                created_at TEXT,
+                updated_at TEXT,
+                extra TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (organization_id, match_key)
+            )`
+        ]
+    }
+];
+
+/**
+ * Local migrations with their SQL for a dialect ('postgres' or 'sqlite')
+ * @returns {Array<{ version: number, name: string, statements: string[] }>}
+ */
+function localMigrations(dialect) {
+    const id = dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    return MIGRATIONS.map(({ version, name, statements }) => ({ version, name, statements: statements({ id, dialect }) }));
+}
+
+module.exports = {
+    TABLES,
+    localMigrations
+};
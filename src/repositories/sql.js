@@ -0,0 +1,947 @@
+/**
+ * SQL Repositories
+ * The self-hosted backends (PostgreSQL or SQLite) behind the same interface
+ * as src/repositories/supabase.js
+ *
+ * Records keep the shape Supabase returns: real columns plus everything
+ * stored in `extra` (see src/repositories/schema.js), and matches/robot
+ * info carry `teams: { team_number, team_name }`. New matches always get a
+ * client_id so they can be synced to Supabase later without duplicates.
+ */
+
+const { randomUUID } = require('crypto');
+const { logQuery } = require('../config/database');
+const { TABLES } = require('./schema');
+
+/**
+ * Split a record into real columns and the JSON `extra` column
+ */
+function pack(table, record) {
+    const columns = {};
+    const extra = {};
+
+    for (const [key, value] of Object.entries(record)) {
+        if (key === 'id' || key === 'teams' || value === undefined) continue;
+        if (TABLES[table].includes(key)) {
+            columns[key] = value;
+        } else {
+            extra[key] = value;
+        }
+    }
+
+    return { columns, extra };
+}
+
+function unpack(row) {
+    if (!row) return null;
+    const { extra, ...columns } = row;
+    return { ...JSON.parse(extra || '{}'), ...columns };
+}
+
+// Rows selected with the team join carry team_number/team_name columns
+function unpackWithTeam(row) {
+    if (!row) return null;
+    const { team_number, team_name, ...rest } = row;
+    return { ...unpack(rest), teams: { team_number, team_name } };
+}
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * @param {{ dialect: string, query: Function }} db - From src/repositories/drivers.js
+ */
+function createSqlRepositories(db) {
+    async function run(operation, table, sql, params = []) {
+        logQuery('database', `${operation} from ${table}`);
+        return db.query(sql, params);
+    }
+
+    /**
+     * Insert a record, optionally as an upsert
+     * `keepId` writes the record's own `id` (putting a deleted row back).
+     * @returns {Promise<number|null>} New row ID, or null when skipped as a duplicate
+     */
+    async function insert(table, record, { onConflict, ignoreDuplicates = false, keepId = false } = {}) {
+        const now = new Date().toISOString();
+        const { columns, extra } = pack(table, record);
+
+        if (keepId) columns.id = record.id;
+
+        if (TABLES[table].includes('created_at') && !columns.created_at) columns.created_at = now;
+        if (TABLES[table].includes('updated_at') && !columns.updated_at) columns.updated_at = now;
+
+        const names = [...Object.keys(columns), 'extra'];
+        const values = [...Object.values(columns), JSON.stringify(extra)];
+        let sql = `INSERT INTO ${table} (${names.join(', ')}) VALUES (${placeholders(values)})`;
+
+        if (onConflict) {
+            const keys = onConflict.split(',');
+            const updates = names.filter(name => !keys.includes(name) && name !== 'created_at');
+            sql += ignoreDuplicates
+                ? ` ON CONFLICT (${onConflict}) DO NOTHING`
+                : ` ON CONFLICT (${onConflict}) DO UPDATE SET ${updates.map(name => `${name} = excluded.${name}`).join(', ')}`;
+        }
+
+        const rows = await run('INSERT', table, `${sql} RETURNING id`, values);
+        return rows[0]?.id ?? null;
+    }
+
+    /**
+     * Update columns and merge `extra`
+     * @returns {Promise<boolean>} false when the row doesn't exist
+     */
+    async function update(table, id, changes) {
+        const [existing] = await run('SELECT', table, `SELECT extra FROM ${table} WHERE id = ?`, [id]);
+        if (!existing) return false;
+
+        const { columns, extra } = pack(table, changes);
+        const names = [...Object.keys(columns), 'extra'];
+        const values = [...Object.values(columns), JSON.stringify({ ...JSON.parse(existing.extra), ...extra })];
+
+        await run('UPDATE', table,
+            `UPDATE ${table} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+            [...values, id]);
+        return true;
+    }
+
+    async function count(table, where = '') {
+        const [row] = await run('SELECT', table, `SELECT COUNT(*) AS total FROM ${table} ${where}`);
+        return parseInt(row.total);
+    }
+
+    const withTeam = (table) => `
+        SELECT r.*, t.team_number AS team_number, t.team_name AS team_name
+        FROM ${table} r
+        LEFT JOIN teams t ON t.id = r.team_id
+    `;
+
+    // is_active is stored as 0/1 on both engines
+    const unpackSeason = (row) => row && { ...unpack(row), is_active: Boolean(row.is_active) };
+
+    const seasons = {
+        async list({ includeArchived = false } = {}) {
+            const rows = includeArchived
+                ? await run('SELECT', 'seasons', 'SELECT * FROM seasons ORDER BY season_year DESC')
+                : await run('SELECT', 'seasons', 'SELECT * FROM seasons WHERE archived_at IS NULL ORDER BY season_year DESC');
+            return rows.map(unpackSeason);
+        },
+
+        async findById(id) {
+            const [row] = await run('SELECT', 'seasons', 'SELECT * FROM seasons WHERE id = ?', [id]);
+            return unpackSeason(row);
+        },
+
+        async findActive() {
+            const [row] = await run('SELECT', 'seasons', 'SELECT * FROM seasons WHERE is_active = 1 LIMIT 1');
+            return unpackSeason(row);
+        },
+
+        async findByYear(year) {
+            const [row] = await run('SELECT', 'seasons', 'SELECT * FROM seasons WHERE season_year = ?', [year]);
+            return unpackSeason(row);
+        },
+
+        async latest() {
+            const [row] = await run('SELECT', 'seasons',
+                'SELECT * FROM seasons WHERE archived_at IS NULL ORDER BY season_year DESC LIMIT 1');
+            return unpackSeason(row);
+        },
+
+        async create(season) {
+            return seasons.findById(await insert('seasons', { ...season, is_active: season.is_active ? 1 : 0 }));
+        },
+
+        async update(id, changes) {
+            const record = 'is_active' in changes ? { ...changes, is_active: changes.is_active ? 1 : 0 } : changes;
+            if (!(await update('seasons', id, record))) return null;
+            return seasons.findById(id);
+        },
+
+        async activate(id) {
+            logQuery('database', 'UPDATE from seasons');
+            await db.transaction(async ({ query }) => {
+                await query('UPDATE seasons SET is_active = 0 WHERE is_active = 1 AND id <> ?', [id]);
+                await query('UPDATE seasons SET is_active = 1 WHERE id = ?', [id]);
+            });
+            return seasons.findById(id);
+        }
+    };
+
+    // Regionals come back with `seasons: { season_year, season_name, game_name, game_definition, is_active }`
+    const withSeason = `
+        SELECT r.*, s.season_year AS season_year, s.season_name AS season_name, s.game_name AS game_name,
+            s.is_active AS season_is_active, s.extra AS season_extra
+        FROM regionals r
+        JOIN seasons s ON s.id = r.season_id
+    `;
+
+    function unpackRegional(row) {
+        if (!row) return null;
+        const { season_year, season_name, game_name, season_is_active, season_extra, ...rest } = row;
+        const { game_definition = null } = JSON.parse(season_extra || '{}');
+        return {
+            ...unpack(rest),
+            seasons: { season_year, season_name, game_name, game_definition, is_active: Boolean(season_is_active) }
+        };
+    }
+
+    const regionals = {
+        async findById(id) {
+            const [row] = await run('SELECT', 'regionals', `${withSeason} WHERE r.id = ?`, [id]);
+            return unpackRegional(row);
+        },
+
+        // The active season's regional with this name, otherwise the latest season's
+        async findByName(name, { seasonId } = {}) {
+            const [row] = seasonId !== undefined
+                ? await run('SELECT', 'regionals', `${withSeason} WHERE r.regional_name = ? AND r.season_id = ?`, [name, seasonId])
+                : await run('SELECT', 'regionals',
+                    `${withSeason} WHERE r.regional_name = ? ORDER BY s.is_active DESC, s.season_year DESC LIMIT 1`, [name]);
+            return unpackRegional(row);
+        },
+
+        async list({ seasonId } = {}) {
+            const rows = seasonId !== undefined
+                ? await run('SELECT', 'regionals', `${withSeason} WHERE r.season_id = ? ORDER BY r.id`, [seasonId])
+                : await run('SELECT', 'regionals', `${withSeason} ORDER BY r.id`);
+            return rows.map(unpackRegional);
+        },
+
+        async create(regional) {
+            return regionals.findById(await insert('regionals', regional));
+        },
+
+        async update(id, changes) {
+            if (!(await update('regionals', id, changes))) return null;
+            return regionals.findById(id);
+        },
+
+        async addTeam(regionalId, teamId) {
+            await insert('team_regional_participation',
+                { team_id: teamId, regional_id: regionalId, registered_at: new Date().toISOString() },
+                { onConflict: 'team_id,regional_id', ignoreDuplicates: true });
+        },
+
+        async removeTeam(regionalId, teamId) {
+            const rows = await run('DELETE', 'team_regional_participation',
+                'DELETE FROM team_regional_participation WHERE regional_id = ? AND team_id = ? RETURNING id', [regionalId, teamId]);
+            return rows.length > 0;
+        },
+
+        async hasTeam(regionalId, teamId) {
+            const rows = await run('SELECT', 'team_regional_participation',
+                'SELECT id FROM team_regional_participation WHERE regional_id = ? AND team_id = ?', [regionalId, teamId]);
+            return rows.length > 0;
+        }
+    };
+
+    // Deleted teams, matches and robot info keep their rows with deleted_at set
+    // until purged; reads skip them unless asked (see src/routes/trash.js)
+    const notDeleted = (alias, includeDeleted) => (includeDeleted ? '' : ` AND ${alias}.deleted_at IS NULL`);
+
+    // Scouting rows owned by one of `organizationIds` (any organization when not given);
+    // the IDs go in the query's params
+    const inOrganizations = (alias, organizationIds) =>
+        (organizationIds ? ` AND ${alias}.organization_id IN (${placeholders(organizationIds)})` : '');
+    const organizationParams = (organizationIds) => organizationIds || [];
+
+    /**
+     * Permanently remove rows trashed before `before`
+     * @param {number} [organizationId] - Only this organization's rows
+     * @returns {Promise<number>} Rows removed
+     */
+    async function purge(table, before, organizationId) {
+        const rows = organizationId !== undefined
+            ? await run('DELETE', table,
+                `DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ? AND organization_id = ? RETURNING id`,
+                [before, organizationId])
+            : await run('DELETE', table,
+                `DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ? RETURNING id`, [before]);
+        return rows.length;
+    }
+
+    const organizations = {
+        async list() {
+            const rows = await run('SELECT', 'organizations', 'SELECT * FROM organizations ORDER BY id');
+            return rows.map(unpack);
+        },
+
+        async findById(id) {
+            const [row] = await run('SELECT', 'organizations', 'SELECT * FROM organizations WHERE id = ?', [id]);
+            return unpack(row);
+        },
+
+        async findBySlug(slug) {
+            const [row] = await run('SELECT', 'organizations', 'SELECT * FROM organizations WHERE slug = ?', [slug.toLowerCase()]);
+            return unpack(row);
+        },
+
+        async create(organization) {
+            return organizations.findById(await insert('organizations', { ...organization, slug: organization.slug.toLowerCase() }));
+        },
+
+        async update(id, changes) {
+            if (!(await update('organizations', id, { ...changes, updated_at: new Date().toISOString() }))) return null;
+            return organizations.findById(id);
+        },
+
+        // outgoing: partners it shares with; incoming: organizations sharing with it
+        async shares(id) {
+            const partners = (sql) => run('SELECT', 'organization_shares', `
+                SELECT o.*, s.created_at AS shared_at FROM organization_shares s
+                JOIN organizations o ON ${sql} ORDER BY o.name`, [id]);
+            const outgoing = await partners('o.id = s.partner_organization_id WHERE s.organization_id = ?');
+            const incoming = await partners('o.id = s.organization_id WHERE s.partner_organization_id = ?');
+            return { outgoing: outgoing.map(unpack), incoming: incoming.map(unpack) };
+        },
+
+        async share(id, partnerId) {
+            await insert('organization_shares', { organization_id: id, partner_organization_id: partnerId }, {
+                onConflict: 'organization_id,partner_organization_id',
+                ignoreDuplicates: true
+            });
+        },
+
+        async unshare(id, partnerId) {
+            const rows = await run('DELETE', 'organization_shares',
+                'DELETE FROM organization_shares WHERE organization_id = ? AND partner_organization_id = ? RETURNING id', [id, partnerId]);
+            return rows.length > 0;
+        }
+    };
+
+    const teams = {
+        async list({ regionalId, includeDeleted = false } = {}) {
+            const rows = regionalId !== undefined
+                ? await run('SELECT', 'teams', `
+                    SELECT t.* FROM teams t
+                    JOIN team_regional_participation p ON p.team_id = t.id
+                    WHERE p.regional_id = ?${notDeleted('t', includeDeleted)} ORDER BY t.team_number`, [regionalId])
+                : await run('SELECT', 'teams',
+                    `SELECT t.* FROM teams t WHERE 1 = 1${notDeleted('t', includeDeleted)} ORDER BY t.team_number`);
+            return rows.map(unpack);
+        },
+
+        async findById(id, { includeDeleted = false } = {}) {
+            const [row] = await run('SELECT', 'teams',
+                `SELECT t.* FROM teams t WHERE t.id = ?${notDeleted('t', includeDeleted)}`, [id]);
+            return unpack(row);
+        },
+
+        async findByNumber(teamNumber, { regionalId, includeDeleted = false } = {}) {
+            const [row] = regionalId !== undefined
+                ? await run('SELECT', 'teams', `
+                    SELECT t.* FROM teams t
+                    JOIN team_regional_participation p ON p.team_id = t.id
+                    WHERE t.team_number = ? AND p.regional_id = ?${notDeleted('t', includeDeleted)}`, [teamNumber, regionalId])
+                : await run('SELECT', 'teams',
+                    `SELECT t.* FROM teams t WHERE t.team_number = ?${notDeleted('t', includeDeleted)}`, [teamNumber]);
+            return unpack(row);
+        },
+
+        async create(team) {
+            return teams.findById(await insert('teams', team));
+        },
+
+        // A trashed team is returned as it is (deleted_at set) and left out of the
+        // regional: only restore() brings it back, together with what was trashed with it
+        async findOrCreate(teamNumber, regional) {
+            let team = await teams.findByNumber(teamNumber, { includeDeleted: true });
+            if (team?.deleted_at) return team;
+            if (!team) {
+                try {
+                    team = await teams.create({ team_number: teamNumber, regional: regional.regional_name, team_name: `Team ${teamNumber}` });
+                } catch (error) {
+                    if (error.code !== '23505') throw error;
+                    team = await teams.findByNumber(teamNumber); // created by a concurrent request
+                }
+            }
+            await regionals.addTeam(regional.id, team.id);
+            return team;
+        },
+
+        async remove(id) {
+            const deletedAt = new Date().toISOString();
+            logQuery('database', 'UPDATE from teams');
+            return db.transaction(async ({ query }) => {
+                const [team] = await query('UPDATE teams SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL RETURNING id', [deletedAt, id]);
+                if (!team) return null;
+
+                const trashed = (table) => query(
+                    `UPDATE ${table} SET deleted_at = ? WHERE team_id = ? AND deleted_at IS NULL RETURNING id`, [deletedAt, id]);
+                const matchRows = await trashed('matches');
+                const robotInfoRows = await trashed('robot_info');
+                return { deleted_at: deletedAt, matches: matchRows.length, robot_info: robotInfoRows.length };
+            });
+        },
+
+        async restore(id) {
+            const team = await teams.findById(id, { includeDeleted: true });
+            if (!team?.deleted_at) return null;
+
+            logQuery('database', 'UPDATE from teams');
+            await db.transaction(async ({ query }) => {
+                await query('UPDATE matches SET deleted_at = NULL WHERE team_id = ? AND deleted_at = ?', [id, team.deleted_at]);
+                await query('UPDATE robot_info SET deleted_at = NULL WHERE team_id = ? AND deleted_at = ?', [id, team.deleted_at]);
+                await query('UPDATE teams SET deleted_at = NULL WHERE id = ?', [id]);
+            });
+            return teams.findById(id);
+        },
+
+        async listDeleted() {
+            const rows = await run('SELECT', 'teams', 'SELECT * FROM teams WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC');
+            return rows.map(unpack);
+        },
+
+        purgeDeleted: (before) => purge('teams', before),
+
+        count: () => count('teams', 'WHERE deleted_at IS NULL')
+    };
+
+    const matches = {
+        async list({ teamId, regionalId, matchNumber, organizationIds, includeDeleted = false, limit = 50, offset = 0 } = {}) {
+            const conditions = includeDeleted ? [] : ['r.deleted_at IS NULL'];
+            const params = [];
+            if (teamId !== undefined) { conditions.push('r.team_id = ?'); params.push(teamId); }
+            if (regionalId !== undefined) { conditions.push('r.regional_id = ?'); params.push(regionalId); }
+            if (matchNumber !== undefined) { conditions.push('r.match_number = ?'); params.push(matchNumber); }
+            if (organizationIds) {
+                conditions.push(`r.organization_id IN (${placeholders(organizationIds)})`);
+                params.push(...organizationIds);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const rows = await run('SELECT', 'matches',
+                `${withTeam('matches')} ${where} ORDER BY r.created_at DESC, r.id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]);
+            const [{ total }] = await run('SELECT', 'matches', `SELECT COUNT(*) AS total FROM matches r ${where}`, params);
+
+            return { rows: rows.map(unpackWithTeam), total: parseInt(total) };
+        },
+
+        async listForTeam(teamId, regionalId, { excludeStatus, organizationIds } = {}) {
+            const where = `WHERE m.team_id = ? AND m.regional_id = ? AND m.deleted_at IS NULL${inOrganizations('m', organizationIds)}`;
+            const params = [teamId, regionalId, ...organizationParams(organizationIds)];
+            const rows = excludeStatus
+                ? await run('SELECT', 'matches', `SELECT * FROM matches m ${where} AND m.review_status <> ?`, [...params, excludeStatus])
+                : await run('SELECT', 'matches', `SELECT * FROM matches m ${where}`, params);
+            return rows.map(unpack);
+        },
+
+        // Every team and regional with matches, for recalculating statistics
+        async teamRegionals({ organizationIds } = {}) {
+            return run('SELECT', 'matches', `
+                SELECT DISTINCT m.team_id, m.regional_id FROM matches m
+                WHERE m.deleted_at IS NULL AND m.regional_id IS NOT NULL${inOrganizations('m', organizationIds)}`,
+            organizationParams(organizationIds));
+        },
+
+        async findById(id, { includeDeleted = false, organizationIds } = {}) {
+            const [row] = await run('SELECT', 'matches',
+                `${withTeam('matches')} WHERE r.id = ?${notDeleted('r', includeDeleted)}${inOrganizations('r', organizationIds)}`,
+                [id, ...organizationParams(organizationIds)]);
+            return unpackWithTeam(row);
+        },
+
+        // Includes deleted matches, so a tablet re-sending one doesn't bring it back
+        async findByClientIds(clientIds) {
+            if (clientIds.length === 0) return [];
+            const rows = await run('SELECT', 'matches',
+                `${withTeam('matches')} WHERE r.client_id IN (${placeholders(clientIds)})`, clientIds);
+            return rows.map(unpackWithTeam);
+        },
+
+        async create(record) {
+            return matches.findById(await insert('matches', { ...record, client_id: record.client_id || randomUUID() }));
+        },
+
+        async insertMany(records) {
+            const inserted = [];
+            for (const record of records) {
+                const clientId = record.client_id || randomUUID();
+                const id = await insert('matches', { ...record, client_id: clientId }, {
+                    onConflict: 'client_id',
+                    ignoreDuplicates: true
+                });
+                if (id !== null) inserted.push({ id, client_id: clientId });
+            }
+            return inserted;
+        },
+
+        async update(id, changes) {
+            if (!(await update('matches', id, changes))) return null;
+            return matches.findById(id, { includeDeleted: true });
+        },
+
+        async remove(id) {
+            const rows = await run('UPDATE', 'matches',
+                'UPDATE matches SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL RETURNING id', [new Date().toISOString(), id]);
+            return rows.length > 0;
+        },
+
+        // Out of the trash; its team comes back too if it was trashed
+        async restore(id) {
+            const rows = await run('UPDATE', 'matches',
+                'UPDATE matches SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL RETURNING team_id', [id]);
+            if (rows.length === 0) return null;
+            await run('UPDATE', 'teams', 'UPDATE teams SET deleted_at = NULL WHERE id = ?', [rows[0].team_id]);
+            return matches.findById(id);
+        },
+
+        async reinsert(record) {
+            return matches.findById(await insert('matches', record, { keepId: true }));
+        },
+
+        async listDeleted({ regionalId, organizationId } = {}) {
+            return listTrashed('matches', { regionalId, organizationId });
+        },
+
+        purgeDeleted: (before, { organizationId } = {}) => purge('matches', before, organizationId),
+
+        async count({ organizationIds } = {}) {
+            const [row] = await run('SELECT', 'matches',
+                `SELECT COUNT(*) AS total FROM matches m WHERE m.deleted_at IS NULL${inOrganizations('m', organizationIds)}`,
+                organizationParams(organizationIds));
+            return parseInt(row.total);
+        }
+    };
+
+    // Trashed matches or robot info, most recently deleted first
+    async function listTrashed(table, { regionalId, organizationId }) {
+        const conditions = ['r.deleted_at IS NOT NULL'];
+        const params = [];
+        if (regionalId !== undefined) { conditions.push('r.regional_id = ?'); params.push(regionalId); }
+        if (organizationId !== undefined) { conditions.push('r.organization_id = ?'); params.push(organizationId); }
+
+        const rows = await run('SELECT', table,
+            `${withTeam(table)} WHERE ${conditions.join(' AND ')} ORDER BY r.deleted_at DESC`, params);
+        return rows.map(unpackWithTeam);
+    }
+
+    const robotInfo = {
+        // The first of `organizationIds` with robot info for the team wins
+        async find(teamId, regionalId, { organizationIds } = {}) {
+            const rows = await run('SELECT', 'robot_info',
+                `${withTeam('robot_info')} WHERE r.team_id = ? AND r.regional_id = ? AND r.deleted_at IS NULL${inOrganizations('r', organizationIds)}`,
+                [teamId, regionalId, ...organizationParams(organizationIds)]);
+            if (organizationIds) {
+                rows.sort((a, b) => organizationIds.indexOf(a.organization_id) - organizationIds.indexOf(b.organization_id));
+            }
+            return unpackWithTeam(rows[0]);
+        },
+
+        async findById(id, { includeDeleted = false, organizationIds } = {}) {
+            const [row] = await run('SELECT', 'robot_info',
+                `${withTeam('robot_info')} WHERE r.id = ?${notDeleted('r', includeDeleted)}${inOrganizations('r', organizationIds)}`,
+                [id, ...organizationParams(organizationIds)]);
+            return unpackWithTeam(row);
+        },
+
+        async list({ regionalId, organizationIds } = {}) {
+            const rows = regionalId !== undefined
+                ? await run('SELECT', 'robot_info',
+                    `${withTeam('robot_info')} WHERE r.regional_id = ? AND r.deleted_at IS NULL${inOrganizations('r', organizationIds)}`,
+                    [regionalId, ...organizationParams(organizationIds)])
+                : await run('SELECT', 'robot_info',
+                    `${withTeam('robot_info')} WHERE r.deleted_at IS NULL${inOrganizations('r', organizationIds)}`,
+                    organizationParams(organizationIds));
+            return rows.map(unpackWithTeam);
+        },
+
+        // One per organization, team and regional; saving over a trashed row brings it back
+        async save(record) {
+            const id = await insert('robot_info', { ...record, deleted_at: null, updated_at: new Date().toISOString() }, {
+                onConflict: 'organization_id,team_id,regional_id'
+            });
+            return robotInfo.findById(id);
+        },
+
+        async remove(id) {
+            const rows = await run('UPDATE', 'robot_info',
+                'UPDATE robot_info SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL RETURNING id', [new Date().toISOString(), id]);
+            return rows.length > 0;
+        },
+
+        async restore(id) {
+            const rows = await run('UPDATE', 'robot_info',
+                'UPDATE robot_info SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL RETURNING team_id', [id]);
+            if (rows.length === 0) return null;
+            await run('UPDATE', 'teams', 'UPDATE teams SET deleted_at = NULL WHERE id = ?', [rows[0].team_id]);
+            return robotInfo.findById(id);
+        },
+
+        async listDeleted({ regionalId, organizationId } = {}) {
+            return listTrashed('robot_info', { regionalId, organizationId });
+        },
+
+        purgeDeleted: (before, { organizationId } = {}) => purge('robot_info', before, organizationId)
+    };
+
+    const stats = {
+        async save(teamId, regionalId, organizationId, { percentages = {}, fractions = {}, ranking = {} }) {
+            const key = {
+                team_id: teamId,
+                regional_id: regionalId,
+                organization_id: organizationId,
+                last_calculated: new Date().toISOString()
+            };
+            const options = { onConflict: 'organization_id,team_id,regional_id' };
+
+            await insert('team_stats_percentage', { ...key, ...percentages }, options);
+            await insert('team_stats_fraction', { ...key, ...fractions }, options);
+            await insert('team_rankings', { ...key, ...ranking }, options);
+        },
+
+        async rankings(regionalId, organizationId) {
+            const rows = await run('SELECT', 'team_rankings', `
+                ${withTeam('team_rankings')}
+                WHERE r.regional_id = ? AND r.organization_id = ? AND t.deleted_at IS NULL
+                ORDER BY r.overall_score DESC`, [regionalId, organizationId]);
+            return rows.map(unpackWithTeam);
+        }
+    };
+
+    const tbaCache = {
+        async findEvent(eventKey) {
+            const [row] = await run('SELECT', 'events', 'SELECT * FROM events WHERE event_key = ?', [eventKey]);
+            return unpack(row);
+        },
+
+        async saveEvent(event) {
+            await insert('events', { ...event, updated_at: new Date().toISOString() }, { onConflict: 'event_key' });
+            return tbaCache.findEvent(event.event_key);
+        },
+
+        async findMatch(matchKey) {
+            const [row] = await run('SELECT', 'tba_matches', 'SELECT * FROM tba_matches WHERE match_key = ?', [matchKey]);
+            return unpack(row);
+        },
+
+        async listMatches(eventKey) {
+            const rows = await run('SELECT', 'tba_matches',
+                'SELECT * FROM tba_matches WHERE event_key = ? ORDER BY comp_level, set_number, match_number', [eventKey]);
+            return rows.map(unpack);
+        },
+
+        async saveMatches(records) {
+            if (records.length === 0) return [];
+            const updatedAt = new Date().toISOString();
+            for (const record of records) {
+                await insert('tba_matches', { ...record, updated_at: updatedAt }, { onConflict: 'match_key' });
+            }
+            const keys = records.map(record => record.match_key);
+            const rows = await run('SELECT', 'tba_matches',
+                `SELECT * FROM tba_matches WHERE match_key IN (${placeholders(keys)})`, keys);
+            return rows.map(unpack);
+        },
+
+        async listRankings(eventKey) {
+            const rows = await run('SELECT', 'event_rankings',
+                'SELECT * FROM event_rankings WHERE event_key = ? ORDER BY rank', [eventKey]);
+            return rows.map(unpack);
+        },
+
+        async saveRankings(records) {
+            const updatedAt = new Date().toISOString();
+            for (const record of records) {
+                await insert('event_rankings', { ...record, updated_at: updatedAt }, { onConflict: 'event_key,team_key' });
+            }
+            return records.length;
+        },
+
+        async listAlliances(eventKey) {
+            const rows = await run('SELECT', 'event_alliances',
+                'SELECT * FROM event_alliances WHERE event_key = ? ORDER BY alliance_number', [eventKey]);
+            return rows.map(unpack);
+        },
+
+        async saveAlliances(records) {
+            const updatedAt = new Date().toISOString();
+            for (const record of records) {
+                await insert('event_alliances', { ...record, updated_at: updatedAt }, { onConflict: 'event_key,alliance_number' });
+            }
+            return records.length;
+        },
+
+        async listAwards(eventKey) {
+            const rows = await run('SELECT', 'awards', 'SELECT * FROM awards WHERE event_key = ? ORDER BY award_type, id', [eventKey]);
+            return rows.map(unpack);
+        },
+
+        // TBA has no key per award, so an event's awards are replaced as a whole
+        async replaceAwards(eventKey, records) {
+            await run('DELETE', 'awards', 'DELETE FROM awards WHERE event_key = ?', [eventKey]);
+            for (const record of records) {
+                await insert('awards', record);
+            }
+            return records.length;
+        },
+
+        async listOprs(eventKey) {
+            const rows = await run('SELECT', 'event_opr', 'SELECT * FROM event_opr WHERE event_key = ? ORDER BY opr DESC', [eventKey]);
+            return rows.map(unpack);
+        },
+
+        async saveOprs(records) {
+            const updatedAt = new Date().toISOString();
+            for (const record of records) {
+                await insert('event_opr', { ...record, updated_at: updatedAt }, { onConflict: 'event_key,team_key' });
+            }
+            return records.length;
+        },
+
+        async listDistrictPoints(eventKey) {
+            const rows = await run('SELECT', 'event_district_points',
+                'SELECT * FROM event_district_points WHERE event_key = ? ORDER BY total DESC', [eventKey]);
+            return rows.map(unpack);
+        },
+
+        async saveDistrictPoints(records) {
+            const updatedAt = new Date().toISOString();
+            for (const record of records) {
+                await insert('event_district_points', { ...record, updated_at: updatedAt }, { onConflict: 'event_key,team_key' });
+            }
+            return records.length;
+        }
+    };
+
+    // enabled and follows_active are stored as 0/1, like seasons
+    const unpackSchedule = (row) => row && {
+        ...unpack(row),
+        enabled: Boolean(row.enabled),
+        follows_active: Boolean(row.follows_active)
+    };
+    const scheduleRecord = (schedule) => {
+        const record = { ...schedule };
+        if ('enabled' in record) record.enabled = record.enabled ? 1 : 0;
+        if ('follows_active' in record) record.follows_active = record.follows_active ? 1 : 0;
+        return record;
+    };
+
+    const tbaSync = {
+        async listSchedules() {
+            const rows = await run('SELECT', 'tba_sync_schedules', 'SELECT * FROM tba_sync_schedules ORDER BY event_key');
+            return rows.map(unpackSchedule);
+        },
+
+        async findSchedule(eventKey) {
+            const [row] = await run('SELECT', 'tba_sync_schedules',
+                'SELECT * FROM tba_sync_schedules WHERE event_key = ?', [eventKey]);
+            return unpackSchedule(row);
+        },
+
+        async saveSchedule(schedule) {
+            await insert('tba_sync_schedules', scheduleRecord(schedule), { onConflict: 'event_key' });
+            return tbaSync.findSchedule(schedule.event_key);
+        },
+
+        async updateSchedule(eventKey, changes) {
+            const existing = await tbaSync.findSchedule(eventKey);
+            if (!existing) return null;
+            await update('tba_sync_schedules', existing.id, scheduleRecord({ ...changes, updated_at: new Date().toISOString() }));
+            return tbaSync.findSchedule(eventKey);
+        },
+
+        async removeSchedule(eventKey) {
+            const rows = await run('DELETE', 'tba_sync_schedules',
+                'DELETE FROM tba_sync_schedules WHERE event_key = ? RETURNING id', [eventKey]);
+            return rows.length > 0;
+        },
+
+        async logRun(entry) {
+            const id = await insert('tba_sync_log', entry);
+            const [row] = await run('SELECT', 'tba_sync_log', 'SELECT * FROM tba_sync_log WHERE id = ?', [id]);
+            return unpack(row);
+        },
+
+        async listRuns({ eventKey, limit = 50 } = {}) {
+            const rows = eventKey
+                ? await run('SELECT', 'tba_sync_log',
+                    'SELECT * FROM tba_sync_log WHERE entity_key = ? ORDER BY started_at DESC, id DESC LIMIT ?', [eventKey, limit])
+                : await run('SELECT', 'tba_sync_log', 'SELECT * FROM tba_sync_log ORDER BY started_at DESC, id DESC LIMIT ?', [limit]);
+            return rows.map(unpack);
+        }
+    };
+
+    const tbaWebhooks = {
+        async create(notification) {
+            const id = await insert('tba_webhook_notifications', { received_at: new Date().toISOString(), ...notification });
+            return tbaWebhooks.findById(id);
+        },
+
+        async findById(id) {
+            const [row] = await run('SELECT', 'tba_webhook_notifications',
+                'SELECT * FROM tba_webhook_notifications WHERE id = ?', [id]);
+            return unpack(row);
+        },
+
+        async update(id, changes) {
+            if (!(await update('tba_webhook_notifications', id, changes))) return null;
+            return tbaWebhooks.findById(id);
+        },
+
+        async list({ messageType, eventKey, status, limit = 50 } = {}) {
+            const where = [];
+            const params = [];
+            if (messageType) { where.push('message_type = ?'); params.push(messageType); }
+            if (eventKey) { where.push('event_key = ?'); params.push(eventKey); }
+            if (status) { where.push('status = ?'); params.push(status); }
+
+            const rows = await run('SELECT', 'tba_webhook_notifications',
+                `SELECT * FROM tba_webhook_notifications ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                ORDER BY received_at DESC, id DESC LIMIT ?`, [...params, limit]);
+            return rows.map(unpack);
+        }
+    };
+
+    // Entries without their body, for listing the cache
+    const RESPONSE_SUMMARY = 'id, endpoint, etag, last_modified, size_bytes, fetched_at, checked_at, expires_at';
+
+    const tbaResponses = {
+        async find(endpoint) {
+            const [row] = await run('SELECT', 'tba_responses', 'SELECT * FROM tba_responses WHERE endpoint = ?', [endpoint]);
+            return unpack(row);
+        },
+
+        async save(record) {
+            await insert('tba_responses', record, { onConflict: 'endpoint' });
+            return tbaResponses.find(record.endpoint);
+        },
+
+        async list() {
+            return run('SELECT', 'tba_responses', `SELECT ${RESPONSE_SUMMARY} FROM tba_responses ORDER BY endpoint`);
+        },
+
+        async purge({ prefix } = {}) {
+            const rows = prefix
+                ? await run('DELETE', 'tba_responses',
+                    'DELETE FROM tba_responses WHERE SUBSTR(endpoint, 1, ?) = ? RETURNING id', [prefix.length, prefix])
+                : await run('DELETE', 'tba_responses', 'DELETE FROM tba_responses RETURNING id');
+            return rows.length;
+        }
+    };
+
+    const predictions = {
+        async find(organizationId, matchKey) {
+            const [row] = await run('SELECT', 'predictions',
+                'SELECT * FROM predictions WHERE organization_id = ? AND match_key = ?', [organizationId, matchKey]);
+            return unpack(row);
+        },
+
+        async save(record) {
+            await insert('predictions', record, { onConflict: 'organization_id,match_key' });
+            return predictions.find(record.organization_id, record.match_key);
+        }
+    };
+
+    // is_active is stored as 0/1, like seasons
+    const unpackUser = (row) => row && { ...unpack(row), is_active: Boolean(row.is_active) };
+    const userRecord = (user) => ('is_active' in user ? { ...user, is_active: user.is_active ? 1 : 0 } : user);
+
+    const users = {
+        async list({ organizationId } = {}) {
+            const rows = organizationId !== undefined
+                ? await run('SELECT', 'users', 'SELECT * FROM users WHERE organization_id = ? ORDER BY username', [organizationId])
+                : await run('SELECT', 'users', 'SELECT * FROM users ORDER BY username');
+            return rows.map(unpackUser);
+        },
+
+        async findById(id) {
+            const [row] = await run('SELECT', 'users', 'SELECT * FROM users WHERE id = ?', [id]);
+            return unpackUser(row);
+        },
+
+        async findByUsername(username) {
+            const [row] = await run('SELECT', 'users', 'SELECT * FROM users WHERE username = ?', [username.toLowerCase()]);
+            return unpackUser(row);
+        },
+
+        async create(user) {
+            const record = userRecord({ is_active: true, token_version: 0, ...user, username: user.username.toLowerCase() });
+            return users.findById(await insert('users', record));
+        },
+
+        async update(id, changes) {
+            if (!(await update('users', id, userRecord({ ...changes, updated_at: new Date().toISOString() })))) return null;
+            return users.findById(id);
+        },
+
+        count: () => count('users')
+    };
+
+    const apiKeys = {
+        async list({ organizationId } = {}) {
+            const rows = organizationId !== undefined
+                ? await run('SELECT', 'api_keys', 'SELECT * FROM api_keys WHERE organization_id = ? ORDER BY created_at DESC', [organizationId])
+                : await run('SELECT', 'api_keys', 'SELECT * FROM api_keys ORDER BY created_at DESC');
+            return rows.map(unpack);
+        },
+
+        async findById(id) {
+            const [row] = await run('SELECT', 'api_keys', 'SELECT * FROM api_keys WHERE id = ?', [id]);
+            return unpack(row);
+        },
+
+        async findByHash(keyHash) {
+            const [row] = await run('SELECT', 'api_keys', 'SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+            return unpack(row);
+        },
+
+        async create(record) {
+            return apiKeys.findById(await insert('api_keys', record));
+        },
+
+        async update(id, changes) {
+            if (!(await update('api_keys', id, changes))) return null;
+            return apiKeys.findById(id);
+        }
+    };
+
+    const auditLog = {
+        async list({
+            entityType, entityId, action, userId, apiKeyId, regionalId, organizationId, since, until, limit = 50, offset = 0
+        } = {}) {
+            const conditions = [];
+            const params = [];
+            const filter = (condition, value) => {
+                if (value === undefined) return;
+                conditions.push(condition);
+                params.push(value);
+            };
+            filter('entity_type = ?', entityType);
+            filter('entity_id = ?', entityId === undefined ? undefined : String(entityId));
+            filter('action = ?', action);
+            filter('actor_user_id = ?', userId);
+            filter('api_key_id = ?', apiKeyId);
+            filter('regional_id = ?', regionalId);
+            filter('organization_id = ?', organizationId);
+            filter('created_at >= ?', since);
+            filter('created_at <= ?', until);
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const rows = await run('SELECT', 'audit_log',
+                `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]);
+            const [{ total }] = await run('SELECT', 'audit_log', `SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+
+            return { rows: rows.map(unpack), total: parseInt(total) };
+        },
+
+        async findById(id) {
+            const [row] = await run('SELECT', 'audit_log', 'SELECT * FROM audit_log WHERE id = ?', [id]);
+            return unpack(row);
+        },
+
+        async create(entry) {
+            return auditLog.findById(await insert('audit_log', entry));
+        }
+    };
+
+    return {
+        organizations, seasons, regionals, teams, matches, robotInfo, stats, tbaCache, tbaResponses, tbaSync, tbaWebhooks,
+        predictions, users, apiKeys, auditLog
+    };
+}
+
+module.exports = {
+    createSqlRepositories
+};
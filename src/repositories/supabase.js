@@ -0,0 +1,896 @@
+/**
+ * Supabase Repositories
+ * The hosted backend - the queries routes used to run inline
+ */
+
+// Matches and robot info come back with their team, like the routes always returned
+const WITH_TEAM = `
+    *,
+    teams:team_id (
+        team_number,
+        team_name
+    )
+`;
+
+// Regionals come back with their season, which carries the game definition
+const WITH_SEASON = `
+    *,
+    seasons (
+        season_year,
+        season_name,
+        game_name,
+        game_definition,
+        is_active
+    )
+`;
+
+/**
+ * Turn a Supabase error into a thrown Error, keeping its code
+ * (e.g. 23505) so routes can still recognize duplicates
+ */
+function databaseError(error) {
+    const wrapped = new Error(`Database error: ${error.message}`);
+    wrapped.code = error.code;
+    return wrapped;
+}
+
+function unwrap({ data, error }) {
+    if (error) throw databaseError(error);
+    return data;
+}
+
+/**
+ * The regional a name means when several seasons use it:
+ * the active season's, otherwise the most recent
+ */
+function preferredRegional(rows) {
+    const rank = (regional) => [regional.seasons?.is_active ? 1 : 0, regional.seasons?.season_year || 0];
+    return rows.slice().sort((a, b) => {
+        const [activeA, yearA] = rank(a);
+        const [activeB, yearB] = rank(b);
+        return activeB - activeA || yearB - yearA;
+    })[0] || null;
+}
+
+/**
+ * @param {object} supabase - Client from src/config/database.js
+ */
+function createSupabaseRepositories(supabase) {
+    const seasons = {
+        async list({ includeArchived = false } = {}) {
+            let query = supabase.from('seasons').select('*').order('season_year', { ascending: false });
+            if (!includeArchived) query = query.is('archived_at', null);
+            return unwrap(await query);
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('seasons').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findActive() {
+            const rows = unwrap(await supabase.from('seasons').select('*').eq('is_active', true).limit(1));
+            return rows[0] || null;
+        },
+
+        async findByYear(year) {
+            return unwrap(await supabase.from('seasons').select('*').eq('season_year', year).maybeSingle());
+        },
+
+        async latest() {
+            const rows = unwrap(await supabase
+                .from('seasons')
+                .select('*')
+                .is('archived_at', null)
+                .order('season_year', { ascending: false })
+                .limit(1));
+            return rows[0] || null;
+        },
+
+        async create(season) {
+            return unwrap(await supabase.from('seasons').insert(season).select().single());
+        },
+
+        async update(id, changes) {
+            return unwrap(await supabase.from('seasons').update(changes).eq('id', id).select().maybeSingle());
+        },
+
+        // Deactivate first: idx_seasons_single_active allows one active season
+        async activate(id) {
+            unwrap(await supabase.from('seasons').update({ is_active: false }).eq('is_active', true).neq('id', id));
+            return seasons.update(id, { is_active: true });
+        }
+    };
+
+    const regionals = {
+        async findById(id) {
+            return unwrap(await supabase.from('regionals').select(WITH_SEASON).eq('id', id).maybeSingle());
+        },
+
+        async findByName(name, { seasonId } = {}) {
+            let query = supabase.from('regionals').select(WITH_SEASON).eq('regional_name', name);
+            if (seasonId !== undefined) query = query.eq('season_id', seasonId);
+            return preferredRegional(unwrap(await query));
+        },
+
+        async list({ seasonId } = {}) {
+            let query = supabase.from('regionals').select(WITH_SEASON).order('id');
+            if (seasonId !== undefined) query = query.eq('season_id', seasonId);
+            return unwrap(await query);
+        },
+
+        async create(regional) {
+            const { id } = unwrap(await supabase.from('regionals').insert(regional).select('id').single());
+            return regionals.findById(id);
+        },
+
+        async update(id, changes) {
+            const row = unwrap(await supabase.from('regionals').update(changes).eq('id', id).select('id').maybeSingle());
+            return row ? regionals.findById(id) : null;
+        },
+
+        async addTeam(regionalId, teamId) {
+            unwrap(await supabase
+                .from('team_regional_participation')
+                .upsert({ team_id: teamId, regional_id: regionalId }, { onConflict: 'team_id,regional_id', ignoreDuplicates: true }));
+        },
+
+        async removeTeam(regionalId, teamId) {
+            const rows = unwrap(await supabase
+                .from('team_regional_participation')
+                .delete()
+                .eq('regional_id', regionalId)
+                .eq('team_id', teamId)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async hasTeam(regionalId, teamId) {
+            const rows = unwrap(await supabase
+                .from('team_regional_participation')
+                .select('id')
+                .eq('regional_id', regionalId)
+                .eq('team_id', teamId)
+                .limit(1));
+            return rows.length > 0;
+        }
+    };
+
+    // Deleted teams, matches and robot info keep their rows with deleted_at set
+    // until purged; reads skip them unless asked (see src/routes/trash.js)
+    const notDeleted = (query, includeDeleted) => (includeDeleted ? query : query.is('deleted_at', null));
+
+    /**
+     * Permanently remove rows trashed before `before`
+     * @returns {Promise<Array<object>>} The rows removed, with `columns`
+     */
+    async function purge(table, before, { columns = 'id', organizationId } = {}) {
+        let query = supabase
+            .from(table)
+            .delete()
+            .not('deleted_at', 'is', null)
+            .lt('deleted_at', before);
+        if (organizationId !== undefined) query = query.eq('organization_id', organizationId);
+        return unwrap(await query.select(columns));
+    }
+
+    // Scouting rows owned by one of `organizationIds` (any organization when not given)
+    const inOrganizations = (query, organizationIds) => (organizationIds ? query.in('organization_id', organizationIds) : query);
+
+    // Trashed matches or robot info, most recently deleted first
+    async function listTrashed(table, { regionalId, organizationId }) {
+        let query = supabase
+            .from(table)
+            .select(WITH_TEAM)
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
+        if (regionalId !== undefined) query = query.eq('regional_id', regionalId);
+        if (organizationId !== undefined) query = query.eq('organization_id', organizationId);
+        return unwrap(await query);
+    }
+
+    const organizations = {
+        async list() {
+            return unwrap(await supabase.from('organizations').select('*').order('id'));
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('organizations').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findBySlug(slug) {
+            return unwrap(await supabase.from('organizations').select('*').eq('slug', slug.toLowerCase()).maybeSingle());
+        },
+
+        async create(organization) {
+            return unwrap(await supabase
+                .from('organizations')
+                .insert({ ...organization, slug: organization.slug.toLowerCase() })
+                .select()
+                .single());
+        },
+
+        async update(id, changes) {
+            return unwrap(await supabase
+                .from('organizations')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select()
+                .maybeSingle());
+        },
+
+        // outgoing: partners it shares with; incoming: organizations sharing with it
+        async shares(id) {
+            const partners = async (column, other) => {
+                const rows = unwrap(await supabase
+                    .from('organization_shares')
+                    .select(`created_at, organization:${other} (*)`)
+                    .eq(column, id));
+                return rows
+                    .map(row => ({ ...row.organization, shared_at: row.created_at }))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            };
+            return {
+                outgoing: await partners('organization_id', 'partner_organization_id'),
+                incoming: await partners('partner_organization_id', 'organization_id')
+            };
+        },
+
+        async share(id, partnerId) {
+            unwrap(await supabase
+                .from('organization_shares')
+                .upsert({ organization_id: id, partner_organization_id: partnerId }, {
+                    onConflict: 'organization_id,partner_organization_id',
+                    ignoreDuplicates: true
+                }));
+        },
+
+        async unshare(id, partnerId) {
+            const rows = unwrap(await supabase
+                .from('organization_shares')
+                .delete()
+                .eq('organization_id', id)
+                .eq('partner_organization_id', partnerId)
+                .select('id'));
+            return rows.length > 0;
+        }
+    };
+
+    const teams = {
+        async list({ regionalId, includeDeleted = false } = {}) {
+            if (regionalId === undefined) {
+                return unwrap(await notDeleted(supabase.from('teams').select('*'), includeDeleted).order('team_number'));
+            }
+            const rows = unwrap(await supabase.from('team_regional_participation').select('teams (*)').eq('regional_id', regionalId));
+            return rows
+                .map(row => row.teams)
+                .filter(team => includeDeleted || !team.deleted_at)
+                .sort((a, b) => a.team_number - b.team_number);
+        },
+
+        async findById(id, { includeDeleted = false } = {}) {
+            return unwrap(await notDeleted(supabase.from('teams').select('*').eq('id', id), includeDeleted).maybeSingle());
+        },
+
+        async findByNumber(teamNumber, { regionalId, includeDeleted = false } = {}) {
+            const team = unwrap(await notDeleted(supabase.from('teams').select('*').eq('team_number', teamNumber), includeDeleted)
+                .maybeSingle());
+            if (!team || regionalId === undefined) return team;
+            return (await regionals.hasTeam(regionalId, team.id)) ? team : null;
+        },
+
+        async create(team) {
+            return unwrap(await supabase.from('teams').insert(team).select().single());
+        },
+
+        // A trashed team is returned as it is (deleted_at set) and left out of the
+        // regional: only restore() brings it back, together with what was trashed with it
+        async findOrCreate(teamNumber, regional) {
+            let team = await teams.findByNumber(teamNumber, { includeDeleted: true });
+            if (team?.deleted_at) return team;
+            if (!team) {
+                try {
+                    team = await teams.create({ team_number: teamNumber, regional: regional.regional_name, team_name: `Team ${teamNumber}` });
+                } catch (error) {
+                    if (error.code !== '23505') throw error;
+                    team = await teams.findByNumber(teamNumber); // created by a concurrent request
+                }
+            }
+            await regionals.addTeam(regional.id, team.id);
+            return team;
+        },
+
+        async remove(id) {
+            const deletedAt = new Date().toISOString();
+            const team = unwrap(await supabase
+                .from('teams')
+                .update({ deleted_at: deletedAt })
+                .eq('id', id)
+                .is('deleted_at', null)
+                .select('id')
+                .maybeSingle());
+            if (!team) return null;
+
+            const trashed = async (table) => unwrap(await supabase
+                .from(table)
+                .update({ deleted_at: deletedAt })
+                .eq('team_id', id)
+                .is('deleted_at', null)
+                .select('id'));
+            const matchRows = await trashed('matches');
+            const robotInfoRows = await trashed('robot_info');
+            return { deleted_at: deletedAt, matches: matchRows.length, robot_info: robotInfoRows.length };
+        },
+
+        async restore(id) {
+            const team = await teams.findById(id, { includeDeleted: true });
+            if (!team?.deleted_at) return null;
+
+            for (const table of ['matches', 'robot_info']) {
+                unwrap(await supabase.from(table).update({ deleted_at: null }).eq('team_id', id).eq('deleted_at', team.deleted_at));
+            }
+            return unwrap(await supabase.from('teams').update({ deleted_at: null }).eq('id', id).select().single());
+        },
+
+        async listDeleted() {
+            return unwrap(await supabase
+                .from('teams')
+                .select('*')
+                .not('deleted_at', 'is', null)
+                .order('deleted_at', { ascending: false }));
+        },
+
+        async purgeDeleted(before) {
+            return (await purge('teams', before)).length;
+        },
+
+        async count() {
+            const { count, error } = await supabase.from('teams').select('*', { count: 'exact', head: true }).is('deleted_at', null);
+            if (error) throw databaseError(error);
+            return count || 0;
+        }
+    };
+
+    const matches = {
+        async list({ teamId, regionalId, matchNumber, organizationIds, includeDeleted = false, limit = 50, offset = 0 } = {}) {
+            let query = supabase
+                .from('matches')
+                .select(WITH_TEAM, { count: 'exact' })
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            query = notDeleted(query, includeDeleted);
+            if (teamId !== undefined) query = query.eq('team_id', teamId);
+            if (regionalId !== undefined) query = query.eq('regional_id', regionalId);
+            if (matchNumber !== undefined) query = query.eq('match_number', matchNumber);
+            query = inOrganizations(query, organizationIds);
+
+            const { data, error, count } = await query;
+            if (error) throw databaseError(error);
+            return { rows: data, total: count };
+        },
+
+        async listForTeam(teamId, regionalId, { excludeStatus, organizationIds } = {}) {
+            let query = supabase.from('matches').select('*').eq('team_id', teamId).eq('regional_id', regionalId).is('deleted_at', null);
+            if (excludeStatus) query = query.neq('review_status', excludeStatus);
+            return unwrap(await inOrganizations(query, organizationIds));
+        },
+
+        // Every team and regional with matches, for recalculating statistics
+        async teamRegionals({ organizationIds } = {}) {
+            const rows = unwrap(await inOrganizations(supabase
+                .from('matches')
+                .select('team_id, regional_id')
+                .is('deleted_at', null)
+                .not('regional_id', 'is', null), organizationIds));
+            const pairs = new Map(rows.map(row => [`${row.team_id}:${row.regional_id}`, row]));
+            return [...pairs.values()];
+        },
+
+        async findById(id, { includeDeleted = false, organizationIds } = {}) {
+            const query = notDeleted(supabase.from('matches').select(WITH_TEAM).eq('id', id), includeDeleted);
+            return unwrap(await inOrganizations(query, organizationIds).maybeSingle());
+        },
+
+        // Includes deleted matches, so a tablet re-sending one doesn't bring it back
+        async findByClientIds(clientIds) {
+            if (clientIds.length === 0) return [];
+            return unwrap(await supabase.from('matches').select(WITH_TEAM).in('client_id', clientIds));
+        },
+
+        async create(record) {
+            return unwrap(await supabase.from('matches').insert(record).select(WITH_TEAM).single());
+        },
+
+        async insertMany(records) {
+            // ignoreDuplicates keeps a concurrent retry from failing the batch
+            return unwrap(await supabase
+                .from('matches')
+                .upsert(records, { onConflict: 'client_id', ignoreDuplicates: true })
+                .select('id, client_id'));
+        },
+
+        async update(id, changes) {
+            return unwrap(await supabase.from('matches').update(changes).eq('id', id).select(WITH_TEAM).maybeSingle());
+        },
+
+        // Raw scouter reports stay until the match is purged, so a restore brings them back too
+        async remove(id) {
+            const rows = unwrap(await supabase
+                .from('matches')
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('id', id)
+                .is('deleted_at', null)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        // Out of the trash; its team comes back too if it was trashed
+        async restore(id) {
+            const match = unwrap(await supabase
+                .from('matches')
+                .update({ deleted_at: null })
+                .eq('id', id)
+                .not('deleted_at', 'is', null)
+                .select('team_id')
+                .maybeSingle());
+            if (!match) return null;
+
+            unwrap(await supabase.from('teams').update({ deleted_at: null }).eq('id', match.team_id).not('deleted_at', 'is', null));
+            return matches.findById(id);
+        },
+
+        async reinsert(record) {
+            return unwrap(await supabase.from('matches').insert(record).select(WITH_TEAM).single());
+        },
+
+        async listDeleted({ regionalId, organizationId } = {}) {
+            return listTrashed('matches', { regionalId, organizationId });
+        },
+
+        async purgeDeleted(before, { organizationId } = {}) {
+            const purged = await purge('matches', before, {
+                columns: 'id, team_id, regional_id, match_number, organization_id',
+                organizationId
+            });
+
+            // Their raw scouter reports go too
+            for (const match of purged) {
+                unwrap(await supabase
+                    .from('scouting_reports')
+                    .delete()
+                    .eq('organization_id', match.organization_id)
+                    .eq('team_id', match.team_id)
+                    .eq('regional_id', match.regional_id)
+                    .eq('match_number', match.match_number));
+            }
+            return purged.length;
+        },
+
+        async count({ organizationIds } = {}) {
+            const query = supabase.from('matches').select('*', { count: 'exact', head: true }).is('deleted_at', null);
+            const { count, error } = await inOrganizations(query, organizationIds);
+            if (error) throw databaseError(error);
+            return count || 0;
+        }
+    };
+
+    const robotInfo = {
+        // The first of `organizationIds` with robot info for the team wins
+        async find(teamId, regionalId, { organizationIds } = {}) {
+            const rows = unwrap(await inOrganizations(supabase
+                .from('robot_info')
+                .select(WITH_TEAM)
+                .eq('team_id', teamId)
+                .eq('regional_id', regionalId)
+                .is('deleted_at', null), organizationIds));
+            if (organizationIds) {
+                rows.sort((a, b) => organizationIds.indexOf(a.organization_id) - organizationIds.indexOf(b.organization_id));
+            }
+            return rows[0] || null;
+        },
+
+        async findById(id, { includeDeleted = false, organizationIds } = {}) {
+            const query = notDeleted(supabase.from('robot_info').select(WITH_TEAM).eq('id', id), includeDeleted);
+            return unwrap(await inOrganizations(query, organizationIds).maybeSingle());
+        },
+
+        async list({ regionalId, organizationIds } = {}) {
+            let query = supabase.from('robot_info').select(WITH_TEAM).is('deleted_at', null);
+            if (regionalId !== undefined) query = query.eq('regional_id', regionalId);
+            return unwrap(await inOrganizations(query, organizationIds));
+        },
+
+        // One per organization, team and regional; saving over a trashed row brings it back
+        async save(record) {
+            return unwrap(await supabase
+                .from('robot_info')
+                .upsert({ ...record, deleted_at: null, updated_at: new Date().toISOString() }, {
+                    onConflict: 'organization_id,team_id,regional_id'
+                })
+                .select(WITH_TEAM)
+                .single());
+        },
+
+        async remove(id) {
+            const rows = unwrap(await supabase
+                .from('robot_info')
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('id', id)
+                .is('deleted_at', null)
+                .select('id'));
+            return rows.length > 0;
+        },
+
+        async restore(id) {
+            const row = unwrap(await supabase
+                .from('robot_info')
+                .update({ deleted_at: null })
+                .eq('id', id)
+                .not('deleted_at', 'is', null)
+                .select('team_id')
+                .maybeSingle());
+            if (!row) return null;
+
+            unwrap(await supabase.from('teams').update({ deleted_at: null }).eq('id', row.team_id).not('deleted_at', 'is', null));
+            return robotInfo.findById(id);
+        },
+
+        async listDeleted({ regionalId, organizationId } = {}) {
+            return listTrashed('robot_info', { regionalId, organizationId });
+        },
+
+        async purgeDeleted(before, { organizationId } = {}) {
+            return (await purge('robot_info', before, { organizationId })).length;
+        }
+    };
+
+    const stats = {
+        async save(teamId, regionalId, organizationId, { percentages = {}, fractions = {}, ranking = {} }) {
+            const key = {
+                team_id: teamId,
+                regional_id: regionalId,
+                organization_id: organizationId,
+                last_calculated: new Date().toISOString()
+            };
+            const options = { onConflict: 'organization_id,team_id,regional_id' };
+
+            unwrap(await supabase.from('team_stats_percentage').upsert({ ...key, ...percentages }, options));
+            unwrap(await supabase.from('team_stats_fraction').upsert({ ...key, ...fractions }, options));
+            unwrap(await supabase.from('team_rankings').upsert({ ...key, ...ranking }, options));
+        },
+
+        // Trashed teams drop out of the rankings
+        async rankings(regionalId, organizationId) {
+            return unwrap(await supabase
+                .from('team_rankings')
+                .select('*, teams:team_id!inner (team_number, team_name)')
+                .eq('regional_id', regionalId)
+                .eq('organization_id', organizationId)
+                .is('teams.deleted_at', null)
+                .order('overall_score', { ascending: false }));
+        }
+    };
+
+    const tbaCache = {
+        async findEvent(eventKey) {
+            return unwrap(await supabase.from('events').select('*').eq('event_key', eventKey).maybeSingle());
+        },
+
+        async saveEvent(event) {
+            return unwrap(await supabase
+                .from('events')
+                .upsert(event, { onConflict: 'event_key', ignoreDuplicates: false })
+                .select()
+                .single());
+        },
+
+        async findMatch(matchKey) {
+            return unwrap(await supabase.from('tba_matches').select('*').eq('match_key', matchKey).maybeSingle());
+        },
+
+        async listMatches(eventKey) {
+            return unwrap(await supabase.from('tba_matches').select('*').eq('event_key', eventKey));
+        },
+
+        async saveMatches(records) {
+            if (records.length === 0) return [];
+            return unwrap(await supabase
+                .from('tba_matches')
+                .upsert(records, { onConflict: 'match_key', ignoreDuplicates: false })
+                .select());
+        },
+
+        async listRankings(eventKey) {
+            return unwrap(await supabase.from('event_rankings').select('*').eq('event_key', eventKey).order('rank'));
+        },
+
+        async saveRankings(records) {
+            if (records.length === 0) return 0;
+            const updatedAt = new Date().toISOString();
+            unwrap(await supabase
+                .from('event_rankings')
+                .upsert(records.map(record => ({ ...record, updated_at: updatedAt })), { onConflict: 'event_key,team_key' }));
+            return records.length;
+        },
+
+        async listAlliances(eventKey) {
+            return unwrap(await supabase.from('event_alliances').select('*').eq('event_key', eventKey).order('alliance_number'));
+        },
+
+        async saveAlliances(records) {
+            if (records.length === 0) return 0;
+            const updatedAt = new Date().toISOString();
+            unwrap(await supabase
+                .from('event_alliances')
+                .upsert(records.map(record => ({ ...record, updated_at: updatedAt })), { onConflict: 'event_key,alliance_number' }));
+            return records.length;
+        },
+
+        async listAwards(eventKey) {
+            return unwrap(await supabase.from('awards').select('*').eq('event_key', eventKey).order('award_type').order('id'));
+        },
+
+        // TBA has no key per award, so an event's awards are replaced as a whole
+        async replaceAwards(eventKey, records) {
+            unwrap(await supabase.from('awards').delete().eq('event_key', eventKey));
+            if (records.length > 0) unwrap(await supabase.from('awards').insert(records));
+            return records.length;
+        },
+
+        async listOprs(eventKey) {
+            return unwrap(await supabase.from('event_opr').select('*').eq('event_key', eventKey).order('opr', { ascending: false }));
+        },
+
+        async saveOprs(records) {
+            if (records.length === 0) return 0;
+            const updatedAt = new Date().toISOString();
+            unwrap(await supabase
+                .from('event_opr')
+                .upsert(records.map(record => ({ ...record, updated_at: updatedAt })), { onConflict: 'event_key,team_key' }));
+            return records.length;
+        },
+
+        async listDistrictPoints(eventKey) {
+            return unwrap(await supabase
+                .from('event_district_points')
+                .select('*')
+                .eq('event_key', eventKey)
+                .order('total', { ascending: false }));
+        },
+
+        async saveDistrictPoints(records) {
+            if (records.length === 0) return 0;
+            const updatedAt = new Date().toISOString();
+            unwrap(await supabase
+                .from('event_district_points')
+                .upsert(records.map(record => ({ ...record, updated_at: updatedAt })), { onConflict: 'event_key,team_key' }));
+            return records.length;
+        }
+    };
+
+    const tbaSync = {
+        async listSchedules() {
+            return unwrap(await supabase.from('tba_sync_schedules').select('*').order('event_key'));
+        },
+
+        async findSchedule(eventKey) {
+            return unwrap(await supabase.from('tba_sync_schedules').select('*').eq('event_key', eventKey).maybeSingle());
+        },
+
+        async saveSchedule(schedule) {
+            return unwrap(await supabase
+                .from('tba_sync_schedules')
+                .upsert(schedule, { onConflict: 'event_key', ignoreDuplicates: false })
+                .select()
+                .single());
+        },
+
+        async updateSchedule(eventKey, changes) {
+            return unwrap(await supabase
+                .from('tba_sync_schedules')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('event_key', eventKey)
+                .select()
+                .maybeSingle());
+        },
+
+        async removeSchedule(eventKey) {
+            return unwrap(await supabase.from('tba_sync_schedules').delete().eq('event_key', eventKey).select('id')).length > 0;
+        },
+
+        async logRun(entry) {
+            return unwrap(await supabase.from('tba_sync_log').insert(entry).select().single());
+        },
+
+        async listRuns({ eventKey, limit = 50 } = {}) {
+            let query = supabase.from('tba_sync_log').select('*').order('started_at', { ascending: false }).limit(limit);
+            if (eventKey) query = query.eq('entity_key', eventKey);
+            return unwrap(await query);
+        }
+    };
+
+    const tbaWebhooks = {
+        async create(notification) {
+            return unwrap(await supabase.from('tba_webhook_notifications').insert(notification).select().single());
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('tba_webhook_notifications').select('*').eq('id', id).maybeSingle());
+        },
+
+        async update(id, changes) {
+            return unwrap(await supabase
+                .from('tba_webhook_notifications')
+                .update(changes)
+                .eq('id', id)
+                .select()
+                .maybeSingle());
+        },
+
+        async list({ messageType, eventKey, status, limit = 50 } = {}) {
+            let query = supabase
+                .from('tba_webhook_notifications')
+                .select('*')
+                .order('received_at', { ascending: false })
+                .limit(limit);
+            if (messageType) query = query.eq('message_type', messageType);
+            if (eventKey) query = query.eq('event_key', eventKey);
+            if (status) query = query.eq('status', status);
+            return unwrap(await query);
+        }
+    };
+
+    const tbaResponses = {
+        async find(endpoint) {
+            return unwrap(await supabase.from('tba_responses').select('*').eq('endpoint', endpoint).maybeSingle());
+        },
+
+        async save(record) {
+            return unwrap(await supabase
+                .from('tba_responses')
+                .upsert(record, { onConflict: 'endpoint', ignoreDuplicates: false })
+                .select()
+                .single());
+        },
+
+        async list() {
+            return unwrap(await supabase
+                .from('tba_responses')
+                .select('id, endpoint, etag, last_modified, size_bytes, fetched_at, checked_at, expires_at')
+                .order('endpoint'));
+        },
+
+        async purge({ prefix } = {}) {
+            let query = supabase.from('tba_responses').delete();
+            // LIKE treats _ and % as wildcards (match keys have underscores)
+            query = prefix ? query.like('endpoint', `${prefix.replace(/[\\%_]/g, '\\$&')}%`) : query.gte('id', 0);
+            return unwrap(await query.select('id')).length;
+        }
+    };
+
+    const predictions = {
+        async find(organizationId, matchKey) {
+            return unwrap(await supabase
+                .from('predictions')
+                .select('*')
+                .eq('organization_id', organizationId)
+                .eq('match_key', matchKey)
+                .maybeSingle());
+        },
+
+        async save(record) {
+            return unwrap(await supabase
+                .from('predictions')
+                .upsert({ ...record, updated_at: new Date().toISOString() }, { onConflict: 'organization_id,match_key' })
+                .select()
+                .single());
+        }
+    };
+
+    const users = {
+        async list({ organizationId } = {}) {
+            let query = supabase.from('users').select('*').order('username');
+            if (organizationId !== undefined) query = query.eq('organization_id', organizationId);
+            return unwrap(await query);
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('users').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findByUsername(username) {
+            return unwrap(await supabase.from('users').select('*').eq('username', username.toLowerCase()).maybeSingle());
+        },
+
+        async create(user) {
+            return unwrap(await supabase
+                .from('users')
+                .insert({ ...user, username: user.username.toLowerCase() })
+                .select()
+                .single());
+        },
+
+        async update(id, changes) {
+            return unwrap(await supabase
+                .from('users')
+                .update({ ...changes, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select()
+                .maybeSingle());
+        },
+
+        async count() {
+            const { count, error } = await supabase.from('users').select('*', { count: 'exact', head: true });
+            if (error) throw databaseError(error);
+            return count || 0;
+        }
+    };
+
+    const apiKeys = {
+        async list({ organizationId } = {}) {
+            let query = supabase.from('api_keys').select('*').order('created_at', { ascending: false });
+            if (organizationId !== undefined) query = query.eq('organization_id', organizationId);
+            return unwrap(await query);
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('api_keys').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findByHash(keyHash) {
+            return unwrap(await supabase.from('api_keys').select('*').eq('key_hash', keyHash).maybeSingle());
+        },
+
+        async create(record) {
+            return unwrap(await supabase.from('api_keys').insert(record).select().single());
+        },
+
+        async update(id, changes) {
+            return unwrap(await supabase.from('api_keys').update(changes).eq('id', id).select().maybeSingle());
+        }
+    };
+
+    const auditLog = {
+        async list({
+            entityType, entityId, action, userId, apiKeyId, regionalId, organizationId, since, until, limit = 50, offset = 0
+        } = {}) {
+            let query = supabase
+                .from('audit_log')
+                .select('*', { count: 'exact' })
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (entityType !== undefined) query = query.eq('entity_type', entityType);
+            if (entityId !== undefined) query = query.eq('entity_id', String(entityId));
+            if (action !== undefined) query = query.eq('action', action);
+            if (userId !== undefined) query = query.eq('actor_user_id', userId);
+            if (apiKeyId !== undefined) query = query.eq('api_key_id', apiKeyId);
+            if (regionalId !== undefined) query = query.eq('regional_id', regionalId);
+            if (organizationId !== undefined) query = query.eq('organization_id', organizationId);
+            if (since !== undefined) query = query.gte('created_at', since);
+            if (until !== undefined) query = query.lte('created_at', until);
+
+            const { data, error, count } = await query;
+            if (error) throw databaseError(error);
+            return { rows: data, total: count };
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('audit_log').select('*').eq('id', id).maybeSingle());
+        },
+
+        async create(entry) {
+            return unwrap(await supabase.from('audit_log').insert(entry).select().single());
+        }
+    };
+
+    return {
+        organizations, seasons, regionals, teams, matches, robotInfo, stats, tbaCache, tbaResponses, tbaSync, tbaWebhooks,
+        predictions, users, apiKeys, auditLog
+    };
+}
+
+module.exports = {
+    createSupabaseRepositories
+};
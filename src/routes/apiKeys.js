@@ -0,0 +1,178 @@
+/**
+ * API Key Routes
+ * Issue, rotate and revoke the keys tablets, the dashboard and partner teams use
+ *
+ * A key is shown once, in the response that issues or rotates it. Revoked
+ * and expired keys stay listed (with last use) so you can see what a leaked
+ * key was used for; they just stop working. Keys act for the organization
+ * whose admin issued them, and admins only see their organization's keys.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole } = require('../middleware/auth');
+const { SCOPES, generateKey, publicKey } = require('../services/apiKeys');
+const { organizationOf } = require('../services/organizations');
+
+const router = express.Router();
+
+// Every route here is for admins (accounts or keys with the admin scope)
+router.use(requireRole('admin'));
+
+const issueKeySchema = Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().required(),
+    // Absolute time, or a number of days from now
+    expires_at: Joi.date().iso().greater('now').allow(null),
+    expires_in_days: Joi.number().integer().min(1).max(3650),
+    // Only write data for these regionals (null = any)
+    regional_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique().allow(null)
+}).oxor('expires_at', 'expires_in_days');
+
+const rotateKeySchema = Joi.object({
+    // Keep the old key working this long so devices can be updated
+    grace_minutes: Joi.number().integer().min(0).max(7 * 24 * 60).default(0)
+});
+
+function keyNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: { message: 'API key not found' }
+    });
+}
+
+// A key of the caller's organization
+async function findKey(req) {
+    const key = await repositories.apiKeys.findById(parseInt(req.params.id));
+    return key && key.organization_id === organizationOf(req) ? key : null;
+}
+
+function expiryFrom({ expires_at, expires_in_days }) {
+    if (expires_in_days) return new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000).toISOString();
+    return expires_at ? new Date(expires_at).toISOString() : null;
+}
+
+// GET /api/keys - Every key, newest first (no secrets)
+router.get('/', asyncHandler(async (req, res) => {
+    const data = (await repositories.apiKeys.list({ organizationId: organizationOf(req) })).map(publicKey);
+
+    res.json({ success: true, data, count: data.length, scopes: SCOPES });
+}));
+
+// GET /api/keys/:id - One key
+router.get('/:id', asyncHandler(async (req, res) => {
+    const key = await findKey(req);
+    if (!key) return keyNotFound(res);
+
+    res.json({ success: true, data: publicKey(key) });
+}));
+
+// POST /api/keys - Issue a key
+// { "name": "Pit tablet 2", "scopes": ["pit-scouting"], "expires_in_days": 7, "regional_ids": [3] }
+router.post('/', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = issueKeySchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    for (const regionalId of value.regional_ids || []) {
+        if (!(await repositories.regionals.findById(regionalId))) {
+            return res.status(400).json({
+                success: false,
+                error: { message: `Regional ${regionalId} not found` }
+            });
+        }
+    }
+
+    const { key, ...secret } = generateKey();
+    const record = await repositories.apiKeys.create({
+        name: value.name,
+        scopes: value.scopes,
+        regional_ids: value.regional_ids || null,
+        expires_at: expiryFrom(value),
+        organization_id: organizationOf(req),
+        created_by: req.user?.id ?? null,
+        ...secret
+    });
+
+    res.status(201).json({
+        success: true,
+        data: { ...publicKey(record), key },
+        message: 'API key issued - copy it now, it will not be shown again'
+    });
+}));
+
+// POST /api/keys/:id/rotate - Replace a key with a new secret (same name, scopes and limits)
+// The old key stops working now, or after grace_minutes
+router.post('/:id/rotate', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = rotateKeySchema.validate(req.body || {});
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const old = await findKey(req);
+    if (!old) return keyNotFound(res);
+
+    if (old.revoked_at) {
+        return res.status(409).json({
+            success: false,
+            error: { message: 'API key is revoked - issue a new one instead' }
+        });
+    }
+
+    const { key, ...secret } = generateKey();
+    const record = await repositories.apiKeys.create({
+        name: old.name,
+        scopes: old.scopes,
+        regional_ids: old.regional_ids || null,
+        expires_at: old.expires_at || null,
+        rotated_from: old.id,
+        organization_id: old.organization_id,
+        created_by: req.user?.id ?? null,
+        ...secret
+    });
+
+    const cutoff = new Date(Date.now() + value.grace_minutes * 60 * 1000);
+    let retired;
+    if (value.grace_minutes === 0) {
+        retired = await repositories.apiKeys.update(old.id, { revoked_at: new Date().toISOString() });
+    } else if (old.expires_at && new Date(old.expires_at) <= cutoff) {
+        retired = old; // Already expires within the grace period
+    } else {
+        retired = await repositories.apiKeys.update(old.id, { expires_at: cutoff.toISOString() });
+    }
+
+    res.status(201).json({
+        success: true,
+        data: { ...publicKey(record), key, replaced: publicKey(retired) },
+        message: value.grace_minutes > 0
+            ? `API key rotated - the old key works until ${retired.expires_at}`
+            : 'API key rotated - the old key no longer works'
+    });
+}));
+
+// POST /api/keys/:id/revoke - Stop a key working immediately
+router.post('/:id/revoke', asyncHandler(async (req, res) => {
+    const key = await findKey(req);
+    if (!key) return keyNotFound(res);
+
+    const data = key.revoked_at
+        ? key
+        : await repositories.apiKeys.update(key.id, { revoked_at: new Date().toISOString() });
+
+    res.json({
+        success: true,
+        data: publicKey(data),
+        message: 'API key revoked'
+    });
+}));
+
+module.exports = router;
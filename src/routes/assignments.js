@@ -0,0 +1,518 @@
+/**
+ * Scouter Assignment Routes
+ * Roster, generated shift schedule, "my next assignment" and coverage
+ *
+ * The lead scout enters the roster for an event (availability windows and
+ * a consecutive-match limit per scouter), then generates assignments from
+ * the TBA qualification schedule (see src/services/scheduler.js).
+ * Regenerating from a later match keeps earlier assignments, so the
+ * schedule can be adjusted mid-event when someone leaves. Rosters and
+ * schedules belong to the caller's organization.
+ *
+ * @swagger
+ * tags:
+ *   name: Assignments
+ *   description: |
+ *     Who scouts which robot in each match.
+ *
+ *     **Use Case**: Replace the paper assignment sheet. Scouters look up their next
+ *     robot; the lead scout sees which team-matches still have no report.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { fetchFromTBA } = require('../services/tbaClient');
+const { DEFAULT_MAX_CONSECUTIVE, qualificationSchedule, buildAssignments } = require('../services/scheduler');
+const { organizationOf } = require('../services/organizations');
+
+const router = express.Router();
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const scouterSchema = Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    availability: Joi.array().items(Joi.object({
+        from_match: Joi.number().integer().min(1),
+        to_match: Joi.number().integer().min(1)
+    })).default([]),
+    max_consecutive: Joi.number().integer().min(1).max(100).default(DEFAULT_MAX_CONSECUTIVE),
+    active: Joi.boolean().default(true)
+});
+
+const rosterSchema = Joi.object({
+    scouters: Joi.array().items(scouterSchema).unique('name').required()
+});
+
+const generateSchema = Joi.object({
+    from_match: Joi.number().integer().min(1).default(1),
+    skip_teams: Joi.array().items(Joi.number().integer().min(1)).default([])
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function loadRoster(organizationId, eventKey) {
+    const { data, error } = await supabase
+        .from('scouter_roster')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('event_key', eventKey)
+        .order('name', { ascending: true });
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    return data;
+}
+
+/**
+ * Regional name used by match scouting for an event
+ * Defaults to the event's name from the events table.
+ */
+async function resolveRegional(eventKey, regional) {
+    if (regional) return regional;
+
+    const { data: event } = await supabase
+        .from('events')
+        .select('name')
+        .eq('event_key', eventKey)
+        .maybeSingle();
+
+    return event?.name || null;
+}
+
+/**
+ * Team-matches an organization has a scouting report for, as "matchNumber:teamNumber"
+ */
+async function loadScoutedKeys(organizationId, regional) {
+    const { data, error } = await supabase
+        .from('matches')
+        .select('match_number, teams:team_id (team_number)')
+        .eq('organization_id', organizationId)
+        .eq('regional', regional)
+        .is('deleted_at', null);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    return new Set(data.map(row => `${row.match_number}:${row.teams?.team_number}`));
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/assignments/event/{eventKey}/roster:
+ *   get:
+ *     summary: Scouter roster for an event
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roster
+ */
+router.get('/event/:eventKey/roster', asyncHandler(async (req, res) => {
+    const roster = await loadRoster(organizationOf(req), req.params.eventKey);
+
+    res.json({
+        success: true,
+        data: roster,
+        count: roster.length
+    });
+}));
+
+/**
+ * @swagger
+ * /api/assignments/event/{eventKey}/roster:
+ *   put:
+ *     summary: Replace the scouter roster for an event
+ *     description: |
+ *       `availability` is a list of match-number windows; leave it empty if the scouter is
+ *       there all event. `max_consecutive` is how many matches in a row they can scout
+ *       before a break (default 6).
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             scouters:
+ *               - name: "Alex"
+ *                 max_consecutive: 4
+ *               - name: "Sam"
+ *                 availability: [{ from_match: 1, to_match: 30 }]
+ *     responses:
+ *       200:
+ *         description: Saved roster
+ */
+router.put('/event/:eventKey/roster', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const { error: validationError, value } = rosterSchema.validate(req.body);
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const organizationId = organizationOf(req);
+    const { error: deleteError } = await supabase
+        .from('scouter_roster')
+        .delete()
+        .eq('organization_id', organizationId)
+        .eq('event_key', eventKey);
+
+    if (deleteError) throw new Error(`Database error: ${deleteError.message}`);
+
+    if (value.scouters.length > 0) {
+        const { error } = await supabase
+            .from('scouter_roster')
+            .insert(value.scouters.map(scouter => ({ ...scouter, organization_id: organizationId, event_key: eventKey })));
+
+        if (error) throw new Error(`Database error: ${error.message}`);
+    }
+
+    const roster = await loadRoster(organizationId, eventKey);
+
+    res.json({
+        success: true,
+        data: roster,
+        message: `Roster saved with ${roster.length} scouters`
+    });
+}));
+
+/**
+ * @swagger
+ * /api/assignments/event/{eventKey}/generate:
+ *   post:
+ *     summary: Generate scouter assignments from the TBA schedule
+ *     description: |
+ *       Fetches the qualification schedule from TBA and assigns active roster scouters to
+ *       robots, balancing how many matches each person scouts while respecting availability
+ *       and consecutive-match limits.
+ *
+ *       Assignments before `from_match` are kept, so this can be re-run mid-event after a
+ *       roster change. Robots nobody could cover are returned as `unassigned`.
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           example:
+ *             from_match: 1
+ *             skip_teams: [589]
+ *     responses:
+ *       200:
+ *         description: Generated schedule summary
+ */
+router.post('/event/:eventKey/generate', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const { error: validationError, value } = generateSchema.validate(req.body || {});
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const organizationId = organizationOf(req);
+    const scouters = (await loadRoster(organizationId, eventKey)).filter(scouter => scouter.active);
+    if (scouters.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'Add scouters to the roster before generating assignments' }
+        });
+    }
+
+    const schedule = qualificationSchedule(await fetchFromTBA(`/event/${eventKey}/matches`))
+        .filter(match => match.match_number >= value.from_match);
+
+    if (schedule.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'No qualification schedule published on TBA for this event yet' }
+        });
+    }
+
+    const { assignments, unassigned, load } = buildAssignments(schedule, scouters, { skipTeams: value.skip_teams });
+
+    const { error: deleteError } = await supabase
+        .from('scouter_assignments')
+        .delete()
+        .eq('organization_id', organizationId)
+        .eq('event_key', eventKey)
+        .gte('match_number', value.from_match);
+
+    if (deleteError) throw new Error(`Database error: ${deleteError.message}`);
+
+    // Unassigned robots are stored too (scouter_name null) so coverage sees every slot
+    const rows = [...assignments, ...unassigned].map(slot => ({
+        organization_id: organizationId,
+        event_key: eventKey,
+        match_key: slot.match_key,
+        match_number: slot.match_number,
+        station: slot.station,
+        team_number: slot.team_number,
+        scouter_name: slot.scouter_name || null
+    }));
+
+    const { error } = await supabase.from('scouter_assignments').insert(rows);
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    res.json({
+        success: true,
+        data: {
+            event_key: eventKey,
+            matches: schedule.length,
+            assigned: assignments.length,
+            unassigned,
+            load
+        },
+        message: `Generated assignments for ${schedule.length} matches`
+    });
+}));
+
+/**
+ * @swagger
+ * /api/assignments/event/{eventKey}:
+ *   get:
+ *     summary: Assignment schedule for an event
+ *     description: Assignments grouped by match. Filter to one scouter with `scouter_name`.
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scouter_name
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule
+ */
+router.get('/event/:eventKey', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const { scouter_name } = req.query;
+
+    let query = supabase
+        .from('scouter_assignments')
+        .select('match_key, match_number, station, team_number, scouter_name')
+        .eq('organization_id', organizationOf(req))
+        .eq('event_key', eventKey)
+        .order('match_number', { ascending: true })
+        .order('station', { ascending: true });
+
+    if (scouter_name) {
+        query = query.eq('scouter_name', scouter_name);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const matches = [];
+    for (const row of data) {
+        let match = matches[matches.length - 1];
+        if (!match || match.match_number !== row.match_number) {
+            match = { match_key: row.match_key, match_number: row.match_number, robots: [] };
+            matches.push(match);
+        }
+        match.robots.push({ station: row.station, team_number: row.team_number, scouter_name: row.scouter_name });
+    }
+
+    res.json({
+        success: true,
+        data: matches,
+        count: matches.length
+    });
+}));
+
+/**
+ * @swagger
+ * /api/assignments/event/{eventKey}/next:
+ *   get:
+ *     summary: A scouter's next assignment
+ *     description: |
+ *       The first assignment after the current match. The current match is `current_match`
+ *       if given, otherwise the latest match with any scouting data for the regional.
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scouter_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: current_match
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: regional
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Next assignment (null when done for the event)
+ */
+router.get('/event/:eventKey/next', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const { scouter_name } = req.query;
+
+    if (!scouter_name) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'scouter_name query parameter is required' }
+        });
+    }
+
+    let currentMatch = req.query.current_match ? parseInt(req.query.current_match) : null;
+
+    if (currentMatch === null) {
+        const regional = await resolveRegional(eventKey, req.query.regional);
+        currentMatch = 0;
+        if (regional) {
+            const { data: latest } = await supabase
+                .from('matches')
+                .select('match_number')
+                .eq('organization_id', organizationOf(req))
+                .eq('regional', regional)
+                .is('deleted_at', null)
+                .order('match_number', { ascending: false })
+                .limit(1);
+            currentMatch = latest?.[0]?.match_number || 0;
+        }
+    }
+
+    const { data, error } = await supabase
+        .from('scouter_assignments')
+        .select('match_key, match_number, station, team_number')
+        .eq('organization_id', organizationOf(req))
+        .eq('event_key', eventKey)
+        .eq('scouter_name', scouter_name)
+        .gt('match_number', currentMatch)
+        .order('match_number', { ascending: true })
+        .limit(4);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const [next, ...upcoming] = data;
+
+    res.json({
+        success: true,
+        data: {
+            scouter_name,
+            current_match: currentMatch,
+            next: next ? { ...next, matches_until: next.match_number - currentMatch } : null,
+            upcoming
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/assignments/event/{eventKey}/coverage:
+ *   get:
+ *     summary: Which team-matches have no scouting report yet
+ *     description: |
+ *       Checks every scheduled robot up to `through_match` (default: the latest match with
+ *       any scouting data) against submitted reports. Missing reports are listed with the
+ *       scouter who was assigned.
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: through_match
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: regional
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coverage summary and missing reports
+ */
+router.get('/event/:eventKey/coverage', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const regional = await resolveRegional(eventKey, req.query.regional);
+
+    if (!regional) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'regional is required when the event has not been imported from TBA' }
+        });
+    }
+
+    const organizationId = organizationOf(req);
+    const scouted = await loadScoutedKeys(organizationId, regional);
+    const latestScouted = Math.max(0, ...[...scouted].map(key => parseInt(key.split(':')[0])));
+    const throughMatch = req.query.through_match ? parseInt(req.query.through_match) : latestScouted;
+
+    const { data: slots, error } = await supabase
+        .from('scouter_assignments')
+        .select('match_key, match_number, station, team_number, scouter_name')
+        .eq('organization_id', organizationId)
+        .eq('event_key', eventKey)
+        .lte('match_number', throughMatch)
+        .order('match_number', { ascending: true });
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const missing = slots.filter(slot => !scouted.has(`${slot.match_number}:${slot.team_number}`));
+
+    const missingByScouter = {};
+    for (const slot of missing) {
+        const name = slot.scouter_name || 'Unassigned';
+        missingByScouter[name] = (missingByScouter[name] || 0) + 1;
+    }
+
+    res.json({
+        success: true,
+        data: {
+            event_key: eventKey,
+            regional,
+            through_match: throughMatch,
+            scheduled: slots.length,
+            scouted: slots.length - missing.length,
+            coverage_percent: slots.length > 0
+                ? Math.round((slots.length - missing.length) / slots.length * 1000) / 10
+                : null,
+            missing_by_scouter: missingByScouter,
+            missing
+        }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * Audit Routes
+ * Who changed what, and putting edited or deleted matches back
+ *
+ * Entries are written by the routes that change data (see
+ * src/services/audit.js); here they are only read. Restoring a match is
+ * itself a change, so it gets its own `restore` entry pointing at the one
+ * it restored from. Leads only see their own organization's entries.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole, regionalAllowed } = require('../middleware/auth');
+const { ENTITY_TYPES, ACTIONS, snapshot, recordChange } = require('../services/audit');
+const { organizationOf } = require('../services/organizations');
+const { publish } = require('../services/liveEvents');
+const { calculateTeamStatistics } = require('./statistics');
+
+const router = express.Router();
+
+// The trail shows every scouter's changes, so it's for leads and admins
+router.use(requireRole('lead'));
+
+const listQuerySchema = Joi.object({
+    entity_type: Joi.string().valid(...ENTITY_TYPES),
+    entity_id: Joi.string().max(100),
+    action: Joi.string().valid(...ACTIONS),
+    user_id: Joi.number().integer().positive(),
+    api_key_id: Joi.number().integer().positive(),
+    regional_id: Joi.number().integer().positive(),
+    since: Joi.date().iso(),
+    until: Joi.date().iso(),
+    limit: Joi.number().integer().min(1).max(500).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+// Only these entries hold a match as it was before a change
+const RESTORABLE_ACTIONS = ['update', 'delete'];
+
+// An entry of the caller's organization
+async function findEntry(req) {
+    const entry = await repositories.auditLog.findById(parseInt(req.params.id));
+    return entry && entry.organization_id === organizationOf(req) ? entry : null;
+}
+
+function entryNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: { message: 'Audit entry not found' }
+    });
+}
+
+// GET /api/audit - Entries, newest first
+// ?entity_type=match&entity_id=42&action=delete&user_id=&api_key_id=&regional_id=&since=&until=&limit=&offset=
+router.get('/', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = listQuerySchema.validate(req.query);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const { rows, total } = await repositories.auditLog.list({
+        entityType: value.entity_type,
+        entityId: value.entity_id,
+        action: value.action,
+        userId: value.user_id,
+        apiKeyId: value.api_key_id,
+        regionalId: value.regional_id,
+        organizationId: organizationOf(req),
+        since: value.since?.toISOString(),
+        until: value.until?.toISOString(),
+        limit: value.limit,
+        offset: value.offset
+    });
+
+    res.json({
+        success: true,
+        data: rows,
+        count: rows.length,
+        total,
+        limit: value.limit,
+        offset: value.offset
+    });
+}));
+
+// GET /api/audit/:id - One entry
+router.get('/:id', asyncHandler(async (req, res) => {
+    const data = await findEntry(req);
+    if (!data) return entryNotFound(res);
+
+    res.json({ success: true, data });
+}));
+
+// POST /api/audit/:id/restore - Put a match back the way it was before this entry's change
+// A deleted match comes out of the trash (or back with its original ID if it was purged);
+// an edited one gets its old values back
+router.post('/:id/restore', asyncHandler(async (req, res) => {
+    const entry = await findEntry(req);
+    if (!entry) return entryNotFound(res);
+
+    if (entry.entity_type !== 'match' || !RESTORABLE_ACTIONS.includes(entry.action) || !entry.before) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'Only entries for edited or deleted matches can be restored' }
+        });
+    }
+
+    // Snapshots from before organizations existed don't name one
+    const restored = { ...entry.before, organization_id: entry.organization_id };
+    if (!regionalAllowed(req, restored.regional_id)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: `This API key cannot write data for ${restored.regional}` }
+        });
+    }
+
+    const current = snapshot(await repositories.matches.findById(restored.id, { includeDeleted: true }));
+    let data;
+    try {
+        if (current) {
+            if (current.deleted_at) await repositories.matches.restore(current.id); // Its team too, if trashed
+
+            // Fields added since the snapshot are cleared, so the match matches it exactly
+            const changes = { ...restored, updated_at: new Date().toISOString() };
+            for (const field of Object.keys(current)) {
+                if (!(field in changes)) changes[field] = null;
+            }
+            delete changes.id;
+            data = await repositories.matches.update(current.id, changes);
+        } else {
+            data = await repositories.matches.reinsert(restored);
+        }
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: { message: 'Another match now has this client_id - delete it before restoring this one' }
+            });
+        }
+        throw error;
+    }
+
+    const teamNumber = data.teams?.team_number;
+    publish(current && !current.deleted_at ? 'match.updated' : 'match.created', {
+        id: data.id,
+        team_number: teamNumber,
+        regional: data.regional,
+        regional_id: data.regional_id,
+        match_number: data.match_number,
+        review_status: data.review_status
+    }, { regional: data.regional, regional_id: data.regional_id, team_number: teamNumber });
+
+    await recordChange(req, {
+        entityType: 'match',
+        entityId: data.id,
+        action: 'restore',
+        before: current,
+        after: data,
+        details: { restored_from: entry.id }
+    });
+
+    try {
+        await calculateTeamStatistics(data.team_id, data.regional_id, data.organization_id);
+    } catch (statsError) {
+        console.error('Error calculating statistics:', statsError);
+    }
+
+    res.json({
+        success: true,
+        data,
+        message: entry.action === 'delete'
+            ? `Deleted match ${data.id} restored`
+            : `Match ${data.id} restored to how it was before entry ${entry.id}`
+    });
+}));
+
+module.exports = router;
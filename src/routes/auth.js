@@ -0,0 +1,236 @@
+/**
+ * Auth Routes
+ * Sign-in and scouter, lead and admin accounts
+ *
+ * Accounts sign in with a password or a numeric PIN (quicker on a tablet
+ * in the stands) and get a session token to send as Authorization: Bearer.
+ * Leads can see the roster; admins create and manage accounts. Accounts
+ * are deactivated rather than deleted so their scouting history keeps a name.
+ * Each account belongs to one organization, and leads and admins only see
+ * and manage their own organization's accounts (usernames are unique across
+ * all of them). The first admin is created with `npm run create-user`.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { organizationOf } = require('../services/organizations');
+const {
+    ROLES,
+    credentialError,
+    hashCredential,
+    verifyCredential,
+    issueToken,
+    publicUser
+} = require('../services/accounts');
+
+const router = express.Router();
+
+const username = Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(2).max(50);
+
+const loginSchema = Joi.object({
+    username: Joi.string().max(50).required(),
+    password: Joi.string().max(128),
+    pin: Joi.string().max(8)
+}).xor('password', 'pin');
+
+const createUserSchema = Joi.object({
+    username: username.required(),
+    display_name: Joi.string().min(1).max(100).required(),
+    role: Joi.string().valid(...ROLES).default('scouter'),
+    password: Joi.string(),
+    pin: Joi.string()
+}).xor('password', 'pin');
+
+const updateUserSchema = Joi.object({
+    display_name: Joi.string().min(1).max(100),
+    role: Joi.string().valid(...ROLES),
+    is_active: Joi.boolean(),
+    // Resets the credential (and can switch between password and PIN)
+    password: Joi.string(),
+    pin: Joi.string()
+}).oxor('password', 'pin').min(1);
+
+const changeCredentialSchema = Joi.object({
+    current: Joi.string().max(128).required(),
+    password: Joi.string(),
+    pin: Joi.string()
+}).xor('password', 'pin');
+
+function validationFailed(res, message) {
+    return res.status(400).json({
+        success: false,
+        error: { message }
+    });
+}
+
+/**
+ * { password } or { pin } from a request body as a stored credential
+ * @returns {{ credential?: object, error?: string }}
+ */
+function newCredential({ password, pin }) {
+    const type = password !== undefined ? 'password' : 'pin';
+    const secret = password !== undefined ? password : pin;
+
+    const error = credentialError(type, secret);
+    if (error) return { error };
+
+    return { credential: { credential_type: type, credential_hash: hashCredential(secret) } };
+}
+
+// POST /api/auth/login - Sign in with { username, password } or { username, pin }
+router.post('/login', rateLimit('auth'), asyncHandler(async (req, res) => {
+    const { error: validationError, value } = loginSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const user = await repositories.users.findByUsername(value.username);
+    const secret = value.password !== undefined ? value.password : value.pin;
+
+    // Same answer for unknown users, wrong credentials and deactivated accounts
+    if (!user || !user.is_active || !verifyCredential(secret, user.credential_hash)) {
+        return res.status(401).json({
+            success: false,
+            error: { message: 'Invalid username or credentials' }
+        });
+    }
+
+    const updated = await repositories.users.update(user.id, { last_login_at: new Date().toISOString() });
+    const { token, expires_at } = issueToken(updated);
+
+    res.json({
+        success: true,
+        data: { token, expires_at, user: publicUser(updated) }
+    });
+}));
+
+// GET /api/auth/me - Who the token belongs to
+router.get('/me', requireRole('scouter'), (req, res) => {
+    res.json({
+        success: true,
+        data: req.user || { role: req.auth.role, organization_id: req.auth.organizationId, shared_api_key: true }
+    });
+});
+
+// PUT /api/auth/me/credential - Change your own password or PIN
+// Signs out your other sessions; the response has a new token
+router.put('/me/credential', requireRole('scouter'), asyncHandler(async (req, res) => {
+    if (!req.user) return validationFailed(res, 'The shared API key has no credential to change');
+
+    const { error: validationError, value } = changeCredentialSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const user = await repositories.users.findById(req.user.id);
+    if (!verifyCredential(value.current, user.credential_hash)) {
+        return res.status(401).json({
+            success: false,
+            error: { message: 'Current password or PIN is wrong' }
+        });
+    }
+
+    const { credential, error } = newCredential(value);
+    if (error) return validationFailed(res, error);
+
+    const updated = await repositories.users.update(user.id, {
+        ...credential,
+        token_version: (user.token_version || 0) + 1
+    });
+
+    res.json({
+        success: true,
+        data: { ...issueToken(updated), user: publicUser(updated) },
+        message: 'Credential changed'
+    });
+}));
+
+// GET /api/auth/users - Every account in your organization (leads and admins)
+router.get('/users', requireRole('lead'), asyncHandler(async (req, res) => {
+    const data = (await repositories.users.list({ organizationId: organizationOf(req) })).map(publicUser);
+
+    res.json({ success: true, data, count: data.length });
+}));
+
+// POST /api/auth/users - Create an account in your organization (admins)
+router.post('/users', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { error: validationError, value } = createUserSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const { credential, error } = newCredential(value);
+    if (error) return validationFailed(res, error);
+
+    let user;
+    try {
+        user = await repositories.users.create({
+            username: value.username,
+            display_name: value.display_name,
+            role: value.role,
+            organization_id: organizationOf(req),
+            ...credential
+        });
+    } catch (createError) {
+        if (createError.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: { message: `Username ${value.username.toLowerCase()} is taken` }
+            });
+        }
+        throw createError;
+    }
+
+    res.status(201).json({
+        success: true,
+        data: publicUser(user),
+        message: 'Account created'
+    });
+}));
+
+// PUT /api/auth/users/:id - Rename, change role, (de)activate or reset the credential (admins)
+// Role, credential and active changes sign the account out everywhere
+router.put('/users/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { error: validationError, value } = updateUserSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const user = await repositories.users.findById(parseInt(req.params.id));
+    if (!user || user.organization_id !== organizationOf(req)) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'User not found' }
+        });
+    }
+
+    // Don't let the last admin lock everyone out
+    const losesAdmin = user.role === 'admin' && ((value.role && value.role !== 'admin') || value.is_active === false);
+    if (losesAdmin) {
+        const admins = (await repositories.users.list({ organizationId: user.organization_id }))
+            .filter(other => other.role === 'admin' && other.is_active);
+        if (admins.length <= 1) {
+            return res.status(409).json({
+                success: false,
+                error: { message: 'This is the only active admin in your organization - make someone else admin first' }
+            });
+        }
+    }
+
+    const { password, pin, ...changes } = value;
+    if (password !== undefined || pin !== undefined) {
+        const { credential, error } = newCredential({ password, pin });
+        if (error) return validationFailed(res, error);
+        Object.assign(changes, credential);
+    }
+
+    const signsOut = changes.credential_hash || (changes.role && changes.role !== user.role) ||
+        (changes.is_active !== undefined && changes.is_active !== user.is_active);
+    if (signsOut) changes.token_version = (user.token_version || 0) + 1;
+
+    const updated = await repositories.users.update(user.id, changes);
+
+    res.json({
+        success: true,
+        data: publicUser(updated),
+        message: 'Account updated'
+    });
+}));
+
+module.exports = router;
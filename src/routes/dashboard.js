@@ -5,7 +5,8 @@
 
 const express = require('express');
 const path = require('path');
-const { supabase, setLogger: setDatabaseLogger } = require('../config/database');
+const { setLogger: setDatabaseLogger } = require('../config/database');
+const repositories = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandling');
 
 const router = express.Router();
@@ -18,7 +19,7 @@ const MAX_LOGS = 100;
 function addLog(type, message, details = {}) {
     const logEntry = {
         timestamp: new Date().toISOString(),
-        type, // 'info', 'success', 'warning', 'error', 'request', 'supabase', 'tba'
+        type, // 'info', 'success', 'warning', 'error', 'request', 'supabase', 'database', 'tba'
         message,
         details,
         id: Date.now() + Math.random()
@@ -49,15 +50,10 @@ router.get('/', (req, res) => {
 // Get dashboard overview statistics
 router.get('/stats', asyncHandler(async (req, res) => {
     try {
-        // Get teams count
-        const { count: teamsCount } = await supabase
-            .from('teams')
-            .select('*', { count: 'exact', head: true });
-
-        // Get matches count
-        const { count: matchesCount } = await supabase
-            .from('matches')
-            .select('*', { count: 'exact', head: true });
+        const [teamsCount, matchesCount] = await Promise.all([
+            repositories.teams.count(),
+            repositories.matches.count()
+        ]);
 
         res.json({
             success: true,
@@ -12,7 +12,36 @@
 const express = require('express');
 const Joi = require('joi');
 const { supabase } = require('../config/database');
+const repositories = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandling');
+const { requireSupabase } = require('../middleware/backend');
+const {
+    requireRole,
+    requireScouterAccount,
+    scouterIdentity,
+    regionalAllowed,
+    canCreateRegionals
+} = require('../middleware/auth');
+const {
+    gameDefinitionForSeason,
+    loadGameDefinition,
+    buildElementKeys,
+    toMatchRecord,
+    fromMatchRecord
+} = require('../games');
+const {
+    MAX_QR_BYTES,
+    encodeMatchPayload,
+    decodeMatchPayload,
+    payloadGame,
+    payloadClientId,
+    describePayloadFormat
+} = require('../services/matchQr');
+const { buildConsensus } = require('../services/consensus');
+const { publish } = require('../services/liveEvents');
+const { recordChange } = require('../services/audit');
+const { HOST_ORGANIZATION_ID, organizationOf, readableOrganizationIds } = require('../services/organizations');
+const { calculateTeamStatistics } = require('./statistics');
 
 const router = express.Router();
 
@@ -20,46 +49,36 @@ const router = express.Router();
 // VALIDATION SCHEMAS
 // ============================================================================
 
-const matchSchema = Joi.object({
+// Fields every match report has, regardless of the season's game
+const baseMatchSchema = Joi.object({
     team_number: Joi.number().integer().min(1).max(99999).required(),
     match_number: Joi.number().integer().min(1).required(),
-    regional: Joi.string().min(1).max(50).required(),
+    // regional_id, or the regional name older clients send
+    regional: Joi.string().min(1).max(50),
+    regional_id: Joi.number().integer().positive(),
     scouter_name: Joi.string().max(100),
+    comments: Joi.string().max(500).allow(''),
+    // Generated on the tablet so retries can be recognised as duplicates
+    client_id: Joi.string().guid()
+});
+
+// Maximum reports accepted by POST /api/matches/batch
+const MAX_BATCH_SIZE = 200;
 
-    // Pregame
-    starting_position: Joi.string().valid('Amp', 'Middle', 'Source'),
-
-    // Autonomous
-    auto_taxi: Joi.boolean().default(false),
-    auto_m1: Joi.number().integer().min(0).default(0),
-    auto_m2: Joi.number().integer().min(0).default(0),
-    auto_m3: Joi.number().integer().min(0).default(0),
-    auto_m4: Joi.number().integer().min(0).default(0),
-    auto_m5: Joi.number().integer().min(0).default(0),
-    auto_s1: Joi.number().integer().min(0).default(0),
-    auto_s2: Joi.number().integer().min(0).default(0),
-    auto_s3: Joi.number().integer().min(0).default(0),
-    auto_r: Joi.number().integer().min(0).default(0),
-
-    // Teleop
-    teleop_amp_attempts: Joi.number().integer().min(0).default(0),
-    teleop_amp_scored: Joi.number().integer().min(0).default(0),
-    teleop_speaker_attempts: Joi.number().integer().min(0).default(0),
-    teleop_speaker_scored: Joi.number().integer().min(0).default(0),
-    teleop_ground_intake: Joi.number().integer().min(0).default(0),
-    teleop_source_intake: Joi.number().integer().min(0).default(0),
-
-    // Endgame
-    endgame_climb: Joi.string().valid('Nothing', 'Park', 'Single Climb', 'Double Climb', 'Triple Climb'),
-    endgame_trap_count: Joi.number().integer().min(0).max(3).default(0),
-
-    // Postgame
-    driver_rating: Joi.number().integer().min(1).max(5),
-    robot_disabled: Joi.boolean().default(false),
-    played_defense: Joi.boolean().default(false),
-    comments: Joi.string().max(500).allow('')
+const resolveSchema = Joi.object({
+    values: Joi.object().default({}),
+    // Taken from the account when signed in
+    resolved_by: Joi.string().max(100)
 });
 
+/**
+ * Build the match validation schema for a game definition
+ * Game-specific fields (auto_m1, endgame_climb, ...) come from the definition
+ */
+function buildMatchSchema(definition) {
+    return baseMatchSchema.keys(buildElementKeys(definition)).or('regional', 'regional_id');
+}
+
 // ============================================================================
 // ROUTES
 // ============================================================================
@@ -84,13 +103,18 @@ const matchSchema = Joi.object({
  *         name: team_number
  *         schema:
  *           type: integer
- *         description: Filter by team number
+ *         description: Filter by team number (an unknown or trashed team gives an empty list)
  *         example: 589
  *       - in: query
+ *         name: regional_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by regional ID
+ *       - in: query
  *         name: regional
  *         schema:
  *           type: string
- *         description: Filter by regional competition
+ *         description: Filter by regional name (active season's regional)
  *         example: Orange County
  *       - in: query
  *         name: match_number
@@ -99,6 +123,12 @@ const matchSchema = Joi.object({
  *         description: Filter by specific match number
  *         example: 15
  *       - in: query
+ *         name: include_deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include matches in the trash (they have `deleted_at` set)
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -128,91 +158,301 @@ const matchSchema = Joi.object({
  *                       $ref: '#/components/schemas/Pagination'
  */
 router.get('/', asyncHandler(async (req, res) => {
-    const { team_number, regional, match_number, limit = 50, offset = 0 } = req.query;
+    const { team_number, match_number, limit = 50, offset = 0 } = req.query;
 
-    let query = supabase
-        .from('matches')
-        .select(`
-            *,
-            teams:team_id (
-                team_number,
-                team_name
-            )
-        `)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
+    const filters = {
+        matchNumber: match_number ? parseInt(match_number) : undefined,
+        includeDeleted: req.query.include_deleted === 'true',
+        organizationIds: await readableOrganizationIds(req),
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+    };
 
     // Apply filters
+    if (req.query.regional || req.query.regional_id) {
+        const regional = await repositories.regionals.resolve(req.query);
+        if (!regional) {
+            return res.status(404).json({
+                success: false,
+                error: { message: 'Regional not found' }
+            });
+        }
+        filters.regionalId = regional.id;
+    }
+
     if (team_number) {
-        // First get the team ID
-        const { data: teamData } = await supabase
-            .from('teams')
-            .select('id')
-            .eq('team_number', team_number)
-            .single();
-
-        if (teamData) {
-            query = query.eq('team_id', teamData.id);
+        // First get the team ID; a team that doesn't exist (or is trashed) has no matches
+        const team = await repositories.teams.findByNumber(team_number, { includeDeleted: filters.includeDeleted });
+        if (!team) {
+            return res.json({
+                success: true,
+                data: [],
+                pagination: { limit: filters.limit, offset: filters.offset, total: 0 }
+            });
         }
+        filters.teamId = team.id;
     }
 
-    if (regional) {
-        query = query.eq('regional', regional);
+    const { rows, total } = await repositories.matches.list(filters);
+
+    const definitionOf = await gamesForRows(rows);
+
+    res.json({
+        success: true,
+        data: rows.map(match => fromMatchRecord(match, definitionOf(match))),
+        pagination: {
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            total
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/matches/qr/format:
+ *   get:
+ *     summary: Describe the QR payload layout for a regional's game
+ *     description: |
+ *       Field order, enum option indexes and size limit that scouting apps need
+ *       to build QR payloads for `POST /api/matches/qr`. Without a regional, the
+ *       active season's game.
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: query
+ *         name: regional_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payload format
+ */
+router.get('/qr/format', asyncHandler(async (req, res) => {
+    const { definition } = await submissionGame(req.query);
+
+    res.json({
+        success: true,
+        data: describePayloadFormat(definition)
+    });
+}));
+
+/**
+ * @swagger
+ * /api/matches/reports:
+ *   post:
+ *     summary: Submit one scouter's report for a robot in a match
+ *     description: |
+ *       **Use Case**: Two or three scouters watch the same robot.
+ *
+ *       Every scouter's raw report is kept. The match record used for statistics is a
+ *       consensus: median for counts and ratings, majority for booleans and enums like
+ *       `endgame_climb`. Fields where scouters disagree beyond the element's tolerance are
+ *       flagged, and the match waits in the review queue until a lead scout resolves it;
+ *       until then it is left out of team statistics.
+ *
+ *       A scouter re-submitting the same match replaces their earlier report.
+ *       Signed in with an account, the report is stored under the account's name and
+ *       `scouter_name` can be left out.
+ *     tags: [Matches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             team_number: 589
+ *             match_number: 15
+ *             regional: "Orange County"
+ *             scouter_name: "Alex"
+ *             auto_m1: 2
+ *             endgame_climb: "Climb"
+ *     responses:
+ *       201:
+ *         description: Report stored; returns the updated consensus match
+ */
+router.post('/reports', requireSupabase('Multi-scouter reports'), requireScouterAccount, asyncHandler(async (req, res) => {
+    const { regional: knownRegional, definition } = await submissionGame(req.body);
+    // Signed-in scouters report under their account's name
+    const scouterName = req.user ? Joi.string().max(100) : Joi.string().max(100).required();
+    const schema = buildMatchSchema(definition).keys({ scouter_name: scouterName });
+    const { error: validationError, value } = schema.validate(req.body, { noDefaults: true });
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
     }
+    Object.assign(value, scouterIdentity(req));
+
+    const regional = knownRegional || await repositories.regionals.resolve(value, { create: canCreateRegionals(req) });
+    if (!regional) return regionalNotFound(res);
+    if (!regionalAllowed(req, regional.id)) return regionalForbidden(res, regional);
+
+    const team = await repositories.teams.findOrCreate(value.team_number, regional);
+    if (team.deleted_at) return res.status(409).json({ success: false, error: { message: teamInTrash(team) } });
+    const key = {
+        organization_id: organizationOf(req),
+        team_id: team.id,
+        regional_id: regional.id,
+        regional: regional.regional_name,
+        match_number: value.match_number
+    };
 
-    if (match_number) {
-        query = query.eq('match_number', match_number);
+    const { rows: [before] } = await repositories.matches.list({
+        teamId: team.id, regionalId: regional.id, matchNumber: value.match_number, organizationIds: [key.organization_id], limit: 1
+    });
+    await seedLegacyReport(key, definition);
+
+    const reportData = {};
+    for (const element of definition.elements) {
+        if (element.key in value) reportData[element.key] = value[element.key];
     }
 
-    const { data, error, count } = await query;
+    const { data: report, error } = await supabase
+        .from('scouting_reports')
+        .upsert({
+            ...key,
+            scouter_name: value.scouter_name,
+            scouter_user_id: value.scouter_user_id,
+            client_id: value.client_id,
+            comments: value.comments,
+            report_data: reportData,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'organization_id,team_id,regional_id,match_number,scouter_name' })
+        .select()
+        .single();
 
     if (error) {
         throw new Error(`Database error: ${error.message}`);
     }
 
-    res.json({
+    const match = await recomputeConsensus(key, definition);
+    announceMatch(match.report_count > 1 ? 'match.updated' : 'match.created', match);
+    await recordChange(req, {
+        entityType: 'match',
+        entityId: match.id,
+        action: before ? 'update' : 'create',
+        before,
+        after: match,
+        details: { report_id: report.id, scouter_name: report.scouter_name }
+    });
+
+    try {
+        await calculateTeamStatistics(team.id, regional.id, key.organization_id);
+    } catch (statsError) {
+        console.error('Error calculating statistics:', statsError);
+    }
+
+    res.status(201).json({
         success: true,
-        data: data,
-        pagination: {
-            limit: parseInt(limit),
-            offset: parseInt(offset),
-            total: count
-        }
+        data: {
+            report,
+            match: fromMatchRecord(match, definition),
+            review_status: match.review_status,
+            disagreements: match.disagreements
+        },
+        message: match.review_status === 'conflict'
+            ? 'Report stored - scouters disagree, match added to the review queue'
+            : 'Report stored'
     });
 }));
 
 /**
- * GET /api/matches/:id
- * Get a specific match by ID
+ * @swagger
+ * /api/matches/review-queue:
+ *   get:
+ *     summary: Matches where scouters disagree
+ *     description: |
+ *       Consensus matches with unresolved disagreements, oldest match first. Each entry lists
+ *       the flagged fields with every scouter's value. Resolve with `POST /api/matches/{id}/resolve`.
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: query
+ *         name: regional_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: regional
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team_number
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review queue
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-    const { id } = req.params;
+router.get('/review-queue', requireSupabase('The review queue'), asyncHandler(async (req, res) => {
+    const { team_number } = req.query;
 
-    const { data, error } = await supabase
+    let query = supabase
         .from('matches')
         .select(`
-            *,
-            teams:team_id (
+            id,
+            match_number,
+            regional,
+            regional_id,
+            report_count,
+            disagreements,
+            updated_at,
+            teams:team_id!inner (
                 team_number,
                 team_name
             )
         `)
-        .eq('id', id)
-        .single();
+        .eq('review_status', 'conflict')
+        .eq('organization_id', organizationOf(req))
+        .is('deleted_at', null)
+        .order('match_number', { ascending: true });
+
+    if (req.query.regional || req.query.regional_id) {
+        const regional = await repositories.regionals.resolve(req.query);
+        if (!regional) return regionalNotFound(res);
+        query = query.eq('regional_id', regional.id);
+    }
+
+    if (team_number) {
+        query = query.eq('teams.team_number', team_number);
+    }
+
+    const { data, error } = await query;
 
     if (error) {
-        if (error.code === 'PGRST116') { // Not found
-            return res.status(404).json({
-                success: false,
-                error: { message: 'Match not found' }
-            });
-        }
         throw new Error(`Database error: ${error.message}`);
     }
 
     res.json({
         success: true,
-        data: data
+        data,
+        count: data.length
+    });
+}));
+
+/**
+ * GET /api/matches/:id
+ * Get a specific match by ID (?include_deleted=true finds it in the trash too)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const data = await repositories.matches.findById(id, {
+        includeDeleted: req.query.include_deleted === 'true',
+        organizationIds: await readableOrganizationIds(req)
+    });
+
+    if (!data) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Match not found' }
+        });
+    }
+
+    const definition = await loadGameDefinition({ regionalId: data.regional_id });
+
+    res.json({
+        success: true,
+        data: fromMatchRecord(data, definition)
     });
 }));
 
@@ -291,9 +531,10 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *               error:
  *                 message: "\"teleop_amp_scored\" must be less than or equal to ref:teleop_amp_attempts"
  */
-router.post('/', asyncHandler(async (req, res) => {
-    // Validate input data
-    const { error: validationError, value } = matchSchema.validate(req.body);
+router.post('/', requireScouterAccount, asyncHandler(async (req, res) => {
+    // Validate input data against the regional's game
+    const { regional: knownRegional, definition } = await submissionGame(req.body);
+    const { error: validationError, value } = buildMatchSchema(definition).validate(req.body);
     if (validationError) {
         return res.status(400).json({
             success: false,
@@ -301,57 +542,55 @@ router.post('/', asyncHandler(async (req, res) => {
         });
     }
 
-    // Get or create team
-    let { data: team } = await supabase
-        .from('teams')
-        .select('id')
-        .eq('team_number', value.team_number)
-        .eq('regional', value.regional)
-        .single();
+    // Retried submission? Return the record we already have
+    if (value.client_id) {
+        const [existing] = (await repositories.matches.findByClientIds([value.client_id]))
+            .filter(match => match.organization_id === organizationOf(req));
 
-    if (!team) {
-        // Create team if it doesn't exist
-        const { data: newTeam, error: teamError } = await supabase
-            .from('teams')
-            .insert({
-                team_number: value.team_number,
-                regional: value.regional,
-                team_name: `Team ${value.team_number}` // Default name
-            })
-            .select()
-            .single();
-
-        if (teamError) {
-            throw new Error(`Error creating team: ${teamError.message}`);
+        if (existing?.deleted_at) {
+            return res.status(409).json({
+                success: false,
+                error: { message: `This match was submitted and then deleted - restore match ${existing.id} from the trash instead` }
+            });
+        }
+        if (existing) {
+            return res.json({
+                success: true,
+                data: fromMatchRecord(existing, definition),
+                message: 'Match already submitted'
+            });
         }
-
-        team = newTeam;
     }
 
+    // Regional names from older clients are added to the active season
+    const regional = knownRegional || await repositories.regionals.resolve(value, { create: canCreateRegionals(req) });
+    if (!regional) return regionalNotFound(res);
+    if (!regionalAllowed(req, regional.id)) return regionalForbidden(res, regional);
+
+    // Get or create team
+    const team = await repositories.teams.findOrCreate(value.team_number, regional);
+    if (team.deleted_at) return res.status(409).json({ success: false, error: { message: teamInTrash(team) } });
+
     // Create match record
-    const matchData = { ...value, team_id: team.id };
+    const matchData = {
+        ...toMatchRecord(value, definition),
+        ...scouterIdentity(req), // Signed-in scouters submit under their account's name
+        organization_id: organizationOf(req),
+        team_id: team.id,
+        regional: regional.regional_name,
+        regional_id: regional.id
+    };
     delete matchData.team_number; // Remove since we now have team_id
 
-    const { data, error } = await supabase
-        .from('matches')
-        .insert(matchData)
-        .select(`
-            *,
-            teams:team_id (
-                team_number,
-                team_name
-            )
-        `)
-        .single();
+    const data = await repositories.matches.create(matchData);
 
-    if (error) {
-        throw new Error(`Error creating match: ${error.message}`);
-    }
+    announceMatch('match.created', data);
+    await recordChange(req, { entityType: 'match', entityId: data.id, action: 'create', after: data });
 
     // Trigger statistics recalculation (async)
     // Note: In a real app, you might use a queue system for this
     try {
-        await calculateTeamStatistics(team.id, value.regional);
+        await calculateTeamStatistics(team.id, regional.id, matchData.organization_id);
     } catch (statsError) {
         console.error('Error calculating statistics:', statsError);
         // Don't fail the request if stats calculation fails
@@ -359,11 +598,367 @@ router.post('/', asyncHandler(async (req, res) => {
 
     res.status(201).json({
         success: true,
-        data: data,
+        data: fromMatchRecord(data, definition),
         message: 'Match created successfully'
     });
 }));
 
+/**
+ * @swagger
+ * /api/matches/batch:
+ *   post:
+ *     summary: Submit many match reports at once (offline sync)
+ *     description: |
+ *       **Use Case**: A scouting tablet that was offline uploads everything it collected.
+ *
+ *       Each report needs a `client_id` (a UUID generated on the tablet). Re-sending the
+ *       same report is safe: it is reported as `duplicate` instead of being inserted twice.
+ *       Every report is validated like `POST /api/matches`, and the response lists a result
+ *       per report (`created`, `duplicate` or `rejected` with a reason).
+ *
+ *       Statistics are recalculated once per affected team, after all inserts.
+ *     tags: [Matches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             reports:
+ *               - client_id: "5b1f3c1e-8a8e-4c47-9a53-0f7a5d0e2c11"
+ *                 team_number: 589
+ *                 match_number: 15
+ *                 regional: "Orange County"
+ *                 auto_taxi: true
+ *                 endgame_climb: "Park"
+ *     responses:
+ *       200:
+ *         description: Per-report results
+ */
+router.post('/batch', requireScouterAccount, asyncHandler(async (req, res) => {
+    const reports = req.body?.reports;
+
+    if (!Array.isArray(reports) || reports.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'reports must be a non-empty array' }
+        });
+    }
+
+    if (reports.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+            success: false,
+            error: { message: `A batch can contain at most ${MAX_BATCH_SIZE} reports` }
+        });
+    }
+
+    const { summary, results } = await ingestReports(reports, {
+        request: req,
+        scouter: scouterIdentity(req),
+        organizationId: organizationOf(req),
+        regionalIds: req.auth?.regionalIds
+    });
+
+    res.json({
+        success: true,
+        summary,
+        results
+    });
+}));
+
+/**
+ * @swagger
+ * /api/matches/qr:
+ *   post:
+ *     summary: Ingest match reports scanned from QR codes
+ *     description: |
+ *       **Use Case**: No Wi-Fi at the venue. Scouting devices show a QR code per match and
+ *       a lead scout scans them into one connected device.
+ *
+ *       Send one scanned string as `payload` or several as `payloads`. Each is decoded
+ *       (see `GET /api/matches/qr/format`) and stored exactly like `POST /api/matches/batch`,
+ *       so scanning the same code twice is reported as a duplicate.
+ *     tags: [Matches]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             payloads:
+ *               - "589M1|crescendo_2024|1|5b1f3c1e-8a8e-4c47-9a53-0f7a5d0e2c11|589|15|Orange County|Alex||1|1|1"
+ *     responses:
+ *       200:
+ *         description: Per-payload results
+ */
+router.post('/qr', asyncHandler(async (req, res) => {
+    const payloads = req.body?.payloads ?? (req.body?.payload !== undefined ? [req.body.payload] : null);
+
+    if (!Array.isArray(payloads) || payloads.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'Provide a payload string or a non-empty payloads array' }
+        });
+    }
+
+    if (payloads.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+            success: false,
+            error: { message: `At most ${MAX_BATCH_SIZE} payloads can be sent at once` }
+        });
+    }
+
+    const games = await payloadGames();
+
+    // Decode first; malformed payloads are rejected without touching the database
+    const decoded = [];
+    const rejected = [];
+    for (const [index, payload] of payloads.entries()) {
+        try {
+            const definition = games.definitionOf(payload);
+            const report = decodeMatchPayload(payload, definition);
+            report.client_id = report.client_id ?? payloadClientId(payload);
+            if (report.regional) report.regional_id = await games.regionalIdOf(report.regional, definition);
+            decoded.push({ index, report });
+        } catch (decodeError) {
+            rejected.push({ index, client_id: null, status: 'rejected', error: decodeError.message });
+        }
+    }
+
+    const { results: ingested } = await ingestReports(decoded.map(item => item.report), {
+        request: req,
+        organizationId: organizationOf(req),
+        regionalIds: req.auth?.regionalIds
+    });
+
+    const results = [
+        ...rejected,
+        ...ingested.map((result, i) => ({ ...result, index: decoded[i].index }))
+    ].sort((a, b) => a.index - b.index);
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    res.json({
+        success: true,
+        summary: {
+            received: payloads.length,
+            created: count('created'),
+            duplicate: count('duplicate'),
+            rejected: count('rejected')
+        },
+        results
+    });
+}));
+
+/**
+ * @swagger
+ * /api/matches/{id}/qr:
+ *   get:
+ *     summary: Render a stored match as a QR payload
+ *     description: |
+ *       Returns the payload string for a stored match so a lead scout can show it as a
+ *       QR code and re-share the data with another device.
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payload string
+ *       404:
+ *         description: Match not found
+ */
+router.get('/:id/qr', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const data = await repositories.matches.findById(id, { organizationIds: await readableOrganizationIds(req) });
+
+    if (!data) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Match not found' }
+        });
+    }
+
+    const definition = await loadGameDefinition({ regionalId: data.regional_id });
+    const match = fromMatchRecord(data, definition);
+    const payload = encodeMatchPayload({ ...match, team_number: data.teams?.team_number }, definition);
+    const bytes = Buffer.byteLength(payload, 'utf8');
+
+    res.json({
+        success: true,
+        data: {
+            match_id: data.id,
+            payload,
+            bytes,
+            fits_single_qr: bytes <= MAX_QR_BYTES
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/matches/{id}/reports:
+ *   get:
+ *     summary: Raw scouter reports behind a consensus match
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reports, oldest first
+ *       404:
+ *         description: Match not found
+ */
+router.get('/:id/reports', requireSupabase('Multi-scouter reports'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { data: match } = await supabase
+        .from('matches')
+        .select('id, organization_id, team_id, regional, regional_id, match_number, review_status, disagreements')
+        .eq('id', id)
+        .in('organization_id', await readableOrganizationIds(req))
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (!match) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Match not found' }
+        });
+    }
+
+    const reports = await loadReports(match);
+
+    res.json({
+        success: true,
+        data: {
+            match_id: match.id,
+            review_status: match.review_status,
+            disagreements: match.disagreements,
+            reports
+        }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/matches/{id}/resolve:
+ *   post:
+ *     summary: Resolve scouter disagreements on a match
+ *     description: |
+ *       The lead scout picks the correct value for flagged fields. Any flagged field not
+ *       given in `values` keeps the computed consensus. The resolved match then counts
+ *       towards team statistics again. Leads and admins only.
+ *     tags: [Matches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             resolved_by: "Lead Scout"
+ *             values:
+ *               endgame_climb: "Climb"
+ *     responses:
+ *       200:
+ *         description: Resolved consensus match
+ *       404:
+ *         description: Match not found
+ */
+router.post('/:id/resolve', requireRole('lead'), requireSupabase('Multi-scouter reports'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { error: validationError, value } = resolveSchema.validate(req.body);
+
+    if (validationError || (!req.user && !value.resolved_by)) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError ? validationError.details[0].message : '"resolved_by" is required' }
+        });
+    }
+
+    const { data: match } = await supabase
+        .from('matches')
+        .select('id, organization_id, team_id, regional, regional_id, match_number, disagreements, resolved_values')
+        .eq('id', id)
+        .eq('organization_id', organizationOf(req))
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (!match) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Match not found' }
+        });
+    }
+
+    const definition = await loadGameDefinition({ regionalId: match.regional_id });
+    const { error: valuesError, value: values } = Joi.object(buildElementKeys(definition))
+        .validate(value.values, { noDefaults: true });
+
+    if (valuesError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: valuesError.details[0].message }
+        });
+    }
+
+    const before = await repositories.matches.findById(match.id);
+
+    // Accept the computed consensus for anything the lead scout didn't override
+    const resolvedValues = { ...match.resolved_values };
+    for (const disagreement of match.disagreements || []) {
+        resolvedValues[disagreement.field] = disagreement.consensus;
+    }
+    Object.assign(resolvedValues, values);
+
+    const { error } = await supabase
+        .from('matches')
+        .update({
+            resolved_values: resolvedValues,
+            resolved_by: req.user ? req.user.display_name : value.resolved_by,
+            resolved_at: new Date().toISOString()
+        })
+        .eq('id', id);
+
+    if (error) {
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const updated = await recomputeConsensus(match, definition);
+    announceMatch('match.updated', updated);
+    await recordChange(req, {
+        entityType: 'match',
+        entityId: updated.id,
+        action: 'update',
+        before,
+        after: updated,
+        details: { resolved_by: updated.resolved_by }
+    });
+
+    try {
+        await calculateTeamStatistics(match.team_id, match.regional_id, match.organization_id);
+    } catch (statsError) {
+        console.error('Error calculating statistics:', statsError);
+    }
+
+    res.json({
+        success: true,
+        data: fromMatchRecord(updated, definition),
+        message: 'Match resolved'
+    });
+}));
+
 /**
  * PUT /api/matches/:id
  * Update an existing match
@@ -371,9 +966,22 @@ router.post('/', asyncHandler(async (req, res) => {
 router.put('/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    // Validate input data (partial update allowed)
-    const updateSchema = matchSchema.fork(Object.keys(matchSchema.describe().keys), (schema) => schema.optional());
-    const { error: validationError, value } = updateSchema.validate(req.body);
+    const existing = await repositories.matches.findById(id, { organizationIds: [organizationOf(req)] });
+    if (!existing) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Match not found' }
+        });
+    }
+    if (!regionalAllowed(req, existing.regional_id)) return regionalForbidden(res, existing);
+
+    // Validate input data against the match's game (partial update allowed)
+    const definition = await loadGameDefinition({ regionalId: existing.regional_id });
+    const schema = baseMatchSchema.keys(buildElementKeys(definition));
+    const updateSchema = schema
+        .fork(Object.keys(schema.describe().keys), (field) => field.optional())
+        .keys({ client_id: Joi.forbidden() });
+    const { error: validationError, value } = updateSchema.validate(req.body, { noDefaults: true });
 
     if (validationError) {
         return res.status(400).json({
@@ -382,57 +990,50 @@ router.put('/:id', asyncHandler(async (req, res) => {
         });
     }
 
+    // Moving the match to another regional keeps the name and ID in step
+    if (value.regional !== undefined || value.regional_id !== undefined) {
+        const regional = await repositories.regionals.resolve(value, { create: canCreateRegionals(req) });
+        if (!regional) return regionalNotFound(res);
+        if (!regionalAllowed(req, regional.id)) return regionalForbidden(res, regional);
+        value.regional = regional.regional_name;
+        value.regional_id = regional.id;
+    }
+
+    // JSON-stored games merge into the existing game_data
+    const existingGameData = definition.storage !== 'columns' ? existing.game_data || {} : {};
+
     // Update match
-    const { data, error } = await supabase
-        .from('matches')
-        .update({ ...value, updated_at: new Date().toISOString() })
-        .eq('id', id)
-        .select(`
-            *,
-            teams:team_id (
-                team_number,
-                team_name
-            )
-        `)
-        .single();
+    const data = await repositories.matches.update(id, {
+        ...toMatchRecord(value, definition, existingGameData),
+        updated_at: new Date().toISOString()
+    });
 
-    if (error) {
-        if (error.code === 'PGRST116') { // Not found
-            return res.status(404).json({
-                success: false,
-                error: { message: 'Match not found' }
-            });
-        }
-        throw new Error(`Database error: ${error.message}`);
-    }
+    announceMatch('match.updated', data);
+    await recordChange(req, { entityType: 'match', entityId: data.id, action: 'update', before: existing, after: data });
 
     // Trigger statistics recalculation
     try {
-        await calculateTeamStatistics(data.team_id, data.regional);
+        await calculateTeamStatistics(data.team_id, data.regional_id, data.organization_id);
     } catch (statsError) {
         console.error('Error calculating statistics:', statsError);
     }
 
     res.json({
         success: true,
-        data: data,
+        data: fromMatchRecord(data, definition),
         message: 'Match updated successfully'
     });
 }));
 
 /**
  * DELETE /api/matches/:id
- * Delete a match
+ * Move a match to the trash (restore it with POST /api/trash/matches/:id/restore)
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requireRole('lead'), asyncHandler(async (req, res) => {
     const { id } = req.params;
 
     // Get match info before deletion for stats recalculation
-    const { data: matchData } = await supabase
-        .from('matches')
-        .select('team_id, regional')
-        .eq('id', id)
-        .single();
+    const matchData = await repositories.matches.findById(id, { organizationIds: [organizationOf(req)] });
 
     if (!matchData) {
         return res.status(404).json({
@@ -440,27 +1041,24 @@ router.delete('/:id', asyncHandler(async (req, res) => {
             error: { message: 'Match not found' }
         });
     }
+    if (!regionalAllowed(req, matchData.regional_id)) return regionalForbidden(res, matchData);
 
-    // Delete match
-    const { error } = await supabase
-        .from('matches')
-        .delete()
-        .eq('id', id);
+    // Soft delete: the match (and the raw scouter reports behind it) stay until purged
+    await repositories.matches.remove(id);
 
-    if (error) {
-        throw new Error(`Database error: ${error.message}`);
-    }
+    announceMatch('match.deleted', matchData);
+    await recordChange(req, { entityType: 'match', entityId: matchData.id, action: 'delete', before: matchData });
 
     // Recalculate statistics
     try {
-        await calculateTeamStatistics(matchData.team_id, matchData.regional);
+        await calculateTeamStatistics(matchData.team_id, matchData.regional_id, matchData.organization_id);
     } catch (statsError) {
         console.error('Error calculating statistics:', statsError);
     }
 
     res.json({
         success: true,
-        message: 'Match deleted successfully'
+        message: 'Match moved to the trash'
     });
 }));
 
@@ -469,40 +1067,376 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 // ============================================================================
 
 /**
- * Calculate team statistics based on match data
- * This will be expanded in the statistics module
+ * The regional a submission names (if it exists yet) and the game to validate it with
+ * Regionals of earlier seasons keep their own game after a new season is
+ * activated. A new regional name is added to the active season, so it gets
+ * that season's game.
+ */
+async function submissionGame(body) {
+    // Malformed references are left for validation to report
+    const regional = await repositories.regionals.resolve(body || {}).catch(() => null);
+    return { regional, definition: await loadGameDefinition({ regionalId: regional?.id }) };
+}
+
+/**
+ * Each stored row's game, loaded once per regional
+ * @returns {Promise<Function>} row => definition
  */
-async function calculateTeamStatistics(teamId, regional) {
-    // This is a placeholder - the full implementation will be in the statistics service
-    console.log(`Recalculating statistics for team ${teamId} in ${regional}`);
+async function gamesForRows(rows) {
+    const regionalIds = [...new Set(rows.map(row => row.regional_id))];
+    const definitions = new Map(await Promise.all(
+        regionalIds.map(async regionalId => [regionalId, await loadGameDefinition({ regionalId })])
+    ));
+    return (row) => definitions.get(row.regional_id);
+}
 
-    // Get all matches for this team
-    const { data: matches } = await supabase
+/**
+ * The games QR payloads can be encoded for, out of every season's
+ * A game no season uses falls back to the active one, whose decoder names the mismatch.
+ */
+async function payloadGames() {
+    const active = await loadGameDefinition();
+    const seasons = await repositories.seasons.list({ includeArchived: true });
+    const games = seasons
+        .sort((a, b) => Number(b.is_active) - Number(a.is_active))
+        .map(season => ({ season, definition: gameDefinitionForSeason(season) }));
+    const sameGame = (definition, gameKey, version) => definition.game_key === gameKey && (definition.version ?? 1) === version;
+
+    return {
+        definitionOf(payload) {
+            const { gameKey, version } = payloadGame(payload);
+            return games.find(game => sameGame(game.definition, gameKey, version))?.definition || active;
+        },
+
+        // Payloads carry the regional's name, which repeats every season: use the one scouted with this game
+        async regionalIdOf(name, definition) {
+            for (const { season } of games.filter(game => sameGame(game.definition, definition.game_key, definition.version ?? 1))) {
+                const regional = await repositories.regionals.findByName(name, { seasonId: season.id });
+                if (regional) return regional.id;
+            }
+            return undefined;
+        }
+    };
+}
+
+/**
+ * Validate and store a list of match reports idempotently
+ * Shared by batch upload and QR ingest. Every report needs a client_id;
+ * reports already stored (or repeated in the list) come back as duplicates.
+ * Each report is validated against its own regional's game.
+ *
+ * @param {object} [options]
+ * @param {object} [options.request] - The upload's request, for the audit log
+ * @param {object} [options.scouter] - Account the reports are stored under (see scouterIdentity)
+ * @param {number} [options.organizationId] - Organization the reports belong to
+ * @param {number[]} [options.regionalIds] - The only regionals the caller's API key may write to
+ * @returns {{ summary: object, results: Array<{ index, client_id, status, id?, error? }> }}
+ */
+async function ingestReports(reports, {
+    request,
+    scouter = {},
+    organizationId = HOST_ORGANIZATION_ID,
+    regionalIds = null
+} = {}) {
+    const results = reports.map((report, index) => ({ index, client_id: report?.client_id ?? null }));
+    const accepted = [];
+    const seen = new Set();
+
+    // Each report's regional decides its game; look each one up once
+    const games = new Map();
+    async function gameOf(report) {
+        const reference = report?.regional_id != null ? `id:${report.regional_id}` : `name:${report?.regional}`;
+        if (!games.has(reference)) {
+            const { definition } = await submissionGame(report);
+            const schema = buildMatchSchema(definition).keys({ client_id: Joi.string().guid().required() });
+            games.set(reference, { definition, schema });
+        }
+        return games.get(reference);
+    }
+
+    // 1. Validate every report and drop repeats within this batch
+    for (const [index, report] of reports.entries()) {
+        const { definition, schema } = await gameOf(report);
+        const { error: validationError, value } = schema.validate(report);
+        if (validationError) {
+            Object.assign(results[index], { status: 'rejected', error: validationError.details[0].message });
+        } else if (seen.has(value.client_id)) {
+            results[index].status = 'duplicate';
+        } else {
+            seen.add(value.client_id);
+            accepted.push({ index, value, definition });
+        }
+    }
+
+    // 2. Anything already stored from an earlier upload is a duplicate
+    if (accepted.length > 0) {
+        const existing = await repositories.matches.findByClientIds(accepted.map(item => item.value.client_id));
+
+        // Another organization's match with the same client_id is skipped on insert, without its ID
+        const existingIds = new Map(existing
+            .filter(row => row.organization_id === organizationId)
+            .map(row => [row.client_id, row.id]));
+        for (let i = accepted.length - 1; i >= 0; i--) {
+            const id = existingIds.get(accepted[i].value.client_id);
+            if (id !== undefined) {
+                Object.assign(results[accepted[i].index], { status: 'duplicate', id });
+                accepted.splice(i, 1);
+            }
+        }
+    }
+
+    // 3. Resolve regionals and teams once each
+    const regionals = new Map();
+    const teams = new Map();
+    for (let i = accepted.length - 1; i >= 0; i--) {
+        const item = accepted[i];
+        const regionalKey = item.value.regional_id !== undefined ? `id:${item.value.regional_id}` : `name:${item.value.regional}`;
+        if (!regionals.has(regionalKey)) {
+            regionals.set(regionalKey, await repositories.regionals.resolve(item.value, { create: !regionalIds }));
+        }
+        const regional = regionals.get(regionalKey);
+        if (!regional || (regionalIds && !regionalIds.includes(regional.id))) {
+            const error = regional ? 'API key cannot write data for this regional' : 'Regional not found';
+            Object.assign(results[item.index], { status: 'rejected', error });
+            accepted.splice(i, 1);
+            continue;
+        }
+
+        const key = `${item.value.team_number}|${regional.id}`;
+        if (!teams.has(key)) {
+            teams.set(key, await repositories.teams.findOrCreate(item.value.team_number, regional));
+        }
+        const team = teams.get(key);
+        if (team.deleted_at) {
+            Object.assign(results[item.index], { status: 'rejected', error: teamInTrash(team) });
+            accepted.splice(i, 1);
+            continue;
+        }
+        item.record = {
+            ...toMatchRecord(item.value, item.definition),
+            ...scouter,
+            organization_id: organizationId,
+            team_id: team.id,
+            regional: regional.regional_name,
+            regional_id: regional.id
+        };
+        delete item.record.team_number;
+    }
+
+    // 4. Insert. Client IDs stored by a concurrent retry are skipped, not errors
+    if (accepted.length > 0) {
+        let inserted = null;
+        try {
+            inserted = await repositories.matches.insertMany(accepted.map(item => item.record));
+        } catch (error) {
+            // One bad row (e.g. a unique constraint) fails a bulk insert; retry row by row
+            for (const item of accepted) {
+                try {
+                    const [row] = await repositories.matches.insertMany([item.record]);
+                    Object.assign(results[item.index], row ? { status: 'created', id: row.id } : { status: 'duplicate' });
+                } catch (rowError) {
+                    Object.assign(results[item.index], { status: 'rejected', error: rowError.message });
+                }
+            }
+        }
+
+        if (inserted) {
+            const insertedIds = new Map(inserted.map(row => [row.client_id, row.id]));
+            for (const item of accepted) {
+                const id = insertedIds.get(item.value.client_id);
+                Object.assign(results[item.index], id !== undefined ? { status: 'created', id } : { status: 'duplicate' });
+            }
+        }
+    }
+
+    // 5. Announce new matches and recalculate statistics once per affected team
+    const affected = new Map();
+    for (const item of accepted) {
+        if (results[item.index].status === 'created') {
+            const match = { ...item.record, id: results[item.index].id, teams: { team_number: item.value.team_number } };
+            announceMatch('match.created', match);
+            if (request) await recordChange(request, { entityType: 'match', entityId: match.id, action: 'create', after: match });
+            affected.set(`${item.record.team_id}|${item.record.regional_id}`, item);
+        }
+    }
+
+    for (const item of affected.values()) {
+        try {
+            await calculateTeamStatistics(item.record.team_id, item.record.regional_id, organizationId);
+        } catch (statsError) {
+            console.error('Error calculating statistics:', statsError);
+        }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    return {
+        summary: {
+            received: reports.length,
+            created: count('created'),
+            duplicate: count('duplicate'),
+            rejected: count('rejected'),
+            teams_recalculated: affected.size
+        },
+        results
+    };
+}
+
+/**
+ * Tell live stream clients about a match change
+ * Sends the identifying fields only; clients fetch the full record if they need it.
+ */
+function announceMatch(type, match) {
+    const teamNumber = match.teams?.team_number;
+    publish(type, {
+        id: match.id,
+        team_number: teamNumber,
+        regional: match.regional,
+        regional_id: match.regional_id,
+        match_number: match.match_number,
+        review_status: match.review_status
+    }, {
+        regional: match.regional,
+        regional_id: match.regional_id,
+        team_number: teamNumber,
+        organization_id: match.organization_id
+    });
+}
+
+/**
+ * Raw scouter reports for one team in one match, oldest first
+ */
+async function loadReports({ organization_id, team_id, regional_id, match_number }) {
+    const { data, error } = await supabase
+        .from('scouting_reports')
+        .select('*')
+        .eq('organization_id', organization_id)
+        .eq('team_id', team_id)
+        .eq('regional_id', regional_id)
+        .eq('match_number', match_number)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Keep a match submitted through POST /api/matches when a second scouter reports it
+ * That match has no raw report yet, so it becomes the first one.
+ */
+async function seedLegacyReport(key, definition) {
+    const { data: match } = await supabase
         .from('matches')
         .select('*')
-        .eq('team_id', teamId)
-        .eq('regional', regional);
+        .eq('organization_id', key.organization_id)
+        .eq('team_id', key.team_id)
+        .eq('regional_id', key.regional_id)
+        .eq('match_number', key.match_number)
+        .maybeSingle();
 
-    if (!matches || matches.length === 0) {
+    if (!match || match.report_count > 0) {
         return;
     }
 
-    // Calculate basic statistics (this is a simplified example)
-    const totalMatches = matches.length;
-    const taxiRate = matches.filter(m => m.auto_taxi).length / totalMatches * 100;
+    const flattened = fromMatchRecord(match, definition);
+    const reportData = {};
+    for (const element of definition.elements) {
+        if (flattened[element.key] !== undefined && flattened[element.key] !== null) {
+            reportData[element.key] = flattened[element.key];
+        }
+    }
 
-    // Store statistics
     await supabase
-        .from('team_statistics')
+        .from('scouting_reports')
         .upsert({
-            team_id: teamId,
-            regional: regional,
-            stat_category: 'auto',
-            stat_name: 'taxi_rate',
-            stat_value: taxiRate,
-            stat_fraction: `${matches.filter(m => m.auto_taxi).length}/${totalMatches}`,
-            total_matches: totalMatches
-        });
+            ...key,
+            scouter_name: match.scouter_name || 'Unknown',
+            client_id: match.client_id,
+            comments: match.comments,
+            report_data: reportData,
+            created_at: match.created_at
+        }, { onConflict: 'organization_id,team_id,regional_id,match_number,scouter_name', ignoreDuplicates: true });
+}
+
+/**
+ * Rebuild the consensus match for one team in one match from its raw reports
+ * Creates the match on the first report. Returns the stored row.
+ */
+async function recomputeConsensus(key, definition) {
+    const { organization_id, team_id, regional_id, regional, match_number } = key;
+
+    const [reports, { data: existing }] = await Promise.all([
+        loadReports(key),
+        supabase
+            .from('matches')
+            .select('id, game_data, resolved_values')
+            .eq('organization_id', organization_id)
+            .eq('team_id', team_id)
+            .eq('regional_id', regional_id)
+            .eq('match_number', match_number)
+            .maybeSingle()
+    ]);
+
+    const consensus = buildConsensus(reports, definition, existing?.resolved_values || {});
+
+    const record = {
+        ...toMatchRecord(consensus.values, definition, existing?.game_data || {}),
+        organization_id,
+        team_id,
+        regional,
+        regional_id,
+        match_number,
+        scouter_name: reports.map(report => report.scouter_name).join(', '),
+        comments: consensus.comments,
+        review_status: consensus.status,
+        report_count: reports.length,
+        disagreements: consensus.disagreements,
+        deleted_at: null, // A new report for a trashed match brings it back
+        updated_at: new Date().toISOString()
+    };
+
+    const query = existing
+        ? supabase.from('matches').update(record).eq('id', existing.id)
+        : supabase.from('matches').insert(record);
+
+    const { data, error } = await query
+        .select(`
+            *,
+            teams:team_id (
+                team_number,
+                team_name
+            )
+        `)
+        .single();
+
+    if (error) {
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+
+function regionalNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: { message: 'Regional not found' }
+    });
+}
+
+// A regional-restricted API key writing somewhere else
+function regionalForbidden(res, { regional_name, regional }) {
+    return res.status(403).json({
+        success: false,
+        error: { message: `This API key cannot write data for ${regional_name || regional}` }
+    });
+}
+
+function teamInTrash(team) {
+    return `Team ${team.team_number} is in the trash - restore it first (POST /api/trash/teams/${team.id}/restore)`;
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,221 @@
+/**
+ * Organization Routes
+ * Scouting groups on this deployment and what they share with each other
+ *
+ * Every account and API key belongs to an organization, and its scouting
+ * stays inside it (see src/services/organizations.js). Admins of the host
+ * organization add new ones together with their first admin; from then on
+ * each organization's admins run their own accounts, keys and sharing.
+ * Starting or stopping a share recalculates the partner's statistics so
+ * they include (or drop) the shared matches straight away.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole } = require('../middleware/auth');
+const { credentialError, hashCredential, publicUser } = require('../services/accounts');
+const { HOST_ORGANIZATION_ID, organizationOf, isHostOrganization } = require('../services/organizations');
+const { recalculateSharedStatistics } = require('./statistics');
+
+const router = express.Router();
+
+const slug = Joi.string().pattern(/^[a-z0-9-]+$/).min(2).max(50);
+
+const createOrganizationSchema = Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    slug: slug.required(),
+    team_number: Joi.number().integer().min(1).max(99999).allow(null),
+    // Its first admin account
+    admin: Joi.object({
+        username: Joi.string().pattern(/^[a-zA-Z0-9._-]+$/).min(2).max(50).required(),
+        display_name: Joi.string().min(1).max(100).required(),
+        password: Joi.string(),
+        pin: Joi.string()
+    }).xor('password', 'pin').required()
+});
+
+const updateOrganizationSchema = Joi.object({
+    name: Joi.string().min(1).max(100),
+    slug,
+    team_number: Joi.number().integer().min(1).max(99999).allow(null)
+}).min(1);
+
+const shareSchema = Joi.object({
+    organization_id: Joi.number().integer().positive(),
+    slug: Joi.string().max(50)
+}).xor('organization_id', 'slug');
+
+// What other organizations see of one
+const publicOrganization = ({ id, name, slug, team_number }) => ({ id, name, slug, team_number });
+
+function validationFailed(res, message) {
+    return res.status(400).json({
+        success: false,
+        error: { message }
+    });
+}
+
+function slugTaken(res, value) {
+    return res.status(409).json({
+        success: false,
+        error: { message: `Slug ${value} is taken` }
+    });
+}
+
+// The caller's organization with who it shares with and who shares with it
+async function describe(organizationId) {
+    const [organization, { outgoing, incoming }] = await Promise.all([
+        repositories.organizations.findById(organizationId),
+        repositories.organizations.shares(organizationId)
+    ]);
+
+    return {
+        ...organization,
+        is_host: organizationId === HOST_ORGANIZATION_ID,
+        shares_with: outgoing.map(partner => ({ ...publicOrganization(partner), shared_at: partner.shared_at })),
+        shared_with_us: incoming.map(partner => ({ ...publicOrganization(partner), shared_at: partner.shared_at }))
+    };
+}
+
+// GET /api/organizations - Every organization, to pick sharing partners from
+router.get('/', requireRole('scouter'), asyncHandler(async (req, res) => {
+    const data = (await repositories.organizations.list()).map(publicOrganization);
+
+    res.json({ success: true, data, count: data.length });
+}));
+
+// GET /api/organizations/current - Your organization and its shares
+router.get('/current', requireRole('scouter'), asyncHandler(async (req, res) => {
+    res.json({ success: true, data: await describe(organizationOf(req)) });
+}));
+
+// POST /api/organizations - Add an organization with its first admin (host admins)
+// { "name": "Team 254", "slug": "team-254", "team_number": 254,
+//   "admin": { "username": "...", "display_name": "...", "password": "..." } }
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    if (!isHostOrganization(req)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: 'Only admins of the host organization can add organizations' }
+        });
+    }
+
+    const { error: validationError, value } = createOrganizationSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const { admin } = value;
+    const type = admin.password !== undefined ? 'password' : 'pin';
+    const secret = admin.password !== undefined ? admin.password : admin.pin;
+    const credentialProblem = credentialError(type, secret);
+    if (credentialProblem) return validationFailed(res, credentialProblem);
+
+    // Checked up front so a taken username doesn't leave an organization without an admin
+    if (await repositories.users.findByUsername(admin.username)) {
+        return res.status(409).json({
+            success: false,
+            error: { message: `Username ${admin.username.toLowerCase()} is taken` }
+        });
+    }
+
+    let organization;
+    try {
+        organization = await repositories.organizations.create({
+            name: value.name,
+            slug: value.slug,
+            team_number: value.team_number ?? null
+        });
+    } catch (createError) {
+        if (createError.code === '23505') return slugTaken(res, value.slug);
+        throw createError;
+    }
+
+    const user = await repositories.users.create({
+        username: admin.username,
+        display_name: admin.display_name,
+        role: 'admin',
+        organization_id: organization.id,
+        credential_type: type,
+        credential_hash: hashCredential(secret)
+    });
+
+    res.status(201).json({
+        success: true,
+        data: { ...organization, admin: publicUser(user) },
+        message: `Organization ${organization.name} created`
+    });
+}));
+
+// PUT /api/organizations/current - Rename your organization (admins)
+router.put('/current', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { error: validationError, value } = updateOrganizationSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    try {
+        await repositories.organizations.update(organizationOf(req), value);
+    } catch (updateError) {
+        if (updateError.code === '23505') return slugTaken(res, value.slug);
+        throw updateError;
+    }
+
+    res.json({
+        success: true,
+        data: await describe(organizationOf(req)),
+        message: 'Organization updated'
+    });
+}));
+
+// POST /api/organizations/current/shares - Let a partner read your scouting (admins)
+// { "organization_id": 2 } or { "slug": "team-254" }
+router.post('/current/shares', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { error: validationError, value } = shareSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const partner = value.slug !== undefined
+        ? await repositories.organizations.findBySlug(value.slug)
+        : await repositories.organizations.findById(value.organization_id);
+    if (!partner) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Organization not found' }
+        });
+    }
+
+    const organizationId = organizationOf(req);
+    if (partner.id === organizationId) return validationFailed(res, 'An organization already sees its own scouting');
+
+    await repositories.organizations.share(organizationId, partner.id);
+    const recalculated = await recalculateSharedStatistics(organizationId, partner.id);
+
+    res.status(201).json({
+        success: true,
+        data: await describe(organizationId),
+        recalculated,
+        message: `${partner.name} can now read your scouting`
+    });
+}));
+
+// DELETE /api/organizations/current/shares/:partnerId - Stop sharing with a partner (admins)
+router.delete('/current/shares/:partnerId', requireRole('admin'), asyncHandler(async (req, res) => {
+    const organizationId = organizationOf(req);
+    const partnerId = parseInt(req.params.partnerId);
+
+    if (!(await repositories.organizations.unshare(organizationId, partnerId))) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'You are not sharing with this organization' }
+        });
+    }
+
+    const recalculated = await recalculateSharedStatistics(organizationId, partnerId);
+
+    res.json({
+        success: true,
+        data: await describe(organizationId),
+        recalculated,
+        message: 'Sharing stopped'
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,748 @@
+/**
+ * Pick List Routes
+ * Collaborative pick lists for alliance selection
+ *
+ * Each regional can have several named lists (first pick, second pick,
+ * do-not-pick, ...) holding an ordered set of teams with notes and tags.
+ *
+ * Optimistic concurrency: every list has a `version`. Changes must send the
+ * version they were based on (`expected_version` in the body or an
+ * `If-Match` header). If someone else changed the list first, the request
+ * gets 409 Conflict with the current version, and the client reloads.
+ *
+ * Live draft: during alliance selection, teams are marked picked/declined
+ * for the whole regional, and every list shows that status.
+ *
+ * Lists and the draft board belong to the caller's organization and are
+ * never shared with partners, so reading them needs credentials too.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole } = require('../middleware/auth');
+const { getRegionalRankings } = require('./statistics');
+const { publish } = require('../services/liveEvents');
+const { organizationOf } = require('../services/organizations');
+
+const router = express.Router();
+
+// ============================================================================
+// VALIDATION SCHEMAS
+// ============================================================================
+
+const LIST_TYPES = ['first_pick', 'second_pick', 'do_not_pick', 'custom'];
+
+const teamNumber = Joi.number().integer().min(1).max(99999);
+const expectedVersion = Joi.number().integer().min(1);
+
+const createListSchema = Joi.object({
+    regional_id: Joi.number().integer().required(),
+    name: Joi.string().min(1).max(100).required(),
+    list_type: Joi.string().valid(...LIST_TYPES).default('custom'),
+    seed_from_rankings: Joi.boolean().default(false),
+    seed_limit: Joi.number().integer().min(1).max(100)
+});
+
+const updateListSchema = Joi.object({
+    name: Joi.string().min(1).max(100),
+    list_type: Joi.string().valid(...LIST_TYPES),
+    expected_version: expectedVersion
+});
+
+const entrySchema = Joi.object({
+    team_number: teamNumber.required(),
+    position: Joi.number().integer().min(1),
+    notes: Joi.string().max(1000).allow(''),
+    tags: Joi.array().items(Joi.string().max(30)).max(20).default([]),
+    expected_version: expectedVersion
+});
+
+const updateEntrySchema = Joi.object({
+    notes: Joi.string().max(1000).allow(''),
+    tags: Joi.array().items(Joi.string().max(30)).max(20),
+    expected_version: expectedVersion
+});
+
+const reorderSchema = Joi.object({
+    order: Joi.array().items(teamNumber).min(1).unique().required(),
+    expected_version: expectedVersion
+});
+
+const moveSchema = Joi.object({
+    team_number: teamNumber.required(),
+    to_position: Joi.number().integer().min(1).required(),
+    to_list_id: Joi.number().integer(),
+    target_expected_version: expectedVersion.when('to_list_id', { is: Joi.exist(), then: Joi.required() }),
+    expected_version: expectedVersion
+});
+
+const draftPickSchema = Joi.object({
+    team_number: teamNumber.required(),
+    status: Joi.string().valid('picked', 'declined').required(),
+    alliance_number: Joi.number().integer().min(1).max(8),
+    notes: Joi.string().max(500).allow('')
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function validationFailed(res, error) {
+    return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+    });
+}
+
+/**
+ * Version the client based its change on (body or If-Match header)
+ */
+function getExpectedVersion(req) {
+    const raw = req.body?.expected_version ?? req.headers['if-match'];
+    const version = parseInt(String(raw ?? '').replace(/"/g, ''));
+    return Number.isInteger(version) ? version : null;
+}
+
+const versionRequired = () => ({
+    status: 428,
+    body: { success: false, error: { message: 'expected_version (or If-Match header) is required to change a pick list' } }
+});
+
+const listNotFound = () => ({
+    status: 404,
+    body: { success: false, error: { message: 'Pick list not found' } }
+});
+
+const versionConflict = (currentVersion) => ({
+    status: 409,
+    body: {
+        success: false,
+        error: { message: 'Pick list was changed by someone else. Reload and try again.' },
+        current_version: currentVersion
+    }
+});
+
+async function findList(req, listId) {
+    const { data, error } = await supabase
+        .from('pick_lists')
+        .select('*')
+        .eq('id', listId)
+        .eq('organization_id', organizationOf(req))
+        .maybeSingle();
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    return data;
+}
+
+/**
+ * Check a list is still at the version the client saw, without claiming it
+ * Requests check first, validate, and only then claim, so one that's
+ * rejected leaves the version alone for everyone else.
+ * Returns { list } on success, or { status, body } describing the failure.
+ */
+async function checkVersion(req, listId, version) {
+    if (version == null) return versionRequired();
+
+    const list = await findList(req, listId);
+    if (!list) return listNotFound();
+    if (list.version !== version) return versionConflict(list.version);
+
+    return { list };
+}
+
+/**
+ * Atomically bump a list's version if it still matches what the client saw
+ * Only the caller's organization's lists can be claimed.
+ * Returns { list } on success, or { status, body } describing the failure.
+ */
+async function claimVersion(req, listId, version) {
+    if (version == null) return versionRequired();
+
+    const { data, error } = await supabase
+        .from('pick_lists')
+        .update({ version: version + 1, updated_at: new Date().toISOString() })
+        .eq('id', listId)
+        .eq('organization_id', organizationOf(req))
+        .eq('version', version)
+        .select()
+        .maybeSingle();
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    if (data) return { list: data };
+
+    const current = await findList(req, listId);
+    return current ? versionConflict(current.version) : listNotFound();
+}
+
+/**
+ * Give back a claimed version when the rest of the request can't go ahead
+ * (unless someone has claimed the list again since)
+ */
+async function releaseVersion(list) {
+    const { error } = await supabase
+        .from('pick_lists')
+        .update({ version: list.version - 1 })
+        .eq('id', list.id)
+        .eq('version', list.version);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+}
+
+/**
+ * Tell live clients a list changed; they reload it with GET /api/pick-lists/:id
+ */
+function announceListChange(list, action) {
+    if (!list) return;
+    publish('pick_list.updated', { pick_list_id: list.id, version: list.version, action }, {
+        regional_id: list.regional_id,
+        organization_id: list.organization_id,
+        private: true
+    });
+}
+
+async function getEntries(listId) {
+    const { data, error } = await supabase
+        .from('pick_list_entries')
+        .select('*')
+        .eq('pick_list_id', listId)
+        .order('position');
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    return data;
+}
+
+/**
+ * Rewrite positions 1..n for a list in the given team order
+ */
+async function saveOrder(listId, entries) {
+    if (entries.length === 0) return;
+
+    const rows = entries.map((entry, index) => ({
+        ...entry,
+        pick_list_id: listId,
+        position: index + 1,
+        updated_at: new Date().toISOString()
+    }));
+
+    const { error } = await supabase
+        .from('pick_list_entries')
+        .upsert(rows, { onConflict: 'pick_list_id,team_number', defaultToNull: false });
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+}
+
+/**
+ * Load one of the caller's organization's lists with its entries and the live draft status of each team
+ */
+async function loadList(req, listId, { hidePicked = false } = {}) {
+    const list = await findList(req, listId);
+    if (!list) return null;
+
+    const [entries, picks] = await Promise.all([getEntries(listId), getDraftPicks(list.organization_id, list.regional_id)]);
+    const pickByTeam = new Map(picks.map(pick => [pick.team_number, pick]));
+
+    const annotated = entries.map(entry => {
+        const pick = pickByTeam.get(entry.team_number);
+        return {
+            ...entry,
+            draft_status: pick ? pick.status : 'available',
+            alliance_number: pick?.alliance_number ?? null
+        };
+    });
+
+    return {
+        ...list,
+        entries: hidePicked ? annotated.filter(entry => entry.draft_status === 'available') : annotated
+    };
+}
+
+async function getDraftPicks(organizationId, regionalId) {
+    const { data, error } = await supabase
+        .from('draft_picks')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('regional_id', regionalId)
+        .order('created_at');
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+    return data;
+}
+
+async function findTeam(number) {
+    const { data } = await supabase
+        .from('teams')
+        .select('id, team_number, team_name')
+        .eq('team_number', number)
+        .is('deleted_at', null)
+        .maybeSingle();
+    return data;
+}
+
+// ============================================================================
+// LIST ROUTES
+// ============================================================================
+
+// GET /api/pick-lists?regional_id=1 - Lists for a regional
+router.get('/', asyncHandler(async (req, res) => {
+    const { regional_id } = req.query;
+
+    if (!regional_id) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'regional_id query parameter is required' }
+        });
+    }
+
+    const { data, error } = await supabase
+        .from('pick_lists')
+        .select('*, pick_list_entries (count)')
+        .eq('organization_id', organizationOf(req))
+        .eq('regional_id', regional_id)
+        .order('created_at');
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    res.json({
+        success: true,
+        data: data.map(({ pick_list_entries, ...list }) => ({
+            ...list,
+            team_count: pick_list_entries?.[0]?.count ?? 0
+        }))
+    });
+}));
+
+// POST /api/pick-lists - Create a list (optionally seeded from scouting rankings)
+router.post('/', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = createListSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const { data: list, error } = await supabase
+        .from('pick_lists')
+        .insert({
+            organization_id: organizationOf(req),
+            regional_id: value.regional_id,
+            name: value.name,
+            list_type: value.list_type,
+            version: 1
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: { message: 'A pick list with this name already exists for this regional' }
+            });
+        }
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (value.seed_from_rankings) {
+        // Same order as GET /api/statistics/regional/:regionalId/rankings
+        const rankings = await getRegionalRankings(value.regional_id, organizationOf(req));
+        const seeded = rankings
+            .filter(ranking => ranking.teams)
+            .slice(0, value.seed_limit || rankings.length)
+            .map(ranking => ({
+                team_id: ranking.team_id,
+                team_number: ranking.teams.team_number,
+                notes: '',
+                tags: []
+            }));
+        await saveOrder(list.id, seeded);
+    }
+
+    const created = await loadList(req, list.id);
+    announceListChange(created, 'created');
+
+    res.status(201).json({
+        success: true,
+        data: created,
+        message: 'Pick list created successfully'
+    });
+}));
+
+// GET /api/pick-lists/:id - List with ordered entries (?hide_picked=true during the draft)
+router.get('/:id', asyncHandler(async (req, res) => {
+    const list = await loadList(req, req.params.id, { hidePicked: req.query.hide_picked === 'true' });
+
+    if (!list) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Pick list not found' }
+        });
+    }
+
+    res.set('ETag', `"${list.version}"`);
+    res.json({ success: true, data: list });
+}));
+
+// PUT /api/pick-lists/:id - Rename or retype a list
+router.put('/:id', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = updateListSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const claim = await claimVersion(req, req.params.id, getExpectedVersion(req));
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    const { expected_version, ...changes } = value;
+    if (Object.keys(changes).length > 0) {
+        const { error } = await supabase
+            .from('pick_lists')
+            .update(changes)
+            .eq('id', req.params.id);
+
+        if (error) throw new Error(`Database error: ${error.message}`);
+    }
+
+    const list = await loadList(req, req.params.id);
+    announceListChange(list, 'updated');
+
+    res.json({
+        success: true,
+        data: list,
+        message: 'Pick list updated successfully'
+    });
+}));
+
+// DELETE /api/pick-lists/:id
+router.delete('/:id', requireRole('lead'), asyncHandler(async (req, res) => {
+    const claim = await claimVersion(req, req.params.id, getExpectedVersion(req));
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    const { error } = await supabase
+        .from('pick_lists')
+        .delete()
+        .eq('id', req.params.id)
+        .eq('organization_id', organizationOf(req));
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    announceListChange(claim.list, 'deleted');
+
+    res.json({
+        success: true,
+        message: 'Pick list deleted successfully'
+    });
+}));
+
+// ============================================================================
+// ENTRY ROUTES
+// ============================================================================
+
+// POST /api/pick-lists/:id/entries - Add a team (at the end, or at `position`)
+router.post('/:id/entries', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = entrySchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const team = await findTeam(value.team_number);
+    if (!team) {
+        return res.status(404).json({
+            success: false,
+            error: { message: `Team ${value.team_number} not found` }
+        });
+    }
+
+    const check = await checkVersion(req, req.params.id, getExpectedVersion(req));
+    if (!check.list) return res.status(check.status).json(check.body);
+
+    const entries = await getEntries(req.params.id);
+    if (entries.some(entry => entry.team_number === value.team_number)) {
+        return res.status(409).json({
+            success: false,
+            error: { message: `Team ${value.team_number} is already on this list` }
+        });
+    }
+
+    const claim = await claimVersion(req, req.params.id, check.list.version);
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    const index = Math.min((value.position || entries.length + 1) - 1, entries.length);
+    entries.splice(index, 0, {
+        team_id: team.id,
+        team_number: team.team_number,
+        notes: value.notes || '',
+        tags: value.tags
+    });
+    await saveOrder(req.params.id, entries);
+
+    const list = await loadList(req, req.params.id);
+    announceListChange(list, 'entry_added');
+
+    res.status(201).json({
+        success: true,
+        data: list,
+        message: `Team ${value.team_number} added`
+    });
+}));
+
+// PATCH /api/pick-lists/:id/entries/:teamNumber - Edit notes/tags
+router.patch('/:id/entries/:teamNumber', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = updateEntrySchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const check = await checkVersion(req, req.params.id, getExpectedVersion(req));
+    if (!check.list) return res.status(check.status).json(check.body);
+
+    const entries = await getEntries(req.params.id);
+    if (!entries.some(entry => entry.team_number === parseInt(req.params.teamNumber))) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Team is not on this list' }
+        });
+    }
+
+    const claim = await claimVersion(req, req.params.id, check.list.version);
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    const { expected_version, ...changes } = value;
+    const { error } = await supabase
+        .from('pick_list_entries')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('pick_list_id', req.params.id)
+        .eq('team_number', req.params.teamNumber);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const list = await loadList(req, req.params.id);
+    announceListChange(list, 'entry_updated');
+
+    res.json({
+        success: true,
+        data: list,
+        message: 'Entry updated successfully'
+    });
+}));
+
+// DELETE /api/pick-lists/:id/entries/:teamNumber - Remove a team and close the gap
+router.delete('/:id/entries/:teamNumber', requireRole('lead'), asyncHandler(async (req, res) => {
+    const claim = await claimVersion(req, req.params.id, getExpectedVersion(req));
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    const { error } = await supabase
+        .from('pick_list_entries')
+        .delete()
+        .eq('pick_list_id', req.params.id)
+        .eq('team_number', req.params.teamNumber);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    await saveOrder(req.params.id, await getEntries(req.params.id));
+
+    const list = await loadList(req, req.params.id);
+    announceListChange(list, 'entry_removed');
+
+    res.json({
+        success: true,
+        data: list,
+        message: 'Team removed from list'
+    });
+}));
+
+// POST /api/pick-lists/:id/reorder - Replace the whole order
+// `order` must contain exactly the teams already on the list
+router.post('/:id/reorder', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = reorderSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const check = await checkVersion(req, req.params.id, getExpectedVersion(req));
+    if (!check.list) return res.status(check.status).json(check.body);
+
+    const entries = await getEntries(req.params.id);
+    const byTeam = new Map(entries.map(entry => [entry.team_number, entry]));
+
+    if (value.order.length !== entries.length || !value.order.every(number => byTeam.has(number))) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'order must contain exactly the teams currently on the list' }
+        });
+    }
+
+    const claim = await claimVersion(req, req.params.id, check.list.version);
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    await saveOrder(req.params.id, value.order.map(number => byTeam.get(number)));
+
+    const list = await loadList(req, req.params.id);
+    announceListChange(list, 'reordered');
+
+    res.json({
+        success: true,
+        data: list,
+        message: 'Pick list reordered'
+    });
+}));
+
+// POST /api/pick-lists/:id/move - Move one team to a new position,
+// optionally onto another list (e.g. into do-not-pick)
+router.post('/:id/move', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = moveSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const sourceId = parseInt(req.params.id);
+    const targetId = value.to_list_id || sourceId;
+
+    const check = await checkVersion(req, sourceId, getExpectedVersion(req));
+    if (!check.list) return res.status(check.status).json(check.body);
+
+    if (targetId !== sourceId) {
+        const targetCheck = await checkVersion(req, targetId, value.target_expected_version);
+        if (!targetCheck.list) return res.status(targetCheck.status).json(targetCheck.body);
+
+        if (targetCheck.list.regional_id !== check.list.regional_id) {
+            return res.status(400).json({
+                success: false,
+                error: { message: 'Teams can only move between lists of the same regional' }
+            });
+        }
+    }
+
+    const sourceEntries = await getEntries(sourceId);
+    const entry = sourceEntries.find(item => item.team_number === value.team_number);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Team is not on this list' }
+        });
+    }
+
+    const claim = await claimVersion(req, sourceId, check.list.version);
+    if (!claim.list) return res.status(claim.status).json(claim.body);
+
+    if (targetId !== sourceId) {
+        const targetClaim = await claimVersion(req, targetId, value.target_expected_version);
+        if (!targetClaim.list) {
+            await releaseVersion(claim.list);
+            return res.status(targetClaim.status).json(targetClaim.body);
+        }
+    }
+
+    const remaining = sourceEntries.filter(item => item !== entry);
+
+    if (targetId === sourceId) {
+        remaining.splice(Math.min(value.to_position - 1, remaining.length), 0, entry);
+        await saveOrder(sourceId, remaining);
+    } else {
+        const targetEntries = (await getEntries(targetId)).filter(item => item.team_number !== entry.team_number);
+        const { id, pick_list_id, ...moved } = entry;
+        targetEntries.splice(Math.min(value.to_position - 1, targetEntries.length), 0, moved);
+
+        const { error } = await supabase
+            .from('pick_list_entries')
+            .delete()
+            .eq('id', entry.id);
+
+        if (error) throw new Error(`Database error: ${error.message}`);
+
+        await saveOrder(sourceId, remaining);
+        await saveOrder(targetId, targetEntries);
+    }
+
+    if (targetId !== sourceId) {
+        announceListChange(await loadList(req, sourceId), 'moved');
+    }
+    const list = await loadList(req, targetId);
+    announceListChange(list, 'moved');
+
+    res.json({
+        success: true,
+        data: list,
+        message: `Team ${value.team_number} moved`
+    });
+}));
+
+// ============================================================================
+// LIVE DRAFT ROUTES
+// ============================================================================
+
+// GET /api/pick-lists/draft/:regionalId - Teams picked/declined so far
+router.get('/draft/:regionalId', asyncHandler(async (req, res) => {
+    const picks = await getDraftPicks(organizationOf(req), req.params.regionalId);
+
+    res.json({
+        success: true,
+        data: picks,
+        summary: {
+            picked: picks.filter(pick => pick.status === 'picked').length,
+            declined: picks.filter(pick => pick.status === 'declined').length
+        }
+    });
+}));
+
+// POST /api/pick-lists/draft/:regionalId/picks - Mark a team picked or declined
+router.post('/draft/:regionalId/picks', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = draftPickSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError);
+
+    const { data, error } = await supabase
+        .from('draft_picks')
+        .upsert({
+            organization_id: organizationOf(req),
+            regional_id: parseInt(req.params.regionalId),
+            team_number: value.team_number,
+            status: value.status,
+            alliance_number: value.alliance_number ?? null,
+            notes: value.notes || null
+        }, { onConflict: 'organization_id,regional_id,team_number' })
+        .select()
+        .single();
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    publish('draft.updated', { regional_id: data.regional_id, team_number: data.team_number, status: data.status },
+        { regional_id: data.regional_id, team_number: data.team_number, organization_id: data.organization_id, private: true });
+
+    res.status(201).json({
+        success: true,
+        data,
+        message: `Team ${value.team_number} marked ${value.status}`
+    });
+}));
+
+// DELETE /api/pick-lists/draft/:regionalId/picks/:teamNumber - Undo a pick
+router.delete('/draft/:regionalId/picks/:teamNumber', requireRole('lead'), asyncHandler(async (req, res) => {
+    const { error } = await supabase
+        .from('draft_picks')
+        .delete()
+        .eq('organization_id', organizationOf(req))
+        .eq('regional_id', req.params.regionalId)
+        .eq('team_number', req.params.teamNumber);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const regionalId = parseInt(req.params.regionalId);
+    const teamNumber = parseInt(req.params.teamNumber);
+    publish('draft.updated', { regional_id: regionalId, team_number: teamNumber, status: 'available' },
+        { regional_id: regionalId, team_number: teamNumber, organization_id: organizationOf(req), private: true });
+
+    res.json({
+        success: true,
+        message: `Team ${req.params.teamNumber} is available again`
+    });
+}));
+
+// DELETE /api/pick-lists/draft/:regionalId - Reset the draft
+router.delete('/draft/:regionalId', requireRole('lead'), asyncHandler(async (req, res) => {
+    const { error } = await supabase
+        .from('draft_picks')
+        .delete()
+        .eq('organization_id', organizationOf(req))
+        .eq('regional_id', req.params.regionalId);
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const regionalId = parseInt(req.params.regionalId);
+    publish('draft.updated', { regional_id: regionalId, reset: true },
+        { regional_id: regionalId, organization_id: organizationOf(req), private: true });
+
+    res.json({
+        success: true,
+        message: 'Draft reset'
+    });
+}));
+
+module.exports = router;
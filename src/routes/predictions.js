@@ -0,0 +1,353 @@
+/**
+ * Predictions Routes
+ * Predicted scores and win probability for upcoming matches
+ *
+ * Predictions are built from our own scouting data for a regional (see
+ * src/services/predictor.js), plus whatever partner organizations share with us. The drive team can look up a TBA match key
+ * or pass six team numbers directly.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { loadGameDefinition } = require('../games');
+const { organizationOf, readableOrganizationIds } = require('../services/organizations');
+const { calculateStatsFromMatches } = require('./statistics');
+const { summarizeTeam, predictMatch, evaluatePredictions } = require('../services/predictor');
+
+const router = express.Router();
+
+const teamsSchema = Joi.array().items(Joi.number().integer().min(1).max(99999)).length(3);
+
+const predictSchema = Joi.object({
+    regional_id: Joi.number().integer().required(),
+    red: teamsSchema.required(),
+    blue: teamsSchema.required()
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const teamKeyToNumber = (teamKey) => parseInt(teamKey.replace('frc', ''));
+
+/**
+ * Load per-match phase scores for teams at a regional
+ * Only matches scouted by `organizationIds` count.
+ * Returns Map of team_number -> [{ match_number, auto_score, ... }]
+ */
+async function loadMatchScores(regionalId, teamNumbers, organizationIds) {
+    const scoresByTeam = new Map(teamNumbers.map(number => [number, []]));
+    const teams = [];
+    for (const number of scoresByTeam.keys()) {
+        const team = await repositories.teams.findByNumber(number);
+        if (team) teams.push(team);
+    }
+
+    if (teams.length === 0) return { scoresByTeam, teams };
+
+    const definition = await loadGameDefinition({ regionalId });
+
+    for (const team of teams) {
+        for (const match of await repositories.matches.listForTeam(team.id, regionalId, { organizationIds })) {
+            const { scores } = calculateStatsFromMatches([match], 1, definition);
+            scoresByTeam.get(team.team_number).push({ match_number: match.match_number, ...scores });
+        }
+    }
+
+    return { scoresByTeam, teams };
+}
+
+/**
+ * Build team summaries for a prediction
+ * Means come from team_rankings (the same numbers as the rankings page);
+ * spread comes from the individual scouted matches.
+ */
+async function loadTeamSummaries(req, regionalId, teamNumbers) {
+    const { scoresByTeam, teams } = await loadMatchScores(regionalId, teamNumbers, await readableOrganizationIds(req));
+
+    const rankings = await repositories.stats.rankings(regionalId, organizationOf(req));
+
+    const numberById = new Map(teams.map(team => [team.id, team.team_number]));
+    const meansByTeam = new Map();
+    for (const ranking of rankings) {
+        if (numberById.has(ranking.team_id) && ranking.matches_played > 0) {
+            meansByTeam.set(numberById.get(ranking.team_id), {
+                auto: ranking.auto_score / ranking.matches_played,
+                teleop: ranking.teleop_score / ranking.matches_played,
+                endgame: ranking.endgame_score / ranking.matches_played
+            });
+        }
+    }
+
+    const summaries = new Map();
+    for (const number of teamNumbers) {
+        summaries.set(number, summarizeTeam(scoresByTeam.get(number), meansByTeam.get(number) || null));
+    }
+    return summaries;
+}
+
+function buildPrediction(summaries, red, blue) {
+    const prediction = predictMatch(
+        red.map(number => summaries.get(number)),
+        blue.map(number => summaries.get(number))
+    );
+
+    prediction.red.teams = red;
+    prediction.blue.teams = blue;
+    prediction.teams_without_data = [...red, ...blue].filter(number => summaries.get(number).matches === 0);
+
+    return prediction;
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/predictions/match:
+ *   post:
+ *     summary: Predict a match from six team numbers
+ *     description: |
+ *       Predicts red/blue scores, per-phase breakdown and win probability
+ *       from scouted data at the given regional.
+ *     tags: [Predictions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             regional_id: 1
+ *             red: [589, 254, 1678]
+ *             blue: [2471, 1323, 4414]
+ *     responses:
+ *       200:
+ *         description: Match prediction
+ */
+router.post('/match', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = predictSchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const summaries = await loadTeamSummaries(req, value.regional_id, [...value.red, ...value.blue]);
+
+    res.json({
+        success: true,
+        data: buildPrediction(summaries, value.red, value.blue)
+    });
+}));
+
+/**
+ * Predict a match stored from TBA (tba_matches)
+ * Answers 400/404 itself and returns null when it can't.
+ */
+async function predictStoredMatch(req, res, matchKey, regionalId) {
+    if (!regionalId) {
+        res.status(400).json({
+            success: false,
+            error: { message: 'regional_id is required' }
+        });
+        return null;
+    }
+
+    const match = await repositories.tbaCache.findMatch(matchKey);
+    if (!match) {
+        res.status(404).json({
+            success: false,
+            error: { message: 'Match not found. Import the event schedule from TBA first.' }
+        });
+        return null;
+    }
+
+    const red = match.alliances.red.team_keys.map(teamKeyToNumber);
+    const blue = match.alliances.blue.team_keys.map(teamKeyToNumber);
+
+    const summaries = await loadTeamSummaries(req, regionalId, [...red, ...blue]);
+    return { match, prediction: buildPrediction(summaries, red, blue) };
+}
+
+/**
+ * @swagger
+ * /api/predictions/match/{matchKey}:
+ *   get:
+ *     summary: Predict a stored TBA match
+ *     description: |
+ *       Looks up the alliances for a match key (e.g. `2025caoc_qm12`) in `tba_matches`
+ *       and predicts it from scouted data. Nothing is saved; use the POST to keep it.
+ *     tags: [Predictions]
+ *     parameters:
+ *       - in: path
+ *         name: matchKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: regional_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Match prediction
+ *       404:
+ *         description: Match not imported from TBA yet
+ *   post:
+ *     summary: Predict a stored TBA match and save the prediction
+ *     description: |
+ *       Same as the GET, and saves the prediction to `predictions` so it can be compared
+ *       with the result later. Saving again replaces the organization's earlier
+ *       prediction for the match.
+ *     tags: [Predictions]
+ *     parameters:
+ *       - in: path
+ *         name: matchKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             regional_id: 1
+ *     responses:
+ *       200:
+ *         description: Match prediction, saved
+ *       404:
+ *         description: Match not imported from TBA yet
+ */
+router.get('/match/:matchKey', asyncHandler(async (req, res) => {
+    const result = await predictStoredMatch(req, res, req.params.matchKey, parseInt(req.query.regional_id));
+    if (!result) return;
+
+    res.json({
+        success: true,
+        data: { match_key: result.match.match_key, ...result.prediction }
+    });
+}));
+
+router.post('/match/:matchKey', asyncHandler(async (req, res) => {
+    const result = await predictStoredMatch(req, res, req.params.matchKey, parseInt(req.body?.regional_id));
+    if (!result) return;
+    const { match, prediction } = result;
+
+    // One row per organization and match, so predictions can be compared with results later
+    await repositories.predictions.save({
+        organization_id: organizationOf(req),
+        match_key: match.match_key,
+        event_key: match.event_key,
+        prediction_data: prediction
+    });
+
+    res.json({
+        success: true,
+        data: { match_key: match.match_key, ...prediction }
+    });
+}));
+
+/**
+ * @swagger
+ * /api/predictions/event/{eventKey}/backtest:
+ *   get:
+ *     summary: Backtest the predictor against completed matches
+ *     description: |
+ *       Replays every played qualification match at the event, predicting each one
+ *       using only scouted matches with a lower match number, and reports accuracy.
+ *     tags: [Predictions]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: regional_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: min_prior_matches
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Skip matches where any team has fewer prior scouted matches
+ *     responses:
+ *       200:
+ *         description: Accuracy summary and per-match results
+ */
+router.get('/event/:eventKey/backtest', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const regionalId = parseInt(req.query.regional_id);
+    const minPriorMatches = parseInt(req.query.min_prior_matches ?? 1);
+
+    if (!regionalId) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'regional_id query parameter is required' }
+        });
+    }
+
+    const tbaMatches = await repositories.tbaCache.listMatches(eventKey);
+
+    const played = tbaMatches
+        .filter(match => match.comp_level === 'qm' &&
+            match.alliances?.red?.score >= 0 && match.alliances?.blue?.score >= 0)
+        .sort((a, b) => a.match_number - b.match_number);
+
+    const teamNumbers = [...new Set(played.flatMap(match => [
+        ...match.alliances.red.team_keys,
+        ...match.alliances.blue.team_keys
+    ]))].map(teamKeyToNumber);
+
+    const { scoresByTeam } = await loadMatchScores(regionalId, teamNumbers, await readableOrganizationIds(req));
+
+    const results = [];
+    let skipped = 0;
+
+    for (const match of played) {
+        const red = match.alliances.red.team_keys.map(teamKeyToNumber);
+        const blue = match.alliances.blue.team_keys.map(teamKeyToNumber);
+
+        // Only use data that existed before this match was played
+        const summaries = new Map();
+        for (const number of [...red, ...blue]) {
+            const prior = scoresByTeam.get(number).filter(scores => scores.match_number < match.match_number);
+            summaries.set(number, summarizeTeam(prior));
+        }
+
+        if ([...summaries.values()].some(summary => summary.matches < minPriorMatches)) {
+            skipped++;
+            continue;
+        }
+
+        const prediction = buildPrediction(summaries, red, blue);
+        results.push({
+            match_key: match.match_key,
+            prediction,
+            actual: { red: match.alliances.red.score, blue: match.alliances.blue.score }
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            event_key: eventKey,
+            summary: { ...evaluatePredictions(results), matches_skipped: skipped },
+            matches: results.map(result => ({
+                match_key: result.match_key,
+                predicted: { red: result.prediction.red.score, blue: result.prediction.blue.score },
+                actual: result.actual,
+                red_win_probability: result.prediction.red_win_probability,
+                predicted_winner: result.prediction.predicted_winner
+            }))
+        }
+    });
+}));
+
+module.exports = router;
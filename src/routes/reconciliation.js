@@ -0,0 +1,428 @@
+/**
+ * Reconciliation Routes
+ * Scouting accuracy checked against official TBA score breakdowns
+ *
+ * Running an event sums our scouted robots per alliance for every played
+ * qualification match in `tba_matches` and compares them with the official
+ * breakdown (see src/services/reconciliation.js). Results are stored so
+ * scouter accuracy can be tracked across events. Each organization checks
+ * and sees only its own scouting.
+ *
+ * @swagger
+ * tags:
+ *   name: Reconciliation
+ *   description: |
+ *     Compare scouting data with official TBA results.
+ *
+ *     **Use Case**: Find matches where scouting is clearly wrong, and see which
+ *     scouters are most accurate over the season.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { supabase } = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { loadGameDefinition, fromMatchRecord } = require('../games');
+const { reconcileMatch, summarizeScouterAccuracy } = require('../services/reconciliation');
+const { organizationOf } = require('../services/organizations');
+const { eventKeyOf } = require('../services/currentRegional');
+const repositories = require('../repositories');
+
+const router = express.Router();
+
+const runSchema = Joi.object({
+    regional_id: Joi.number().integer(),
+    regional: Joi.string().min(1).max(100)
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Pick the game element values out of a flattened match or report
+ */
+function elementValues(source, definition) {
+    const values = {};
+    for (const element of definition.elements) {
+        if (source?.[element.key] !== undefined) values[element.key] = source[element.key];
+    }
+    return values;
+}
+
+/**
+ * The regional an event was scouted under
+ * Regional names repeat every season, so a name (or, without one, the
+ * regional whose code or name matches the event) is looked up in the
+ * event year's season.
+ */
+async function findEventRegional(eventKey, { regional_id: regionalId, regional: name }) {
+    if (regionalId) return repositories.regionals.findById(regionalId);
+
+    const season = await repositories.seasons.findByYear(parseInt(eventKey.slice(0, 4)));
+    if (!season) return null;
+    if (name) return repositories.regionals.findByName(name, { seasonId: season.id });
+
+    const regionals = await repositories.regionals.list({ seasonId: season.id });
+    const byCode = regionals.find(regional => eventKeyOf({ ...regional, seasons: season }) === eventKey);
+    if (byCode) return byCode;
+
+    const { data: event } = await supabase
+        .from('events')
+        .select('name')
+        .eq('event_key', eventKey)
+        .maybeSingle();
+    return (event && regionals.find(regional => regional.regional_name === event.name)) || null;
+}
+
+/**
+ * Load an organization's scouting for a regional, keyed by "matchNumber:teamNumber"
+ * Raw reports come from scouting_reports; matches without any (submitted
+ * through POST /api/matches) count as a single report by their scouter.
+ */
+async function loadScouting(regionalId, organizationId, definition) {
+    const [{ data: matches, error: matchesError }, { data: reports, error: reportsError }] = await Promise.all([
+        supabase
+            .from('matches')
+            .select('*, teams:team_id (team_number)')
+            .eq('regional_id', regionalId)
+            .eq('organization_id', organizationId)
+            .is('deleted_at', null)
+            .not('scouter_name', 'like', 'TBA Import%'), // Estimated from TBA itself, nothing to check
+        supabase
+            .from('scouting_reports')
+            .select('*, teams:team_id (team_number)')
+            .eq('regional_id', regionalId)
+            .eq('organization_id', organizationId)
+    ]);
+
+    if (matchesError) throw new Error(`Database error: ${matchesError.message}`);
+    if (reportsError) throw new Error(`Database error: ${reportsError.message}`);
+
+    const keyOf = (row) => `${row.match_number}:${row.teams?.team_number}`;
+
+    const reportsByKey = new Map();
+    for (const report of reports) {
+        if (!reportsByKey.has(keyOf(report))) reportsByKey.set(keyOf(report), []);
+        reportsByKey.get(keyOf(report)).push({ scouter_name: report.scouter_name, values: report.report_data || {} });
+    }
+
+    const scouting = new Map();
+    for (const match of matches) {
+        const consensus = elementValues(fromMatchRecord(match, definition), definition);
+        scouting.set(keyOf(match), {
+            consensus,
+            reports: reportsByKey.get(keyOf(match)) || [{ scouter_name: match.scouter_name || 'Unknown', values: consensus }]
+        });
+    }
+
+    return scouting;
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * @swagger
+ * /api/reconciliation/event/{eventKey}/run:
+ *   post:
+ *     summary: Reconcile an event's scouting against TBA
+ *     description: |
+ *       Compares every played qualification match stored in `tba_matches` with our scouting
+ *       for the regional and saves per-match and per-scouter results. Safe to re-run as
+ *       more matches are played; earlier results for the event are replaced.
+ *
+ *       The scouting compared is the regional's (`regional_id`, or a `regional` name in the
+ *       event year's season). Without either, it's the regional whose code matches the event
+ *       key, or whose name matches the event's in the `events` table. The game comes from
+ *       that regional's season.
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 2025caoc
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           example:
+ *             regional_id: 3
+ *     responses:
+ *       200:
+ *         description: Reconciliation summary
+ */
+router.post('/event/:eventKey/run', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const { error: validationError, value } = runSchema.validate(req.body || {});
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const regional = await findEventRegional(eventKey, value);
+    if (!regional) {
+        return res.status(400).json({
+            success: false,
+            error: { message: `No regional found for ${eventKey} - send regional_id, or set the regional's code` }
+        });
+    }
+
+    // The event's own game, not the active season's
+    const definition = await loadGameDefinition({ regionalId: regional.id });
+    if (!definition.reconciliation) {
+        return res.status(400).json({
+            success: false,
+            error: { message: `Game ${definition.game_key} has no reconciliation mapping` }
+        });
+    }
+
+    const { data: tbaMatches, error } = await supabase
+        .from('tba_matches')
+        .select('match_key, match_number, comp_level, alliances, score_breakdown')
+        .eq('event_key', eventKey)
+        .eq('comp_level', 'qm')
+        .order('match_number');
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    const organizationId = organizationOf(req);
+    const scouting = await loadScouting(regional.id, organizationId, definition);
+    const reconciledAt = new Date().toISOString();
+    const matchRows = [];
+    const scouterRows = [];
+
+    for (const tbaMatch of tbaMatches) {
+        const robots = new Map();
+        for (const color of ['red', 'blue']) {
+            for (const teamKey of tbaMatch.alliances?.[color]?.team_keys || []) {
+                const teamNumber = parseInt(teamKey.replace('frc', ''));
+                const entry = scouting.get(`${tbaMatch.match_number}:${teamNumber}`);
+                if (entry) robots.set(teamNumber, entry);
+            }
+        }
+
+        for (const result of reconcileMatch(tbaMatch, robots, definition)) {
+            matchRows.push({
+                organization_id: organizationId,
+                event_key: eventKey,
+                match_key: tbaMatch.match_key,
+                match_number: tbaMatch.match_number,
+                alliance: result.alliance,
+                regional: regional.regional_name,
+                team_numbers: result.team_numbers,
+                missing_teams: result.missing_teams,
+                checks: result.checks,
+                robot_checks: result.robot_checks,
+                total_abs_error: result.total_abs_error,
+                relative_error: result.relative_error,
+                status: result.status,
+                reconciled_at: reconciledAt
+            });
+
+            for (const scouter of result.scouters) {
+                scouterRows.push({
+                    organization_id: organizationId,
+                    event_key: eventKey,
+                    match_key: tbaMatch.match_key,
+                    reconciled_at: reconciledAt,
+                    ...scouter
+                });
+            }
+        }
+    }
+
+    // Replace the previous run for this event
+    for (const table of ['match_reconciliation', 'scouter_accuracy']) {
+        const { error: deleteError } = await supabase.from(table).delete()
+            .eq('organization_id', organizationId)
+            .eq('event_key', eventKey);
+        if (deleteError) throw new Error(`Database error: ${deleteError.message}`);
+    }
+
+    if (matchRows.length > 0) {
+        const { error: insertError } = await supabase.from('match_reconciliation').insert(matchRows);
+        if (insertError) throw new Error(`Database error: ${insertError.message}`);
+    }
+
+    if (scouterRows.length > 0) {
+        const { error: insertError } = await supabase.from('scouter_accuracy').insert(scouterRows);
+        if (insertError) throw new Error(`Database error: ${insertError.message}`);
+    }
+
+    const count = (status) => matchRows.filter(row => row.status === status).length;
+
+    res.json({
+        success: true,
+        data: {
+            event_key: eventKey,
+            regional: regional.regional_name,
+            regional_id: regional.id,
+            matches_checked: new Set(matchRows.map(row => row.match_key)).size,
+            alliances: {
+                ok: count('ok'),
+                wrong: count('wrong'),
+                incomplete: count('incomplete')
+            },
+            scouter_reports_scored: scouterRows.length
+        },
+        message: `Reconciled ${matchRows.length} alliances for ${eventKey}`
+    });
+}));
+
+/**
+ * @swagger
+ * /api/reconciliation/event/{eventKey}:
+ *   get:
+ *     summary: Per-match reconciliation results
+ *     description: |
+ *       Scouted vs official totals and the error for every alliance, from the last run.
+ *       Filter with `status` (`ok`, `wrong`, `incomplete`).
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ok, wrong, incomplete]
+ *     responses:
+ *       200:
+ *         description: Reconciliation results
+ */
+router.get('/event/:eventKey', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const { status } = req.query;
+
+    let query = supabase
+        .from('match_reconciliation')
+        .select('*')
+        .eq('organization_id', organizationOf(req))
+        .eq('event_key', eventKey)
+        .order('match_number', { ascending: true })
+        .order('alliance', { ascending: true });
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    res.json({
+        success: true,
+        data,
+        count: data.length
+    });
+}));
+
+/**
+ * @swagger
+ * /api/reconciliation/event/{eventKey}/wrong:
+ *   get:
+ *     summary: Matches whose scouting is clearly wrong
+ *     description: |
+ *       Alliances where a total is off by more than 3 and by more than 25% of the
+ *       official value, or a per-robot field (leave, endgame) disagrees with TBA.
+ *       Biggest errors first. Good candidates to re-watch on video.
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: path
+ *         name: eventKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wrongly scouted alliances
+ */
+router.get('/event/:eventKey/wrong', asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+
+    const { data, error } = await supabase
+        .from('match_reconciliation')
+        .select('*')
+        .eq('organization_id', organizationOf(req))
+        .eq('event_key', eventKey)
+        .eq('status', 'wrong')
+        .order('total_abs_error', { ascending: false });
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    res.json({
+        success: true,
+        data: data.map(row => ({
+            match_key: row.match_key,
+            alliance: row.alliance,
+            team_numbers: row.team_numbers,
+            total_abs_error: row.total_abs_error,
+            relative_error: row.relative_error,
+            wrong_checks: row.checks.filter(check => check.error !== 0),
+            wrong_robot_checks: row.robot_checks.filter(check => !check.correct)
+        })),
+        count: data.length
+    });
+}));
+
+/**
+ * @swagger
+ * /api/reconciliation/scouters:
+ *   get:
+ *     summary: Scouter accuracy
+ *     description: |
+ *       Accuracy per scouter across every reconciled event, with a per-event timeline:
+ *       - `mean_abs_error`: alliance total error when their report is used, per match
+ *       - `relative_error`: total error divided by the official totals (lower is better)
+ *       - `robot_check_accuracy`: share of per-robot fields (leave, endgame) matching TBA
+ *     tags: [Reconciliation]
+ *     parameters:
+ *       - in: query
+ *         name: event_key
+ *         schema:
+ *           type: string
+ *         description: Only this event
+ *       - in: query
+ *         name: scouter_name
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accuracy per scouter, most accurate first
+ */
+router.get('/scouters', asyncHandler(async (req, res) => {
+    const { event_key, scouter_name } = req.query;
+
+    let query = supabase
+        .from('scouter_accuracy')
+        .select('scouter_name, event_key, match_key, abs_error, official_total, robot_checks_correct, robot_checks_total, reconciled_at')
+        .eq('organization_id', organizationOf(req));
+
+    if (event_key) {
+        query = query.eq('event_key', event_key);
+    }
+
+    if (scouter_name) {
+        query = query.eq('scouter_name', scouter_name);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Database error: ${error.message}`);
+
+    res.json({
+        success: true,
+        data: summarizeScouterAccuracy(data)
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,292 @@
+/**
+ * Regionals Routes
+ * Events within a season, and which teams are entered in them
+ *
+ * Regionals can be typed in or created from a TBA event key, which fills in
+ * the name, event code and dates. Entering a team only records that it's at
+ * the regional (team_regional_participation); removing it leaves any
+ * scouting data in place.
+ *
+ * Regionals are shared by every organization, so only the host
+ * organization's leads change them.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole } = require('../middleware/auth');
+const { isHostOrganization } = require('../services/organizations');
+const { fetchFromTBA, isConfigured } = require('../services/tbaClient');
+
+const router = express.Router();
+
+// YYYY-MM-DD, the format TBA uses for event dates
+const date = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null);
+
+const createRegionalSchema = Joi.object({
+    // Either a TBA event key...
+    event_key: Joi.string().pattern(/^\d{4}[a-z0-9]+$/),
+    // ...or the details by hand (these also override what TBA returns)
+    season_year: Joi.number().integer().min(1992).max(2100),
+    regional_name: Joi.string().min(1).max(255),
+    regional_code: Joi.string().max(20),
+    start_date: date,
+    end_date: date
+}).or('event_key', 'regional_name');
+
+const updateRegionalSchema = Joi.object({
+    regional_name: Joi.string().min(1).max(255),
+    regional_code: Joi.string().max(20).allow(null),
+    start_date: date,
+    end_date: date
+}).min(1);
+
+const registerTeamsSchema = Joi.object({
+    team_numbers: Joi.array().items(Joi.number().integer().min(1).max(99999)).min(1).max(100).required()
+});
+
+// Changes to regionals: leads of the host organization
+const regionalLeads = [
+    requireRole('lead'),
+    (req, res, next) => {
+        if (isHostOrganization(req)) return next();
+        res.status(403).json({
+            success: false,
+            error: { message: 'Regionals are shared by every organization, so only the host organization changes them' }
+        });
+    }
+];
+
+function regionalNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: { message: 'Regional not found' }
+    });
+}
+
+/**
+ * Name, code and dates for a TBA event
+ * @returns {Promise<object|null>} null when TBA doesn't know the event
+ */
+async function regionalFromEvent(eventKey) {
+    let event;
+    try {
+        event = await fetchFromTBA(`/event/${eventKey}`);
+    } catch (error) {
+        if (/TBA API error: 404/.test(error.message)) return null;
+        throw error;
+    }
+
+    return {
+        season_year: event.year,
+        regional_name: event.name,
+        regional_code: event.event_code?.toUpperCase(),
+        start_date: event.start_date,
+        end_date: event.end_date
+    };
+}
+
+// GET /api/regionals?season_year=2025 - Regionals in a season (defaults to the active one)
+router.get('/', asyncHandler(async (req, res) => {
+    const season = req.query.season_year
+        ? await repositories.seasons.findByYear(parseInt(req.query.season_year))
+        : await repositories.seasons.findActive();
+
+    if (!season) {
+        return res.status(404).json({
+            success: false,
+            error: { message: req.query.season_year ? 'Season not found' : 'No active season' }
+        });
+    }
+
+    // The season is the same for all of them, so it's returned once
+    const regionals = await repositories.regionals.list({ seasonId: season.id });
+    const data = regionals.map(({ seasons, ...regional }) => regional);
+
+    res.json({ success: true, data, season });
+}));
+
+// GET /api/regionals/:id - One regional with its season
+router.get('/:id', asyncHandler(async (req, res) => {
+    const data = await repositories.regionals.findById(parseInt(req.params.id));
+    if (!data) return regionalNotFound(res);
+
+    res.json({ success: true, data });
+}));
+
+// POST /api/regionals - Create a regional
+// { "event_key": "2025caoc" } pulls the details from TBA; the season comes from
+// the event's year, otherwise season_year, otherwise the active season
+router.post('/', ...regionalLeads, asyncHandler(async (req, res) => {
+    const { error: validationError, value } = createRegionalSchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    let details = {};
+    if (value.event_key) {
+        if (!isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: { message: 'TBA API key not configured - send regional_name and dates instead of event_key' }
+            });
+        }
+
+        details = await regionalFromEvent(value.event_key);
+        if (!details) {
+            return res.status(404).json({
+                success: false,
+                error: { message: `Event ${value.event_key} not found on The Blue Alliance` }
+            });
+        }
+        if (value.season_year && value.season_year !== details.season_year) {
+            return res.status(400).json({
+                success: false,
+                error: { message: `Event ${value.event_key} is in the ${details.season_year} season, not ${value.season_year}` }
+            });
+        }
+    }
+
+    const { event_key, ...overrides } = value;
+    const regional = { ...details, ...overrides };
+
+    const season = regional.season_year
+        ? await repositories.seasons.findByYear(regional.season_year)
+        : await repositories.seasons.findActive();
+
+    if (!season) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                message: regional.season_year
+                    ? `Create the ${regional.season_year} season first (POST /api/seasons)`
+                    : 'No active season - pass season_year'
+            }
+        });
+    }
+
+    let data;
+    try {
+        data = await repositories.regionals.create({
+            season_id: season.id,
+            regional_name: regional.regional_name,
+            regional_code: regional.regional_code,
+            start_date: regional.start_date,
+            end_date: regional.end_date
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: { message: `${regional.regional_name} already exists in the ${season.season_year} season` }
+            });
+        }
+        throw error;
+    }
+
+    res.status(201).json({
+        success: true,
+        data,
+        message: 'Regional created successfully'
+    });
+}));
+
+// PUT /api/regionals/:id - Update name, code or dates
+router.put('/:id', ...regionalLeads, asyncHandler(async (req, res) => {
+    const { error: validationError, value } = updateRegionalSchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    let data;
+    try {
+        data = await repositories.regionals.update(parseInt(req.params.id), value);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: { message: 'Another regional in this season already has that name' }
+            });
+        }
+        throw error;
+    }
+    if (!data) return regionalNotFound(res);
+
+    res.json({
+        success: true,
+        data,
+        message: 'Regional updated successfully'
+    });
+}));
+
+// GET /api/regionals/:id/teams - Teams entered in a regional
+router.get('/:id/teams', asyncHandler(async (req, res) => {
+    const regional = await repositories.regionals.findById(parseInt(req.params.id));
+    if (!regional) return regionalNotFound(res);
+
+    const data = await repositories.teams.list({ regionalId: regional.id });
+
+    res.json({ success: true, data, count: data.length });
+}));
+
+// POST /api/regionals/:id/teams - Enter teams ({ "team_numbers": [589, 254] })
+// Teams we haven't seen before are created
+router.post('/:id/teams', ...regionalLeads, asyncHandler(async (req, res) => {
+    const { error: validationError, value } = registerTeamsSchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const regional = await repositories.regionals.findById(parseInt(req.params.id));
+    if (!regional) return regionalNotFound(res);
+
+    // Trashed teams stay out until they're restored from the trash
+    const data = [];
+    const trashed = [];
+    for (const teamNumber of new Set(value.team_numbers)) {
+        const team = await repositories.teams.findOrCreate(teamNumber, regional);
+        if (team.deleted_at) trashed.push(teamNumber);
+        else data.push(team);
+    }
+
+    res.status(201).json({
+        success: true,
+        data,
+        skipped_deleted: trashed,
+        message: `${data.length} team(s) entered in ${regional.regional_name}` +
+            (trashed.length > 0 ? `; in the trash, restore first: ${trashed.join(', ')}` : '')
+    });
+}));
+
+// DELETE /api/regionals/:id/teams/:teamNumber - Take a team out of a regional
+router.delete('/:id/teams/:teamNumber', ...regionalLeads, asyncHandler(async (req, res) => {
+    const regional = await repositories.regionals.findById(parseInt(req.params.id));
+    if (!regional) return regionalNotFound(res);
+
+    const team = await repositories.teams.findByNumber(parseInt(req.params.teamNumber));
+    const removed = team ? await repositories.regionals.removeTeam(regional.id, team.id) : false;
+
+    if (!removed) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Team is not entered in this regional' }
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Team ${team.team_number} removed from ${regional.regional_name}`
+    });
+}));
+
+module.exports = router;
@@ -5,15 +5,21 @@
 
 const express = require('express');
 const Joi = require('joi');
-const { supabase } = require('../config/database');
+const repositories = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole, requireScouterAccount, regionalAllowed, canCreateRegionals } = require('../middleware/auth');
+const { publish } = require('../services/liveEvents');
+const { recordChange } = require('../services/audit');
+const { organizationOf, readableOrganizationIds } = require('../services/organizations');
 
 const router = express.Router();
 
 // Validation schema for robot info
 const robotInfoSchema = Joi.object({
     team_number: Joi.number().integer().min(1).max(99999).required(),
-    regional: Joi.string().min(1).max(50).required(),
+    // regional_id, or the regional name older clients send
+    regional: Joi.string().min(1).max(50),
+    regional_id: Joi.number().integer().positive(),
     can_score_amp: Joi.boolean().default(false),
     can_score_speaker: Joi.boolean().default(false),
     can_ground_intake: Joi.boolean().default(false),
@@ -25,27 +31,29 @@ const robotInfoSchema = Joi.object({
     drive_type: Joi.string().max(50).allow(''),
     notes: Joi.string().max(1000).allow(''),
     scouter_name: Joi.string().max(100).allow('')
-});
+}).or('regional', 'regional_id');
 
-// GET /api/robot-info/:teamNumber
+// GET /api/robot-info/:teamNumber?regional_id=1 (or ?regional=Orange County)
 router.get('/:teamNumber', asyncHandler(async (req, res) => {
     const { teamNumber } = req.params;
-    const { regional } = req.query;
 
-    if (!regional) {
+    if (!req.query.regional && !req.query.regional_id) {
         return res.status(400).json({
             success: false,
             error: { message: 'Regional parameter is required' }
         });
     }
 
+    const regional = await repositories.regionals.resolve(req.query);
+    if (!regional) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Regional not found' }
+        });
+    }
+
     // Get team ID first
-    const { data: team } = await supabase
-        .from('teams')
-        .select('id')
-        .eq('team_number', teamNumber)
-        .eq('regional', regional)
-        .single();
+    const team = await repositories.teams.findByNumber(parseInt(teamNumber), { regionalId: regional.id });
 
     if (!team) {
         return res.status(404).json({
@@ -54,23 +62,8 @@ router.get('/:teamNumber', asyncHandler(async (req, res) => {
         });
     }
 
-    // Get robot info
-    const { data, error } = await supabase
-        .from('robot_info')
-        .select(`
-            *,
-            teams:team_id (
-                team_number,
-                team_name
-            )
-        `)
-        .eq('team_id', team.id)
-        .eq('regional', regional)
-        .single();
-
-    if (error && error.code !== 'PGRST116') {
-        throw new Error(`Database error: ${error.message}`);
-    }
+    // Get robot info (our own if we have it, otherwise a partner's)
+    const data = await repositories.robotInfo.find(team.id, regional.id, { organizationIds: await readableOrganizationIds(req) });
 
     if (!data) {
         return res.status(404).json({
@@ -86,7 +79,7 @@ router.get('/:teamNumber', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/robot-info
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requireScouterAccount, asyncHandler(async (req, res) => {
     // Validate input
     const { error: validationError, value } = robotInfoSchema.validate(req.body);
     if (validationError) {
@@ -96,52 +89,51 @@ router.post('/', asyncHandler(async (req, res) => {
         });
     }
 
-    // Get or create team
-    let { data: team } = await supabase
-        .from('teams')
-        .select('id')
-        .eq('team_number', value.team_number)
-        .eq('regional', value.regional)
-        .single();
+    const regional = await repositories.regionals.resolve(value, { create: canCreateRegionals(req) });
+    if (!regional) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Regional not found' }
+        });
+    }
+    if (!regionalAllowed(req, regional.id)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: `This API key cannot write data for ${regional.regional_name}` }
+        });
+    }
 
-    if (!team) {
-        // Create team if it doesn't exist
-        const { data: newTeam, error: teamError } = await supabase
-            .from('teams')
-            .insert({
-                team_number: value.team_number,
-                regional: value.regional,
-                team_name: `Team ${value.team_number}`
-            })
-            .select()
-            .single();
-
-        if (teamError) {
-            throw new Error(`Error creating team: ${teamError.message}`);
-        }
-
-        team = newTeam;
+    // Get or create team
+    const team = await repositories.teams.findOrCreate(value.team_number, regional);
+    if (team.deleted_at) {
+        return res.status(409).json({
+            success: false,
+            error: { message: `Team ${team.team_number} is in the trash - restore it first (POST /api/trash/teams/${team.id}/restore)` }
+        });
     }
 
-    // Create robot info record
-    const robotData = { ...value, team_id: team.id };
+    // Create robot info record (or update the team's existing one)
+    const robotData = {
+        ...value,
+        organization_id: organizationOf(req),
+        team_id: team.id,
+        regional: regional.regional_name,
+        regional_id: regional.id
+    };
+    if (req.user) robotData.scouter_name = req.user.display_name; // The account, not whatever was typed
     delete robotData.team_number; // Remove since we now have team_id
 
-    const { data, error } = await supabase
-        .from('robot_info')
-        .upsert(robotData) // Use upsert to handle updates
-        .select(`
-            *,
-            teams:team_id (
-                team_number,
-                team_name
-            )
-        `)
-        .single();
-
-    if (error) {
-        throw new Error(`Error saving robot info: ${error.message}`);
-    }
+    const before = await repositories.robotInfo.find(team.id, regional.id, { organizationIds: [robotData.organization_id] });
+    const data = await repositories.robotInfo.save(robotData);
+    await recordChange(req, { entityType: 'robot_info', entityId: data.id, action: before ? 'update' : 'create', before, after: data });
+
+    const scope = {
+        regional: regional.regional_name,
+        regional_id: regional.id,
+        team_number: value.team_number,
+        organization_id: robotData.organization_id
+    };
+    publish('robot_info.updated', { team_number: value.team_number, regional: regional.regional_name, regional_id: regional.id }, scope);
 
     res.status(201).json({
         success: true,
@@ -150,4 +142,49 @@ router.post('/', asyncHandler(async (req, res) => {
     });
 }));
 
-module.exports = router;
\ No newline at end of file
+// DELETE /api/robot-info/:teamNumber?regional_id=1 - Move a team's pit scouting to the trash
+router.delete('/:teamNumber', requireRole('lead'), asyncHandler(async (req, res) => {
+    if (!req.query.regional && !req.query.regional_id) {
+        return res.status(400).json({
+            success: false,
+            error: { message: 'Regional parameter is required' }
+        });
+    }
+
+    const regional = await repositories.regionals.resolve(req.query);
+    if (!regional) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Regional not found' }
+        });
+    }
+    if (!regionalAllowed(req, regional.id)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: `This API key cannot write data for ${regional.regional_name}` }
+        });
+    }
+
+    const team = await repositories.teams.findByNumber(parseInt(req.params.teamNumber));
+    const data = team ? await repositories.robotInfo.find(team.id, regional.id, { organizationIds: [organizationOf(req)] }) : null;
+    if (!data) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Robot info not found for this team' }
+        });
+    }
+
+    await repositories.robotInfo.remove(data.id);
+    await recordChange(req, { entityType: 'robot_info', entityId: data.id, action: 'delete', before: data });
+
+    const teamNumber = team.team_number;
+    publish('robot_info.updated', { team_number: teamNumber, regional: regional.regional_name, regional_id: regional.id, deleted: true },
+        { regional: regional.regional_name, regional_id: regional.id, team_number: teamNumber, organization_id: data.organization_id });
+
+    res.json({
+        success: true,
+        message: 'Robot info moved to the trash'
+    });
+}));
+
+module.exports = router;
@@ -1,61 +1,152 @@
 /**
  * Seasons Routes
  * Season management and Firebase compatibility layer
+ *
+ * One season is active at a time; it's where regional names resolve and
+ * which game the match forms use. Archived seasons drop out of the app's
+ * lists but keep all their data. Regionals are managed in routes/regionals.js.
+ *
+ * Seasons are shared by every organization, so only the host organization's
+ * admins change them.
  */
 
 const express = require('express');
+const Joi = require('joi');
 const { supabase } = require('../config/database');
+const repositories = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandling');
+const { requireSupabase } = require('../middleware/backend');
+const { requireRole } = require('../middleware/auth');
+const { organizationOf, isHostOrganization } = require('../services/organizations');
+const { defaultRegional } = require('../services/currentRegional');
+const {
+    BUILTIN_GAMES,
+    validateGameDefinition,
+    findBuiltinGameDefinition,
+    gameDefinitionForSeason
+} = require('../games');
 
 const router = express.Router();
 
-// GET /api/seasons - List all seasons
-router.get('/', asyncHandler(async (req, res) => {
-    const { data, error } = await supabase
-        .from('seasons')
-        .select('*')
-        .order('season_year', { ascending: false });
+// YYYY-MM-DD, the format TBA uses for event dates
+const date = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(null);
+
+const createSeasonSchema = Joi.object({
+    season_year: Joi.number().integer().min(1992).max(2100).required(),
+    season_name: Joi.string().min(1).max(255).required(),
+    game_name: Joi.string().max(255),
+    game_key: Joi.string().max(50),
+    game_definition: Joi.object(),
+    start_date: date,
+    end_date: date
+});
+
+const updateSeasonSchema = Joi.object({
+    season_name: Joi.string().min(1).max(255),
+    game_name: Joi.string().max(255).allow(null),
+    start_date: date,
+    end_date: date,
+    // Regional the scouting app opens to (see GET /api/seasons/current)
+    current_regional_id: Joi.number().integer().positive().allow(null)
+}).min(1);
+
+function seasonNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: { message: 'Season not found' }
+    });
+}
+
+// Changes to seasons: admins of the host organization
+const seasonAdmins = [
+    requireRole('admin'),
+    (req, res, next) => {
+        if (isHostOrganization(req)) return next();
+        res.status(403).json({
+            success: false,
+            error: { message: 'Seasons are shared by every organization, so only the host organization changes them' }
+        });
+    }
+];
 
-    if (error) throw new Error(`Database error: ${error.message}`);
+// Regionals come back from the repositories with their season attached
+const withoutSeason = ({ seasons, ...regional }) => regional;
+
+// GET /api/seasons - List seasons (?include_archived=true for archived ones too)
+router.get('/', asyncHandler(async (req, res) => {
+    const data = await repositories.seasons.list({ includeArchived: req.query.include_archived === 'true' });
 
     res.json({ success: true, data });
 }));
 
-// GET /api/seasons/:year - Get specific season with regionals
-router.get('/:year', asyncHandler(async (req, res) => {
-    const { year } = req.params;
+// GET /api/seasons/current - What the scouting app should default to
+// The active season, its regionals, and the regional to open
+router.get('/current', asyncHandler(async (req, res) => {
+    const season = await repositories.seasons.findActive();
 
-    const { data, error } = await supabase
-        .from('seasons')
-        .select(`
-            *,
-            regionals (
-                id,
-                regional_name,
-                regional_code,
-                start_date,
-                end_date
-            )
-        `)
-        .eq('season_year', year)
-        .single();
+    if (!season) {
+        return res.json({
+            success: true,
+            data: { season: null, regional: null, regionals: [] },
+            message: 'No active season - activate one with PUT /api/seasons/:year/activate'
+        });
+    }
 
-    if (error) {
-        if (error.code === 'PGRST116') {
-            return res.status(404).json({
-                success: false,
-                error: { message: 'Season not found' }
-            });
+    const regionals = (await repositories.regionals.list({ seasonId: season.id })).map(withoutSeason);
+    const { regional, reason } = defaultRegional(season, regionals);
+
+    res.json({
+        success: true,
+        data: {
+            season,
+            regional,
+            regional_reason: reason,
+            regionals,
+            game_name: gameDefinitionForSeason(season).game_name
         }
-        throw new Error(`Database error: ${error.message}`);
+    });
+}));
+
+// GET /api/seasons/game-definitions - Built-in game definitions
+router.get('/game-definitions', (req, res) => {
+    res.json({
+        success: true,
+        data: BUILTIN_GAMES.map(game => ({
+            game_key: game.game_key,
+            game_name: game.game_name,
+            season_year: game.season_year,
+            version: game.version
+        }))
+    });
+});
+
+// GET /api/seasons/game-definitions/:gameKey - Full built-in definition
+router.get('/game-definitions/:gameKey', (req, res) => {
+    const definition = findBuiltinGameDefinition(req.params.gameKey);
+
+    if (!definition) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Game definition not found' }
+        });
     }
 
-    res.json({ success: true, data });
+    res.json({ success: true, data: definition });
+});
+
+// GET /api/seasons/:year - Get specific season with regionals
+router.get('/:year', asyncHandler(async (req, res) => {
+    const season = await repositories.seasons.findByYear(parseInt(req.params.year));
+    if (!season) return seasonNotFound(res);
+
+    const regionals = await repositories.regionals.list({ seasonId: season.id });
+
+    res.json({ success: true, data: { ...season, regionals: regionals.map(withoutSeason) } });
 }));
 
 // GET /api/seasons/:year/regionals/:regional/teams - Firebase compatibility
 // Mimics Firebase path: season/regional/teams
-router.get('/:year/regionals/:regional/teams', asyncHandler(async (req, res) => {
+router.get('/:year/regionals/:regional/teams', requireSupabase('Season team stats'), asyncHandler(async (req, res) => {
     const { year, regional } = req.params;
 
     const { data, error } = await supabase
@@ -92,6 +183,7 @@ router.get('/:year/regionals/:regional/teams', asyncHandler(async (req, res) =>
             postgame_disabled_percent,
             postgame_defense_percent
         `)
+        .eq('organization_id', organizationOf(req))
         .eq('season_year', year)
         .eq('regional_name', regional);
 
@@ -103,7 +195,7 @@ router.get('/:year/regionals/:regional/teams', asyncHandler(async (req, res) =>
 // GET /api/seasons/:year/regionals/:regional/teams/:teamNumber/stats/:type/:category/:stat
 // Firebase compatibility for individual stats
 // Example: /api/seasons/2025/regionals/Orange County/teams/589/stats/percentage/auto/m1
-router.get('/:year/regionals/:regional/teams/:teamNumber/stats/:type/:category/:stat', asyncHandler(async (req, res) => {
+router.get('/:year/regionals/:regional/teams/:teamNumber/stats/:type/:category/:stat', requireSupabase('Season team stats'), asyncHandler(async (req, res) => {
     const { year, regional, teamNumber, type, category, stat } = req.params;
 
     // Build the column name based on Firebase path structure
@@ -114,6 +206,7 @@ router.get('/:year/regionals/:regional/teams/:teamNumber/stats/:type/:category/:
     const { data, error } = await supabase
         .from(viewName)
         .select(columnName)
+        .eq('organization_id', organizationOf(req))
         .eq('season_year', year)
         .eq('regional_name', regional)
         .eq('team_number', teamNumber)
@@ -139,7 +232,7 @@ router.get('/:year/regionals/:regional/teams/:teamNumber/stats/:type/:category/:
 
 // GET /api/seasons/:year/regionals/:regional/teams/:teamNumber/stats/rank
 // Firebase compatibility for rankings
-router.get('/:year/regionals/:regional/teams/:teamNumber/stats/rank', asyncHandler(async (req, res) => {
+router.get('/:year/regionals/:regional/teams/:teamNumber/stats/rank', requireSupabase('Season team stats'), asyncHandler(async (req, res) => {
     const { year, regional, teamNumber } = req.params;
 
     const { data, error } = await supabase
@@ -155,6 +248,7 @@ router.get('/:year/regionals/:regional/teams/:teamNumber/stats/rank', asyncHandl
             endgame_score,
             matches_played
         `)
+        .eq('organization_id', organizationOf(req))
         .eq('season_year', year)
         .eq('regional_name', regional)
         .eq('team_number', teamNumber)
@@ -177,38 +271,92 @@ router.get('/:year/regionals/:regional/teams/:teamNumber/stats/rank', asyncHandl
     });
 }));
 
-// POST /api/seasons - Create new season
-router.post('/', asyncHandler(async (req, res) => {
-    const { season_year, season_name, game_name, start_date, end_date } = req.body;
+// GET /api/seasons/:year/game-definition - Game definition used by a season
+router.get('/:year/game-definition', asyncHandler(async (req, res) => {
+    const season = await repositories.seasons.findByYear(parseInt(req.params.year));
+    if (!season) return seasonNotFound(res);
+
+    res.json({
+        success: true,
+        data: gameDefinitionForSeason(season),
+        source: season.game_definition ? 'season' : 'builtin'
+    });
+}));
 
-    if (!season_year || !season_name) {
+// PUT /api/seasons/:year/game-definition - Attach a game definition to a season
+// Body is either a full definition or { "game_key": "reefscape_2025" } for a built-in
+router.put('/:year/game-definition', ...seasonAdmins, asyncHandler(async (req, res) => {
+    const { year } = req.params;
+
+    const { definition, error: definitionError } = resolveDefinitionInput(req.body);
+    if (definitionError) {
         return res.status(400).json({
             success: false,
-            error: { message: 'season_year and season_name are required' }
+            error: { message: definitionError }
         });
     }
 
-    const { data, error } = await supabase
-        .from('seasons')
-        .insert({
-            season_year,
-            season_name,
-            game_name,
-            start_date,
-            end_date,
-            is_active: false // New seasons start inactive
-        })
-        .select()
-        .single();
+    const season = await repositories.seasons.findByYear(parseInt(year));
+    if (!season) return seasonNotFound(res);
 
-    if (error) {
+    const data = await repositories.seasons.update(season.id, {
+        game_definition: definition,
+        game_name: definition.game_name
+    });
+
+    res.json({
+        success: true,
+        data,
+        message: `Season ${year} now uses ${definition.game_name}`
+    });
+}));
+
+// POST /api/seasons - Create new season
+router.post('/', ...seasonAdmins, asyncHandler(async (req, res) => {
+    const { error: validationError, value } = createSeasonSchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    // Optional game definition (full definition or built-in game_key)
+    let gameDefinition = null;
+    let gameName = value.game_name;
+    if (value.game_definition || value.game_key) {
+        const { definition, error: definitionError } = resolveDefinitionInput(
+            value.game_definition || { game_key: value.game_key }
+        );
+        if (definitionError) {
+            return res.status(400).json({
+                success: false,
+                error: { message: definitionError }
+            });
+        }
+        gameDefinition = definition;
+        gameName = gameName || definition.game_name;
+    }
+
+    let data;
+    try {
+        data = await repositories.seasons.create({
+            season_year: value.season_year,
+            season_name: value.season_name,
+            game_name: gameName,
+            game_definition: gameDefinition,
+            start_date: value.start_date,
+            end_date: value.end_date,
+            is_active: false // New seasons start inactive
+        });
+    } catch (error) {
         if (error.code === '23505') { // Unique violation
             return res.status(409).json({
                 success: false,
                 error: { message: 'Season already exists' }
             });
         }
-        throw new Error(`Database error: ${error.message}`);
+        throw error;
     }
 
     res.status(201).json({
@@ -218,35 +366,54 @@ router.post('/', asyncHandler(async (req, res) => {
     });
 }));
 
-// PUT /api/seasons/:year/activate - Activate a season (deactivate others)
-router.put('/:year/activate', asyncHandler(async (req, res) => {
-    const { year } = req.params;
-
-    // Start transaction to ensure atomicity
-    const { error: deactivateError } = await supabase
-        .from('seasons')
-        .update({ is_active: false })
-        .neq('season_year', year);
-
-    if (deactivateError) throw new Error(`Database error: ${deactivateError.message}`);
+// PUT /api/seasons/:year - Update name, game name, dates or the pinned regional
+router.put('/:year', ...seasonAdmins, asyncHandler(async (req, res) => {
+    const { error: validationError, value } = updateSeasonSchema.validate(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
 
-    const { data, error: activateError } = await supabase
-        .from('seasons')
-        .update({ is_active: true })
-        .eq('season_year', year)
-        .select()
-        .single();
+    const season = await repositories.seasons.findByYear(parseInt(req.params.year));
+    if (!season) return seasonNotFound(res);
 
-    if (activateError) {
-        if (activateError.code === 'PGRST116') {
-            return res.status(404).json({
+    if (value.current_regional_id) {
+        const regional = await repositories.regionals.findById(value.current_regional_id);
+        if (!regional || regional.season_id !== season.id) {
+            return res.status(400).json({
                 success: false,
-                error: { message: 'Season not found' }
+                error: { message: `current_regional_id must be a regional in the ${season.season_year} season` }
             });
         }
-        throw new Error(`Database error: ${activateError.message}`);
     }
 
+    const data = await repositories.seasons.update(season.id, value);
+
+    res.json({
+        success: true,
+        data,
+        message: 'Season updated successfully'
+    });
+}));
+
+// PUT /api/seasons/:year/activate - Activate a season (deactivate others)
+router.put('/:year/activate', ...seasonAdmins, asyncHandler(async (req, res) => {
+    const { year } = req.params;
+
+    const season = await repositories.seasons.findByYear(parseInt(year));
+    if (!season) return seasonNotFound(res);
+
+    if (season.archived_at) {
+        return res.status(409).json({
+            success: false,
+            error: { message: 'Season is archived - unarchive it before activating' }
+        });
+    }
+
+    const data = await repositories.seasons.activate(season.id);
+
     res.json({
         success: true,
         data,
@@ -254,4 +421,58 @@ router.put('/:year/activate', asyncHandler(async (req, res) => {
     });
 }));
 
+// PUT /api/seasons/:year/archive - Hide a finished season from the app (data is kept)
+router.put('/:year/archive', ...seasonAdmins, asyncHandler(async (req, res) => {
+    const season = await repositories.seasons.findByYear(parseInt(req.params.year));
+    if (!season) return seasonNotFound(res);
+
+    if (season.is_active) {
+        return res.status(409).json({
+            success: false,
+            error: { message: 'The active season cannot be archived - activate another season first' }
+        });
+    }
+
+    const data = season.archived_at
+        ? season
+        : await repositories.seasons.update(season.id, { archived_at: new Date().toISOString() });
+
+    res.json({
+        success: true,
+        data,
+        message: `Season ${season.season_year} archived`
+    });
+}));
+
+// PUT /api/seasons/:year/unarchive - Bring an archived season back
+router.put('/:year/unarchive', ...seasonAdmins, asyncHandler(async (req, res) => {
+    const season = await repositories.seasons.findByYear(parseInt(req.params.year));
+    if (!season) return seasonNotFound(res);
+
+    const data = await repositories.seasons.update(season.id, { archived_at: null });
+
+    res.json({
+        success: true,
+        data,
+        message: `Season ${season.season_year} unarchived`
+    });
+}));
+
+/**
+ * Turn a request body into a validated game definition
+ * Accepts a full definition, or just { game_key } to copy a built-in one
+ */
+function resolveDefinitionInput(body) {
+    if (body && body.game_key && !body.elements) {
+        const builtin = findBuiltinGameDefinition(body.game_key);
+        if (!builtin) {
+            return { definition: null, error: `Unknown built-in game: ${body.game_key}` };
+        }
+        return { definition: builtin, error: null };
+    }
+
+    const { error, value } = validateGameDefinition(body);
+    return { definition: value, error };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,31 +1,58 @@
 const express = require('express');
 const { supabase } = require('../config/database');
+const repositories = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandling');
+const { requireSupabase } = require('../middleware/backend');
+const { requireRole } = require('../middleware/auth');
+const { DEFAULT_GAME, loadGameDefinition, readElement } = require('../games');
+const { calculateEventRatings } = require('../services/opr');
+const { publish } = require('../services/liveEvents');
+const { recordChange } = require('../services/audit');
+const { HOST_ORGANIZATION_ID, organizationOf, readableBy, audienceOf } = require('../services/organizations');
+const { eventKeyOf } = require('../services/currentRegional');
+const { officialByTeam } = require('../services/officialData');
 
 const router = express.Router();
 
-async function calculateTeamStatistics(teamId, regionalId) {
-    try {
-        const { data: matches, error: matchError } = await supabase
-            .from('matches')
-            .select('*')
-            .eq('team_id', teamId)
-            .eq('regional_id', regionalId);
+/**
+ * Recalculate a team's statistics at a regional
+ * Done for every organization that counts `organizationId`'s matches: its
+ * own and each partner it shares with.
+ */
+async function calculateTeamStatistics(teamId, regionalId, organizationId = HOST_ORGANIZATION_ID) {
+    for (const audienceId of await audienceOf(organizationId)) {
+        await calculateOrganizationStatistics(teamId, regionalId, audienceId);
+    }
+}
 
-        if (matchError) throw new Error(`Match query error: ${matchError.message}`);
+// One organization's statistics for a team, from its matches and those shared with it
+async function calculateOrganizationStatistics(teamId, regionalId, organizationId) {
+    try {
+        // Wait for the lead scout to resolve disagreements
+        const matches = await repositories.matches.listForTeam(teamId, regionalId, {
+            excludeStatus: 'conflict',
+            organizationIds: await readableBy(organizationId)
+        });
 
-        if (!matches || matches.length === 0) {
-            await initializeEmptyStatistics(teamId, regionalId);
+        if (matches.length === 0) {
+            await initializeEmptyStatistics(teamId, regionalId, organizationId);
             return;
         }
 
+        const definition = await loadGameDefinition({ regionalId });
         const totalMatches = matches.length;
-        const stats = calculateStatsFromMatches(matches, totalMatches);
+        const stats = calculateStatsFromMatches(matches, totalMatches, definition);
 
-        await updateTeamStatsPercentage(teamId, regionalId, stats.percentages);
-        await updateTeamStatsFraction(teamId, regionalId, stats.fractions);
-        await updateTeamRankings(teamId, regionalId, stats.scores, totalMatches);
+        await repositories.stats.save(teamId, regionalId, organizationId, {
+            percentages: toStatsRow(stats.percentages, definition),
+            fractions: toStatsRow(stats.fractions, definition),
+            ranking: toRankingRow(stats.scores, totalMatches)
+        });
 
+        publish('stats.updated', { team_id: teamId, regional_id: regionalId, total_matches: totalMatches }, {
+            regional_id: regionalId,
+            organization_id: organizationId
+        });
         console.log(`Statistics updated for team ${teamId} in regional ${regionalId}`);
     } catch (error) {
         console.error('Error calculating team statistics:', error);
@@ -33,200 +60,314 @@ async function calculateTeamStatistics(teamId, regionalId) {
     }
 }
 
-function calculateStatsFromMatches(matches, totalMatches) {
-    const counters = {
-        pregame: { amp: 0, middle: 0, source: 0 },
-        auto: { taxi: 0, m1: 0, m2: 0, m3: 0, m4: 0, m5: 0, s1: 0, s2: 0, s3: 0, r: 0 },
-        teleop: { amp_attempts: 0, amp_scored: 0, speaker_attempts: 0, speaker_scored: 0, ground: 0, source: 0 },
-        endgame: { climb: { nothing: 0, park: 0, single: 0, double: 0, triple: 0 }, trap: { zero: 0, one: 0, two: 0, three: 0 } },
-        postgame: { driver_total: 0, disabled: 0, defense: 0 }
+/**
+ * Bring a partner's statistics up to date after `organizationId` starts or
+ * stops sharing with it: every team and regional `organizationId` scouted
+ * @returns {Promise<number>} How many team/regional pairs were recalculated
+ */
+async function recalculateSharedStatistics(organizationId, partnerId) {
+    const scouted = await repositories.matches.teamRegionals({ organizationIds: [organizationId] });
+    for (const { team_id, regional_id } of scouted) {
+        await calculateOrganizationStatistics(team_id, regional_id, partnerId);
+    }
+    return scouted.length;
+}
+
+/**
+ * Aggregate a team's matches into percentages, fractions and scores
+ * Driven entirely by the game definition, so the output keys are the
+ * `stat` names declared on each element (e.g. `auto_m1_percent`).
+ *
+ * @param {Array} matches - Stored `matches` rows
+ * @param {number} totalMatches - Number of matches played
+ * @param {object} [definition] - Game definition (defaults to Crescendo)
+ */
+function calculateStatsFromMatches(matches, totalMatches, definition = DEFAULT_GAME) {
+    const percentages = {};
+    const fractions = {};
+    const phaseScores = {};
+    const sums = {};
+
+    const rate = (count) => (count / totalMatches) * 100;
+    const addPoints = (phase, points) => {
+        phaseScores[phase] = (phaseScores[phase] || 0) + points;
     };
 
-    matches.forEach(match => {
-        if (match.starting_position === 'Amp') counters.pregame.amp++;
-        else if (match.starting_position === 'Middle') counters.pregame.middle++;
-        else if (match.starting_position === 'Source') counters.pregame.source++;
-
-        if (match.auto_taxi) counters.auto.taxi++;
-        counters.auto.m1 += match.auto_m1 || 0;
-        counters.auto.m2 += match.auto_m2 || 0;
-        counters.auto.m3 += match.auto_m3 || 0;
-        counters.auto.m4 += match.auto_m4 || 0;
-        counters.auto.m5 += match.auto_m5 || 0;
-        counters.auto.s1 += match.auto_s1 || 0;
-        counters.auto.s2 += match.auto_s2 || 0;
-        counters.auto.s3 += match.auto_s3 || 0;
-        counters.auto.r += match.auto_r || 0;
-
-        counters.teleop.amp_attempts += match.teleop_amp_attempts || 0;
-        counters.teleop.amp_scored += match.teleop_amp_scored || 0;
-        counters.teleop.speaker_attempts += match.teleop_speaker_attempts || 0;
-        counters.teleop.speaker_scored += match.teleop_speaker_scored || 0;
-        counters.teleop.ground += match.teleop_ground_intake || 0;
-        counters.teleop.source += match.teleop_source_intake || 0;
-
-        switch (match.endgame_climb) {
-            case 'Nothing': counters.endgame.climb.nothing++; break;
-            case 'Park': counters.endgame.climb.park++; break;
-            case 'Single Climb': counters.endgame.climb.single++; break;
-            case 'Double Climb': counters.endgame.climb.double++; break;
-            case 'Triple Climb': counters.endgame.climb.triple++; break;
+    // First pass: total up every counter so attempts/sums can reference them
+    for (const element of definition.elements) {
+        if (element.type === 'counter') {
+            sums[element.key] = matches.reduce((total, match) => total + (readElement(match, element, definition) || 0), 0);
         }
+    }
+
+    for (const element of definition.elements) {
+        const values = matches.map(match => readElement(match, element, definition));
+
+        switch (element.type) {
+            case 'counter': {
+                const sum = sums[element.key];
+                if (element.points) addPoints(element.phase, sum * element.points);
+
+                if (element.stat && element.attempts) {
+                    const attempts = sums[element.attempts];
+                    percentages[`${element.stat}_percent`] = attempts > 0 ? (sum / attempts) * 100 : 0;
+                    fractions[`${element.stat}_fraction`] = `${sum}/${attempts}`;
+                    fractions[`${element.stat}_total`] = sum;
+                } else if (element.stat) {
+                    percentages[`${element.stat}_percent`] = element.per_match_rate ? Math.min(rate(sum), 100) : rate(sum);
+                    fractions[`${element.stat}_fraction`] = `${sum}/${totalMatches}`;
+                }
 
-        const trapCount = match.endgame_trap_count || 0;
-        switch (trapCount) {
-            case 0: counters.endgame.trap.zero++; break;
-            case 1: counters.endgame.trap.one++; break;
-            case 2: counters.endgame.trap.two++; break;
-            case 3: counters.endgame.trap.three++; break;
+                if (element.distribution) {
+                    for (const bucket of element.distribution.values) {
+                        const count = values.filter(value => (value || 0) === bucket).length;
+                        const name = element.distribution.stat.replace('{value}', bucket);
+                        percentages[`${name}_percent`] = rate(count);
+                        fractions[`${name}_fraction`] = `${count}/${totalMatches}`;
+                    }
+                }
+                break;
+            }
+            case 'boolean': {
+                const count = values.filter(Boolean).length;
+                if (element.points) addPoints(element.phase, count * element.points);
+                if (element.stat) {
+                    percentages[`${element.stat}_percent`] = rate(count);
+                    fractions[`${element.stat}_fraction`] = `${count}/${totalMatches}`;
+                }
+                break;
+            }
+            case 'enum': {
+                for (const option of element.options) {
+                    const count = values.filter(value => value === option.value).length;
+                    if (option.points) addPoints(element.phase, count * option.points);
+                    if (option.stat) {
+                        percentages[`${option.stat}_percent`] = rate(count);
+                        fractions[`${option.stat}_fraction`] = `${count}/${totalMatches}`;
+                    }
+                }
+                break;
+            }
+            case 'rating': {
+                if (element.stat) {
+                    const total = values.reduce((sum, value) => sum + (value || 0), 0);
+                    percentages[`${element.stat}_avg`] = total / totalMatches;
+                }
+                break;
+            }
         }
+    }
 
-        counters.postgame.driver_total += match.driver_rating || 0;
-        if (match.robot_disabled) counters.postgame.disabled++;
-        if (match.played_defense) counters.postgame.defense++;
-    });
+    for (const total of definition.totals || []) {
+        fractions[total.stat] = total.sum
+            ? total.sum.reduce((sum, key) => sum + (sums[key] || 0), 0)
+            : totalMatches;
+    }
 
-    return {
-        percentages: {
-            pregame_amp_percent: (counters.pregame.amp / totalMatches) * 100,
-            pregame_middle_percent: (counters.pregame.middle / totalMatches) * 100,
-            pregame_source_percent: (counters.pregame.source / totalMatches) * 100,
-            auto_taxi_percent: (counters.auto.taxi / totalMatches) * 100,
-            auto_m1_percent: Math.min((counters.auto.m1 / totalMatches) * 100, 100),
-            auto_m2_percent: Math.min((counters.auto.m2 / totalMatches) * 100, 100),
-            auto_m3_percent: Math.min((counters.auto.m3 / totalMatches) * 100, 100),
-            auto_m4_percent: Math.min((counters.auto.m4 / totalMatches) * 100, 100),
-            auto_m5_percent: Math.min((counters.auto.m5 / totalMatches) * 100, 100),
-            auto_s1_percent: Math.min((counters.auto.s1 / totalMatches) * 100, 100),
-            auto_s2_percent: Math.min((counters.auto.s2 / totalMatches) * 100, 100),
-            auto_s3_percent: Math.min((counters.auto.s3 / totalMatches) * 100, 100),
-            auto_r_percent: Math.min((counters.auto.r / totalMatches) * 100, 100),
-            teleop_amp_percent: counters.teleop.amp_attempts > 0 ? (counters.teleop.amp_scored / counters.teleop.amp_attempts) * 100 : 0,
-            teleop_speaker_percent: counters.teleop.speaker_attempts > 0 ? (counters.teleop.speaker_scored / counters.teleop.speaker_attempts) * 100 : 0,
-            teleop_ground_intake_percent: (counters.teleop.ground / totalMatches) * 100,
-            teleop_source_intake_percent: (counters.teleop.source / totalMatches) * 100,
-            endgame_nothing_percent: (counters.endgame.climb.nothing / totalMatches) * 100,
-            endgame_park_percent: (counters.endgame.climb.park / totalMatches) * 100,
-            endgame_single_climb_percent: (counters.endgame.climb.single / totalMatches) * 100,
-            endgame_double_climb_percent: (counters.endgame.climb.double / totalMatches) * 100,
-            endgame_triple_climb_percent: (counters.endgame.climb.triple / totalMatches) * 100,
-            endgame_0_trap_percent: (counters.endgame.trap.zero / totalMatches) * 100,
-            endgame_1_trap_percent: (counters.endgame.trap.one / totalMatches) * 100,
-            endgame_2_trap_percent: (counters.endgame.trap.two / totalMatches) * 100,
-            endgame_3_trap_percent: (counters.endgame.trap.three / totalMatches) * 100,
-            postgame_driver_rating_avg: counters.postgame.driver_total / totalMatches,
-            postgame_disabled_percent: (counters.postgame.disabled / totalMatches) * 100,
-            postgame_defense_percent: (counters.postgame.defense / totalMatches) * 100
-        },
-        fractions: {
-            pregame_amp_fraction: `${counters.pregame.amp}/${totalMatches}`,
-            pregame_middle_fraction: `${counters.pregame.middle}/${totalMatches}`,
-            pregame_source_fraction: `${counters.pregame.source}/${totalMatches}`,
-            pregame_total: totalMatches,
-            auto_taxi_fraction: `${counters.auto.taxi}/${totalMatches}`,
-            auto_m1_fraction: `${counters.auto.m1}/${totalMatches}`,
-            auto_m2_fraction: `${counters.auto.m2}/${totalMatches}`,
-            auto_m3_fraction: `${counters.auto.m3}/${totalMatches}`,
-            auto_m4_fraction: `${counters.auto.m4}/${totalMatches}`,
-            auto_m5_fraction: `${counters.auto.m5}/${totalMatches}`,
-            auto_s1_fraction: `${counters.auto.s1}/${totalMatches}`,
-            auto_s2_fraction: `${counters.auto.s2}/${totalMatches}`,
-            auto_s3_fraction: `${counters.auto.s3}/${totalMatches}`,
-            auto_r_fraction: `${counters.auto.r}/${totalMatches}`,
-            auto_total: counters.auto.m1 + counters.auto.m2 + counters.auto.m3 + counters.auto.m4 + counters.auto.m5 + counters.auto.s1 + counters.auto.s2 + counters.auto.s3 + counters.auto.r,
-            teleop_amp_fraction: `${counters.teleop.amp_scored}/${counters.teleop.amp_attempts}`,
-            teleop_speaker_fraction: `${counters.teleop.speaker_scored}/${counters.teleop.speaker_attempts}`,
-            teleop_ground_intake_fraction: `${counters.teleop.ground}/${totalMatches}`,
-            teleop_source_intake_fraction: `${counters.teleop.source}/${totalMatches}`,
-            teleop_amp_total: counters.teleop.amp_scored,
-            teleop_intake_total: counters.teleop.ground + counters.teleop.source,
-            teleop_speaker_total: counters.teleop.speaker_scored,
-            endgame_nothing_fraction: `${counters.endgame.climb.nothing}/${totalMatches}`,
-            endgame_park_fraction: `${counters.endgame.climb.park}/${totalMatches}`,
-            endgame_single_climb_fraction: `${counters.endgame.climb.single}/${totalMatches}`,
-            endgame_double_climb_fraction: `${counters.endgame.climb.double}/${totalMatches}`,
-            endgame_triple_climb_fraction: `${counters.endgame.climb.triple}/${totalMatches}`,
-            endgame_0_trap_fraction: `${counters.endgame.trap.zero}/${totalMatches}`,
-            endgame_1_trap_fraction: `${counters.endgame.trap.one}/${totalMatches}`,
-            endgame_2_trap_fraction: `${counters.endgame.trap.two}/${totalMatches}`,
-            endgame_3_trap_fraction: `${counters.endgame.trap.three}/${totalMatches}`,
-            endgame_total: totalMatches,
-            postgame_disabled_fraction: `${counters.postgame.disabled}/${totalMatches}`,
-            postgame_defense_fraction: `${counters.postgame.defense}/${totalMatches}`,
-            postgame_total: totalMatches
-        },
-        scores: {
-            auto_score: (counters.auto.m1 + counters.auto.m2 + counters.auto.m3 + counters.auto.m4 + counters.auto.m5) * 2 +
-                       (counters.auto.s1 + counters.auto.s2 + counters.auto.s3) * 5 +
-                       counters.auto.r * 3 + (counters.auto.taxi * 2),
-            teleop_score: counters.teleop.amp_scored * 1 + counters.teleop.speaker_scored * 2,
-            endgame_score: (counters.endgame.climb.single * 3) + (counters.endgame.climb.double * 10) + (counters.endgame.climb.triple * 20) +
-                          (counters.endgame.trap.one * 5) + (counters.endgame.trap.two * 10) + (counters.endgame.trap.three * 15),
-            get overall_score() { return this.auto_score + this.teleop_score + this.endgame_score; }
+    const scores = {};
+    for (const phase of definition.phases) {
+        if (phase.key in phaseScores) {
+            scores[`${phase.key}_score`] = phaseScores[phase.key];
         }
-    };
+    }
+    scores.overall_score = Object.values(phaseScores).reduce((sum, points) => sum + points, 0);
+
+    return { percentages, fractions, scores };
 }
 
-async function updateTeamStatsPercentage(teamId, regionalId, percentages) {
-    const { error } = await supabase.from('team_stats_percentage').upsert({
-        team_id: teamId, regional_id: regionalId, ...percentages, last_calculated: new Date().toISOString()
-    }, { onConflict: 'team_id,regional_id' });
-    if (error) throw new Error(`Error updating percentages: ${error.message}`);
+/**
+ * Shape computed stats for the stats tables
+ * Legacy games write named columns; other games use the stats_data JSONB column
+ */
+function toStatsRow(stats, definition) {
+    return definition.storage === 'columns' ? stats : { stats_data: stats };
 }
 
-async function updateTeamStatsFraction(teamId, regionalId, fractions) {
-    const { error } = await supabase.from('team_stats_fraction').upsert({
-        team_id: teamId, regional_id: regionalId, ...fractions, last_calculated: new Date().toISOString()
-    }, { onConflict: 'team_id,regional_id' });
-    if (error) throw new Error(`Error updating fractions: ${error.message}`);
+function toRankingRow(scores, totalMatches) {
+    return {
+        overall_score: scores.overall_score,
+        auto_score: scores.auto_score ?? 0,
+        teleop_score: scores.teleop_score ?? 0,
+        endgame_score: scores.endgame_score ?? 0,
+        matches_played: totalMatches
+    };
 }
 
-async function updateTeamRankings(teamId, regionalId, scores, totalMatches) {
-    const { error } = await supabase.from('team_rankings').upsert({
-        team_id: teamId, regional_id: regionalId, overall_score: scores.overall_score,
-        auto_score: scores.auto_score, teleop_score: scores.teleop_score, endgame_score: scores.endgame_score,
-        matches_played: totalMatches, last_calculated: new Date().toISOString()
-    }, { onConflict: 'team_id,regional_id' });
-    if (error) throw new Error(`Error updating rankings: ${error.message}`);
+async function initializeEmptyStatistics(teamId, regionalId, organizationId) {
+    await repositories.stats.save(teamId, regionalId, organizationId, { ranking: { matches_played: 0 } });
 }
 
-async function initializeEmptyStatistics(teamId, regionalId) {
-    await Promise.all([
-        supabase.from('team_stats_percentage').upsert({ team_id: teamId, regional_id: regionalId, last_calculated: new Date().toISOString() }, { onConflict: 'team_id,regional_id' }),
-        supabase.from('team_stats_fraction').upsert({ team_id: teamId, regional_id: regionalId, last_calculated: new Date().toISOString() }, { onConflict: 'team_id,regional_id' }),
-        supabase.from('team_rankings').upsert({ team_id: teamId, regional_id: regionalId, matches_played: 0, last_calculated: new Date().toISOString() }, { onConflict: 'team_id,regional_id' })
-    ]);
+// :regionalId may be an ID or, for older clients, a regional name
+async function findRegional(req, res) {
+    const regional = await repositories.regionals.resolve({ regional: req.params.regionalId });
+    if (!regional) {
+        res.status(404).json({ success: false, error: { message: 'Regional not found' } });
+    }
+    return regional;
 }
 
-router.post('/calculate/:teamId/:regionalId', asyncHandler(async (req, res) => {
-    const { teamId, regionalId } = req.params;
-    await calculateTeamStatistics(parseInt(teamId), parseInt(regionalId));
-    res.json({ success: true, message: `Statistics calculated for team ${teamId} in regional ${regionalId}` });
+router.post('/calculate/:teamId/:regionalId', requireRole('lead'), asyncHandler(async (req, res) => {
+    const regional = await findRegional(req, res);
+    if (!regional) return;
+
+    const teamId = parseInt(req.params.teamId);
+    await calculateTeamStatistics(teamId, regional.id, organizationOf(req));
+    await recordChange(req, { entityType: 'statistics', entityId: teamId, action: 'recalculate', regionalId: regional.id });
+    res.json({ success: true, message: `Statistics calculated for team ${teamId} in regional ${regional.id}` });
 }));
 
-router.post('/calculate-all/:regionalId', asyncHandler(async (req, res) => {
-    const { regionalId } = req.params;
-    const { data: teams, error } = await supabase.from('team_regional_participation').select('team_id').eq('regional_id', regionalId);
-    if (error) throw new Error(`Database error: ${error.message}`);
+router.post('/calculate-all/:regionalId', requireRole('lead'), asyncHandler(async (req, res) => {
+    const regional = await findRegional(req, res);
+    if (!regional) return;
+
+    const teams = await repositories.teams.list({ regionalId: regional.id });
 
     const results = [];
     for (const team of teams) {
         try {
-            await calculateTeamStatistics(team.team_id, parseInt(regionalId));
-            results.push({ team_id: team.team_id, status: 'success' });
+            await calculateTeamStatistics(team.id, regional.id, organizationOf(req));
+            results.push({ team_id: team.id, status: 'success' });
         } catch (error) {
-            results.push({ team_id: team.team_id, status: 'error', error: error.message });
+            results.push({ team_id: team.id, status: 'error', error: error.message });
         }
     }
+    await recordChange(req, {
+        entityType: 'statistics',
+        action: 'recalculate',
+        regionalId: regional.id,
+        details: { teams: teams.length, failed: results.filter(result => result.status === 'error').length }
+    });
     res.json({ success: true, message: `Statistics calculated for ${teams.length} teams`, results });
 }));
 
+async function getRegionalRankings(regionalId, organizationId = HOST_ORGANIZATION_ID) {
+    const rankings = await repositories.stats.rankings(regionalId, organizationId);
+    return rankings.map((team, index) => ({ ...team, overall_rank: index + 1 }));
+}
+
+// Scouted rankings with each team's official rank, RP and OPR (event_key defaults like opr-comparison's)
 router.get('/regional/:regionalId/rankings', asyncHandler(async (req, res) => {
-    const { regionalId } = req.params;
-    const { data, error } = await supabase.from('team_rankings').select('*, teams (team_number, team_name)').eq('regional_id', regionalId).order('overall_score', { ascending: false });
+    const regional = await findRegional(req, res);
+    if (!regional) return;
+
+    const eventKey = req.query.event_key || eventKeyOf(regional);
+    const [rankedData, official] = await Promise.all([
+        getRegionalRankings(regional.id, organizationOf(req)),
+        officialByTeam(eventKey)
+    ]);
+    const data = rankedData.map(team => ({ ...team, official: official.get(team.teams?.team_number) || null }));
+
+    res.json({ success: true, event_key: eventKey, data });
+}));
+
+// ============================================================================
+// OPR / DPR / CCWM (derived from official TBA scores)
+// ============================================================================
+
+/**
+ * Calculate ratings for an event from stored tba_matches and save them
+ * Matches must already be imported (e.g. via POST /api/tba/.../matches/save)
+ */
+async function calculateAndStoreEventRatings(eventKey, options = {}) {
+    const tbaMatches = await repositories.tbaCache.listMatches(eventKey);
+
+    const result = calculateEventRatings(tbaMatches, options);
+    if (result.ratings.length === 0) return result;
+
+    const calculatedAt = new Date().toISOString();
+    const rows = result.ratings.map(rating => ({ event_key: eventKey, ...rating, calculated_at: calculatedAt }));
+
+    const { error: upsertError } = await supabase.from('calculated_oprs').upsert(rows, { onConflict: 'event_key,team_key' });
+    if (upsertError) throw new Error(`Error saving ratings: ${upsertError.message}`);
+
+    return result;
+}
+
+router.post('/event/:eventKey/opr/calculate', requireRole('lead'), requireSupabase('Calculated OPRs'), asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const compLevels = req.body.comp_levels || ['qm'];
+    const components = req.body.components;
+
+    const result = await calculateAndStoreEventRatings(eventKey, { compLevels, components });
+    if (result.ratings.length === 0) {
+        return res.status(404).json({ success: false, error: { message: `No played matches stored for ${eventKey}. Import TBA matches first.` } });
+    }
+    await recordChange(req, {
+        entityType: 'statistics',
+        entityId: eventKey,
+        action: 'recalculate',
+        details: { ratings: 'opr', teams: result.ratings.length, matches_counted: result.matchesCounted }
+    });
+
+    res.json({
+        success: true,
+        data: result.ratings,
+        matches_counted: result.matchesCounted,
+        components: result.components,
+        regularized: result.regularized,
+        message: `Ratings calculated for ${result.ratings.length} teams at ${eventKey}`
+    });
+}));
+
+router.get('/event/:eventKey/opr', requireSupabase('Calculated OPRs'), asyncHandler(async (req, res) => {
+    const { eventKey } = req.params;
+    const sortBy = ['opr', 'dpr', 'ccwm'].includes(req.query.sort) ? req.query.sort : 'opr';
+    const { data, error } = await supabase.from('calculated_oprs').select('*').eq('event_key', eventKey).order(sortBy, { ascending: sortBy === 'dpr' });
+    if (error) throw new Error(`Database error: ${error.message}`);
+    res.json({ success: true, data: data.map((team, index) => ({ ...team, rank: index + 1 })) });
+}));
+
+router.get('/team/:teamNumber/opr', requireSupabase('Calculated OPRs'), asyncHandler(async (req, res) => {
+    const { teamNumber } = req.params;
+    const { data, error } = await supabase.from('calculated_oprs').select('*').eq('team_key', `frc${teamNumber}`).order('calculated_at', { ascending: false });
     if (error) throw new Error(`Database error: ${error.message}`);
-    const rankedData = data.map((team, index) => ({ ...team, overall_rank: index + 1 }));
-    res.json({ success: true, data: rankedData });
+    res.json({ success: true, data });
+}));
+
+// Scouted averages next to OPR for every team at a regional
+// event_key defaults to <season_year><regional_code>, e.g. 2025caoc
+router.get('/regional/:regionalId/opr-comparison', requireSupabase('Calculated OPRs'), asyncHandler(async (req, res) => {
+    const regional = await findRegional(req, res);
+    if (!regional) return;
+
+    let eventKey = req.query.event_key;
+    if (!eventKey) {
+        eventKey = eventKeyOf(regional);
+        if (!eventKey) {
+            return res.status(400).json({ success: false, error: { message: 'event_key is required when the regional has no regional_code' } });
+        }
+    }
+
+    const [rankings, { data: ratings, error: ratingsError }] = await Promise.all([
+        repositories.stats.rankings(regional.id, organizationOf(req)),
+        supabase.from('calculated_oprs').select('*').eq('event_key', eventKey)
+    ]);
+    if (ratingsError) throw new Error(`Database error: ${ratingsError.message}`);
+
+    const ratingsByTeam = new Map(ratings.map(rating => [rating.team_number, rating]));
+    const data = rankings.map(ranking => {
+        const rating = ratingsByTeam.get(ranking.teams?.team_number);
+        const scoutedAvg = ranking.matches_played > 0 ? ranking.overall_score / ranking.matches_played : null;
+        return {
+            team_number: ranking.teams?.team_number,
+            team_name: ranking.teams?.team_name,
+            matches_scouted: ranking.matches_played,
+            scouted_avg_score: scoutedAvg,
+            opr: rating?.opr ?? null,
+            dpr: rating?.dpr ?? null,
+            ccwm: rating?.ccwm ?? null,
+            scouted_minus_opr: scoutedAvg != null && rating ? Math.round((scoutedAvg - rating.opr) * 100) / 100 : null
+        };
+    }).sort((a, b) => (b.opr ?? -Infinity) - (a.opr ?? -Infinity));
+
+    res.json({ success: true, event_key: eventKey, data });
 }));
 
-module.exports = { router, calculateTeamStatistics };
\ No newline at end of file
+module.exports = {
+    router,
+    calculateTeamStatistics,
+    recalculateSharedStatistics,
+    calculateStatsFromMatches,
+    calculateAndStoreEventRatings,
+    getRegionalRankings
+};
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * Live Stream Routes
+ * Push new scouting data to clients as it happens
+ *
+ * Server-Sent Events at GET /api/stream, plus the same feed over WebSocket
+ * at /api/stream/ws for clients that prefer it. Both take the same filters
+ * and resume from the last event ID after a dropped connection
+ * (see src/services/liveEvents.js). Clients get changes to the scouting of
+ * every organization they can read; without credentials, only the host's.
+ * Pick list and draft changes need credentials for their own organization.
+ *
+ * @swagger
+ * tags:
+ *   name: Live Updates
+ *   description: |
+ *     Real-time updates when matches, robot info, statistics or pick lists change.
+ *
+ *     **Use Case**: The strategy laptop shows new matches without refreshing.
+ */
+
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { EVENT_TYPES, createFilter, eventsSince, subscribe, listenerCount } = require('../services/liveEvents');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { identify } = require('../middleware/auth');
+const { organizationOf, readableOrganizationIds } = require('../services/organizations');
+const { rateLimitsEnabled, isExempt, consume } = require('../services/rateLimits');
+
+const router = express.Router();
+
+// Comment line sent periodically so proxies don't close idle connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Suggested client reconnect delay (SSE `retry:` field)
+const RECONNECT_DELAY_MS = 3000;
+
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Read subscription filters from query parameters
+ * ?regional=Orange County,5&team_number=589,254&types=match.created
+ */
+function parseFilters(query) {
+    return {
+        regionals: listParam(query.regional || query.regional_id),
+        teams: listParam(query.team_number).map(number => parseInt(number)).filter(number => !Number.isNaN(number)),
+        types: listParam(query.types).filter(type => EVENT_TYPES.includes(type))
+    };
+}
+
+/**
+ * Subscription filters for a connecting client, limited to the organizations it can read
+ * Credentials are optional, and ones that don't check out count as none. Pick list
+ * and draft changes only go to signed-in clients of the organization they belong to.
+ */
+async function clientFilter(req, query) {
+    if (!req.auth) {
+        const result = await identify(req);
+        if (result.status === 'valid') req.auth = result.auth;
+    }
+    return createFilter({
+        ...parseFilters(query),
+        organizations: await readableOrganizationIds(req),
+        organization: req.auth ? organizationOf(req) : undefined
+    });
+}
+
+const toMessage = (event) => ({ id: event.id, type: event.type, data: event.data, timestamp: event.timestamp });
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Live updates (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and sends an event whenever data changes.
+ *       Event names: `match.created`, `match.updated`, `match.deleted`, `robot_info.updated`,
+ *       `stats.updated`, `pick_list.updated`, `draft.updated`, `tba_match.updated` (an official
+ *       result or predicted time pushed by TBA). Pick list and draft events are only sent
+ *       to clients with credentials for the organization they belong to.
+ *
+ *       ```js
+ *       const source = new EventSource('/api/stream?regional=Orange County');
+ *       source.addEventListener('match.created', (e) => console.log(JSON.parse(e.data)));
+ *       ```
+ *
+ *       Browsers resend the `Last-Event-ID` header when they reconnect, and missed events are
+ *       replayed. If too much was missed (or the server restarted) a `reset` event is sent and
+ *       the client should reload its data. Non-browser clients can pass `last_event_id` instead.
+ *
+ *       A WebSocket version with the same query parameters is available at `/api/stream/ws`.
+ *     tags: [Live Updates]
+ *     parameters:
+ *       - in: query
+ *         name: regional
+ *         schema:
+ *           type: string
+ *         description: Comma-separated regional names or IDs
+ *       - in: query
+ *         name: team_number
+ *         schema:
+ *           type: string
+ *         description: Comma-separated team numbers
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event names (default all)
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const matches = await clientFilter(req, req.query);
+    const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(toMessage(event))}\n\n`);
+    };
+
+    if (lastEventId) {
+        const { events, complete } = eventsSince(lastEventId);
+        if (!complete) {
+            res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed too many updates - reload data' })}\n\n`);
+        }
+        events.filter(matches).forEach(send);
+    }
+
+    const unsubscribe = subscribe((event) => {
+        if (matches(event)) send(event);
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}));
+
+/**
+ * @swagger
+ * /api/stream/status:
+ *   get:
+ *     summary: Live update connection count
+ *     tags: [Live Updates]
+ *     responses:
+ *       200:
+ *         description: Number of connected clients
+ */
+router.get('/status', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            connected_clients: listenerCount(),
+            event_types: EVENT_TYPES
+        }
+    });
+});
+
+/**
+ * Serve the same feed over WebSocket at /api/stream/ws
+ * Called from server.js with the HTTP server once it is listening.
+ * Messages are JSON: { id, type, data, timestamp }.
+ */
+router.attachWebSocket = function(server) {
+    const wss = new WebSocketServer({ server, path: '/api/stream/ws' });
+
+    wss.on('connection', async (socket, req) => {
+        const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+
+        // Listen before the first await: a client can leave while it's being checked
+        let closed = false;
+        let cleanup = () => {};
+        socket.on('close', () => {
+            closed = true;
+            cleanup();
+        });
+        socket.on('error', (error) => console.error('Live update socket error:', error.message));
+
+        let matches;
+        try {
+            matches = await clientFilter(req, query);
+
+            // The stream group's budget, as for SSE connections (see server.js)
+            if (rateLimitsEnabled() && !isExempt(req) && (await consume(req, 'stream')).limited) {
+                socket.close(1008, 'Too many connections - try again later');
+                return;
+            }
+        } catch (error) {
+            console.error('Error identifying live update client:', error.message);
+            socket.close(1011, 'Could not check credentials');
+            return;
+        }
+        if (closed) return;
+
+        const send = (event) => socket.send(JSON.stringify(toMessage(event)));
+
+        if (query.last_event_id) {
+            const { events, complete } = eventsSince(query.last_event_id);
+            if (!complete) {
+                socket.send(JSON.stringify({ type: 'reset', data: { reason: 'Missed too many updates - reload data' } }));
+            }
+            events.filter(matches).forEach(send);
+        }
+
+        const unsubscribe = subscribe((event) => {
+            if (matches(event) && socket.readyState === socket.OPEN) send(event);
+        });
+
+        // Ping keeps intermediaries from dropping idle sockets
+        const heartbeat = setInterval(() => socket.ping(), HEARTBEAT_INTERVAL_MS);
+
+        cleanup = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+    });
+
+    return wss;
+};
+
+module.exports = router;
@@ -17,44 +17,76 @@
 
 const express = require('express');
 const { supabase } = require('../config/database');
+const repositories = require('../repositories');
+const { fetchFromTBA, setLogger, isConfigured, cacheStats, purgeCache } = require('../services/tbaClient');
+const { TASKS, eventRecord, matchRecord, syncEvent } = require('../services/tbaSync');
+const { KINDS, loadOfficialData } = require('../services/officialData');
+const { supportsImport, importEventMatches } = require('../services/tbaImport');
+const { calculateTeamStatistics } = require('./statistics');
+const { loadGameDefinition } = require('../games');
+const { requireRole } = require('../middleware/auth');
+const { requireSupabase } = require('../middleware/backend');
+const { recordChange } = require('../services/audit');
+const { organizationOf } = require('../services/organizations');
 const router = express.Router();
 
-// TBA API configuration
-const TBA_BASE_URL = 'https://www.thebluealliance.com/api/v3';
-const TBA_AUTH_KEY = process.env.TBA_API_KEY || process.env.TBA_AUTH_KEY; // Support both variable names
+// Logs go to the dashboard through the shared TBA client
+router.setLogger = setLogger;
 
-// Logging function reference (will be set by dashboard module)
-let dashboardLogger = null;
+/**
+ * Enter saved teams in a regional (team_regional_participation)
+ */
+async function registerTeams(regionalId, teams) {
+    if (teams.length === 0) return;
+
+    const { error } = await supabase
+        .from('team_regional_participation')
+        .upsert(teams.map(team => ({ team_id: team.id, regional_id: regionalId })), {
+            onConflict: 'team_id,regional_id',
+            ignoreDuplicates: true
+        });
 
-router.setLogger = function(loggerFn) {
-    dashboardLogger = loggerFn;
-};
+    if (error) throw error;
+}
 
 /**
- * Helper function to fetch data from The Blue Alliance API
+ * Which of these team numbers are in the trash
+ * Imports leave trashed teams there: restoring one from the trash brings back
+ * its matches and robot info too, which un-trashing it here wouldn't.
  */
-async function fetchFromTBA(endpoint) {
-    if (!TBA_AUTH_KEY) {
-        throw new Error('TBA_AUTH_KEY not configured. Please set your The Blue Alliance API key in environment variables.');
-    }
+async function trashedTeamNumbers(teamNumbers) {
+    if (teamNumbers.length === 0) return new Set();
 
-    // Log the TBA API call
-    if (dashboardLogger) {
-        dashboardLogger('tba', `GET ${endpoint}`);
-    }
+    const { data, error } = await supabase
+        .from('teams')
+        .select('team_number')
+        .in('team_number', teamNumbers)
+        .not('deleted_at', 'is', null);
 
-    const response = await fetch(`${TBA_BASE_URL}${endpoint}`, {
-        headers: {
-            'X-TBA-Auth-Key': TBA_AUTH_KEY,
-            'Accept': 'application/json'
-        }
-    });
-
-    if (!response.ok) {
-        throw new Error(`TBA API error: ${response.status} - ${response.statusText}`);
-    }
+    if (error) throw error;
+    return new Set(data.map(team => team.team_number));
+}
 
-    return response.json();
+/**
+ * Save imported teams (insert, or update the name) and enter them in the regional
+ * @returns {Promise<{ data: object[], skipped_deleted: number[] }>}
+ */
+async function saveTeams(regional, teamRecords) {
+    const trashed = await trashedTeamNumbers(teamRecords.map(team => team.team_number));
+    const records = teamRecords.filter(team => !trashed.has(team.team_number));
+    if (records.length === 0) return { data: [], skipped_deleted: [...trashed] };
+
+    const { data, error } = await supabase
+        .from('teams')
+        .upsert(records, {
+            onConflict: 'team_number',
+            ignoreDuplicates: false
+        })
+        .select();
+
+    if (error) throw error;
+    await registerTeams(regional.id, data);
+    return { data, skipped_deleted: [...trashed] };
 }
 
 /**
@@ -63,15 +95,15 @@ async function fetchFromTBA(endpoint) {
  */
 router.get('/status', async (req, res) => {
     try {
-        if (!TBA_AUTH_KEY) {
+        if (!isConfigured()) {
             return res.json({
                 success: false,
                 message: 'TBA API key not configured'
             });
         }
 
-        // Make a simple request to check TBA API status
-        await fetchFromTBA('/status');
+        // Make a simple request to check TBA API status (never answered from the cache)
+        await fetchFromTBA('/status', { cache: false });
 
         res.json({
             success: true,
@@ -85,6 +117,49 @@ router.get('/status', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/tba/cache
+ * What's in the TBA response cache and how often it answered since startup
+ */
+router.get('/cache', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await cacheStats()
+        });
+    } catch (error) {
+        console.error('Error reading TBA cache stats:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/tba/cache
+ * Drop cached TBA responses so the next request fetches them again
+ * ?prefix=/event/2025caoc only drops endpoints starting with it
+ */
+router.delete('/cache', requireRole('lead', { orScope: 'tba-import' }), async (req, res) => {
+    try {
+        const prefix = req.query.prefix ? String(req.query.prefix) : undefined;
+        const purged = await purgeCache({ prefix });
+
+        res.json({
+            success: true,
+            purged,
+            message: prefix ? `Dropped ${purged} cached responses under ${prefix}` : `Dropped ${purged} cached responses`
+        });
+    } catch (error) {
+        console.error('Error purging TBA cache:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/tba/team/:teamNumber
  * Fetch team information from The Blue Alliance
@@ -126,43 +201,58 @@ router.get('/team/:teamNumber', async (req, res) => {
  * POST /api/tba/team/:teamNumber/save
  * Save TBA team data to local Supabase database
  */
-router.post('/team/:teamNumber/save', async (req, res) => {
+router.post('/team/:teamNumber/save', requireRole('lead', { orScope: 'tba-import' }), requireSupabase('Saving TBA teams'), async (req, res) => {
     try {
         const { teamNumber } = req.params;
-        const { regional } = req.body;
 
-        if (!regional) {
+        if (!req.body.regional && !req.body.regional_id) {
             return res.status(400).json({
                 success: false,
                 error: 'Regional is required to save team data'
             });
         }
 
+        const regional = await repositories.regionals.resolve(req.body, { create: true });
+        if (!regional) {
+            return res.status(404).json({
+                success: false,
+                error: 'Regional not found'
+            });
+        }
+
         const teamKey = `frc${teamNumber}`;
 
         // Fetch team data from TBA
         const teamData = await fetchFromTBA(`/team/${teamKey}`);
 
+        const before = await repositories.teams.findByNumber(parseInt(teamNumber));
+
         // Map TBA data to our database schema
         const teamRecord = {
             team_number: parseInt(teamNumber),
             team_name: teamData.nickname || teamData.name || `Team ${teamNumber}`,
-            regional: regional
+            regional: regional.regional_name
         };
 
         // Insert into Supabase (or update if exists)
-        const { data, error } = await supabase
-            .from('teams')
-            .upsert(teamRecord, {
-                onConflict: 'team_number',
-                ignoreDuplicates: false
-            })
-            .select();
-
-        if (error) {
-            throw error;
+        const { data, skipped_deleted } = await saveTeams(regional, [teamRecord]);
+        if (skipped_deleted.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Team ${teamNumber} is in the trash - restore it first (POST /api/trash/teams/:id/restore)`
+            });
         }
 
+        await recordChange(req, {
+            entityType: 'team',
+            entityId: data[0].id,
+            action: 'import',
+            regionalId: regional.id,
+            before,
+            after: data[0],
+            details: { source: 'tba', team_key: teamKey }
+        });
+
         res.json({
             success: true,
             message: `Team ${teamNumber} saved successfully`,
@@ -236,44 +326,49 @@ router.get('/event/:eventKey/teams', async (req, res) => {
  * POST /api/tba/event/:eventKey/import-teams
  * Import all teams from an event into the local database
  */
-router.post('/event/:eventKey/import-teams', async (req, res) => {
+router.post('/event/:eventKey/import-teams', requireRole('lead', { orScope: 'tba-import' }), requireSupabase('Importing TBA teams'), async (req, res) => {
     try {
         const { eventKey } = req.params;
-        const { regional } = req.body;
 
-        if (!regional) {
+        if (!req.body.regional && !req.body.regional_id) {
             return res.status(400).json({
                 success: false,
                 error: 'Regional is required to import teams'
             });
         }
 
+        const regional = await repositories.regionals.resolve(req.body, { create: true });
+        if (!regional) {
+            return res.status(404).json({
+                success: false,
+                error: 'Regional not found'
+            });
+        }
+
         // Fetch teams from the event
         const teams = await fetchFromTBA(`/event/${eventKey}/teams`);
 
         const teamRecords = teams.map(team => ({
             team_number: team.team_number,
             team_name: team.nickname || team.name || `Team ${team.team_number}`,
-            regional: regional
+            regional: regional.regional_name
         }));
 
-        // Bulk insert into Supabase
-        const { data, error } = await supabase
-            .from('teams')
-            .upsert(teamRecords, {
-                onConflict: 'team_number',
-                ignoreDuplicates: false
-            })
-            .select();
-
-        if (error) {
-            throw error;
-        }
+        // Bulk insert into Supabase; trashed teams stay in the trash
+        const { data, skipped_deleted } = await saveTeams(regional, teamRecords);
+        await recordChange(req, {
+            entityType: 'tba_import',
+            entityId: eventKey,
+            action: 'import',
+            regionalId: regional.id,
+            details: { kind: 'teams', team_numbers: data.map(team => team.team_number), skipped_deleted }
+        });
 
         res.json({
             success: true,
             message: `Successfully imported ${data.length} teams from ${eventKey}`,
-            data: data
+            data: data,
+            skipped_deleted
         });
 
     } catch (error) {
@@ -285,6 +380,111 @@ router.post('/event/:eventKey/import-teams', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/tba/event/:eventKey/import-official
+ * Import an event's official rankings, alliances, awards, OPRs and district points
+ * Body: { "kinds": ["rankings", "awards"] } imports only some (default: all). The TBA
+ * sync keeps them current for scheduled events; this imports any event now.
+ */
+router.post('/event/:eventKey/import-official', requireRole('lead', { orScope: 'tba-import' }), async (req, res) => {
+    try {
+        const { eventKey } = req.params;
+        const kinds = req.body.kinds || KINDS;
+
+        if (!Array.isArray(kinds) || kinds.length === 0 || kinds.some(kind => !KINDS.includes(kind))) {
+            return res.status(400).json({
+                success: false,
+                error: `kinds must be a list of: ${KINDS.join(', ')}`
+            });
+        }
+
+        const run = await syncEvent(eventKey, { tasks: TASKS.filter(task => kinds.includes(task)) });
+        if (!run) {
+            return res.status(409).json({
+                success: false,
+                error: `${eventKey} is already syncing - try again shortly`
+            });
+        }
+
+        await recordChange(req, {
+            entityType: 'tba_import',
+            entityId: eventKey,
+            action: 'import',
+            details: { kind: 'official', status: run.status, results: run.results, errors: run.errors }
+        });
+
+        res.status(run.status === 'error' ? 502 : 200).json({
+            success: run.status !== 'error',
+            message: `Official data for ${eventKey}: ${run.status}`,
+            data: run
+        });
+
+    } catch (error) {
+        console.error('Error importing official event data:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/tba/event/:eventKey/official
+ * An event's stored official data (no TBA call): rankings, alliances, awards, oprs, district_points
+ */
+router.get('/event/:eventKey/official', async (req, res) => {
+    try {
+        const { eventKey } = req.params;
+        const [event, data] = await Promise.all([
+            repositories.tbaCache.findEvent(eventKey),
+            loadOfficialData(eventKey)
+        ]);
+
+        res.json({
+            success: true,
+            data: { event, ...data }
+        });
+
+    } catch (error) {
+        console.error('Error fetching official event data:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/tba/event/:eventKey/official/:kind
+ * One kind of stored official data, e.g. /api/tba/event/2025caoc/official/rankings
+ */
+router.get('/event/:eventKey/official/:kind', async (req, res) => {
+    try {
+        const { eventKey, kind } = req.params;
+        if (!KINDS.includes(kind)) {
+            return res.status(400).json({
+                success: false,
+                error: `kind must be one of: ${KINDS.join(', ')}`
+            });
+        }
+
+        const { [kind]: data } = await loadOfficialData(eventKey, [kind]);
+
+        res.json({
+            success: true,
+            data,
+            count: data.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching official event data:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/tba/teams/all
  * Get all FRC team numbers (simplified list for dropdown)
@@ -421,7 +621,7 @@ router.get('/team/:teamNumber/event/:eventKey/matches', async (req, res) => {
  * POST /api/tba/team/:teamNumber/event/:eventKey/matches/save
  * Save team match data to tba_matches table
  */
-router.post('/team/:teamNumber/event/:eventKey/matches/save', async (req, res) => {
+router.post('/team/:teamNumber/event/:eventKey/matches/save', requireRole('lead', { orScope: 'tba-import' }), async (req, res) => {
     try {
         const { teamNumber, eventKey } = req.params;
         const teamKey = `frc${teamNumber}`;
@@ -429,32 +629,8 @@ router.post('/team/:teamNumber/event/:eventKey/matches/save', async (req, res) =
         // First, fetch and save the event data to satisfy foreign key constraint
         const eventData = await fetchFromTBA(`/event/${eventKey}`);
 
-        const eventRecord = {
-            event_key: eventData.key,
-            name: eventData.name,
-            event_code: eventData.event_code,
-            event_type: eventData.event_type,
-            event_type_string: eventData.event_type_string,
-            year: eventData.year,
-            start_date: eventData.start_date,
-            end_date: eventData.end_date,
-            city: eventData.city,
-            state_prov: eventData.state_prov,
-            country: eventData.country
-        };
-
         // Upsert event (create or update if exists)
-        const { error: eventError } = await supabase
-            .from('events')
-            .upsert(eventRecord, {
-                onConflict: 'event_key',
-                ignoreDuplicates: false
-            });
-
-        if (eventError) {
-            console.error('Error saving event:', eventError);
-            throw new Error(`Failed to save event: ${eventError.message}`);
-        }
+        await repositories.tbaCache.saveEvent(eventRecord(eventData));
 
         // Fetch all matches at the event
         const eventMatches = await fetchFromTBA(`/event/${eventKey}/matches`);
@@ -475,33 +651,16 @@ router.post('/team/:teamNumber/event/:eventKey/matches/save', async (req, res) =
         }
 
         // Transform matches to database format
-        const matchRecords = teamMatches.map(match => ({
-            match_key: match.key,
-            event_key: eventKey,
-            comp_level: match.comp_level,
-            set_number: match.set_number,
-            match_number: match.match_number,
-            alliances: match.alliances,
-            winning_alliance: match.winning_alliance,
-            score_breakdown: match.score_breakdown,
-            videos: match.videos || [],
-            predicted_time: match.predicted_time,
-            actual_time: match.actual_time,
-            post_result_time: match.post_result_time
-        }));
-
-        // Bulk upsert into Supabase tba_matches table
-        const { data, error } = await supabase
-            .from('tba_matches')
-            .upsert(matchRecords, {
-                onConflict: 'match_key',
-                ignoreDuplicates: false
-            })
-            .select();
-
-        if (error) {
-            throw error;
-        }
+        const matchRecords = teamMatches.map(match => matchRecord(match, eventKey));
+
+        // Bulk upsert into the tba_matches cache
+        const data = await repositories.tbaCache.saveMatches(matchRecords);
+        await recordChange(req, {
+            entityType: 'tba_import',
+            entityId: eventKey,
+            action: 'import',
+            details: { kind: 'team_matches', team_number: parseInt(teamNumber), match_keys: data.map(match => match.match_key) }
+        });
 
         res.json({
             success: true,
@@ -559,25 +718,58 @@ router.get('/team/:teamNumber/events/:year', async (req, res) => {
 
 /**
  * POST /api/tba/admin/import-event-full
- * ADMIN ENDPOINT: Import complete event data (teams + match results) for frontend development
- * This creates realistic sample data from actual competition results
+ * ADMIN ENDPOINT: Import complete event data (teams + qualification results) for frontend development
+ * Per-station breakdown values are attributed to each robot; alliance totals
+ * are split evenly and marked as estimated (see src/services/tbaImport.js).
+ * Importing an event again updates the rows instead of duplicating them,
+ * except for teams and rows in the trash, which are left there.
  */
-router.post('/admin/import-event-full', async (req, res) => {
+router.post('/admin/import-event-full', requireRole('admin', { orScope: 'tba-import' }), requireSupabase('Full-event imports'), async (req, res) => {
     try {
-        const { eventKey, regional } = req.body;
+        const { eventKey } = req.body;
 
-        if (!eventKey || !regional) {
+        if (!eventKey || (!req.body.regional && !req.body.regional_id)) {
             return res.status(400).json({
                 success: false,
                 error: 'eventKey and regional are required'
             });
         }
 
+        const regional = await repositories.regionals.resolve(req.body, { create: true });
+        if (!regional) {
+            return res.status(404).json({
+                success: false,
+                error: 'Regional not found'
+            });
+        }
+
+        // Breakdown keys change every season, so the event has to be in the regional's season
+        const definition = await loadGameDefinition({ regionalId: regional.id });
+        const eventYear = parseInt(String(eventKey).slice(0, 4));
+        const seasonYear = regional.seasons?.season_year;
+        if (seasonYear && eventYear && eventYear !== seasonYear) {
+            return res.status(400).json({
+                success: false,
+                error: `${eventKey} is a ${eventYear} event, but ${regional.regional_name} is in the ${seasonYear} season`
+            });
+        }
+        if (!supportsImport(definition)) {
+            return res.status(400).json({
+                success: false,
+                error: `${definition.game_name} has no TBA breakdown mapping to import from`
+            });
+        }
+
         const importLog = {
             eventKey,
-            regional,
+            regional: regional.regional_name,
+            regional_id: regional.id,
+            game_key: definition.game_key,
             teams_imported: 0,
-            matches_imported: 0,
+            teams_skipped_deleted: [],
+            matches_created: 0,
+            matches_updated: 0,
+            matches_skipped_deleted: 0,
             errors: []
         };
 
@@ -588,106 +780,53 @@ router.post('/admin/import-event-full', async (req, res) => {
         const teamRecords = teams.map(team => ({
             team_number: team.team_number,
             team_name: team.nickname || team.name || `Team ${team.team_number}`,
-            regional: regional
+            regional: regional.regional_name
         }));
 
-        const { data: teamsData, error: teamsError } = await supabase
-            .from('teams')
-            .upsert(teamRecords, { onConflict: 'team_number' })
-            .select();
-
-        if (teamsError) throw teamsError;
+        const { data: teamsData, skipped_deleted: trashedTeams } = await saveTeams(regional, teamRecords);
         importLog.teams_imported = teamsData.length;
+        importLog.teams_skipped_deleted = trashedTeams;
 
-        // Step 2: Fetch match results from TBA
+        // Step 2: One row per robot per played qualification match
         console.log(`📊 Fetching match data from ${eventKey}...`);
         const matches = await fetchFromTBA(`/event/${eventKey}/matches`);
+        const organizationId = organizationOf(req);
 
-        // Step 3: Transform TBA match format to our schema
-        const matchRecords = [];
-        for (const match of matches) {
-            // Only import qualification and playoff matches
-            if (!['qm', 'sf', 'f'].includes(match.comp_level)) continue;
-
-            // Process each alliance (red and blue)
-            for (const allianceColor of ['red', 'blue']) {
-                const alliance = match.alliances[allianceColor];
-                const score = alliance.score;
-
-                // Process each team in the alliance
-                for (const teamKey of alliance.team_keys) {
-                    const teamNumber = parseInt(teamKey.replace('frc', ''));
-
-                    // Get team_id from our database
-                    const { data: teamData } = await supabase
-                        .from('teams')
-                        .select('id')
-                        .eq('team_number', teamNumber)
-                        .eq('regional', regional)
-                        .single();
-
-                    if (!teamData) {
-                        importLog.errors.push(`Team ${teamNumber} not found in database`);
-                        continue;
-                    }
-
-                    // Map TBA score breakdown to our schema
-                    // Note: This is approximate since TBA doesn't track individual robot actions
-                    const scoreBreakdown = match.score_breakdown?.[allianceColor] || {};
-
-                    const matchRecord = {
-                        team_id: teamData.id,
-                        match_number: match.match_number,
-                        regional: regional,
-                        scouter_name: 'TBA Import (Historical Data)',
-
-                        // Autonomous (estimated from TBA data)
-                        auto_taxi: scoreBreakdown.autoLeavePoints > 0,
-                        auto_m1: Math.floor((scoreBreakdown.autoAmpNoteCount || 0) / 3),
-                        auto_s1: Math.floor((scoreBreakdown.autoSpeakerNoteCount || 0) / 3),
-
-                        // Teleop (estimated averages from alliance score)
-                        teleop_amp_attempts: Math.floor((scoreBreakdown.teleopAmpNoteCount || 0) / 3) + 2,
-                        teleop_amp_scored: Math.floor((scoreBreakdown.teleopAmpNoteCount || 0) / 3),
-                        teleop_speaker_attempts: Math.floor((scoreBreakdown.teleopSpeakerNoteCount || 0) / 3) + 3,
-                        teleop_speaker_scored: Math.floor((scoreBreakdown.teleopSpeakerNoteCount || 0) / 3),
-
-                        // Endgame
-                        endgame_climb: mapTBAEndgameToSchema(scoreBreakdown),
-                        endgame_trap_count: Math.floor((scoreBreakdown.trapNoteCount || 0) / 3),
-
-                        // Postgame
-                        driver_rating: 3, // Default middle rating
-                        robot_disabled: false,
-                        played_defense: false,
-                        comments: `Imported from TBA: ${match.comp_level}${match.match_number} (${allianceColor} alliance, score: ${score})`
-                    };
-
-                    matchRecords.push(matchRecord);
-                }
+        const imported = await importEventMatches(matches, {
+            definition,
+            regional,
+            organizationId,
+            teamIds: new Map(teamsData.map(team => [team.team_number, team.id])),
+            trashedTeams: new Set(trashedTeams)
+        });
+        importLog.matches_created = imported.created;
+        importLog.matches_updated = imported.updated;
+        importLog.matches_skipped_deleted = imported.skipped_deleted;
+        importLog.errors.push(...imported.skipped);
+
+        // Step 3: Statistics for every team that got rows
+        for (const teamId of imported.teamIds) {
+            try {
+                await calculateTeamStatistics(teamId, regional.id, organizationId);
+            } catch (statsError) {
+                importLog.errors.push(`Statistics for team ${teamId}: ${statsError.message}`);
             }
         }
 
-        // Step 4: Bulk insert matches
-        if (matchRecords.length > 0) {
-            const { data: matchesData, error: matchesError } = await supabase
-                .from('matches')
-                .insert(matchRecords)
-                .select();
-
-            if (matchesError) {
-                console.error('Error inserting matches:', matchesError);
-                importLog.errors.push(matchesError.message);
-            } else {
-                importLog.matches_imported = matchesData.length;
-            }
-        }
+        await recordChange(req, {
+            entityType: 'tba_import',
+            entityId: eventKey,
+            action: 'import',
+            regionalId: regional.id,
+            details: { kind: 'event_full', ...importLog }
+        });
 
         res.json({
             success: true,
             message: `Event ${eventKey} imported successfully`,
             summary: importLog,
-            note: 'TBA data provides alliance-level statistics. Individual robot performance is estimated as averages.'
+            estimated: imported.estimated,
+            note: 'Per-robot fields come from TBA\'s per-station breakdown. Fields listed in `estimated` are alliance totals split evenly across its robots. Attempts, driver rating and defense aren\'t reported by TBA and are left empty.'
         });
 
     } catch (error) {
@@ -720,7 +859,7 @@ router.post('/admin/import-event-full', async (req, res) => {
  *       200:
  *         description: Event history with import status
  */
-router.get('/admin/589-history/:year', async (req, res) => {
+router.get('/admin/589-history/:year', requireSupabase('Event import history'), async (req, res) => {
     try {
         const { year } = req.params;
 
@@ -732,7 +871,9 @@ router.get('/admin/589-history/:year', async (req, res) => {
             const { count } = await supabase
                 .from('matches')
                 .select('*', { count: 'exact', head: true })
-                .eq('regional', event.name);
+                .eq('organization_id', organizationOf(req))
+                .eq('regional', event.name)
+                .is('deleted_at', null);
 
             return {
                 event_key: event.key,
@@ -766,34 +907,4 @@ router.get('/admin/589-history/:year', async (req, res) => {
     }
 });
 
-/**
- * Helper function to map TBA endgame status to our schema
- */
-function mapTBAEndgameToSchema(scoreBreakdown) {
-    // TBA uses: None, Parked, Onstage (which could be single, double, triple harmony)
-    if (!scoreBreakdown.endGameRobot1 && !scoreBreakdown.endGameRobot2 && !scoreBreakdown.endGameRobot3) {
-        return 'Nothing';
-    }
-
-    // Count onstage robots for harmony detection
-    const onstageCount = [
-        scoreBreakdown.endGameRobot1,
-        scoreBreakdown.endGameRobot2,
-        scoreBreakdown.endGameRobot3
-    ].filter(status => status === 'Onstage').length;
-
-    if (onstageCount === 3) return 'Triple Climb';
-    if (onstageCount === 2) return 'Double Climb';
-    if (onstageCount === 1) return 'Single Climb';
-
-    // Check for parked
-    const parkedCount = [
-        scoreBreakdown.endGameRobot1,
-        scoreBreakdown.endGameRobot2,
-        scoreBreakdown.endGameRobot3
-    ].filter(status => status === 'Parked').length;
-
-    return parkedCount > 0 ? 'Park' : 'Nothing';
-}
-
 module.exports = router;
\ No newline at end of file
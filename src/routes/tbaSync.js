@@ -0,0 +1,225 @@
+/**
+ * TBA Sync Routes
+ * What the background TBA sync pulls, how often, and how it went
+ *
+ * The scheduler itself is in src/services/tbaSync.js. The active regional's
+ * event is synced without being added here; to stop it, turn it off
+ * (`enabled: false`) rather than deleting it, or it comes back on the next
+ * tick. TBA data is shared by every organization, so only the host
+ * organization changes schedules; any lead can run an event now.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole } = require('../middleware/auth');
+const { recordChange } = require('../services/audit');
+const { isHostOrganization } = require('../services/organizations');
+const { isConfigured } = require('../services/tbaClient');
+const { loadOfficialData } = require('../services/officialData');
+const {
+    TASKS,
+    setLogger,
+    defaultIntervalMinutes,
+    syncEvent,
+    isScheduled,
+    nextRunAt,
+    activeEventKey,
+    schedulerStatus
+} = require('../services/tbaSync');
+
+const router = express.Router();
+
+// Logs go to the dashboard, like the TBA client's
+router.setLogger = setLogger;
+
+const EVENT_KEY = /^\d{4}[a-z0-9]+$/;
+
+const tasks = Joi.array().items(Joi.string().valid(...TASKS)).min(1).unique();
+
+const scheduleSchema = Joi.object({
+    enabled: Joi.boolean(),
+    interval_minutes: Joi.number().integer().min(1).max(1440),
+    tasks,
+    regional_id: Joi.number().integer().positive().allow(null)
+}).min(1);
+
+const runSchema = Joi.object({ tasks });
+
+const runsQuerySchema = Joi.object({
+    event_key: Joi.string().pattern(EVENT_KEY),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+function validationFailed(res, message) {
+    return res.status(400).json({
+        success: false,
+        error: { message }
+    });
+}
+
+// Checks the :eventKey parameter; false once a 400 has been sent
+function validEventKey(req, res) {
+    if (EVENT_KEY.test(req.params.eventKey)) return true;
+    validationFailed(res, 'Event keys look like 2025caoc');
+    return false;
+}
+
+function hostOnly(res) {
+    return res.status(403).json({
+        success: false,
+        error: { message: 'TBA data is shared by every organization, so only the host organization changes its sync' }
+    });
+}
+
+// A schedule with whether (and when) the scheduler runs it
+function describe(schedule, activeKey) {
+    return {
+        ...schedule,
+        is_active_regional: schedule.event_key === activeKey,
+        scheduled: isScheduled(schedule, activeKey),
+        next_run_at: nextRunAt(schedule, activeKey)?.toISOString() ?? null
+    };
+}
+
+// GET /api/tba/sync - The scheduler and every event it knows about
+router.get('/', asyncHandler(async (req, res) => {
+    const [schedules, activeKey] = await Promise.all([repositories.tbaSync.listSchedules(), activeEventKey()]);
+
+    res.json({
+        success: true,
+        data: {
+            scheduler: { ...schedulerStatus(), tba_configured: isConfigured(), active_event_key: activeKey },
+            schedules: schedules.map(schedule => describe(schedule, activeKey))
+        }
+    });
+}));
+
+// GET /api/tba/sync/runs?event_key=&limit= - Task runs, newest first
+router.get('/runs', asyncHandler(async (req, res) => {
+    const { error: validationError, value } = runsQuerySchema.validate(req.query);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const data = await repositories.tbaSync.listRuns({ eventKey: value.event_key, limit: value.limit });
+    res.json({ success: true, data, count: data.length });
+}));
+
+// GET /api/tba/sync/events/:eventKey - One event's schedule, recent runs and what's stored
+router.get('/events/:eventKey', asyncHandler(async (req, res) => {
+    if (!validEventKey(req, res)) return;
+    const { eventKey } = req.params;
+
+    const [schedule, activeKey, runs, matches, official] = await Promise.all([
+        repositories.tbaSync.findSchedule(eventKey),
+        activeEventKey(),
+        repositories.tbaSync.listRuns({ eventKey, limit: 20 }),
+        repositories.tbaCache.listMatches(eventKey),
+        loadOfficialData(eventKey)
+    ]);
+
+    const stored = { matches: matches.length };
+    for (const [kind, rows] of Object.entries(official)) stored[kind] = rows.length;
+
+    res.json({
+        success: true,
+        data: {
+            schedule: schedule ? describe(schedule, activeKey) : null,
+            stored,
+            runs
+        }
+    });
+}));
+
+// PUT /api/tba/sync/events/:eventKey - Add an event or change its schedule (lead, host organization)
+// { "enabled": true, "interval_minutes": 10, "tasks": ["matches", "rankings"] }
+router.put('/events/:eventKey', requireRole('lead', { orScope: 'tba-import' }), asyncHandler(async (req, res) => {
+    if (!isHostOrganization(req)) return hostOnly(res);
+    if (!validEventKey(req, res)) return;
+    const { eventKey } = req.params;
+
+    const { error: validationError, value } = scheduleSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    if (value.regional_id && !(await repositories.regionals.findById(value.regional_id))) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Regional not found' }
+        });
+    }
+
+    // Once changed by hand, a schedule keeps running after its regional stops being the active one
+    const existing = await repositories.tbaSync.findSchedule(eventKey);
+    const schedule = existing
+        ? await repositories.tbaSync.updateSchedule(eventKey, { ...value, follows_active: false })
+        : await repositories.tbaSync.saveSchedule({
+            event_key: eventKey,
+            enabled: true,
+            interval_minutes: defaultIntervalMinutes(),
+            tasks: TASKS,
+            ...value,
+            follows_active: false
+        });
+
+    res.status(existing ? 200 : 201).json({
+        success: true,
+        data: describe(schedule, await activeEventKey()),
+        message: `${eventKey} ${schedule.enabled ? `syncs every ${schedule.interval_minutes} min` : 'is not synced'}`
+    });
+}));
+
+// DELETE /api/tba/sync/events/:eventKey - Forget an event's schedule (lead, host organization)
+router.delete('/events/:eventKey', requireRole('lead', { orScope: 'tba-import' }), asyncHandler(async (req, res) => {
+    if (!isHostOrganization(req)) return hostOnly(res);
+    if (!validEventKey(req, res)) return;
+
+    if (!(await repositories.tbaSync.removeSchedule(req.params.eventKey))) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Event is not scheduled' }
+        });
+    }
+
+    res.json({ success: true, message: `${req.params.eventKey} removed from the TBA sync` });
+}));
+
+// POST /api/tba/sync/events/:eventKey/run - Sync an event now (lead)
+// { "tasks": ["rankings"] } runs only some tasks; otherwise the schedule's, or all
+router.post('/events/:eventKey/run', requireRole('lead', { orScope: 'tba-import' }), asyncHandler(async (req, res) => {
+    if (!validEventKey(req, res)) return;
+    const { eventKey } = req.params;
+
+    const { error: validationError, value } = runSchema.validate(req.body || {});
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    if (!isConfigured()) {
+        return res.status(503).json({
+            success: false,
+            error: { message: 'TBA API key not configured' }
+        });
+    }
+
+    const schedule = await repositories.tbaSync.findSchedule(eventKey);
+    const run = await syncEvent(eventKey, { tasks: value.tasks || schedule?.tasks || TASKS });
+    if (!run) {
+        return res.status(409).json({
+            success: false,
+            error: { message: `${eventKey} is already syncing - try again shortly` }
+        });
+    }
+
+    await recordChange(req, {
+        entityType: 'tba_import',
+        entityId: eventKey,
+        action: 'import',
+        details: { kind: 'sync', status: run.status, results: run.results, errors: run.errors }
+    });
+
+    res.status(run.status === 'error' ? 502 : 200).json({
+        success: run.status !== 'error',
+        data: run,
+        message: `${eventKey} sync: ${run.status}`
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * TBA Webhook Routes
+ * Where TBA pushes notifications, and where leads look at and replay them
+ *
+ * POST / is called by TBA itself, so it takes no API key: the X-TBA-HMAC
+ * signature is checked against TBA_WEBHOOK_SECRET instead. It answers as
+ * soon as the notification is stored, and applies it afterwards (see
+ * src/services/tbaWebhooks.js). Replays change TBA data every organization
+ * shares, so they're for the host organization's leads.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { validateApiKey, requireRole, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { recordChange } = require('../services/audit');
+const { isHostOrganization } = require('../services/organizations');
+const {
+    setLogger,
+    webhookSecret,
+    verifySignature,
+    receive,
+    processNotification
+} = require('../services/tbaWebhooks');
+
+const router = express.Router();
+
+// Logs go to the dashboard, like the TBA client's
+router.setLogger = setLogger;
+
+// Everything but TBA's own POST
+const leadsOnly = [
+    validateApiKey,
+    rateLimit('read'),
+    requireScope('tba-import'),
+    requireRole('lead', { orScope: 'tba-import' })
+];
+
+const messageSchema = Joi.object({
+    message_type: Joi.string().max(50).required(),
+    message_data: Joi.object().unknown(true).default({})
+});
+
+const listQuerySchema = Joi.object({
+    message_type: Joi.string().max(50),
+    event_key: Joi.string().max(20),
+    status: Joi.string().valid('received', 'processed', 'ignored', 'error'),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+function validationFailed(res, message) {
+    return res.status(400).json({
+        success: false,
+        error: { message }
+    });
+}
+
+function hostOnly(res) {
+    return res.status(403).json({
+        success: false,
+        error: { message: 'TBA data is shared by every organization, so only the host organization replays webhooks' }
+    });
+}
+
+// Audit a replay like the other TBA imports
+function recordReplay(req, notification) {
+    return recordChange(req, {
+        entityType: 'tba_import',
+        entityId: notification.event_key || notification.message_type,
+        action: 'import',
+        details: {
+            kind: 'webhook_replay',
+            notification_id: notification.id,
+            message_type: notification.message_type,
+            status: notification.status
+        }
+    });
+}
+
+// POST /api/tba/webhook - Called by TBA (signed with TBA_WEBHOOK_SECRET)
+router.post('/', asyncHandler(async (req, res) => {
+    if (!webhookSecret()) {
+        return res.status(503).json({
+            success: false,
+            error: { message: 'TBA webhooks not configured (set TBA_WEBHOOK_SECRET)' }
+        });
+    }
+
+    if (!verifySignature(req.rawBody, req.get('X-TBA-HMAC'))) {
+        return res.status(401).json({
+            success: false,
+            error: { message: 'Invalid or missing X-TBA-HMAC signature' }
+        });
+    }
+
+    const { error: validationError, value } = messageSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const notification = await receive(value);
+    res.json({ success: true, data: { id: notification.id } });
+
+    // TBA only needs to know we have it; applying it can take a TBA round trip
+    processNotification(notification).catch(error => {
+        console.error(`TBA webhook ${notification.id} could not be processed:`, error.message);
+    });
+}));
+
+// GET /api/tba/webhook/notifications?message_type=&event_key=&status=&limit= - Newest first (lead)
+router.get('/notifications', ...leadsOnly, asyncHandler(async (req, res) => {
+    const { error: validationError, value } = listQuerySchema.validate(req.query);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const data = await repositories.tbaWebhooks.list({
+        messageType: value.message_type,
+        eventKey: value.event_key,
+        status: value.status,
+        limit: value.limit
+    });
+    res.json({ success: true, data, count: data.length });
+}));
+
+// GET /api/tba/webhook/notifications/:id - One notification with its payload (lead)
+router.get('/notifications/:id', ...leadsOnly, asyncHandler(async (req, res) => {
+    const notification = await repositories.tbaWebhooks.findById(parseInt(req.params.id) || 0);
+    if (!notification) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Notification not found' }
+        });
+    }
+
+    res.json({ success: true, data: notification });
+}));
+
+// POST /api/tba/webhook/notifications/:id/replay - Apply a stored notification again (lead, host organization)
+router.post('/notifications/:id/replay', ...leadsOnly, asyncHandler(async (req, res) => {
+    if (!isHostOrganization(req)) return hostOnly(res);
+
+    const notification = await repositories.tbaWebhooks.findById(parseInt(req.params.id) || 0);
+    if (!notification) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Notification not found' }
+        });
+    }
+
+    const processed = await processNotification(notification);
+    await recordReplay(req, processed);
+    res.json({ success: processed.status !== 'error', data: processed });
+}));
+
+// POST /api/tba/webhook/replay - Apply a recorded payload without a signature (lead, host organization)
+// { "message_type": "match_score", "message_data": { "event_key": "2025caoc", "match": { ... } } }
+router.post('/replay', ...leadsOnly, asyncHandler(async (req, res) => {
+    if (!isHostOrganization(req)) return hostOnly(res);
+
+    const { error: validationError, value } = messageSchema.validate(req.body);
+    if (validationError) return validationFailed(res, validationError.details[0].message);
+
+    const processed = await processNotification(await receive(value, { source: 'replay' }));
+    await recordReplay(req, processed);
+    res.status(201).json({ success: processed.status !== 'error', data: processed });
+}));
+
+module.exports = router;
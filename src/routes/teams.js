@@ -1,14 +1,36 @@
 /**
  * Teams Routes
  * Simple CRUD operations for team management
+ *
+ * A team is one row per team number; which regionals it attends lives in
+ * team_regional_participation. Every endpoint takes `regional_id`, or a
+ * `regional` name as older clients send it.
  */
 
 const express = require('express');
-const { supabase } = require('../config/database');
+const repositories = require('../repositories');
 const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole, regionalAllowed, canCreateRegionals } = require('../middleware/auth');
+const { recordChange } = require('../services/audit');
+const { isHostOrganization } = require('../services/organizations');
+const { eventKeyOf } = require('../services/currentRegional');
+const { officialByTeam } = require('../services/officialData');
 
 const router = express.Router();
 
+// Regional filter from the query string; undefined means "all regionals"
+async function regionalFilter(query) {
+    if (!query.regional && !query.regional_id) return undefined;
+    return repositories.regionals.resolve(query);
+}
+
+function regionalNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: { message: 'Regional not found' }
+    });
+}
+
 /**
  * @swagger
  * /api/teams:
@@ -17,8 +39,9 @@ const router = express.Router();
  *     description: |
  *       **Learning Note**: This demonstrates a basic GET request with query parameters.
  *
- *       Returns a list of all teams in the database. You can filter by regional competition
- *       using the `regional` query parameter.
+ *       Returns a list of all teams in the database. You can filter to the teams entered
+ *       in a regional with `regional_id`, or with the `regional` name; each team then has
+ *       its `official` TBA rank, ranking points and OPR there (see GET /api/teams/{teamNumber}).
  *
  *       **Use Case**: Build a team selection dropdown, display team roster, search functionality.
  *
@@ -26,11 +49,22 @@ const router = express.Router();
  *     tags: [Teams]
  *     parameters:
  *       - in: query
+ *         name: regional_id
+ *         schema:
+ *           type: integer
+ *         description: Filter teams by regional ID
+ *       - in: query
  *         name: regional
  *         schema:
  *           type: string
- *         description: Filter teams by regional competition name
+ *         description: Filter teams by regional name (active season's regional)
  *         example: Orange County
+ *       - in: query
+ *         name: include_deleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include teams in the trash (they have `deleted_at` set)
  *     responses:
  *       200:
  *         description: List of teams retrieved successfully
@@ -66,17 +100,22 @@ const router = express.Router();
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/', asyncHandler(async (req, res) => {
-    const { regional } = req.query;
+    const regional = await regionalFilter(req.query);
+    if (regional === null) return regionalNotFound(res);
 
-    let query = supabase.from('teams').select('*').order('team_number');
-
-    if (regional) {
-        query = query.eq('regional', regional);
-    }
-
-    const { data, error } = await query;
-
-    if (error) throw new Error(`Database error: ${error.message}`);
+    const teams = await repositories.teams.list({
+        regionalId: regional?.id,
+        includeDeleted: req.query.include_deleted === 'true'
+    });
+    const official = await officialByTeam(regional && eventKeyOf(regional));
+    const data = regional
+        ? teams.map(team => ({
+            ...team,
+            regional: regional.regional_name,
+            regional_id: regional.id,
+            official: official.get(team.team_number) || null
+        }))
+        : teams;
 
     res.json({ success: true, data });
 }));
@@ -90,6 +129,8 @@ router.get('/', asyncHandler(async (req, res) => {
  *       **Learning Note**: This demonstrates URL parameters (path variables).
  *
  *       Retrieves detailed information about a single team using their FRC team number.
+ *       With a regional, `official` has the team's official rank, ranking points, OPR,
+ *       alliance, awards and district points there, as imported from TBA (null before).
  *
  *       **Use Case**: Display team profile page, lookup team details before scouting.
  *     tags: [Teams]
@@ -102,10 +143,15 @@ router.get('/', asyncHandler(async (req, res) => {
  *         description: FRC team number
  *         example: 589
  *       - in: query
+ *         name: regional_id
+ *         schema:
+ *           type: integer
+ *         description: Only if the team is entered in this regional
+ *       - in: query
  *         name: regional
  *         schema:
  *           type: string
- *         description: Optional regional filter
+ *         description: Same as regional_id, by regional name
  *         example: Orange County
  *     responses:
  *       200:
@@ -132,28 +178,22 @@ router.get('/', asyncHandler(async (req, res) => {
  */
 router.get('/:teamNumber', asyncHandler(async (req, res) => {
     const { teamNumber } = req.params;
-    const { regional } = req.query;
+    const regional = await regionalFilter(req.query);
+    if (regional === null) return regionalNotFound(res);
 
-    let query = supabase
-        .from('teams')
-        .select('*')
-        .eq('team_number', teamNumber);
+    const team = await repositories.teams.findByNumber(parseInt(teamNumber), { regionalId: regional?.id });
 
-    if (regional) {
-        query = query.eq('regional', regional);
+    if (!team) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Team not found' }
+        });
     }
 
-    const { data, error } = await query.single();
-
-    if (error) {
-        if (error.code === 'PGRST116') {
-            return res.status(404).json({
-                success: false,
-                error: { message: 'Team not found' }
-            });
-        }
-        throw new Error(`Database error: ${error.message}`);
-    }
+    const official = await officialByTeam(regional && eventKeyOf(regional));
+    const data = regional
+        ? { ...team, regional: regional.regional_name, regional_id: regional.id, official: official.get(team.team_number) || null }
+        : team;
 
     res.json({ success: true, data });
 }));
@@ -166,8 +206,9 @@ router.get('/:teamNumber', asyncHandler(async (req, res) => {
  *     description: |
  *       **Learning Note**: This demonstrates POST requests with request body validation.
  *
- *       Adds a new team to the database. The `team_number` must be unique.
+ *       Enters a team in a regional, adding the team first if it's new.
  *       If `team_name` is not provided, it defaults to "Team {number}".
+ *       A regional name that doesn't exist yet is added to the active season.
  *
  *       **Use Case**: Manually add teams before competition, import from TBA.
  *
@@ -181,16 +222,18 @@ router.get('/:teamNumber', asyncHandler(async (req, res) => {
  *             type: object
  *             required:
  *               - team_number
- *               - regional
  *             properties:
  *               team_number:
  *                 type: integer
- *                 description: FRC team number (must be unique)
+ *                 description: FRC team number
  *                 example: 589
  *               team_name:
  *                 type: string
  *                 description: Team nickname (optional)
  *                 example: "Falkon Robotics"
+ *               regional_id:
+ *                 type: integer
+ *                 description: Regional to enter the team in (or use `regional`)
  *               regional:
  *                 type: string
  *                 description: Regional competition name
@@ -217,7 +260,7 @@ router.get('/:teamNumber', asyncHandler(async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       409:
- *         description: Team already exists (duplicate team_number)
+ *         description: Team is already entered in this regional
  *         content:
  *           application/json:
  *             schema:
@@ -228,40 +271,126 @@ router.get('/:teamNumber', asyncHandler(async (req, res) => {
  *                 message: "Team already exists in this regional"
  */
 router.post('/', asyncHandler(async (req, res) => {
-    const { team_number, team_name, regional } = req.body;
+    const { team_number, team_name } = req.body;
 
-    if (!team_number || !regional) {
+    if (!team_number || (!req.body.regional && !req.body.regional_id)) {
         return res.status(400).json({
             success: false,
-            error: { message: 'team_number and regional are required' }
+            error: { message: 'team_number and regional (or regional_id) are required' }
         });
     }
 
-    const { data, error } = await supabase
-        .from('teams')
-        .insert({
-            team_number,
-            team_name: team_name || `Team ${team_number}`,
-            regional
-        })
-        .select()
-        .single();
+    const regional = await repositories.regionals.resolve(req.body, { create: canCreateRegionals(req) });
+    if (!regional) return regionalNotFound(res);
+    if (!regionalAllowed(req, regional.id)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: `This API key cannot add teams to ${regional.regional_name}` }
+        });
+    }
+
+    let team = await repositories.teams.findByNumber(team_number);
+    if (team && await repositories.regionals.hasTeam(regional.id, team.id)) {
+        return res.status(409).json({
+            success: false,
+            error: { message: 'Team already exists in this regional' }
+        });
+    }
 
-    if (error) {
-        if (error.code === '23505') { // Unique violation
-            return res.status(409).json({
-                success: false,
-                error: { message: 'Team already exists in this regional' }
+    const existed = Boolean(team);
+    if (!team) {
+        try {
+            team = await repositories.teams.create({
+                team_number,
+                team_name: team_name || `Team ${team_number}`,
+                regional: regional.regional_name
             });
+        } catch (error) {
+            if (error.code !== '23505') throw error;
+            // Added by a concurrent request, or in the trash (which takes it out)
+            team = await repositories.teams.findOrCreate(team_number, regional);
         }
-        throw new Error(`Database error: ${error.message}`);
     }
+    await repositories.regionals.addTeam(regional.id, team.id);
+    await recordChange(req, {
+        entityType: 'team',
+        entityId: team.id,
+        action: existed ? 'register' : 'create',
+        regionalId: regional.id,
+        after: team
+    });
 
     res.status(201).json({
         success: true,
-        data,
+        data: { ...team, regional: regional.regional_name, regional_id: regional.id },
         message: 'Team created successfully'
     });
 }));
 
+/**
+ * @swagger
+ * /api/teams/{teamNumber}:
+ *   delete:
+ *     summary: Move a team to the trash
+ *     description: |
+ *       Soft delete: the team, its matches and its robot info get `deleted_at` and disappear from
+ *       lists, rankings and predictions, but nothing is removed. `POST /api/trash/teams/{id}/restore`
+ *       brings all of it back. Needs a lead or admin of the host organization, since every
+ *       organization's matches for the team go with it.
+ *     tags: [Teams]
+ *     parameters:
+ *       - in: path
+ *         name: teamNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 589
+ *     responses:
+ *       200:
+ *         description: Team moved to the trash, with how many matches and robot info records went with it
+ *       403:
+ *         description: Not the host organization, or an API key limited to some regionals
+ *       404:
+ *         description: Team not found
+ */
+router.delete('/:teamNumber', requireRole('lead'), asyncHandler(async (req, res) => {
+    const team = await repositories.teams.findByNumber(parseInt(req.params.teamNumber));
+    if (!team) {
+        return res.status(404).json({
+            success: false,
+            error: { message: 'Team not found' }
+        });
+    }
+
+    if (!isHostOrganization(req)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: 'Teams are shared by every organization - only the host organization can delete them' }
+        });
+    }
+
+    // The team's data spans regionals, so a key limited to some can't trash it
+    if (req.auth?.regionalIds) {
+        return res.status(403).json({
+            success: false,
+            error: { message: 'This API key is limited to some regionals and cannot delete teams' }
+        });
+    }
+
+    const trashed = await repositories.teams.remove(team.id);
+    await recordChange(req, {
+        entityType: 'team',
+        entityId: team.id,
+        action: 'delete',
+        before: team,
+        details: { matches: trashed.matches, robot_info: trashed.robot_info }
+    });
+
+    res.json({
+        success: true,
+        data: { id: team.id, team_number: team.team_number, ...trashed },
+        message: `Team ${team.team_number} moved to the trash with ${trashed.matches} match(es) and ${trashed.robot_info} robot info record(s)`
+    });
+}));
+
 module.exports = router;
\ No newline at end of file
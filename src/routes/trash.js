@@ -0,0 +1,201 @@
+/**
+ * Trash Routes
+ * Deleted teams, matches and robot info, and getting them back
+ *
+ * Deleting only sets `deleted_at`, so nothing is lost to a wrong tap: a
+ * trashed row is left out of every list, ranking and recalculation until
+ * it's restored here. Trashing a team takes its matches and robot info with
+ * it, and restoring the team brings back exactly those. Rows stay in the
+ * trash until an admin purges them, which only removes rows older than the
+ * retention window (TRASH_RETENTION_DAYS, default 30).
+ *
+ * Matches and robot info are per organization, so each organization sees and
+ * purges its own. Teams are shared: only the host organization can restore or
+ * purge them.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const repositories = require('../repositories');
+const { asyncHandler } = require('../middleware/errorHandling');
+const { requireRole, regionalAllowed } = require('../middleware/auth');
+const { recordChange } = require('../services/audit');
+const { publish } = require('../services/liveEvents');
+const { organizationOf, isHostOrganization } = require('../services/organizations');
+const { calculateTeamStatistics } = require('./statistics');
+
+const router = express.Router();
+
+// Trashed rows are everyone's deletes, so the trash is for leads and admins
+router.use(requireRole('lead'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+const purgeSchema = Joi.object({
+    // Only purge rows trashed at least this long ago (default: the retention window)
+    older_than_days: Joi.number().integer().min(0).max(3650)
+});
+
+// The trash by type, as named in URLs
+const TRASH_TYPES = {
+    teams: { entityType: 'team', repository: 'teams', label: 'Team' },
+    matches: { entityType: 'match', repository: 'matches', label: 'Match' },
+    'robot-info': { entityType: 'robot_info', repository: 'robotInfo', label: 'Robot info' }
+};
+
+// When a trashed row becomes eligible for purging
+const withPurgeDate = (row, days) => ({
+    ...row,
+    purge_after: new Date(new Date(row.deleted_at).getTime() + days * DAY_MS).toISOString()
+});
+
+// GET /api/trash?regional_id=1 - Everything in the trash, most recently deleted first
+router.get('/', asyncHandler(async (req, res) => {
+    let regionalId;
+    if (req.query.regional || req.query.regional_id) {
+        const regional = await repositories.regionals.resolve(req.query);
+        if (!regional) {
+            return res.status(404).json({
+                success: false,
+                error: { message: 'Regional not found' }
+            });
+        }
+        regionalId = regional.id;
+    }
+
+    const days = retentionDays();
+    const organizationId = organizationOf(req);
+    // Teams span regionals, so a regional filter only narrows matches and robot info
+    const [teams, matches, robotInfo] = await Promise.all([
+        isHostOrganization(req) ? repositories.teams.listDeleted() : [],
+        repositories.matches.listDeleted({ regionalId, organizationId }),
+        repositories.robotInfo.listDeleted({ regionalId, organizationId })
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            teams: teams.map(row => withPurgeDate(row, days)),
+            matches: matches.map(row => withPurgeDate(row, days)),
+            robot_info: robotInfo.map(row => withPurgeDate(row, days))
+        },
+        count: teams.length + matches.length + robotInfo.length,
+        retention_days: days
+    });
+}));
+
+// POST /api/trash/:type/:id/restore - Take a team, match or robot info out of the trash
+// :type is teams, matches or robot-info. A restored team brings back the matches and robot
+// info trashed with it; a restored match or robot info brings back its team.
+router.post('/:type/:id/restore', asyncHandler(async (req, res) => {
+    const type = TRASH_TYPES[req.params.type];
+    if (!type) {
+        return res.status(400).json({
+            success: false,
+            error: { message: `Unknown trash type - use one of: ${Object.keys(TRASH_TYPES).join(', ')}` }
+        });
+    }
+
+    const repository = repositories[type.repository];
+    const id = parseInt(req.params.id);
+    const isTeam = type.entityType === 'team';
+    if (isTeam && !isHostOrganization(req)) {
+        return res.status(403).json({
+            success: false,
+            error: { message: 'Teams are shared by every organization - ask the host organization to restore this one' }
+        });
+    }
+
+    const before = await repository.findById(id, {
+        includeDeleted: true,
+        organizationIds: isTeam ? undefined : [organizationOf(req)]
+    });
+    if (!before?.deleted_at) {
+        return res.status(404).json({
+            success: false,
+            error: { message: `${type.label} not found in the trash` }
+        });
+    }
+
+    const allowed = isTeam ? !req.auth?.regionalIds : regionalAllowed(req, before.regional_id);
+    if (!allowed) {
+        return res.status(403).json({
+            success: false,
+            error: { message: 'This API key cannot restore data outside its regionals' }
+        });
+    }
+
+    const data = await repository.restore(id);
+    await recordChange(req, { entityType: type.entityType, entityId: id, action: 'restore', before, after: data });
+
+    const teamNumber = data.team_number ?? data.teams?.team_number;
+    const scope = { regional: data.regional, regional_id: data.regional_id, team_number: teamNumber, organization_id: data.organization_id };
+    if (type.entityType === 'match') {
+        publish('match.created', {
+            id: data.id,
+            team_number: teamNumber,
+            regional: data.regional,
+            regional_id: data.regional_id,
+            match_number: data.match_number,
+            review_status: data.review_status
+        }, scope);
+
+        // The match counts again
+        try {
+            await calculateTeamStatistics(data.team_id, data.regional_id, data.organization_id);
+        } catch (statsError) {
+            console.error('Error calculating statistics:', statsError);
+        }
+    } else if (type.entityType === 'robot_info') {
+        publish('robot_info.updated', { team_number: teamNumber, regional: data.regional, regional_id: data.regional_id }, scope);
+    }
+
+    res.json({
+        success: true,
+        data,
+        message: `${type.label} ${isTeam ? data.team_number : data.id} restored from the trash`
+    });
+}));
+
+// POST /api/trash/purge - Permanently remove rows trashed longer than the retention window
+// { "older_than_days": 30 } (admins only; defaults to TRASH_RETENTION_DAYS). Teams are
+// only purged for the host organization.
+router.post('/purge', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { error: validationError, value } = purgeSchema.validate(req.body || {});
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: { message: validationError.details[0].message }
+        });
+    }
+
+    const days = value.older_than_days ?? retentionDays();
+    const before = new Date(Date.now() - days * DAY_MS).toISOString();
+
+    // Teams last, so their trashed matches and robot info are gone before them
+    const organizationId = organizationOf(req);
+    const purged = {
+        matches: await repositories.matches.purgeDeleted(before, { organizationId }),
+        robot_info: await repositories.robotInfo.purgeDeleted(before, { organizationId }),
+        teams: isHostOrganization(req) ? await repositories.teams.purgeDeleted(before) : 0
+    };
+
+    for (const [entityType, count] of [['match', purged.matches], ['robot_info', purged.robot_info], ['team', purged.teams]]) {
+        if (count > 0) {
+            await recordChange(req, { entityType, action: 'purge', details: { count, deleted_before: before } });
+        }
+    }
+
+    res.json({
+        success: true,
+        data: { ...purged, deleted_before: before },
+        message: `Purged ${purged.teams} team(s), ${purged.matches} match(es) and ${purged.robot_info} robot info record(s) deleted before ${before}`
+    });
+}));
+
+module.exports = router;
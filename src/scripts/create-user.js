@@ -0,0 +1,89 @@
+/**
+ * Create User Script
+ * Add an account from the command line - how the first admin gets created
+ *
+ *   npm run create-user -- <username> "<display name>" [--role scouter|lead|admin]
+ *       [--organization <slug>] (--password <p> | --pin <digits>)
+ *
+ * Accounts go in the host organization unless --organization names another.
+ * Run it for an existing username to reset that account's credential and
+ * role (and reactivate it), e.g. when the only admin forgot their password.
+ */
+
+// Load environment variables first
+require('dotenv').config();
+
+const repositories = require('../repositories');
+const { verifySchema } = require('../repositories/migrations');
+const { ROLES, credentialError, hashCredential } = require('../services/accounts');
+const { HOST_ORGANIZATION_ID } = require('../services/organizations');
+
+const USAGE = 'Usage: npm run create-user -- <username> "<display name>" [--role scouter|lead|admin] ' +
+    '[--organization <slug>] (--password <p> | --pin <digits>)';
+
+function option(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+async function createUser(args) {
+    const [username, displayName] = args;
+    const role = option(args, 'role') || 'scouter';
+    const password = option(args, 'password');
+    const pin = option(args, 'pin');
+    const organizationSlug = option(args, 'organization');
+
+    if (!username || !displayName || username.startsWith('--') || displayName.startsWith('--')) throw new Error(USAGE);
+    if (!/^[a-zA-Z0-9._-]{2,50}$/.test(username)) throw new Error('Usernames are 2-50 letters, digits, dots, dashes or underscores');
+    if (!ROLES.includes(role)) throw new Error(`--role must be one of ${ROLES.join(', ')}`);
+    if ((password === undefined) === (pin === undefined)) throw new Error('Give exactly one of --password or --pin');
+
+    const type = password !== undefined ? 'password' : 'pin';
+    const secret = password !== undefined ? password : pin;
+    const error = credentialError(type, secret);
+    if (error) throw new Error(error);
+
+    await verifySchema(repositories);
+
+    const organization = organizationSlug !== undefined
+        ? await repositories.organizations.findBySlug(organizationSlug)
+        : await repositories.organizations.findById(HOST_ORGANIZATION_ID);
+    if (!organization) throw new Error(`No organization with the slug ${organizationSlug}`);
+
+    const credential = { credential_type: type, credential_hash: hashCredential(secret) };
+    const existing = await repositories.users.findByUsername(username);
+
+    if (existing) {
+        await repositories.users.update(existing.id, {
+            ...credential,
+            display_name: displayName,
+            role,
+            // Only moved to another organization when asked to
+            ...(organizationSlug !== undefined && { organization_id: organization.id }),
+            is_active: true,
+            token_version: (existing.token_version || 0) + 1
+        });
+        console.log(`✅ Reset ${existing.username} (${role})`);
+    } else {
+        const user = await repositories.users.create({
+            username,
+            display_name: displayName,
+            role,
+            organization_id: organization.id,
+            ...credential
+        });
+        console.log(`✅ Created ${user.username} (${role}, ${organization.name})`);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    createUser(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { createUser };
@@ -1,77 +1,118 @@
 /**
  * Database Setup Script
- * Run this after setting up your Supabase project
+ * Migrations and sample data for the configured DATABASE_BACKEND
+ *
+ *   npm run setup-db                      apply migrations, then add sample data (Supabase)
+ *   npm run setup-db -- up [--to N]       apply pending migrations
+ *   npm run setup-db -- status            show applied and pending migrations
+ *   npm run setup-db -- baseline [--to N] mark migrations as applied without running them,
+ *                                         for a database set up from the old SQL files
+ *
+ * Supabase migrations need SUPABASE_DB_URL (see src/repositories/migrations.js).
  */
 
 // Load environment variables first
 require('dotenv').config();
 
-const { createClient } = require('@supabase/supabase-js');
+const repositories = require('../repositories');
+const {
+    migrationLabel,
+    migrationStatus,
+    migrateUp,
+    baseline,
+    connectForMigrations
+} = require('../repositories/migrations');
 
-// Create Supabase client for setup script
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SECRET_KEY,
-    {
-        auth: {
-            autoRefreshToken: false,
-            persistSession: false
+// Sample data goes through the Supabase client the API uses
+const supabase = repositories.client;
+
+/**
+ * Parse `--to N`
+ */
+function targetVersion(args) {
+    const index = args.indexOf('--to');
+    if (index === -1) return undefined;
+
+    const version = parseInt(args[index + 1]);
+    if (Number.isNaN(version)) throw new Error('--to needs a migration version, e.g. --to 3');
+    return version;
+}
+
+async function showStatus() {
+    // Reading history works through the API's Supabase client too, without SUPABASE_DB_URL
+    const source = repositories.db || process.env.SUPABASE_DB_URL
+        ? { db: connectForMigrations(repositories) }
+        : repositories;
+    const status = await migrationStatus(repositories.backend, source);
+    const applied = new Map(status.applied.map(row => [Number(row.version), row]));
+
+    console.log(`🗄️  ${repositories.backend} schema: version ${status.current} of ${status.expected}`);
+    if (!status.tracked) {
+        console.log('⚠️  No schema_migrations table. Run `up` on a new database or `baseline` on one set up from the old SQL files.');
+    }
+
+    for (const migration of status.migrations) {
+        const row = applied.get(migration.version);
+        if (!row) {
+            console.log(`   ⏳ ${migrationLabel(migration)}  pending`);
+        } else if (row.checksum !== migration.checksum) {
+            console.log(`   ❌ ${migrationLabel(migration)}  changed since it was applied`);
+        } else {
+            console.log(`   ✅ ${migrationLabel(migration)}  ${row.baseline ? 'baselined' : 'applied'} ${row.applied_at}`);
         }
     }
-);
-const fs = require('fs');
-const path = require('path');
+    for (const row of status.unknown) {
+        console.log(`   ❓ ${migrationLabel(row)}  applied, but not in this version of the API`);
+    }
+
+    return status;
+}
+
+async function runUp(args) {
+    const db = connectForMigrations(repositories);
+    const applied = await migrateUp(repositories.backend, db, { to: targetVersion(args) });
+
+    if (applied.length === 0) {
+        console.log('✅ Database schema is up to date');
+    }
+    for (const migration of applied) {
+        console.log(`✅ Applied ${migrationLabel(migration)}`);
+    }
+}
+
+async function runBaseline(args) {
+    const db = connectForMigrations(repositories);
+    const recorded = await baseline(repositories.backend, db, { to: targetVersion(args) });
+
+    if (recorded.length === 0) {
+        console.log('✅ Nothing to baseline - every migration is already recorded');
+    }
+    for (const migration of recorded) {
+        console.log(`📌 Marked ${migrationLabel(migration)} as applied`);
+    }
+}
 
 async function setupDatabase() {
     try {
         console.log('🚀 Setting up database schema...');
+        await runUp([]);
 
-        // Test connection first
-        const { data: connectionTest, error: connectionError } = await supabase
-            .from('teams')
-            .select('count')
-            .limit(1);
-
-        if (connectionError && connectionError.code !== 'PGRST116') {
-            throw new Error(`Connection failed: ${connectionError.message}`);
-        }
-
-        console.log('✅ Database connection successful');
+        if (repositories.backend !== 'supabase') return;
 
-        // Check if tables already exist
-        const { data: existingTables, error: tableError } = await supabase
+        // Check if we have sample data
+        const { data: sampleData } = await supabase
             .from('teams')
-            .select('id')
-            .limit(1);
-
-        if (!tableError) {
-            console.log('⚠️  Tables already exist. Schema setup may have already been completed.');
-
-            // Check if we have sample data
-            const { data: sampleData } = await supabase
-                .from('teams')
-                .select('team_number')
-                .eq('team_number', 589)
-                .single();
-
-            if (!sampleData) {
-                console.log('📝 Adding sample data...');
-                await addSampleData();
-            } else {
-                console.log('✅ Sample data already exists');
-            }
+            .select('team_number')
+            .eq('team_number', 589)
+            .maybeSingle();
 
-            return;
+        if (!sampleData) {
+            console.log('📝 Adding sample data...');
+            await addSampleData();
+        } else {
+            console.log('✅ Sample data already exists');
         }
 
-        console.log('⚠️  Tables not found. Please run the database-schema.sql file in Supabase SQL Editor first.');
-        console.log('📋 Steps:');
-        console.log('1. Go to your Supabase project dashboard');
-        console.log('2. Open SQL Editor');
-        console.log('3. Copy and paste the contents of database-schema.sql');
-        console.log('4. Run the script');
-        console.log('5. Then run this setup script again');
-
     } catch (error) {
         console.error('❌ Database setup failed:', error.message);
         process.exit(1);
@@ -80,31 +121,40 @@ async function setupDatabase() {
 
 async function addSampleData() {
     try {
+        // Sample regional in the active season
+        const regional = await repositories.regionals.resolve({ regional: 'Orange County' }, { create: true });
+
         // Insert sample teams
         const { data: teams, error: teamsError } = await supabase
             .from('teams')
             .insert([
-                { team_number: 589, team_name: 'Falkon Robotics', regional: 'Orange County' },
-                { team_number: 254, team_name: 'The Cheesy Poofs', regional: 'Orange County' },
-                { team_number: 1678, team_name: 'Citrus Circuits', regional: 'Orange County' },
-                { team_number: 2471, team_name: 'Team Mean Machine', regional: 'Orange County' }
+                { team_number: 589, team_name: 'Falkon Robotics', regional: regional.regional_name },
+                { team_number: 254, team_name: 'The Cheesy Poofs', regional: regional.regional_name },
+                { team_number: 1678, team_name: 'Citrus Circuits', regional: regional.regional_name },
+                { team_number: 2471, team_name: 'Team Mean Machine', regional: regional.regional_name }
             ])
             .select();
 
         if (teamsError) {
             console.log('⚠️  Sample teams already exist or error:', teamsError.message);
-        } else {
-            console.log('✅ Sample teams created');
+            return;
         }
 
+        for (const team of teams) {
+            await repositories.regionals.addTeam(regional.id, team.id);
+        }
+        console.log('✅ Sample teams created');
+
         // Insert sample matches
+        const team589 = teams.find(team => team.team_number === 589);
         const { error: matchesError } = await supabase
             .from('matches')
             .insert([
                 {
-                    team_id: 1,
+                    team_id: team589.id,
                     match_number: 1,
-                    regional: 'Orange County',
+                    regional: regional.regional_name,
+                    regional_id: regional.id,
                     starting_position: 'Middle',
                     auto_taxi: true,
                     auto_m1: 2,
@@ -119,9 +169,10 @@ async function addSampleData() {
                     scouter_name: 'Test Scouter'
                 },
                 {
-                    team_id: 1,
+                    team_id: team589.id,
                     match_number: 2,
-                    regional: 'Orange County',
+                    regional: regional.regional_name,
+                    regional_id: regional.id,
                     starting_position: 'Amp',
                     auto_taxi: true,
                     auto_m1: 1,
@@ -180,14 +231,34 @@ async function testEndpoints() {
     }
 }
 
+const COMMANDS = {
+    up: runUp,
+    status: showStatus,
+    baseline: runBaseline
+};
+
+async function main([command, ...args]) {
+    if (command && !COMMANDS[command]) {
+        throw new Error(`Unknown command "${command}". Use: up, status or baseline`);
+    }
+    if (command) {
+        await COMMANDS[command](args);
+        return;
+    }
+
+    await setupDatabase();
+    if (repositories.backend === 'supabase') await testEndpoints();
+    console.log('\n✨ Setup complete! Your API is ready to use.');
+}
+
 // Run setup if called directly
 if (require.main === module) {
-    setupDatabase().then(() => {
-        testEndpoints().then(() => {
-            console.log('\n✨ Setup complete! Your API is ready to use.');
-            process.exit(0);
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌', error.message);
+            process.exit(1);
         });
-    });
 }
 
-module.exports = { setupDatabase, addSampleData, testEndpoints };
\ No newline at end of file
+module.exports = { setupDatabase, addSampleData, testEndpoints, showStatus, runUp, runBaseline };
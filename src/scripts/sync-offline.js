@@ -0,0 +1,179 @@
+/**
+ * Offline Sync Script
+ * Push data collected on a local backend to Supabase once we have internet
+ *
+ * Run on the pit laptop with the same .env it used at the event
+ * (DATABASE_BACKEND=sqlite or postgres) plus the Supabase credentials.
+ * Safe to run again: organizations are matched by slug, seasons by year,
+ * regionals by name within their season, teams by number, matches by
+ * client_id, and robot info only replaces Supabase's copy when ours is newer.
+ */
+
+// Load environment variables first
+require('dotenv').config();
+
+const { databaseBackend, createSupabaseClient } = require('../config/database');
+const local = require('../repositories');
+const { verifySchema } = require('../repositories/migrations');
+const { createRepositories } = local;
+
+// Matches read from the local database per round trip
+const PAGE_SIZE = 500;
+
+async function syncOrganizations(remote) {
+    const organizationIds = new Map(); // local organization ID -> Supabase organization ID
+
+    for (const organization of await local.organizations.list()) {
+        const existing = await remote.organizations.findBySlug(organization.slug);
+        const synced = existing || await remote.organizations.create({
+            name: organization.name,
+            slug: organization.slug,
+            team_number: organization.team_number
+        });
+        organizationIds.set(organization.id, synced.id);
+    }
+
+    console.log(`✅ Organizations: ${organizationIds.size} matched`);
+    return organizationIds;
+}
+
+async function syncRegionals(remote) {
+    const regionalIds = new Map(); // local regional ID -> Supabase regional ID
+    const seasonIds = new Map();   // local season ID -> Supabase season ID
+
+    for (const season of await local.seasons.list()) {
+        const existing = await remote.seasons.findByYear(season.season_year);
+        // Which season is active stays Supabase's call
+        const synced = existing || await remote.seasons.create({
+            season_year: season.season_year,
+            season_name: season.season_name,
+            game_name: season.game_name,
+            is_active: false
+        });
+        seasonIds.set(season.id, synced.id);
+    }
+
+    for (const regional of await local.regionals.list()) {
+        const seasonId = seasonIds.get(regional.season_id);
+        const existing = await remote.regionals.findByName(regional.regional_name, { seasonId });
+        const synced = existing || await remote.regionals.create({
+            season_id: seasonId,
+            regional_name: regional.regional_name,
+            regional_code: regional.regional_code
+        });
+        regionalIds.set(regional.id, synced.id);
+    }
+
+    console.log(`✅ Regionals: ${regionalIds.size} matched in ${seasonIds.size} season(s)`);
+    return regionalIds;
+}
+
+async function syncTeams(remote, regionalIds) {
+    const teamIds = new Map(); // local team ID -> Supabase team ID
+
+    for (const team of await local.teams.list()) {
+        const existing = await remote.teams.findByNumber(team.team_number);
+        const synced = existing || await remote.teams.create({
+            team_number: team.team_number,
+            team_name: team.team_name,
+            regional: team.regional
+        });
+        teamIds.set(team.id, synced.id);
+    }
+
+    let entries = 0;
+    for (const [localRegionalId, remoteRegionalId] of regionalIds) {
+        for (const team of await local.teams.list({ regionalId: localRegionalId })) {
+            await remote.regionals.addTeam(remoteRegionalId, teamIds.get(team.id));
+            entries++;
+        }
+    }
+
+    console.log(`✅ Teams: ${teamIds.size} matched, ${entries} regional entries`);
+    return teamIds;
+}
+
+async function syncMatches(remote, { organizationIds, teamIds, regionalIds }) {
+    let offset = 0;
+    let sent = 0;
+    let created = 0;
+
+    for (;;) {
+        const { rows } = await local.matches.list({ limit: PAGE_SIZE, offset });
+        if (rows.length === 0) break;
+
+        const records = rows.map(({ id, teams, ...match }) => ({
+            ...match,
+            organization_id: organizationIds.get(match.organization_id),
+            team_id: teamIds.get(match.team_id),
+            regional_id: regionalIds.get(match.regional_id)
+        }));
+        const inserted = await remote.matches.insertMany(records);
+
+        sent += records.length;
+        created += inserted.length;
+        offset += rows.length;
+    }
+
+    console.log(`✅ Matches: ${created} uploaded, ${sent - created} already in Supabase`);
+}
+
+async function syncRobotInfo(remote, { organizationIds, teamIds, regionalIds }) {
+    let uploaded = 0;
+    let skipped = 0;
+
+    for (const { id, teams, ...info } of await local.robotInfo.list()) {
+        const teamId = teamIds.get(info.team_id);
+        const regionalId = regionalIds.get(info.regional_id);
+        const organizationId = organizationIds.get(info.organization_id);
+        const existing = await remote.robotInfo.find(teamId, regionalId, { organizationIds: [organizationId] });
+
+        if (existing && existing.updated_at && info.updated_at && new Date(existing.updated_at) >= new Date(info.updated_at)) {
+            skipped++;
+            continue;
+        }
+
+        await remote.robotInfo.save({ ...info, organization_id: organizationId, team_id: teamId, regional_id: regionalId });
+        uploaded++;
+    }
+
+    console.log(`✅ Robot info: ${uploaded} uploaded, ${skipped} newer in Supabase`);
+}
+
+async function syncOffline() {
+    if (databaseBackend === 'supabase') {
+        throw new Error('DATABASE_BACKEND is "supabase" - there is no local data to sync');
+    }
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SECRET_KEY) {
+        throw new Error('Set SUPABASE_URL and SUPABASE_SECRET_KEY to sync');
+    }
+
+    console.log(`🔄 Syncing ${databaseBackend} data to Supabase...`);
+
+    const remote = createRepositories('supabase', { client: createSupabaseClient() });
+
+    // Both sides must be on the schema this code writes
+    await verifySchema(local);
+    await verifySchema(remote);
+
+    const organizationIds = await syncOrganizations(remote);
+    const regionalIds = await syncRegionals(remote);
+    const teamIds = await syncTeams(remote, regionalIds);
+    await syncMatches(remote, { organizationIds, teamIds, regionalIds });
+    await syncRobotInfo(remote, { organizationIds, teamIds, regionalIds });
+}
+
+// Run sync if called directly
+if (require.main === module) {
+    syncOffline()
+        .then(() => {
+            console.log('\n✨ Sync complete!');
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('❌ Sync failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { syncOffline };
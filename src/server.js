@@ -14,17 +14,35 @@ const swaggerSpec = require('./config/swagger');
 require('dotenv').config();
 
 // Import our route modules
+const authRoutes = require('./routes/auth');
+const apiKeysRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const organizationsRoutes = require('./routes/organizations');
 const teamsRoutes = require('./routes/teams');
 const matchesRoutes = require('./routes/matches');
 const robotInfoRoutes = require('./routes/robotInfo');
 const dashboardRoutes = require('./routes/dashboard');
 const tbaRoutes = require('./routes/tba');
-// const seasonsRoutes = require('./routes/seasons'); // Table not yet created in database
-// const { router: statisticsRoutes } = require('./routes/statistics');
+const tbaSyncRoutes = require('./routes/tbaSync');
+const tbaWebhookRoutes = require('./routes/tbaWebhook');
+const predictionsRoutes = require('./routes/predictions');
+const pickListsRoutes = require('./routes/pickLists');
+const reconciliationRoutes = require('./routes/reconciliation');
+const assignmentsRoutes = require('./routes/assignments');
+const streamRoutes = require('./routes/stream');
+const seasonsRoutes = require('./routes/seasons');
+const regionalsRoutes = require('./routes/regionals');
+const { router: statisticsRoutes } = require('./routes/statistics');
+const repositories = require('./repositories');
+const { verifySchema } = require('./repositories/migrations');
+const { startScheduler } = require('./services/tbaSync');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandling');
-const { validateApiKey, validateApiKeyForWrites } = require('./middleware/auth');
+const { validateApiKey, validateApiKeyForWrites, optionalApiKey, requireScope } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
+const { requireSupabase } = require('./middleware/backend');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,6 +51,13 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE SETUP
 // ============================================================================
 
+// Behind a reverse proxy, req.ip is the proxy unless it's trusted - and then every
+// caller would share one rate limit. TRUST_PROXY is a hop count, `true` or addresses.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Security middleware with relaxed CSP for development
 app.use(helmet({
     contentSecurityPolicy: {
@@ -64,7 +89,8 @@ app.use(helmet({
 // CORS - allow our mobile app and web interface to connect
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:19006'],
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Logging middleware
@@ -87,8 +113,13 @@ app.use((req, res, next) => {
     next();
 });
 
-// Parse JSON bodies
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON bodies (TBA webhooks are signed over the exact bytes sent, so those are kept)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/tba/webhook')) req.rawBody = buf;
+    }
+}));
 
 // Parse URL-encoded bodies
 app.use(express.urlencoded({ extended: true }));
@@ -182,29 +213,61 @@ app.get('/api/info', (req, res) => {
         team: 'Team 589 Falkon Robotics',
         version: '1.0.0',
         endpoints: {
+            auth: '/api/auth',
+            keys: '/api/keys',
+            audit: '/api/audit',
+            trash: '/api/trash',
+            organizations: '/api/organizations',
             teams: '/api/teams',
             matches: '/api/matches',
             robotInfo: '/api/robot-info',
+            seasons: '/api/seasons',
+            regionals: '/api/regionals',
+            statistics: '/api/statistics',
             dashboard: '/api/dashboard',
-            tba: '/api/tba'
+            tba: '/api/tba',
+            tbaSync: '/api/tba/sync',
+            tbaWebhook: '/api/tba/webhook',
+            predictions: '/api/predictions',
+            pickLists: '/api/pick-lists',
+            reconciliation: '/api/reconciliation',
+            assignments: '/api/assignments',
+            stream: '/api/stream'
         },
         documentation: '/api-docs'
     });
 });
 
 // API Routes with validation middleware
-// Read operations (GET) are public, write operations (POST/PUT/DELETE) require API key
-app.use('/api/teams', validateApiKeyForWrites, teamsRoutes);
-app.use('/api/matches', validateApiKeyForWrites, matchesRoutes);
-app.use('/api/robot-info', validateApiKeyForWrites, robotInfoRoutes);
-app.use('/api/dashboard', validateApiKeyForWrites, dashboardRoutes);
-app.use('/api/tba', validateApiKeyForWrites, tbaRoutes);
-// app.use('/api/seasons', validateApiKeyForWrites, seasonsRoutes); // Table not yet created
-// app.use('/api/statistics', validateApiKeyForWrites, statisticsRoutes);
+// Read operations (GET) are public, write operations (POST/PUT/DELETE) require API key.
+// Stored API keys also need the scope named for each route group, and callers other than
+// scouting devices get a request budget per group (see src/services/rateLimits.js).
+app.use('/api/auth', authRoutes); // Sign-in is open (and rate limited); account management checks roles itself
+app.use('/api/keys', validateApiKey, rateLimit('read'), apiKeysRoutes); // Admins only, reads included
+app.use('/api/audit', validateApiKey, rateLimit('read'), requireScope('admin'), auditRoutes); // Leads and admins, reads included
+app.use('/api/trash', validateApiKey, rateLimit('read'), requireScope('admin'), trashRoutes); // Leads and admins; purging is admin only
+app.use('/api/organizations', validateApiKey, rateLimit('read'), requireScope('admin'), organizationsRoutes); // Changes are admin only
+app.use('/api/teams', validateApiKeyForWrites, rateLimit('read'), requireScope('submit-matches'), teamsRoutes);
+app.use('/api/matches', validateApiKeyForWrites, rateLimit('read'), requireScope('submit-matches'), matchesRoutes);
+app.use('/api/robot-info', validateApiKeyForWrites, rateLimit('read'), requireScope('pit-scouting'), robotInfoRoutes);
+app.use('/api/dashboard', validateApiKeyForWrites, rateLimit('read'), requireScope('admin'), dashboardRoutes);
+app.use('/api/tba/sync', validateApiKeyForWrites, rateLimit('read'), requireScope('tba-import'), tbaSyncRoutes); // Reads our database, not TBA
+app.use('/api/tba/webhook', tbaWebhookRoutes); // TBA signs its notifications; the rest is for leads
+app.use('/api/tba', validateApiKeyForWrites, rateLimit('tba'), requireScope('tba-import'), tbaRoutes);
+app.use('/api/predictions', validateApiKeyForWrites, rateLimit('read'), requireScope('read'), predictionsRoutes); // GETs only read; saving a prediction needs credentials
+app.use('/api/pick-lists', validateApiKey, rateLimit('read'), requireScope('admin'), requireSupabase('Pick lists'), pickListsRoutes); // Strategy stays private, reads included
+app.use('/api/reconciliation', validateApiKeyForWrites, rateLimit('read'), requireScope('admin'), requireSupabase('Reconciliation'), reconciliationRoutes);
+app.use('/api/assignments', validateApiKeyForWrites, rateLimit('read'), requireScope('admin'), requireSupabase('Scouter assignments'), assignmentsRoutes);
+app.use('/api/seasons', validateApiKeyForWrites, rateLimit('read'), requireScope('admin'), seasonsRoutes);
+app.use('/api/regionals', validateApiKeyForWrites, rateLimit('read'), requireScope('admin'), regionalsRoutes);
+app.use('/api/statistics', validateApiKeyForWrites, rateLimit('read'), requireScope('admin'), statisticsRoutes);
+app.use('/api/stream', optionalApiKey, rateLimit('stream'), streamRoutes); // Read-only live updates
 
 // Set up TBA logger (after dashboard route is loaded)
 if (tbaRoutes.setLogger && dashboardRoutes.addLog) {
     tbaRoutes.setLogger(dashboardRoutes.addLog);
+    tbaSyncRoutes.setLogger(dashboardRoutes.addLog);
+    tbaWebhookRoutes.setLogger(dashboardRoutes.addLog);
 }
 
 // ============================================================================
@@ -221,17 +284,34 @@ app.use(errorHandler);
 // SERVER STARTUP
 // ============================================================================
 
-app.listen(PORT, () => {
-    console.log(`🚀 FRC Scouting API running on port ${PORT}`);
-    console.log(`📊 Dashboard available at http://localhost:${PORT}`);
-    console.log(`🔧 Health check at http://localhost:${PORT}/health`);
-    console.log(`📖 API Documentation at http://localhost:${PORT}/api-docs`);
-    console.log(`📄 OpenAPI Spec at http://localhost:${PORT}/api-docs.json`);
+function startServer() {
+    const server = app.listen(PORT, () => {
+        console.log(`🚀 FRC Scouting API running on port ${PORT}`);
+        console.log(`📊 Dashboard available at http://localhost:${PORT}`);
+        console.log(`🔧 Health check at http://localhost:${PORT}/health`);
+        console.log(`📖 API Documentation at http://localhost:${PORT}/api-docs`);
+        console.log(`📄 OpenAPI Spec at http://localhost:${PORT}/api-docs.json`);
+        console.log(`🗄️  Database backend: ${repositories.backend}`);
 
-    if (process.env.NODE_ENV === 'development') {
-        console.log(`\n💡 Frontend students: Share this URL for API docs!`);
-    }
-});
+        if (process.env.NODE_ENV === 'development') {
+            console.log(`\n💡 Frontend students: Share this URL for API docs!`);
+        }
+    });
+
+    // Live updates over WebSocket share the HTTP server
+    streamRoutes.attachWebSocket(server);
+
+    // Keep the active regional's TBA data current in the background
+    startScheduler();
+}
+
+// Don't serve against a schema the routes weren't written for
+verifySchema(repositories)
+    .then(startServer)
+    .catch((error) => {
+        console.error(`❌ Database schema check failed (${repositories.backend}):`, error.message);
+        process.exit(1);
+    });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
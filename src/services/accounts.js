@@ -0,0 +1,146 @@
+/**
+ * Accounts
+ * Credential hashing and signed session tokens for scouter, lead and admin accounts
+ *
+ * Passwords and PINs are stored as scrypt hashes (`scrypt$<salt>$<hash>`).
+ * Sessions are HS256 JSON Web Tokens signed with AUTH_TOKEN_SECRET; each
+ * carries the user's `token_version`, which is bumped whenever their
+ * credential, role or active flag changes so older tokens stop working.
+ * Uses only node's crypto module.
+ */
+
+const { randomBytes, scryptSync, createHmac, timingSafeEqual } = require('crypto');
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['scouter', 'lead', 'admin'];
+
+const CREDENTIAL_RULES = {
+    password: { pattern: /^.{8,128}$/, message: 'Passwords must be 8-128 characters' },
+    pin: { pattern: /^\d{4,8}$/, message: 'PINs must be 4-8 digits' }
+};
+
+// A competition day, so scouters sign in once in the morning
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+
+const KEY_LENGTH = 32;
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+    // Works on a pit laptop, but everyone has to sign in again after a restart
+    console.warn('⚠️  AUTH_TOKEN_SECRET not set - using a random secret, sessions end when the server restarts');
+    tokenSecret = randomBytes(32).toString('hex');
+}
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+/**
+ * Does `role` include the permissions of `required`?
+ */
+function hasRole(role, required) {
+    return roleRank(role) >= 0 && roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Check a new password or PIN against the rules for its type
+ * @returns {string|null} Why it's not acceptable, or null
+ */
+function credentialError(type, secret) {
+    const rule = CREDENTIAL_RULES[type];
+    if (!rule) return `Unknown credential type "${type}"`;
+    return rule.pattern.test(String(secret)) ? null : rule.message;
+}
+
+function hashCredential(secret) {
+    const salt = randomBytes(16);
+    const hash = scryptSync(String(secret), salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyCredential(secret, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = scryptSync(String(secret), Buffer.from(salt, 'base64'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function sign(data) {
+    return createHmac('sha256', tokenSecret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a session token for a user
+ * @returns {{ token: string, expires_at: string }}
+ */
+function issueToken(user) {
+    const ttlHours = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || DEFAULT_TOKEN_TTL_HOURS;
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + Math.round(ttlHours * 3600);
+
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user.id,
+        role: user.role,
+        name: user.display_name,
+        ver: user.token_version || 0,
+        iat: now,
+        exp
+    }));
+
+    return {
+        token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+        expires_at: new Date(exp * 1000).toISOString()
+    };
+}
+
+// Session tokens have three dot-separated parts; API keys don't
+const looksLikeToken = (value) => typeof value === 'string' && value.split('.').length === 3;
+
+/**
+ * Check a token's signature and expiry
+ * The caller still has to load the user and compare `ver` with their token_version.
+ *
+ * @returns {object|null} The claims, or null when the token isn't valid
+ */
+function verifyToken(token) {
+    if (!looksLikeToken(token)) return null;
+
+    const [header, payload, signature] = token.split('.');
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    if (!claims.exp || claims.exp * 1000 < Date.now()) return null;
+    return claims;
+}
+
+/**
+ * A user as returned by the API (no credential hash)
+ */
+function publicUser(user) {
+    if (!user) return null;
+    const { credential_hash, token_version, ...rest } = user;
+    return rest;
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    credentialError,
+    hashCredential,
+    verifyCredential,
+    issueToken,
+    looksLikeToken,
+    verifyToken,
+    publicUser
+};
@@ -0,0 +1,79 @@
+/**
+ * API Keys
+ * Named keys with scopes, for tablets, the dashboard and partner teams
+ *
+ * Keys look like `sk589_<random>` and are shown once, when issued or
+ * rotated; only a SHA-256 hash is stored (the keys are random, so a slow
+ * hash like the account passwords use isn't needed) plus a short prefix to
+ * tell them apart in lists.
+ */
+
+const { randomBytes, createHash } = require('crypto');
+
+/**
+ * What a key can do. Every key can read; writes need the scope for their
+ * route group (see server.js). `admin` covers everything.
+ */
+const SCOPES = ['read', 'submit-matches', 'pit-scouting', 'admin', 'tba-import'];
+
+const KEY_PREFIX = 'sk589_';
+
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const lastTouched = new Map();
+
+function hashKey(key) {
+    return createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * A new random key
+ * @returns {{ key: string, key_prefix: string, key_hash: string }}
+ */
+function generateKey() {
+    const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    return { key, key_prefix: key.slice(0, KEY_PREFIX.length + 6), key_hash: hashKey(key) };
+}
+
+/**
+ * Why a stored key can't be used right now
+ * @returns {string|null} null when it's usable
+ */
+function unusableReason(record, now = new Date()) {
+    if (record.revoked_at) return 'API key has been revoked';
+    if (record.expires_at && new Date(record.expires_at) <= now) return 'API key has expired';
+    return null;
+}
+
+function hasScope(scopes, scope) {
+    return Array.isArray(scopes) && (scopes.includes(scope) || scopes.includes('admin'));
+}
+
+/**
+ * Should this use be written to last_used_at?
+ * Keeps a busy tablet from turning every request into a database write.
+ */
+function shouldTouch(id, now = Date.now()) {
+    if (now - (lastTouched.get(id) || 0) < TOUCH_INTERVAL_MS) return false;
+    lastTouched.set(id, now);
+    return true;
+}
+
+/**
+ * A key as returned by the API (no hash)
+ */
+function publicKey(record) {
+    if (!record) return null;
+    const { key_hash, ...rest } = record;
+    return { ...rest, status: unusableReason(record) ? (record.revoked_at ? 'revoked' : 'expired') : 'active' };
+}
+
+module.exports = {
+    SCOPES,
+    hashKey,
+    generateKey,
+    unusableReason,
+    hasScope,
+    shouldTouch,
+    publicKey
+};
@@ -0,0 +1,90 @@
+/**
+ * Audit Log
+ * A lasting record of every change to scouting data
+ *
+ * Routes call recordChange() after a write succeeds. Each entry says what
+ * changed (entity_type + entity_id), how (action), who did it (the signed-in
+ * account and/or API key, with the key's scopes and the caller's IP) and
+ * what the record looked like before and after, so an edited or deleted
+ * match can be put back (POST /api/audit/:id/restore). Entries belong to
+ * the organization the request acted for.
+ *
+ * Writing the entry is best effort: a failure is logged, never turned into
+ * a failed request for a change that has already been made.
+ */
+
+const repositories = require('../repositories');
+const { organizationOf } = require('./organizations');
+
+const ENTITY_TYPES = ['team', 'match', 'robot_info', 'statistics', 'tba_import'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'register', 'recalculate', 'import'];
+
+/**
+ * Who is making a request, as stored on an entry
+ */
+function actorFrom(req) {
+    const auth = req.auth || {};
+    let actorName = req.user?.display_name ?? auth.keyName ?? null;
+    if (!actorName && auth.type === 'api_key') actorName = 'Shared API key';
+
+    return {
+        actor_type: auth.type || 'anonymous', // Development mode runs without credentials
+        actor_user_id: req.user?.id ?? null,
+        actor_name: actorName,
+        api_key_id: auth.keyId ?? null,
+        role: auth.role ?? null,
+        scopes: auth.scopes ?? null,
+        ip: req.ip || null
+    };
+}
+
+/**
+ * A record as stored in `before`/`after`: its own fields, without joined rows
+ */
+function snapshot(record) {
+    if (!record) return null;
+    const { teams, seasons, ...fields } = record;
+    return fields;
+}
+
+/**
+ * Add an entry to the audit log
+ *
+ * @param {object} req - The request making the change
+ * @param {object} change
+ * @param {string} change.entityType - One of ENTITY_TYPES
+ * @param {string|number} [change.entityId]
+ * @param {string} change.action - One of ACTIONS
+ * @param {number} [change.regionalId]
+ * @param {object} [change.before] - The record before the change (null for creates)
+ * @param {object} [change.after] - The record after it (null for deletes)
+ * @param {object} [change.details] - Anything else worth keeping (counts, the entry restored, ...)
+ * @returns {Promise<object|null>} The entry, or null if it couldn't be written
+ */
+async function recordChange(req, { entityType, entityId, action, regionalId, before, after, details }) {
+    try {
+        return await repositories.auditLog.create({
+            entity_type: entityType,
+            entity_id: entityId === undefined || entityId === null ? null : String(entityId),
+            action,
+            regional_id: regionalId ?? before?.regional_id ?? after?.regional_id ?? null,
+            ...actorFrom(req),
+            organization_id: organizationOf(req),
+            before: snapshot(before),
+            after: snapshot(after),
+            details: details || null,
+            created_at: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Could not write audit entry (${action} ${entityType} ${entityId ?? ''}):`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    ACTIONS,
+    actorFrom,
+    snapshot,
+    recordChange
+};
@@ -0,0 +1,124 @@
+/**
+ * Multi-Scouter Consensus
+ * Combine several scouters' reports on the same robot in the same match
+ *
+ * Each element is combined according to its type:
+ * - counter / rating: median (rounded), flagged when max - min > tolerance
+ * - boolean / enum:   majority, flagged when there is no strict majority
+ * - text:             distinct values joined together, never flagged
+ *
+ * A lead scout resolves flagged fields; their choices are kept as
+ * `resolved_values` and always win over the computed value.
+ */
+
+// Allowed spread between scouters before a numeric field is flagged.
+// Elements can override this with `tolerance` in the game definition.
+const DEFAULT_TOLERANCE = {
+    counter: 1,
+    rating: 1
+};
+
+const TEXT_JOINER = ' / ';
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Most common value; ties go to whichever value was reported first
+ */
+function majority(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+
+    let best = values[0];
+    for (const [value, count] of counts) {
+        if (count > counts.get(best)) best = value;
+    }
+
+    return { value: best, count: counts.get(best) };
+}
+
+const distinctText = (values) => [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+
+/**
+ * Build a consensus record from raw reports
+ *
+ * @param {Array<{ scouter_name: string, report_data: object, comments?: string }>} reports
+ * @param {object} definition - Game definition
+ * @param {object} [resolvedValues] - Lead scout overrides (element key -> value)
+ * @returns {{ values: object, comments: string|null, disagreements: Array, status: string }}
+ */
+function buildConsensus(reports, definition, resolvedValues = {}) {
+    const values = {};
+    const disagreements = [];
+
+    for (const element of definition.elements) {
+        const entries = reports
+            .map(report => ({ scouter_name: report.scouter_name, value: report.report_data?.[element.key] }))
+            .filter(entry => entry.value !== undefined && entry.value !== null);
+
+        if (element.key in resolvedValues) {
+            values[element.key] = resolvedValues[element.key];
+            continue;
+        }
+        if (entries.length === 0) continue;
+
+        const reported = entries.map(entry => entry.value);
+        let flagged = false;
+
+        switch (element.type) {
+            case 'counter':
+            case 'rating': {
+                values[element.key] = Math.round(median(reported));
+                const tolerance = element.tolerance ?? DEFAULT_TOLERANCE[element.type];
+                flagged = Math.max(...reported) - Math.min(...reported) > tolerance;
+                break;
+            }
+            case 'boolean':
+            case 'enum': {
+                const { value, count } = majority(reported);
+                values[element.key] = value;
+                flagged = count * 2 <= reported.length;
+                break;
+            }
+            case 'text':
+                values[element.key] = distinctText(reported).join(TEXT_JOINER);
+                break;
+        }
+
+        if (flagged) {
+            disagreements.push({
+                field: element.key,
+                type: element.type,
+                consensus: values[element.key],
+                reports: entries
+            });
+        }
+    }
+
+    const comments = distinctText(reports.map(report => report.comments).filter(Boolean));
+
+    let status;
+    if (disagreements.length > 0) {
+        status = 'conflict';
+    } else if (Object.keys(resolvedValues).length > 0) {
+        status = 'resolved';
+    } else {
+        status = reports.length > 1 ? 'agreed' : 'single';
+    }
+
+    return {
+        values,
+        comments: comments.length > 0 ? comments.join(TEXT_JOINER) : null,
+        disagreements,
+        status
+    };
+}
+
+module.exports = {
+    DEFAULT_TOLERANCE,
+    buildConsensus
+};
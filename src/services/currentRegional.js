@@ -0,0 +1,69 @@
+/**
+ * Current Regional
+ * Which regional the app (and the TBA sync) treat as "now"
+ *
+ * The active season can pin one (`current_regional_id`); otherwise it's
+ * picked from the regionals' dates.
+ */
+
+const repositories = require('../repositories');
+
+const today = () => new Date().toISOString().slice(0, 10);
+const day = (value) => (value ? String(value).slice(0, 10) : null);
+
+/**
+ * The regional the scouting app should default to
+ * The one the season pins, else one happening today, else the next one,
+ * else the most recent.
+ *
+ * @returns {{ regional: object|null, reason: string|null }}
+ */
+function defaultRegional(season, regionals) {
+    if (regionals.length === 0) return { regional: null, reason: null };
+
+    const pinned = regionals.find(regional => regional.id === season.current_regional_id);
+    if (pinned) return { regional: pinned, reason: 'pinned' };
+
+    const now = today();
+    const dated = regionals.filter(regional => day(regional.start_date));
+
+    const inProgress = dated.find(regional => day(regional.start_date) <= now && now <= (day(regional.end_date) || day(regional.start_date)));
+    if (inProgress) return { regional: inProgress, reason: 'in_progress' };
+
+    const upcoming = dated
+        .filter(regional => day(regional.start_date) > now)
+        .sort((a, b) => day(a.start_date).localeCompare(day(b.start_date)))[0];
+    if (upcoming) return { regional: upcoming, reason: 'upcoming' };
+
+    const recent = dated.sort((a, b) => day(b.start_date).localeCompare(day(a.start_date)))[0];
+    if (recent) return { regional: recent, reason: 'recent' };
+
+    return { regional: regionals[regionals.length - 1], reason: 'latest' };
+}
+
+/**
+ * The active season's default regional (with its season attached)
+ * @returns {Promise<{ season: object|null, regional: object|null, reason: string|null }>}
+ */
+async function currentRegional() {
+    const season = await repositories.seasons.findActive();
+    if (!season) return { season: null, regional: null, reason: null };
+
+    const regionals = await repositories.regionals.list({ seasonId: season.id });
+    return { season, ...defaultRegional(season, regionals) };
+}
+
+/**
+ * A regional's TBA event key: <season_year><regional_code>, e.g. 2025caoc
+ * @returns {string|null} null without a regional_code
+ */
+function eventKeyOf(regional) {
+    if (!regional?.regional_code || !regional.seasons?.season_year) return null;
+    return `${regional.seasons.season_year}${regional.regional_code.toLowerCase()}`;
+}
+
+module.exports = {
+    defaultRegional,
+    currentRegional,
+    eventKeyOf
+};
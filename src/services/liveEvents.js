@@ -0,0 +1,147 @@
+/**
+ * Live Events
+ * In-process publish/subscribe for data changes, streamed to clients
+ *
+ * Routes call publish() after they change matches, robot info, statistics
+ * or pick lists, and the TBA webhook after an official match result. The stream routes (SSE and WebSocket) subscribe and forward
+ * events that match each client's filters.
+ *
+ * Recent events are kept in a ring buffer so a client that reconnects with
+ * its last event ID gets everything it missed. IDs carry a per-process boot
+ * prefix: after a server restart (or if the client fell further behind than
+ * the buffer) the client is told to reload instead of silently missing data.
+ */
+
+const { EventEmitter } = require('events');
+
+// How many recent events are kept for resuming clients
+const BUFFER_SIZE = 1000;
+
+// Event types clients can subscribe to
+const EVENT_TYPES = [
+    'match.created', 'match.updated', 'match.deleted',
+    'robot_info.updated',
+    'stats.updated',
+    'pick_list.updated', 'draft.updated',
+    'tba_match.updated'
+];
+
+const bootId = Date.now().toString(36);
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+
+const buffer = [];
+let sequence = 0;
+
+/**
+ * Publish a change
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - Event payload sent to clients
+ * @param {object} [scope] - Used for subscription filters
+ * @param {string} [scope.regional] - Regional name
+ * @param {number} [scope.regional_id] - Regional ID
+ * @param {number} [scope.team_number] - Team the change is about
+ * @param {number} [scope.organization_id] - Organization whose data changed
+ * @param {boolean} [scope.private] - Only for signed-in clients of that organization
+ *        (strategy: pick lists and the draft), not everyone who can read its scouting
+ */
+function publish(type, data, scope = {}) {
+    const event = {
+        id: `${bootId}-${++sequence}`,
+        sequence,
+        type,
+        scope,
+        data,
+        timestamp: new Date().toISOString()
+    };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+    emitter.emit('event', event);
+    return event;
+}
+
+/**
+ * Build a predicate from subscription filters
+ * Each filter is optional; events without that scope field always pass
+ * (e.g. a pick list change has no team_number).
+ *
+ * @param {object} filters
+ * @param {string[]} [filters.types]
+ * @param {string[]} [filters.regionals] - Regional names or IDs
+ * @param {number[]} [filters.teams]
+ * @param {number[]} [filters.organizations] - Organizations the client can read
+ * @param {number} [filters.organization] - The signed-in client's own organization,
+ *        the only one whose private events it gets (none without credentials)
+ */
+function createFilter({ types, regionals, teams, organizations, organization } = {}) {
+    return (event) => {
+        if (types?.length && !types.includes(event.type)) return false;
+
+        if (event.scope.private && (organization === undefined || event.scope.organization_id !== organization)) {
+            return false;
+        }
+
+        if (organizations && event.scope.organization_id !== undefined && !organizations.includes(event.scope.organization_id)) {
+            return false;
+        }
+
+        if (regionals?.length) {
+            const { regional, regional_id } = event.scope;
+            if (regional !== undefined || regional_id !== undefined) {
+                if (!regionals.includes(String(regional)) && !regionals.includes(String(regional_id))) return false;
+            }
+        }
+
+        if (teams?.length && event.scope.team_number !== undefined && !teams.includes(event.scope.team_number)) {
+            return false;
+        }
+
+        return true;
+    };
+}
+
+/**
+ * Events published after a given ID
+ *
+ * @returns {{ events: Array, complete: boolean }} complete is false when the
+ *          ID is from another server run or has fallen out of the buffer
+ */
+function eventsSince(lastEventId) {
+    const [boot, seq] = String(lastEventId).split('-');
+    const lastSequence = parseInt(seq);
+
+    if (boot !== bootId || Number.isNaN(lastSequence)) {
+        return { events: [], complete: false };
+    }
+
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+    return {
+        events: buffer.filter(event => event.sequence > lastSequence),
+        complete: lastSequence >= oldest - 1
+    };
+}
+
+/**
+ * Listen for new events
+ * @returns {Function} Call to unsubscribe
+ */
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+function listenerCount() {
+    return emitter.listenerCount('event');
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    createFilter,
+    eventsSince,
+    subscribe,
+    listenerCount
+};
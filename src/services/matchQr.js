@@ -0,0 +1,221 @@
+/**
+ * QR Match Payloads
+ * Compact text encoding of a match report that fits in one QR code
+ *
+ * Some venues forbid or jam Wi-Fi, so scouting devices show a QR code and a
+ * lead scout's device scans it. A payload is a `|`-separated line:
+ *
+ *   589M1|<game_key>|<game version>|<client_id>|<team>|<match>|<regional>|<scouter>|<comments>|<element>...
+ *
+ * Elements follow the order of the game definition:
+ * - counter / rating: the number
+ * - boolean:          1 or 0
+ * - enum:             index into the element's options
+ * - text:             the text
+ * An empty field means "not recorded". Trailing empty fields are dropped.
+ * `%` and `|` inside text are written as %25 and %7C.
+ */
+
+const crypto = require('crypto');
+
+// Bumped whenever the layout of the payload itself changes
+const FORMAT_VERSION = 1;
+const FORMAT_PREFIX = `589M${FORMAT_VERSION}`;
+const SEPARATOR = '|';
+
+// Fields every payload carries before the game elements
+const BASE_FIELDS = ['client_id', 'team_number', 'match_number', 'regional', 'scouter_name', 'comments'];
+const HEADER_LENGTH = 3;
+
+// Byte capacity of the largest QR code (version 40, low error correction)
+const MAX_QR_BYTES = 2953;
+
+const escapeText = (text) => String(text).replace(/%/g, '%25').replace(/\|/g, '%7C');
+
+function unescapeText(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        throw new Error(`Malformed escape sequence in "${text}"`);
+    }
+}
+
+function encodeElement(element, value) {
+    if (value === undefined || value === null) return '';
+
+    switch (element.type) {
+        case 'boolean':
+            return value ? '1' : '0';
+        case 'enum': {
+            const index = element.options.findIndex(option => option.value === value);
+            return index >= 0 ? String(index) : '';
+        }
+        case 'text':
+            return escapeText(value);
+        default:
+            return String(value);
+    }
+}
+
+function decodeElement(element, field) {
+    if (field === '') return undefined;
+
+    switch (element.type) {
+        case 'boolean':
+            if (field !== '0' && field !== '1') {
+                throw new Error(`"${element.key}" must be 0 or 1`);
+            }
+            return field === '1';
+        case 'enum': {
+            const option = element.options[Number(field)];
+            if (!/^\d+$/.test(field) || !option) {
+                throw new Error(`"${element.key}" has unknown option index ${field}`);
+            }
+            return option.value;
+        }
+        case 'text':
+            return unescapeText(field);
+        default:
+            // Left as a string when not numeric so validation reports it
+            return /^-?\d+$/.test(field) ? Number(field) : field;
+    }
+}
+
+/**
+ * Encode a match report as a QR payload
+ *
+ * @param {object} match - Flat match report (API shape, see fromMatchRecord)
+ * @param {object} definition - Game definition the match was scouted with
+ * @returns {string}
+ */
+function encodeMatchPayload(match, definition) {
+    const fields = [
+        FORMAT_PREFIX,
+        definition.game_key,
+        String(definition.version ?? 1),
+        match.client_id ?? '',
+        String(match.team_number),
+        String(match.match_number),
+        escapeText(match.regional ?? ''),
+        escapeText(match.scouter_name ?? ''),
+        escapeText(match.comments ?? ''),
+        ...definition.elements.map(element => encodeElement(element, match[element.key]))
+    ];
+
+    while (fields[fields.length - 1] === '') fields.pop();
+
+    return fields.join(SEPARATOR);
+}
+
+/**
+ * Decode a QR payload back into a match report
+ * The result still needs validating with the match schema; this only
+ * checks that the payload is well formed and matches the definition.
+ *
+ * @param {string} payload - Scanned text
+ * @param {object} definition - Game definition expected for the event
+ * @returns {object} Match report in API shape
+ * @throws {Error} When the payload is malformed or for another game
+ */
+function decodeMatchPayload(payload, definition) {
+    if (typeof payload !== 'string' || payload.trim() === '') {
+        throw new Error('Payload must be a non-empty string');
+    }
+
+    const fields = payload.trim().split(SEPARATOR);
+    const [prefix, gameKey, gameVersion] = fields;
+
+    if (!/^589M\d+$/.test(prefix)) {
+        throw new Error('Not a 589 match payload');
+    }
+    if (prefix !== FORMAT_PREFIX) {
+        throw new Error(`Unsupported payload format ${prefix} (expected ${FORMAT_PREFIX})`);
+    }
+    if (gameKey !== definition.game_key || Number(gameVersion) !== (definition.version ?? 1)) {
+        throw new Error(`Payload is for ${gameKey} v${gameVersion}, but this event uses ${definition.game_key} v${definition.version ?? 1}`);
+    }
+
+    const expected = HEADER_LENGTH + BASE_FIELDS.length + definition.elements.length;
+    if (fields.length > expected) {
+        throw new Error(`Payload has ${fields.length} fields, expected at most ${expected}`);
+    }
+
+    const value = (index) => fields[index] ?? '';
+    const report = {};
+
+    BASE_FIELDS.forEach((key, i) => {
+        const field = value(HEADER_LENGTH + i);
+        if (field === '') return;
+        report[key] = key === 'team_number' || key === 'match_number'
+            ? (/^\d+$/.test(field) ? Number(field) : field)
+            : unescapeText(field);
+    });
+
+    definition.elements.forEach((element, i) => {
+        const decoded = decodeElement(element, value(HEADER_LENGTH + BASE_FIELDS.length + i));
+        if (decoded !== undefined) report[element.key] = decoded;
+    });
+
+    return report;
+}
+
+/**
+ * The game a payload was encoded for, read from its header
+ * @returns {{ gameKey: string|null, version: number|null }}
+ */
+function payloadGame(payload) {
+    if (typeof payload !== 'string') return { gameKey: null, version: null };
+    const [, gameKey = null, version] = payload.trim().split(SEPARATOR);
+    return { gameKey, version: version === undefined ? null : Number(version) };
+}
+
+/**
+ * Stable client_id for a payload that doesn't carry one
+ * Scanning the same code twice then counts as a duplicate, not a new match.
+ */
+function payloadClientId(payload) {
+    const hex = crypto.createHash('sha1').update(payload.trim()).digest('hex');
+    // Format as a UUID (version 5 / RFC 4122 variant bits)
+    return [
+        hex.slice(0, 8),
+        hex.slice(8, 12),
+        '5' + hex.slice(13, 16),
+        ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.slice(17, 20),
+        hex.slice(20, 32)
+    ].join('-');
+}
+
+/**
+ * Describe the payload layout for a definition
+ * Lets scouting apps build payloads without hardcoding the field order
+ */
+function describePayloadFormat(definition) {
+    return {
+        prefix: FORMAT_PREFIX,
+        separator: SEPARATOR,
+        game_key: definition.game_key,
+        game_version: definition.version ?? 1,
+        max_bytes: MAX_QR_BYTES,
+        fields: [
+            { key: 'prefix' },
+            { key: 'game_key' },
+            { key: 'game_version' },
+            ...BASE_FIELDS.map(key => ({ key })),
+            ...definition.elements.map(element => ({
+                key: element.key,
+                type: element.type,
+                ...(element.type === 'enum' && { options: element.options.map(option => option.value) })
+            }))
+        ]
+    };
+}
+
+module.exports = {
+    FORMAT_VERSION,
+    MAX_QR_BYTES,
+    encodeMatchPayload,
+    decodeMatchPayload,
+    payloadGame,
+    payloadClientId,
+    describePayloadFormat
+};
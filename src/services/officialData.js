@@ -0,0 +1,107 @@
+/**
+ * Official Event Data
+ * TBA's rankings, alliances, awards, OPRs and district points for an event
+ *
+ * Stored by the TBA sync (see tbaSync.js) and read from the database, so
+ * team views can show official rank and RP next to scouted performance
+ * without calling TBA.
+ */
+
+const repositories = require('../repositories');
+
+const KINDS = ['rankings', 'alliances', 'awards', 'oprs', 'district_points'];
+
+const LOADERS = {
+    rankings: (eventKey) => repositories.tbaCache.listRankings(eventKey),
+    alliances: (eventKey) => repositories.tbaCache.listAlliances(eventKey),
+    awards: (eventKey) => repositories.tbaCache.listAwards(eventKey),
+    oprs: (eventKey) => repositories.tbaCache.listOprs(eventKey),
+    district_points: (eventKey) => repositories.tbaCache.listDistrictPoints(eventKey)
+};
+
+// frc589 -> 589
+const teamNumberOf = (teamKey) => parseInt(String(teamKey).replace(/^frc/, ''));
+
+/**
+ * Everything stored for an event, by kind
+ * @param {string} eventKey
+ * @param {string[]} [kinds] - Defaults to all of KINDS
+ * @returns {Promise<Object<string, Array>>}
+ */
+async function loadOfficialData(eventKey, kinds = KINDS) {
+    const rows = await Promise.all(kinds.map(kind => LOADERS[kind](eventKey)));
+    return Object.fromEntries(kinds.map((kind, index) => [kind, rows[index]]));
+}
+
+/**
+ * One summary per team from loadOfficialData()
+ * @returns {Map<number, { rank, ranking_points, record, opr, dpr, ccwm, alliance, awards, district_points }>}
+ */
+function summarizeByTeam({ rankings = [], alliances = [], awards = [], oprs = [], district_points: districtPoints = [] }) {
+    const teams = new Map();
+    const teamFor = (teamKey) => {
+        const number = teamNumberOf(teamKey);
+        if (!teams.has(number)) {
+            teams.set(number, {
+                rank: null,
+                ranking_points: null,
+                record: null,
+                opr: null,
+                dpr: null,
+                ccwm: null,
+                alliance: null,
+                awards: [],
+                district_points: null
+            });
+        }
+        return teams.get(number);
+    };
+
+    for (const ranking of rankings) {
+        Object.assign(teamFor(ranking.team_key), {
+            rank: ranking.rank,
+            ranking_points: ranking.ranking_points ?? null,
+            record: ranking.record ?? null
+        });
+    }
+
+    for (const rating of oprs) {
+        Object.assign(teamFor(rating.team_key), { opr: rating.opr, dpr: rating.dpr, ccwm: rating.ccwm });
+    }
+
+    for (const alliance of alliances) {
+        const seat = { number: alliance.alliance_number, name: alliance.name };
+        (alliance.picks || []).forEach((teamKey, index) => {
+            teamFor(teamKey).alliance = { ...seat, role: index === 0 ? 'captain' : `pick ${index}` };
+        });
+        if (alliance.backup?.in) teamFor(alliance.backup.in).alliance = { ...seat, role: 'backup' };
+    }
+
+    for (const award of awards) {
+        for (const teamKey of award.recipient_team_keys || []) {
+            teamFor(teamKey).awards.push(award.name);
+        }
+    }
+
+    for (const points of districtPoints) {
+        teamFor(points.team_key).district_points = points.total;
+    }
+
+    return teams;
+}
+
+/**
+ * Per-team official data for an event, for joining into team views
+ * @returns {Promise<Map<number, object>>} Keyed by team number (empty for no event key)
+ */
+async function officialByTeam(eventKey) {
+    if (!eventKey) return new Map();
+    return summarizeByTeam(await loadOfficialData(eventKey));
+}
+
+module.exports = {
+    KINDS,
+    loadOfficialData,
+    summarizeByTeam,
+    officialByTeam
+};
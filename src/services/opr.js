@@ -0,0 +1,196 @@
+/**
+ * OPR / DPR / CCWM Calculator
+ * Least-squares alliance ratings from official TBA match results
+ *
+ * Every played alliance gives one equation: the sum of its three teams'
+ * ratings should equal the alliance score. With more equations than teams
+ * we solve the normal equations (AᵀA)x = Aᵀb:
+ * - OPR  (Offensive Power Rating): b = alliance score
+ * - DPR  (Defensive Power Rating): b = opponent score (lower is better)
+ * - CCWM (Calculated Contribution to Winning Margin): OPR - DPR
+ * Component OPRs use numeric `score_breakdown` fields as b instead.
+ */
+
+// Below this pivot the system is treated as singular (not enough matches yet)
+const SINGULAR_EPSILON = 1e-9;
+
+// Ridge term added when the plain system is singular (early in an event)
+const FALLBACK_RIDGE = 1e-3;
+
+/**
+ * Turn stored tba_matches rows into alliance equations
+ * Unplayed matches (score of -1 or missing) are skipped.
+ *
+ * @param {Array} tbaMatches - Rows from the tba_matches table
+ * @param {object} [options]
+ * @param {string[]} [options.compLevels] - Levels to include (default qualifications only)
+ * @returns {Array<{ teams: string[], score: number, opponentScore: number, breakdown: object }>}
+ */
+function buildAllianceRows(tbaMatches, { compLevels = ['qm'] } = {}) {
+    const rows = [];
+
+    for (const match of tbaMatches) {
+        if (!compLevels.includes(match.comp_level)) continue;
+
+        const red = match.alliances?.red;
+        const blue = match.alliances?.blue;
+        if (!red || !blue || red.score == null || blue.score == null || red.score < 0 || blue.score < 0) continue;
+
+        for (const [alliance, opponent, color] of [[red, blue, 'red'], [blue, red, 'blue']]) {
+            rows.push({
+                teams: alliance.team_keys || [],
+                score: alliance.score,
+                opponentScore: opponent.score,
+                breakdown: match.score_breakdown?.[color] || {}
+            });
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Numeric score_breakdown fields present in every alliance row
+ * These are the fields we can compute component OPRs for.
+ */
+function findNumericComponents(rows) {
+    if (rows.length === 0) return [];
+
+    return Object.keys(rows[0].breakdown).filter(field =>
+        rows.every(row => typeof row.breakdown[field] === 'number')
+    );
+}
+
+/**
+ * Solve M·X = B for several right-hand sides at once
+ * Gaussian elimination with partial pivoting on a square matrix.
+ *
+ * @param {number[][]} matrix - n×n matrix (copied, not modified)
+ * @param {number[][]} rhs - n×k right-hand sides (copied, not modified)
+ * @returns {number[][]|null} n×k solution, or null when singular
+ */
+function solveLinearSystem(matrix, rhs) {
+    const n = matrix.length;
+    const m = matrix.map(row => [...row]);
+    const b = rhs.map(row => [...row]);
+    const k = n > 0 ? b[0].length : 0;
+
+    for (let col = 0; col < n; col++) {
+        // Pick the largest pivot for numerical stability
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < SINGULAR_EPSILON) return null;
+
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            if (factor === 0) continue;
+            for (let c = col; c < n; c++) m[row][c] -= factor * m[col][c];
+            for (let c = 0; c < k; c++) b[row][c] -= factor * b[col][c];
+        }
+    }
+
+    // Back substitution
+    const x = Array.from({ length: n }, () => new Array(k).fill(0));
+    for (let row = n - 1; row >= 0; row--) {
+        for (let c = 0; c < k; c++) {
+            let sum = b[row][c];
+            for (let j = row + 1; j < n; j++) sum -= m[row][j] * x[j][c];
+            x[row][c] = sum / m[row][row];
+        }
+    }
+
+    return x;
+}
+
+/**
+ * Calculate OPR, DPR, CCWM and component OPRs for one event
+ *
+ * @param {Array} tbaMatches - Rows from the tba_matches table for a single event
+ * @param {object} [options]
+ * @param {string[]} [options.compLevels] - Levels to include (default ['qm'])
+ * @param {string[]} [options.components] - Breakdown fields (default: every numeric field)
+ * @returns {{ ratings: Array, matchesCounted: number, components: string[], regularized: boolean }}
+ */
+function calculateEventRatings(tbaMatches, { compLevels = ['qm'], components } = {}) {
+    const rows = buildAllianceRows(tbaMatches, { compLevels });
+    const componentFields = components || findNumericComponents(rows);
+
+    const teamKeys = [...new Set(rows.flatMap(row => row.teams))].sort();
+    const index = new Map(teamKeys.map((key, i) => [key, i]));
+    const n = teamKeys.length;
+
+    if (n === 0) {
+        return { ratings: [], matchesCounted: 0, components: componentFields, regularized: false };
+    }
+
+    // Build normal equations directly: M = AᵀA, B = Aᵀb for every target column
+    const targets = ['score', 'opponentScore', ...componentFields];
+    const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+    const rhs = Array.from({ length: n }, () => new Array(targets.length).fill(0));
+    const appearances = new Array(n).fill(0);
+
+    for (const row of rows) {
+        const values = [row.score, row.opponentScore, ...componentFields.map(field => row.breakdown[field] || 0)];
+        const ids = row.teams.map(key => index.get(key));
+
+        for (const i of ids) {
+            appearances[i]++;
+            for (const j of ids) matrix[i][j] += 1;
+            for (let c = 0; c < values.length; c++) rhs[i][c] += values[c];
+        }
+    }
+
+    let solution = solveLinearSystem(matrix, rhs);
+    let regularized = false;
+
+    if (!solution) {
+        const ridged = matrix.map((row, i) => row.map((value, j) => (i === j ? value + FALLBACK_RIDGE : value)));
+        solution = solveLinearSystem(ridged, rhs);
+        regularized = true;
+    }
+
+    if (!solution) {
+        throw new Error('Unable to solve rating system for this event');
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const ratings = teamKeys.map((teamKey, i) => {
+        const [opr, dpr, ...componentValues] = solution[i];
+        const componentOprs = {};
+        componentFields.forEach((field, c) => {
+            componentOprs[field] = round(componentValues[c]);
+        });
+
+        return {
+            team_key: teamKey,
+            team_number: parseInt(teamKey.replace('frc', '')),
+            opr: round(opr),
+            dpr: round(dpr),
+            ccwm: round(opr - dpr),
+            component_oprs: componentOprs,
+            matches_counted: appearances[i]
+        };
+    });
+
+    ratings.sort((a, b) => b.opr - a.opr);
+
+    return {
+        ratings,
+        matchesCounted: rows.length / 2,
+        components: componentFields,
+        regularized
+    };
+}
+
+module.exports = {
+    buildAllianceRows,
+    findNumericComponents,
+    solveLinearSystem,
+    calculateEventRatings
+};
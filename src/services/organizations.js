@@ -0,0 +1,71 @@
+/**
+ * Organizations
+ * Scouting groups sharing one deployment
+ *
+ * Each organization has its own matches, robot info, statistics, pick lists,
+ * scouter schedules, accounts, API keys and audit log; teams, seasons,
+ * regionals and TBA data are shared by everyone. Requests act for the
+ * organization of their account or API key (`req.auth.organizationId`).
+ *
+ * Sharing is opt-in and one way: an organization that shares with a partner
+ * lets the partner read its matches and robot info, and the partner's
+ * statistics count those matches. Nobody can change another organization's
+ * data. For joint scouting, both sides share.
+ *
+ * The host organization (id 1) holds everything from before organizations
+ * existed, is what requests without credentials read, and its admins
+ * create the others and look after the shared team list.
+ */
+
+const repositories = require('../repositories');
+
+const HOST_ORGANIZATION_ID = 1;
+
+/**
+ * The organization a request acts for
+ */
+function organizationOf(req) {
+    return req.auth?.organizationId ?? HOST_ORGANIZATION_ID;
+}
+
+function isHostOrganization(req) {
+    return organizationOf(req) === HOST_ORGANIZATION_ID;
+}
+
+/**
+ * Organizations whose scouting `organizationId` can read: its own and
+ * every one sharing with it
+ * @returns {Promise<number[]>} Its own ID first
+ */
+async function readableBy(organizationId) {
+    const { incoming } = await repositories.organizations.shares(organizationId);
+    return [organizationId, ...incoming.map(organization => organization.id)];
+}
+
+/**
+ * Organizations whose scouting a request can read
+ * Requests without credentials only see the host's own data, never what
+ * partners shared with it.
+ */
+async function readableOrganizationIds(req) {
+    if (!req.auth) return [organizationOf(req)];
+    return readableBy(organizationOf(req));
+}
+
+/**
+ * Organizations whose statistics include `organizationId`'s matches: its
+ * own and every partner it shares with
+ */
+async function audienceOf(organizationId) {
+    const { outgoing } = await repositories.organizations.shares(organizationId);
+    return [organizationId, ...outgoing.map(organization => organization.id)];
+}
+
+module.exports = {
+    HOST_ORGANIZATION_ID,
+    organizationOf,
+    isHostOrganization,
+    readableBy,
+    readableOrganizationIds,
+    audienceOf
+};
@@ -0,0 +1,151 @@
+/**
+ * Match Outcome Predictor
+ * Predicted alliance scores and win probability from scouted data
+ *
+ * Each team is modelled by the mean and variance of its scouted points per
+ * phase. An alliance's predicted score is the sum of its teams' means, and
+ * its variance the sum of their variances (treating robots as independent).
+ * The red-minus-blue margin is then roughly normal, so the win probability
+ * is P(margin > 0) from the normal CDF.
+ */
+
+const SCORE_PHASES = ['auto', 'teleop', 'endgame'];
+
+// Floor on a team's per-match standard deviation so a team with one or two
+// identical matches doesn't look perfectly predictable
+const MIN_TEAM_STDDEV = 5;
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz-Stegun approximation of erf (error < 1.5e-7)
+ */
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function meanAndVariance(values) {
+    if (values.length === 0) return { mean: 0, variance: 0 };
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    // Sample variance (n - 1); a single match gives no spread information
+    const variance = values.length > 1
+        ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+        : 0;
+    return { mean, variance };
+}
+
+/**
+ * Summarize one team from its per-match phase scores
+ *
+ * @param {Array<{auto_score: number, teleop_score: number, endgame_score: number}>} matchScores
+ * @param {object} [means] - Optional per-phase means (e.g. from team_rankings) that override the computed ones
+ */
+function summarizeTeam(matchScores, means = null) {
+    const summary = { matches: matchScores.length };
+
+    for (const phase of SCORE_PHASES) {
+        const stats = meanAndVariance(matchScores.map(scores => scores[`${phase}_score`] || 0));
+        if (means && means[phase] != null) stats.mean = means[phase];
+        summary[phase] = stats;
+    }
+
+    const totals = meanAndVariance(matchScores.map(scores =>
+        SCORE_PHASES.reduce((sum, phase) => sum + (scores[`${phase}_score`] || 0), 0)
+    ));
+    summary.total = {
+        mean: SCORE_PHASES.reduce((sum, phase) => sum + summary[phase].mean, 0),
+        variance: Math.max(totals.variance, MIN_TEAM_STDDEV ** 2)
+    };
+
+    return summary;
+}
+
+/**
+ * Add up team summaries into an alliance prediction
+ */
+function predictAlliance(teamSummaries) {
+    const breakdown = {};
+    for (const phase of SCORE_PHASES) {
+        breakdown[phase] = round(teamSummaries.reduce((sum, team) => sum + team[phase].mean, 0));
+    }
+
+    const score = teamSummaries.reduce((sum, team) => sum + team.total.mean, 0);
+    const variance = teamSummaries.reduce((sum, team) => sum + team.total.variance, 0);
+
+    return { score: round(score), stddev: round(Math.sqrt(variance)), variance, breakdown };
+}
+
+/**
+ * Predict a match from red and blue team summaries
+ */
+function predictMatch(redSummaries, blueSummaries) {
+    const red = predictAlliance(redSummaries);
+    const blue = predictAlliance(blueSummaries);
+
+    const margin = red.score - blue.score;
+    const marginStddev = Math.sqrt(red.variance + blue.variance);
+    const redWinProbability = marginStddev > 0 ? normalCdf(margin / marginStddev) : (margin > 0 ? 1 : margin < 0 ? 0 : 0.5);
+
+    delete red.variance;
+    delete blue.variance;
+
+    return {
+        red,
+        blue,
+        predicted_margin: round(margin),
+        red_win_probability: round(redWinProbability, 4),
+        blue_win_probability: round(1 - redWinProbability, 4),
+        predicted_winner: margin > 0 ? 'red' : margin < 0 ? 'blue' : 'tie'
+    };
+}
+
+/**
+ * Score a list of predictions against actual results
+ *
+ * @param {Array<{ prediction: object, actual: { red: number, blue: number } }>} results
+ */
+function evaluatePredictions(results) {
+    const decided = results.filter(result => result.actual.red !== result.actual.blue);
+    const correct = decided.filter(result =>
+        result.prediction.predicted_winner === (result.actual.red > result.actual.blue ? 'red' : 'blue')
+    ).length;
+
+    const scoreErrors = results.flatMap(result => [
+        Math.abs(result.prediction.red.score - result.actual.red),
+        Math.abs(result.prediction.blue.score - result.actual.blue)
+    ]);
+
+    // Brier score: mean squared error of the red win probability (0 is perfect, 0.25 is a coin flip)
+    const brier = decided.length > 0
+        ? decided.reduce((sum, result) => {
+            const outcome = result.actual.red > result.actual.blue ? 1 : 0;
+            return sum + (result.prediction.red_win_probability - outcome) ** 2;
+        }, 0) / decided.length
+        : null;
+
+    return {
+        matches_evaluated: results.length,
+        winner_accuracy: decided.length > 0 ? round(correct / decided.length, 4) : null,
+        correct_winners: correct,
+        mean_absolute_score_error: scoreErrors.length > 0
+            ? round(scoreErrors.reduce((sum, value) => sum + value, 0) / scoreErrors.length)
+            : null,
+        brier_score: brier != null ? round(brier, 4) : null
+    };
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    SCORE_PHASES,
+    normalCdf,
+    summarizeTeam,
+    predictAlliance,
+    predictMatch,
+    evaluatePredictions
+};
@@ -0,0 +1,149 @@
+/**
+ * Rate Limits
+ * Request budgets per caller, so public reads can't be hammered
+ *
+ * Reads are open to anyone, and some of them are expensive (a single
+ * GET /api/tba/teams/all makes 20 calls to TBA). Each route group gets a
+ * budget of requests per window: one for each IP address without
+ * credentials, and a larger one for each stored API key. Scouting devices
+ * (signed-in accounts, the shared key and keys that can submit scouting)
+ * are never limited, so a busy event can't lock out the stands.
+ *
+ * Budgets come from RATE_LIMIT_<GROUP>=<per IP>,<per key> (e.g.
+ * RATE_LIMIT_TBA=30,120) over RATE_LIMIT_WINDOW_SECONDS. Counts are kept
+ * in memory by default; with several server instances, setStore() swaps in
+ * a shared store (e.g. Redis) with the same increment()/reset() methods.
+ */
+
+const { hasScope } = require('./apiKeys');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+
+// Requests per window: [per IP, per API key]
+const GROUPS = {
+    read: [300, 1200],  // Everything reading our own database
+    tba: [30, 120],     // Proxied to The Blue Alliance
+    stream: [20, 60],   // Opening live update connections
+    auth: [30, null]    // Sign-in attempts (no key involved)
+};
+
+// Keys with these scopes belong to scouting devices
+const DEVICE_SCOPES = ['submit-matches', 'pit-scouting'];
+
+// WebSocket upgrades skip Express, so they only have the socket address
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+/**
+ * The default store: fixed windows counted in this process
+ * @returns {{ increment(key: string, windowMs: number): { count: number, resetAt: number }, reset(key: string): void }}
+ */
+function createMemoryStore() {
+    const windows = new Map();
+
+    // Forget finished windows now and then so idle IPs don't pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, DEFAULT_WINDOW_SECONDS * 1000);
+    sweep.unref();
+
+    return {
+        increment(key, windowMs) {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+        reset(key) {
+            windows.delete(key);
+        }
+    };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Count requests somewhere else
+ * The store's increment(key, windowMs) may return a promise.
+ */
+function setStore(newStore) {
+    store = newStore;
+}
+
+function rateLimitsEnabled() {
+    return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
+
+function windowMs() {
+    const seconds = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS);
+    return (seconds > 0 ? seconds : DEFAULT_WINDOW_SECONDS) * 1000;
+}
+
+/**
+ * A group's budgets, with any override from the environment
+ * @returns {{ ip: number, key: number|null, windowMs: number }}
+ */
+function limitsFor(group) {
+    const [ip, key] = GROUPS[group] || GROUPS.read;
+    const [ipOverride, keyOverride] = (process.env[`RATE_LIMIT_${group.toUpperCase()}`] || '')
+        .split(',')
+        .map(value => parseInt(value));
+
+    return {
+        ip: ipOverride > 0 ? ipOverride : ip,
+        key: keyOverride > 0 ? keyOverride : key,
+        windowMs: windowMs()
+    };
+}
+
+/**
+ * Requests that are never limited: scouting devices and RATE_LIMIT_EXEMPT_IPS
+ */
+function isExempt(req) {
+    const exemptIps = (process.env.RATE_LIMIT_EXEMPT_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    if (exemptIps.includes(clientIp(req))) return true;
+
+    const auth = req.auth;
+    if (!auth) return false;
+    if (auth.type === 'user') return true;
+    if (!auth.keyId) return true; // The shared key is the tablets' key
+    return DEVICE_SCOPES.some(scope => hasScope(auth.scopes, scope));
+}
+
+/**
+ * Count a request against its caller's budget
+ * Stored API keys are counted per key; everyone else per IP.
+ *
+ * @returns {Promise<{ limit: number, remaining: number, resetAt: number, limited: boolean }>}
+ */
+async function consume(req, group) {
+    const limits = limitsFor(group);
+    const byKey = Boolean(req.auth?.keyId) && limits.key !== null;
+    const limit = byKey ? limits.key : limits.ip;
+    const caller = byKey ? `key:${req.auth.keyId}` : `ip:${clientIp(req)}`;
+
+    const { count, resetAt } = await store.increment(`${group}:${caller}`, limits.windowMs);
+
+    return {
+        limit,
+        remaining: Math.max(0, limit - count),
+        resetAt,
+        limited: count > limit
+    };
+}
+
+module.exports = {
+    GROUPS,
+    createMemoryStore,
+    setStore,
+    rateLimitsEnabled,
+    limitsFor,
+    isExempt,
+    consume
+};
@@ -0,0 +1,207 @@
+/**
+ * Scouting Reconciliation
+ * Check our scouting against TBA's official score breakdowns
+ *
+ * TBA only knows alliance totals (e.g. `teleopSpeakerNoteCount`) plus a few
+ * per-station fields (e.g. `endGameRobot1..3`). For every played alliance we
+ * add up the three scouted robots and compare with the official numbers, and
+ * compare each robot's per-station fields directly. Which fields line up is
+ * declared in the game definition's `reconciliation` section.
+ *
+ * Per-scouter accuracy swaps one scouter's report in for the consensus on
+ * that robot and measures the alliance error that results.
+ */
+
+// A check is "clearly wrong" when it is off by more than both of these
+const WRONG_ABS_ERROR = 3;
+const WRONG_RELATIVE_ERROR = 0.25;
+
+/**
+ * Read a (possibly dotted) score_breakdown field as a number
+ * Booleans count as 1/0 so things like trap flags can be summed.
+ */
+function readBreakdownValue(breakdown, path) {
+    const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), breakdown);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return typeof value === 'number' ? value : 0;
+}
+
+const sumElements = (values, keys) => keys.reduce((sum, key) => sum + (Number(values?.[key]) || 0), 0);
+
+const isClearlyWrong = (error, official) =>
+    Math.abs(error) > WRONG_ABS_ERROR && Math.abs(error) > WRONG_RELATIVE_ERROR * Math.abs(official);
+
+/**
+ * Compare alliance totals for a set of robot values against the breakdown
+ */
+function allianceChecks(robotValues, breakdown, config) {
+    return config.alliance.map(check => {
+        const scouted = robotValues.reduce((sum, values) => sum + sumElements(values, check.sum), 0);
+        const official = check.tba.reduce((sum, path) => sum + readBreakdownValue(breakdown, path), 0);
+        return { label: check.label, scouted, official, error: scouted - official };
+    });
+}
+
+/**
+ * Compare one robot's per-station fields against the breakdown
+ */
+function robotChecks(values, station, breakdown, config) {
+    const checks = [];
+
+    for (const check of config.robot) {
+        const official = breakdown?.[check.tba.replace('{station}', station)];
+        const scouted = values?.[check.element];
+        if (official === undefined || scouted === undefined || scouted === null) continue;
+        if (!(official in check.map)) continue;
+
+        const expected = check.map[official];
+        const correct = Array.isArray(expected) ? expected.includes(scouted) : expected === scouted;
+        checks.push({ element: check.element, scouted, official, correct });
+    }
+
+    return checks;
+}
+
+/**
+ * Reconcile one TBA match against our scouting
+ *
+ * @param {object} tbaMatch - Row from tba_matches
+ * @param {Map<number, { consensus: object, reports: Array<{ scouter_name: string, values: object }> }>} robots
+ *        Scouting for each team number; missing teams weren't scouted
+ * @param {object} definition - Game definition with a `reconciliation` section
+ * @returns {Array} One result per alliance (empty if unplayed)
+ */
+function reconcileMatch(tbaMatch, robots, definition) {
+    const config = definition.reconciliation;
+    if (!config || !tbaMatch.score_breakdown) return [];
+
+    const results = [];
+
+    for (const color of ['red', 'blue']) {
+        const alliance = tbaMatch.alliances?.[color];
+        const breakdown = tbaMatch.score_breakdown[color];
+        if (!alliance || !breakdown || alliance.score == null || alliance.score < 0) continue;
+
+        const teamNumbers = alliance.team_keys.map(key => parseInt(key.replace('frc', '')));
+        const missingTeams = teamNumbers.filter(number => !robots.get(number)?.consensus);
+        const complete = missingTeams.length === 0;
+
+        const consensusValues = teamNumbers.map(number => robots.get(number)?.consensus || null);
+        const checks = complete ? allianceChecks(consensusValues, breakdown, config) : [];
+
+        const stationChecks = teamNumbers.flatMap((number, i) =>
+            robotChecks(consensusValues[i], i + 1, breakdown, config).map(check => ({ team_number: number, station: i + 1, ...check }))
+        );
+
+        const officialTotal = checks.reduce((sum, check) => sum + Math.abs(check.official), 0);
+        const totalAbsError = checks.reduce((sum, check) => sum + Math.abs(check.error), 0);
+
+        let status = 'ok';
+        if (!complete) {
+            status = 'incomplete';
+        } else if (checks.some(check => isClearlyWrong(check.error, check.official)) || stationChecks.some(check => !check.correct)) {
+            status = 'wrong';
+        }
+
+        // Each scouter's report in place of the consensus for their robot
+        const scouters = [];
+        teamNumbers.forEach((number, i) => {
+            for (const report of robots.get(number)?.reports || []) {
+                const swapped = consensusValues.map((values, j) => (j === i ? report.values : values));
+                const ownChecks = robotChecks(report.values, i + 1, breakdown, config);
+                const entry = {
+                    scouter_name: report.scouter_name,
+                    team_number: number,
+                    abs_error: null,
+                    official_total: null,
+                    robot_checks_correct: ownChecks.filter(check => check.correct).length,
+                    robot_checks_total: ownChecks.length
+                };
+
+                if (complete) {
+                    const swappedChecks = allianceChecks(swapped, breakdown, config);
+                    entry.abs_error = swappedChecks.reduce((sum, check) => sum + Math.abs(check.error), 0);
+                    entry.official_total = officialTotal;
+                }
+
+                scouters.push(entry);
+            }
+        });
+
+        results.push({
+            alliance: color,
+            team_numbers: teamNumbers,
+            missing_teams: missingTeams,
+            checks,
+            robot_checks: stationChecks,
+            total_abs_error: complete ? totalAbsError : null,
+            relative_error: complete && officialTotal > 0 ? round(totalAbsError / officialTotal, 4) : null,
+            status,
+            scouters
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Aggregate stored per-scouter rows into accuracy metrics
+ *
+ * @param {Array} rows - scouter_accuracy rows (scouter_name, event_key, abs_error, official_total, robot_checks_*, reconciled_at)
+ * @returns {Array} One entry per scouter, most accurate first, with a per-event timeline
+ */
+function summarizeScouterAccuracy(rows) {
+    const byScouter = new Map();
+
+    for (const row of rows) {
+        if (!byScouter.has(row.scouter_name)) byScouter.set(row.scouter_name, []);
+        byScouter.get(row.scouter_name).push(row);
+    }
+
+    const summarize = (entries) => {
+        const measured = entries.filter(entry => entry.abs_error != null);
+        const absError = measured.reduce((sum, entry) => sum + Number(entry.abs_error), 0);
+        const official = measured.reduce((sum, entry) => sum + Number(entry.official_total), 0);
+        const correct = entries.reduce((sum, entry) => sum + entry.robot_checks_correct, 0);
+        const total = entries.reduce((sum, entry) => sum + entry.robot_checks_total, 0);
+
+        return {
+            reports: entries.length,
+            mean_abs_error: measured.length > 0 ? round(absError / measured.length) : null,
+            relative_error: official > 0 ? round(absError / official, 4) : null,
+            robot_check_accuracy: total > 0 ? round(correct / total, 4) : null
+        };
+    };
+
+    const summaries = [...byScouter].map(([scouterName, entries]) => {
+        const events = new Map();
+        for (const entry of entries) {
+            if (!events.has(entry.event_key)) events.set(entry.event_key, []);
+            events.get(entry.event_key).push(entry);
+        }
+
+        const timeline = [...events].map(([eventKey, eventEntries]) => ({
+            event_key: eventKey,
+            last_reconciled: eventEntries.reduce((latest, entry) => (entry.reconciled_at > latest ? entry.reconciled_at : latest), ''),
+            ...summarize(eventEntries)
+        })).sort((a, b) => a.last_reconciled.localeCompare(b.last_reconciled));
+
+        return { scouter_name: scouterName, ...summarize(entries), timeline };
+    });
+
+    // Lowest relative error first; scouters with nothing measurable go last
+    return summaries.sort((a, b) => (a.relative_error ?? Infinity) - (b.relative_error ?? Infinity));
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    WRONG_ABS_ERROR,
+    WRONG_RELATIVE_ERROR,
+    readBreakdownValue,
+    reconcileMatch,
+    summarizeScouterAccuracy
+};
@@ -0,0 +1,141 @@
+/**
+ * Scouter Assignment Scheduler
+ * Decide who watches which robot in each qualification match
+ *
+ * Greedy, match by match. For every robot slot the eligible scouters are
+ * those who are available for the match, not already watching another robot
+ * in it, and not over their consecutive-match limit. Among them we pick the
+ * one with the fewest assignments so far (keeps the load balanced), then the
+ * one who has watched this team least (spreads opinions of each robot), then
+ * whoever already sat in this station last match (less walking around).
+ * A scouter who hits their limit sits out at least one match.
+ */
+
+// Used when a scouter doesn't set their own limit
+const DEFAULT_MAX_CONSECUTIVE = 6;
+
+/**
+ * Turn TBA match objects into schedule slots
+ * Only qualification matches, ordered by match number.
+ *
+ * @param {Array} tbaMatches - Matches from TBA `/event/:eventKey/matches`
+ * @returns {Array<{ match_key: string, match_number: number, slots: Array<{ station: string, team_number: number }> }>}
+ */
+function qualificationSchedule(tbaMatches) {
+    return tbaMatches
+        .filter(match => match.comp_level === 'qm')
+        .sort((a, b) => a.match_number - b.match_number)
+        .map(match => ({
+            match_key: match.key,
+            match_number: match.match_number,
+            slots: ['red', 'blue'].flatMap(color =>
+                (match.alliances?.[color]?.team_keys || []).map((teamKey, i) => ({
+                    station: `${color}${i + 1}`,
+                    team_number: parseInt(teamKey.replace('frc', ''))
+                }))
+            )
+        }));
+}
+
+/**
+ * Whether a scouter can work a match
+ * No availability windows means available all event.
+ */
+function isAvailable(scouter, matchNumber) {
+    if (!scouter.availability || scouter.availability.length === 0) return true;
+    return scouter.availability.some(window =>
+        matchNumber >= (window.from_match ?? 1) && matchNumber <= (window.to_match ?? Infinity)
+    );
+}
+
+/**
+ * Build a balanced assignment schedule
+ *
+ * @param {Array} schedule - From qualificationSchedule
+ * @param {Array<{ name: string, availability?: Array<{ from_match?: number, to_match?: number }>, max_consecutive?: number }>} scouters
+ * @param {object} [options]
+ * @param {number[]} [options.skipTeams] - Teams nobody needs to watch (e.g. our own robot)
+ * @returns {{ assignments: Array, unassigned: Array, load: object }}
+ */
+function buildAssignments(schedule, scouters, { skipTeams = [] } = {}) {
+    const state = new Map(scouters.map(scouter => [scouter.name, {
+        total: 0,
+        streak: 0,
+        lastMatch: null,
+        lastStation: null,
+        teams: new Map()
+    }]));
+
+    const assignments = [];
+    const unassigned = [];
+    let previousMatch = null;
+
+    for (const match of schedule) {
+        const busy = new Set();
+
+        for (const slot of match.slots) {
+            if (skipTeams.includes(slot.team_number)) continue;
+
+            const candidates = scouters.filter(scouter => {
+                const s = state.get(scouter.name);
+                const onStreak = s.lastMatch === previousMatch && previousMatch !== null;
+                const limit = scouter.max_consecutive ?? DEFAULT_MAX_CONSECUTIVE;
+                return !busy.has(scouter.name)
+                    && isAvailable(scouter, match.match_number)
+                    && !(onStreak && s.streak >= limit);
+            });
+
+            if (candidates.length === 0) {
+                unassigned.push({ match_key: match.match_key, match_number: match.match_number, ...slot });
+                continue;
+            }
+
+            const score = (scouter) => {
+                const s = state.get(scouter.name);
+                return [
+                    s.total,
+                    s.teams.get(slot.team_number) || 0,
+                    s.lastMatch === previousMatch && s.lastStation === slot.station ? 0 : 1
+                ];
+            };
+
+            candidates.sort((a, b) => {
+                const [sa, sb] = [score(a), score(b)];
+                for (let i = 0; i < sa.length; i++) {
+                    if (sa[i] !== sb[i]) return sa[i] - sb[i];
+                }
+                return 0;
+            });
+
+            const chosen = candidates[0];
+            const s = state.get(chosen.name);
+            s.streak = s.lastMatch === previousMatch && previousMatch !== null ? s.streak + 1 : 1;
+            s.total++;
+            s.lastMatch = match.match_number;
+            s.lastStation = slot.station;
+            s.teams.set(slot.team_number, (s.teams.get(slot.team_number) || 0) + 1);
+            busy.add(chosen.name);
+
+            assignments.push({
+                match_key: match.match_key,
+                match_number: match.match_number,
+                ...slot,
+                scouter_name: chosen.name
+            });
+        }
+
+        previousMatch = match.match_number;
+    }
+
+    const load = {};
+    for (const [name, s] of state) load[name] = s.total;
+
+    return { assignments, unassigned, load };
+}
+
+module.exports = {
+    DEFAULT_MAX_CONSECUTIVE,
+    qualificationSchedule,
+    isAvailable,
+    buildAssignments
+};
@@ -0,0 +1,212 @@
+/**
+ * The Blue Alliance API Client
+ * Shared by the TBA routes and anything else that needs official data
+ * (event schedules for scouter assignments, ...)
+ *
+ * Every response is kept in the database (tba_responses), keyed by
+ * endpoint. While it's fresh - for TBA's Cache-Control max-age - it's
+ * served from there; after that TBA is asked again with If-None-Match /
+ * If-Modified-Since and usually answers 304 without resending it. When TBA
+ * can't be reached (venue Wi-Fi), the last copy is served however old it
+ * is, so the dashboard keeps working. A request that hangs is given up after
+ * TBA_TIMEOUT_MS and treated the same way.
+ */
+
+const repositories = require('../repositories');
+
+const TBA_BASE_URL = 'https://www.thebluealliance.com/api/v3';
+const TBA_AUTH_KEY = process.env.TBA_API_KEY || process.env.TBA_AUTH_KEY; // Support both variable names
+// A request that takes longer counts as TBA being unreachable
+const TBA_TIMEOUT_MS = parseInt(process.env.TBA_TIMEOUT_MS) || 10000;
+
+// Logging function reference (will be set by dashboard module)
+let dashboardLogger = null;
+
+// How requests were answered since the server started
+const counters = { fresh: 0, revalidated: 0, fetched: 0, stale: 0, failed: 0 };
+
+function setLogger(loggerFn) {
+    dashboardLogger = loggerFn;
+}
+
+function log(message) {
+    if (dashboardLogger) {
+        dashboardLogger('tba', message);
+    }
+}
+
+function isConfigured() {
+    return Boolean(TBA_AUTH_KEY);
+}
+
+/**
+ * Seconds a response stays fresh, from its Cache-Control header
+ * no-cache/no-store (or no max-age) means check with TBA every time.
+ */
+function maxAgeSeconds(cacheControl) {
+    if (!cacheControl || /no-(cache|store)/i.test(cacheControl)) return 0;
+    const match = /max-age=(\d+)/i.exec(cacheControl);
+    return match ? parseInt(match[1]) : 0;
+}
+
+// The cached copy, or null if the cache can't be read
+async function findCached(endpoint) {
+    try {
+        return await repositories.tbaResponses.find(endpoint);
+    } catch (error) {
+        console.error(`Could not read TBA cache for ${endpoint}:`, error.message);
+        return null;
+    }
+}
+
+// Caching is best effort: a failed write still returns what TBA sent
+async function saveCached(record) {
+    try {
+        await repositories.tbaResponses.save(record);
+    } catch (error) {
+        console.error(`Could not cache TBA response for ${record.endpoint}:`, error.message);
+    }
+}
+
+/**
+ * Serve the last copy when TBA can't answer, or rethrow
+ */
+function staleOrThrow(endpoint, cached, error) {
+    if (!cached) {
+        counters.failed++;
+        throw error;
+    }
+
+    counters.stale++;
+    log(`Serving cached ${endpoint} from ${cached.fetched_at} (${error.message})`);
+    return cached.body;
+}
+
+function unreachable(error) {
+    const reason = error.name === 'TimeoutError' ? `no answer within ${TBA_TIMEOUT_MS}ms` : error.message;
+    return new Error(`TBA API unreachable: ${reason}`);
+}
+
+/**
+ * Fetch data from The Blue Alliance API
+ *
+ * @param {string} endpoint - Path under /api/v3, e.g. /event/2025caoc/teams
+ * @param {object} [options]
+ * @param {boolean} [options.cache=true] - false always asks TBA and never serves a stored copy
+ */
+async function fetchFromTBA(endpoint, { cache = true } = {}) {
+    if (!TBA_AUTH_KEY) {
+        throw new Error('TBA_AUTH_KEY not configured. Please set your The Blue Alliance API key in environment variables.');
+    }
+
+    const cached = cache ? await findCached(endpoint) : null;
+    if (cached && cached.expires_at && new Date(cached.expires_at) > new Date()) {
+        counters.fresh++;
+        return cached.body;
+    }
+
+    // Log the TBA API call
+    log(`GET ${endpoint}`);
+
+    const headers = {
+        'X-TBA-Auth-Key': TBA_AUTH_KEY,
+        'Accept': 'application/json'
+    };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+    // Covers reading the body as well, which can stall after the headers arrive
+    const signal = AbortSignal.timeout(TBA_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(`${TBA_BASE_URL}${endpoint}`, { headers, signal });
+    } catch (error) {
+        return staleOrThrow(endpoint, cached, unreachable(error));
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + maxAgeSeconds(response.headers.get('cache-control')) * 1000).toISOString();
+
+    if (response.status === 304 && cached) {
+        counters.revalidated++;
+        await saveCached({
+            ...cached,
+            etag: response.headers.get('etag') || cached.etag,
+            last_modified: response.headers.get('last-modified') || cached.last_modified,
+            checked_at: now.toISOString(),
+            expires_at: expiresAt
+        });
+        return cached.body;
+    }
+
+    if (!response.ok) {
+        const error = new Error(`TBA API error: ${response.status} - ${response.statusText}`);
+        // Other 4xx answers are real (a wrong key, an event that doesn't exist); only outages fall back
+        if (response.status >= 500 || response.status === 429) return staleOrThrow(endpoint, cached, error);
+        counters.failed++;
+        throw error;
+    }
+
+    let text;
+    try {
+        text = await response.text();
+    } catch (error) {
+        return staleOrThrow(endpoint, cached, unreachable(error));
+    }
+    const body = JSON.parse(text);
+    counters.fetched++;
+
+    if (cache) {
+        await saveCached({
+            endpoint,
+            body,
+            etag: response.headers.get('etag'),
+            last_modified: response.headers.get('last-modified'),
+            size_bytes: Buffer.byteLength(text),
+            fetched_at: now.toISOString(),
+            checked_at: now.toISOString(),
+            expires_at: expiresAt
+        });
+    }
+
+    return body;
+}
+
+/**
+ * What's cached, and how requests were answered since the server started
+ */
+async function cacheStats() {
+    const entries = await repositories.tbaResponses.list();
+    const now = new Date();
+    const requests = Object.values(counters).reduce((sum, count) => sum + count, 0);
+
+    return {
+        entries: entries.length,
+        fresh_entries: entries.filter(entry => entry.expires_at && new Date(entry.expires_at) > now).length,
+        size_bytes: entries.reduce((sum, entry) => sum + (entry.size_bytes || 0), 0),
+        oldest_fetched_at: entries.map(entry => entry.fetched_at).filter(Boolean).sort()[0] || null,
+        since_startup: {
+            ...counters,
+            requests,
+            // Answered without TBA sending a body
+            hit_rate: requests > 0 ? Math.round(((counters.fresh + counters.revalidated + counters.stale) / requests) * 100) / 100 : null
+        }
+    };
+}
+
+/**
+ * Drop cached responses (all, or endpoints starting with `prefix`)
+ * @returns {Promise<number>} How many were dropped
+ */
+function purgeCache({ prefix } = {}) {
+    return repositories.tbaResponses.purge({ prefix });
+}
+
+module.exports = {
+    setLogger,
+    isConfigured,
+    fetchFromTBA,
+    cacheStats,
+    purgeCache
+};
@@ -0,0 +1,203 @@
+/**
+ * Full-Event TBA Import
+ * Turns an event's TBA match results into one matches row per robot
+ *
+ * Only what TBA reports for each station (endGameRobot2, autoLineRobot3, ...)
+ * is attributed to a robot, through the game definition's
+ * `reconciliation.robot` mapping. Alliance totals listed under `tba_import`
+ * are split evenly across the alliance and, when there was anything to split,
+ * named in the row's comments as estimated; everything else TBA can't know (attempts, driver rating,
+ * defense) is left empty rather than made up.
+ *
+ * Rows get a client_id derived from the organization, match and team, so
+ * importing the same event again updates them instead of adding duplicates.
+ * Rows someone moved to the trash, and the rows of trashed teams, are left alone.
+ */
+
+const repositories = require('../repositories');
+const { toMatchRecord } = require('../games');
+const { readBreakdownValue } = require('./reconciliation');
+const { payloadClientId } = require('./matchQr');
+
+const SCOUTER_NAME = 'TBA Import';
+
+// frc589 -> 589
+const teamNumberOf = (teamKey) => parseInt(String(teamKey).replace(/^frc/, ''));
+
+/**
+ * Can this definition be imported from TBA at all?
+ */
+function supportsImport(definition) {
+    return Boolean(definition.reconciliation?.robot?.length || definition.tba_import?.alliance?.length);
+}
+
+/**
+ * Per-station values for each robot on an alliance
+ * A map entry that's a list is picked by how many robots share the value
+ * (Crescendo: two robots on the same chain is a Double Climb).
+ */
+function stationValues(breakdown, robotCount, mappings) {
+    const robots = Array.from({ length: robotCount }, () => ({}));
+
+    for (const mapping of mappings) {
+        const official = robots.map((_, i) => breakdown[mapping.tba.replace('{station}', i + 1)]);
+
+        official.forEach((value, i) => {
+            if (value === undefined || !(value in mapping.map)) return;
+            const mapped = mapping.map[value];
+            const sharing = official.filter(other => other === value).length;
+            robots[i][mapping.element] = Array.isArray(mapped)
+                ? mapped[Math.min(sharing, mapped.length) - 1]
+                : mapped;
+        });
+    }
+
+    return robots;
+}
+
+/**
+ * Alliance totals split across its robots, earlier stations taking any remainder
+ * @returns {{ robots: object[], estimated: string[] }} estimated names the splits
+ *          that had something to share; a total of 0 is 0 for every robot
+ */
+function splitAllianceTotals(breakdown, robotCount, splits) {
+    const robots = Array.from({ length: robotCount }, () => ({}));
+    const estimated = [];
+
+    for (const split of splits) {
+        const total = Math.max(0,
+            split.tba.reduce((sum, path) => sum + readBreakdownValue(breakdown, path), 0) -
+            (split.minus || []).reduce((sum, path) => sum + readBreakdownValue(breakdown, path), 0));
+
+        robots.forEach((values, i) => {
+            values[split.element] = Math.floor(total / robotCount) + (i < total % robotCount ? 1 : 0);
+        });
+        if (total > 0) estimated.push(split.element);
+    }
+
+    return { robots, estimated };
+}
+
+/**
+ * Element values for every robot in a played qualification match
+ * @returns {Array<{ team_number, match_key, match_number, alliance, station, values, estimated }>}
+ */
+function robotsFromMatch(match, definition) {
+    // Playoff match numbers restart in every round, so they'd collide with quals
+    if (match.comp_level !== 'qm') return [];
+
+    const splits = definition.tba_import?.alliance || [];
+    const robots = [];
+
+    for (const color of ['red', 'blue']) {
+        const alliance = match.alliances?.[color];
+        const breakdown = match.score_breakdown?.[color];
+        // Unplayed matches have a score of -1 and no breakdown
+        if (!alliance || !breakdown || alliance.score < 0) continue;
+
+        const teamKeys = alliance.team_keys || [];
+        const perStation = stationValues(breakdown, teamKeys.length, definition.reconciliation?.robot || []);
+        const estimates = splitAllianceTotals(breakdown, teamKeys.length, splits);
+
+        teamKeys.forEach((teamKey, i) => {
+            robots.push({
+                team_number: teamNumberOf(teamKey),
+                match_key: match.key,
+                match_number: match.match_number,
+                alliance: color,
+                station: i + 1,
+                values: { ...estimates.robots[i], ...perStation[i] },
+                // A per-station value replaces the split one, so it isn't an estimate
+                estimated: estimates.estimated.filter(element => !(element in perStation[i]))
+            });
+        });
+    }
+
+    return robots;
+}
+
+function importComment(robot) {
+    const note = `Imported from TBA ${robot.match_key} (${robot.alliance} ${robot.station}).`;
+    if (robot.estimated.length === 0) return note;
+    return `${note} Estimated (alliance total split across robots): ${robot.estimated.join(', ')}.`;
+}
+
+/**
+ * Save an event's TBA matches as scouting rows
+ *
+ * @param {Array} tbaMatches - From /event/{key}/matches
+ * @param {object} options
+ * @param {object} options.definition - The regional's game definition
+ * @param {object} options.regional
+ * @param {string} options.organizationId
+ * @param {Map<number, number>} options.teamIds - Team number -> teams.id
+ * @param {Set<number>} [options.trashedTeams] - Team numbers in the trash; their rows are skipped
+ * @returns {Promise<{ created: number, updated: number, skipped_deleted: number, skipped: string[],
+ *          estimated: string[], teamIds: number[] }>}
+ *          skipped_deleted counts rows left in the trash (or whose team is), estimated names the fields
+ *          split from alliance totals in the rows written, and teamIds are the teams
+ *          whose statistics need recalculating
+ */
+async function importEventMatches(tbaMatches, { definition, regional, organizationId, teamIds, trashedTeams = new Set() }) {
+    const summary = { created: 0, updated: 0, skipped_deleted: 0, skipped: [], estimated: [], teamIds: [] };
+    const records = [];
+    const estimatedOf = new Map();
+
+    for (const robot of tbaMatches.flatMap(match => robotsFromMatch(match, definition))) {
+        if (trashedTeams.has(robot.team_number)) {
+            summary.skipped_deleted++;
+            continue;
+        }
+        const teamId = teamIds.get(robot.team_number);
+        if (!teamId) {
+            summary.skipped.push(`Team ${robot.team_number} not found in database (${robot.match_key})`);
+            continue;
+        }
+
+        const clientId = payloadClientId(`tba-import|${organizationId}|${robot.match_key}|${robot.team_number}`);
+        estimatedOf.set(clientId, robot.estimated);
+        records.push({
+            ...toMatchRecord(robot.values, definition),
+            client_id: clientId,
+            organization_id: organizationId,
+            team_id: teamId,
+            match_number: robot.match_number,
+            regional: regional.regional_name,
+            regional_id: regional.id,
+            scouter_name: SCOUTER_NAME,
+            comments: importComment(robot)
+        });
+    }
+
+    // Rows from an earlier import are refreshed; one a lead deleted stays deleted
+    const existing = new Map((await repositories.matches.findByClientIds(records.map(record => record.client_id)))
+        .map(match => [match.client_id, match]));
+    const fresh = [];
+    const written = [];
+
+    for (const record of records) {
+        const match = existing.get(record.client_id);
+        if (match?.deleted_at) {
+            summary.skipped_deleted++;
+            continue;
+        }
+        if (match) {
+            await repositories.matches.update(match.id, record);
+            summary.updated++;
+        } else {
+            fresh.push(record);
+        }
+        written.push(record);
+    }
+
+    summary.created = (await repositories.matches.insertMany(fresh)).length;
+    summary.estimated = [...new Set(written.flatMap(record => estimatedOf.get(record.client_id)))];
+    summary.teamIds = [...new Set(written.map(record => record.team_id))];
+    return summary;
+}
+
+module.exports = {
+    supportsImport,
+    robotsFromMatch,
+    importEventMatches
+};
@@ -0,0 +1,396 @@
+/**
+ * TBA Sync
+ * Keeps events' matches, rankings and other official data current in the background
+ *
+ * Once a minute the scheduler runs every event in tba_sync_schedules that
+ * is due. The active regional (see currentRegional.js) needs no setup: its
+ * event gets a schedule that follows the active regional and stops running
+ * once another one takes over. Each event can be turned off, given its own
+ * interval or limited to some tasks through /api/tba/sync.
+ *
+ * A run saves the event itself, then each task:
+ *   matches          the full schedule with results as they come in (tba_matches)
+ *   rankings         official qualification rankings (event_rankings)
+ *   alliances        playoff alliances once selection is done (event_alliances)
+ *   awards           awards as they're presented (awards)
+ *   oprs             TBA's OPR, DPR and CCWM (event_opr)
+ *   district_points  district points earned at the event (event_district_points)
+ * Every task is written to tba_sync_log and every run to the dashboard log.
+ * TBA responses go through the response cache, so a run that finds nothing
+ * new costs a few 304s.
+ */
+
+const repositories = require('../repositories');
+const { fetchFromTBA, isConfigured } = require('./tbaClient');
+const { currentRegional, eventKeyOf } = require('./currentRegional');
+
+const TASKS = ['matches', 'rankings', 'alliances', 'awards', 'oprs', 'district_points'];
+
+// How often the scheduler looks for due events
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Logging function reference (will be set by dashboard module)
+let dashboardLogger = null;
+
+let timer = null;
+let ticking = false;
+let lastTickAt = null;
+const syncing = new Set();
+
+function setLogger(loggerFn) {
+    dashboardLogger = loggerFn;
+}
+
+function log(type, message, details) {
+    if (dashboardLogger) {
+        dashboardLogger(type, message, details);
+    }
+}
+
+function defaultIntervalMinutes() {
+    const minutes = parseInt(process.env.TBA_SYNC_INTERVAL_MINUTES);
+    return minutes > 0 ? minutes : DEFAULT_INTERVAL_MINUTES;
+}
+
+/**
+ * An event as stored in `events`
+ */
+function eventRecord(event) {
+    return {
+        event_key: event.key,
+        name: event.name,
+        event_code: event.event_code,
+        event_type: event.event_type,
+        event_type_string: event.event_type_string,
+        year: event.year,
+        start_date: event.start_date,
+        end_date: event.end_date,
+        city: event.city,
+        state_prov: event.state_prov,
+        country: event.country
+    };
+}
+
+/**
+ * A TBA match as stored in `tba_matches`
+ */
+function matchRecord(match, eventKey) {
+    return {
+        match_key: match.key,
+        event_key: eventKey,
+        comp_level: match.comp_level,
+        set_number: match.set_number,
+        match_number: match.match_number,
+        alliances: match.alliances,
+        winning_alliance: match.winning_alliance,
+        score_breakdown: match.score_breakdown,
+        videos: match.videos || [],
+        predicted_time: match.predicted_time,
+        actual_time: match.actual_time,
+        post_result_time: match.post_result_time
+    };
+}
+
+// TBA scores a match that hasn't been played as -1
+const isPlayed = (match) => (match.alliances?.red?.score ?? -1) >= 0;
+
+// Rounded like the DECIMAL(10,2) columns
+const round2 = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+/**
+ * What each task fetches and saves
+ * Each returns { records, ...details } for the log.
+ */
+const TASK_RUNNERS = {
+    async matches(eventKey) {
+        const matches = await fetchFromTBA(`/event/${eventKey}/matches`);
+        const saved = await repositories.tbaCache.saveMatches((matches || []).map(match => matchRecord(match, eventKey)));
+        return { records: saved.length, played: (matches || []).filter(isPlayed).length };
+    },
+
+    // null until qualification matches have been played
+    async rankings(eventKey) {
+        const response = await fetchFromTBA(`/event/${eventKey}/rankings`);
+        const records = (response?.rankings || []).map(ranking => ({
+            event_key: eventKey,
+            team_key: ranking.team_key,
+            rank: ranking.rank,
+            record: ranking.record,
+            qual_average: ranking.qual_average,
+            // The first sort order is the game's ranking score (average RP)
+            ranking_points: ranking.sort_orders?.[0] ?? null,
+            sort_orders: ranking.sort_orders,
+            extra_stats: ranking.extra_stats
+        }));
+        return { records: await repositories.tbaCache.saveRankings(records) };
+    },
+
+    // null until alliance selection
+    async alliances(eventKey) {
+        const alliances = await fetchFromTBA(`/event/${eventKey}/alliances`);
+        const records = (alliances || []).map((alliance, index) => ({
+            event_key: eventKey,
+            alliance_number: index + 1,
+            name: alliance.name || `Alliance ${index + 1}`,
+            picks: alliance.picks || [],
+            declines: alliance.declines || [],
+            backup: alliance.backup || null,
+            status: alliance.status || null
+        }));
+        return { records: await repositories.tbaCache.saveAlliances(records) };
+    },
+
+    async awards(eventKey) {
+        const awards = await fetchFromTBA(`/event/${eventKey}/awards`);
+        const records = (awards || []).map(award => ({
+            event_key: eventKey,
+            award_type: award.award_type,
+            name: award.name,
+            year: award.year,
+            recipient_team_keys: [...new Set((award.recipient_list || []).map(recipient => recipient.team_key).filter(Boolean))],
+            recipient_list: award.recipient_list || []
+        }));
+        return { records: await repositories.tbaCache.replaceAwards(eventKey, records) };
+    },
+
+    // null until qualification matches have been played
+    async oprs(eventKey) {
+        const response = await fetchFromTBA(`/event/${eventKey}/oprs`);
+        const records = Object.keys(response?.oprs || {}).map(teamKey => ({
+            event_key: eventKey,
+            team_key: teamKey,
+            opr: round2(response.oprs[teamKey]),
+            dpr: round2(response.dprs?.[teamKey]),
+            ccwm: round2(response.ccwms?.[teamKey])
+        }));
+        return { records: await repositories.tbaCache.saveOprs(records) };
+    },
+
+    // null for events outside a district
+    async district_points(eventKey) {
+        const response = await fetchFromTBA(`/event/${eventKey}/district_points`);
+        const records = Object.entries(response?.points || {}).map(([teamKey, points]) => ({
+            event_key: eventKey,
+            team_key: teamKey,
+            qual_points: points.qual_points,
+            elim_points: points.elim_points,
+            alliance_points: points.alliance_points,
+            award_points: points.award_points,
+            total: points.total,
+            tiebreakers: response.tiebreakers?.[teamKey] || null
+        }));
+        return { records: await repositories.tbaCache.saveDistrictPoints(records) };
+    }
+};
+
+// A failure to write the log shouldn't fail the run
+async function logTask(entry) {
+    try {
+        await repositories.tbaSync.logRun(entry);
+    } catch (error) {
+        console.error(`Could not write TBA sync log for ${entry.entity_key}:`, error.message);
+    }
+}
+
+/**
+ * Pull an event from TBA now
+ *
+ * @param {string} eventKey - e.g. 2025caoc
+ * @param {object} [options]
+ * @param {string[]} [options.tasks] - Defaults to all of TASKS
+ * @returns {Promise<{ event_key, status: 'success'|'partial'|'error', started_at, completed_at, results, errors }|null>}
+ *          null when the event is already syncing
+ */
+async function syncEvent(eventKey, { tasks = TASKS } = {}) {
+    if (syncing.has(eventKey)) return null;
+    syncing.add(eventKey);
+
+    const startedAt = new Date().toISOString();
+    const results = {};
+    const errors = [];
+
+    try {
+        // tba_matches, rankings and alliances all point at the event
+        try {
+            await repositories.tbaCache.saveEvent(eventRecord(await fetchFromTBA(`/event/${eventKey}`)));
+        } catch (error) {
+            errors.push({ task: 'event', message: error.message });
+            await logTask({
+                entity_type: 'event',
+                entity_key: eventKey,
+                status: 'error',
+                records_synced: 0,
+                error_message: error.message,
+                started_at: startedAt,
+                completed_at: new Date().toISOString()
+            });
+        }
+
+        for (const task of errors.length === 0 ? tasks : []) {
+            const taskStartedAt = new Date().toISOString();
+            try {
+                const { records, ...details } = await TASK_RUNNERS[task](eventKey);
+                results[task] = { records, ...details };
+                await logTask({
+                    entity_type: task,
+                    entity_key: eventKey,
+                    status: 'success',
+                    records_synced: records,
+                    started_at: taskStartedAt,
+                    completed_at: new Date().toISOString(),
+                    metadata: Object.keys(details).length > 0 ? details : null
+                });
+            } catch (error) {
+                errors.push({ task, message: error.message });
+                await logTask({
+                    entity_type: task,
+                    entity_key: eventKey,
+                    status: 'error',
+                    records_synced: 0,
+                    error_message: error.message,
+                    started_at: taskStartedAt,
+                    completed_at: new Date().toISOString()
+                });
+            }
+        }
+
+        const status = errors.length === 0 ? 'success' : Object.keys(results).length > 0 ? 'partial' : 'error';
+        const completedAt = new Date().toISOString();
+
+        await repositories.tbaSync.updateSchedule(eventKey, {
+            last_run_at: completedAt,
+            last_status: status,
+            last_error: errors.length > 0 ? errors.map(error => `${error.task}: ${error.message}`).join('; ') : null,
+            last_summary: results
+        });
+
+        const counts = Object.entries(results).map(([task, result]) => `${result.records} ${task}`).join(', ');
+        log(status === 'success' ? 'success' : 'error',
+            `TBA sync ${eventKey}: ${status}${counts ? ` (${counts})` : ''}`,
+            { event_key: eventKey, results, errors });
+
+        return { event_key: eventKey, status, started_at: startedAt, completed_at: completedAt, results, errors };
+    } finally {
+        syncing.delete(eventKey);
+    }
+}
+
+/**
+ * Does the scheduler run this event at all?
+ * A schedule that follows the active regional stops when another takes over.
+ */
+function isScheduled(schedule, activeEventKey) {
+    return schedule.enabled && (!schedule.follows_active || schedule.event_key === activeEventKey);
+}
+
+/**
+ * When the scheduler next runs an event (null if it doesn't)
+ * @returns {Date|null}
+ */
+function nextRunAt(schedule, activeEventKey) {
+    if (!timer || !isScheduled(schedule, activeEventKey)) return null;
+    if (!schedule.last_run_at) return new Date();
+    return new Date(new Date(schedule.last_run_at).getTime() + schedule.interval_minutes * 60 * 1000);
+}
+
+/**
+ * The active regional's event key (null without an active regional with a code)
+ */
+async function activeEventKey() {
+    return eventKeyOf((await currentRegional()).regional);
+}
+
+/**
+ * Give the active regional's event a schedule if it has none
+ * @returns {Promise<string|null>} Its event key (null without an active regional with a code)
+ */
+async function followActiveRegional() {
+    const { regional } = await currentRegional();
+    const eventKey = eventKeyOf(regional);
+    if (!eventKey) return null;
+
+    if (!(await repositories.tbaSync.findSchedule(eventKey))) {
+        await repositories.tbaSync.saveSchedule({
+            event_key: eventKey,
+            regional_id: regional.id,
+            enabled: true,
+            interval_minutes: defaultIntervalMinutes(),
+            tasks: TASKS,
+            follows_active: true
+        });
+        log('info', `TBA sync now following the active regional ${regional.regional_name} (${eventKey})`);
+    }
+    return eventKey;
+}
+
+/**
+ * Run every due event, one after another
+ */
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+    lastTickAt = new Date().toISOString();
+
+    try {
+        const activeKey = await followActiveRegional();
+        const now = new Date();
+        const due = (await repositories.tbaSync.listSchedules()).filter(schedule => {
+            const next = nextRunAt(schedule, activeKey);
+            return next && next <= now;
+        });
+        for (const schedule of due) {
+            await syncEvent(schedule.event_key, { tasks: schedule.tasks });
+        }
+    } catch (error) {
+        console.error('TBA sync failed:', error.message);
+        log('error', `TBA sync failed: ${error.message}`);
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Start the scheduler (at server start)
+ * Off with TBA_SYNC_ENABLED=false or without a TBA key.
+ */
+function startScheduler() {
+    if (timer) return;
+    if (process.env.TBA_SYNC_ENABLED === 'false' || !isConfigured()) {
+        console.log('🔁 TBA sync is off (TBA_SYNC_ENABLED=false or no TBA key)');
+        return;
+    }
+
+    timer = setInterval(tick, TICK_INTERVAL_MS);
+    timer.unref();
+    tick();
+    console.log(`🔁 TBA sync running (every ${defaultIntervalMinutes()} min by default)`);
+}
+
+/**
+ * The scheduler itself, for GET /api/tba/sync
+ */
+function schedulerStatus() {
+    return {
+        running: Boolean(timer),
+        tick_seconds: TICK_INTERVAL_MS / 1000,
+        default_interval_minutes: defaultIntervalMinutes(),
+        last_tick_at: lastTickAt,
+        syncing: [...syncing]
+    };
+}
+
+module.exports = {
+    TASKS,
+    setLogger,
+    defaultIntervalMinutes,
+    eventRecord,
+    matchRecord,
+    syncEvent,
+    isScheduled,
+    nextRunAt,
+    activeEventKey,
+    startScheduler,
+    schedulerStatus
+};
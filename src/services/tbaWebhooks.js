@@ -0,0 +1,172 @@
+/**
+ * TBA Webhooks
+ * Applies notifications TBA pushes as things happen at an event
+ *
+ * Polling (see tbaSync.js) runs every few minutes; TBA sends a webhook
+ * within seconds of a score being posted. Each notification is
+ * `{ message_type, message_data }`, signed with the secret entered when the
+ * webhook was added on thebluealliance.com/account (X-TBA-HMAC: HMAC-SHA256
+ * of the body, hex). It's stored in tba_webhook_notifications first, then:
+ *   match_score         the match (with its score breakdown) is saved to tba_matches
+ *   upcoming_match      a stored match gets its new predicted time
+ *   schedule_updated    the event and its schedule are synced from TBA again
+ *   alliance_selection  the event's alliances are synced from TBA again
+ *   awards_posted       the event's awards are synced from TBA again
+ *   verification        the key TBA asks for to finish adding the webhook is kept
+ * Anything else (ping, match_video, ...) is stored and ignored.
+ */
+
+const { createHmac, timingSafeEqual } = require('crypto');
+const repositories = require('../repositories');
+const liveEvents = require('./liveEvents');
+const { fetchFromTBA, purgeCache } = require('./tbaClient');
+const { eventRecord, matchRecord, syncEvent } = require('./tbaSync');
+
+// Logging function reference (will be set by dashboard module)
+let dashboardLogger = null;
+
+function setLogger(loggerFn) {
+    dashboardLogger = loggerFn;
+}
+
+function log(type, message, details) {
+    if (dashboardLogger) {
+        dashboardLogger(type, message, details);
+    }
+}
+
+function webhookSecret() {
+    return process.env.TBA_WEBHOOK_SECRET || null;
+}
+
+/**
+ * Was the body signed with our secret?
+ * @param {Buffer} rawBody - The bytes TBA sent, before JSON parsing
+ * @param {string} signature - X-TBA-HMAC
+ */
+function verifySignature(rawBody, signature) {
+    const secret = webhookSecret();
+    if (!secret || !rawBody || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(createHmac('sha256', secret).update(rawBody).digest('hex'));
+    const actual = Buffer.from(signature.toLowerCase());
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Matches point at their event, so it's fetched the first time one arrives
+async function ensureEvent(eventKey) {
+    if (await repositories.tbaCache.findEvent(eventKey)) return;
+    await repositories.tbaCache.saveEvent(eventRecord(await fetchFromTBA(`/event/${eventKey}`)));
+}
+
+// Sync part of an event, skipping the cached copy (it predates the change TBA told us about)
+async function resync(eventKey, task) {
+    await purgeCache({ prefix: `/event/${eventKey}/${task}` });
+    const run = await syncEvent(eventKey, { tasks: [task] });
+    if (!run) return { skipped: `${eventKey} was already syncing` };
+    if (run.status !== 'success') throw new Error(run.errors.map(error => `${error.task}: ${error.message}`).join('; '));
+    return { records: run.results[task].records };
+}
+
+/**
+ * What each message type does
+ * Each returns a summary for `result`; types without one are ignored.
+ */
+const HANDLERS = {
+    async match_score({ event_key: eventKey, match }) {
+        if (!match?.key) throw new Error('match_score without a match');
+
+        await ensureEvent(eventKey);
+        const [saved] = await repositories.tbaCache.saveMatches([matchRecord(match, eventKey)]);
+        liveEvents.publish('tba_match.updated', saved);
+        return { match_key: match.key, red: match.alliances?.red?.score, blue: match.alliances?.blue?.score };
+    },
+
+    async upcoming_match({ match_key: matchKey, predicted_time: predictedTime }) {
+        const stored = matchKey && await repositories.tbaCache.findMatch(matchKey);
+        if (!stored) return { match_key: matchKey, updated: false };
+
+        const { id, updated_at, ...record } = stored;
+        const [saved] = await repositories.tbaCache.saveMatches([{ ...record, predicted_time: predictedTime ?? record.predicted_time }]);
+        liveEvents.publish('tba_match.updated', saved);
+        return { match_key: matchKey, updated: true, predicted_time: saved.predicted_time };
+    },
+
+    schedule_updated({ event_key: eventKey }) {
+        return resync(eventKey, 'matches');
+    },
+
+    alliance_selection({ event_key: eventKey }) {
+        return resync(eventKey, 'alliances');
+    },
+
+    awards_posted({ event_key: eventKey }) {
+        return resync(eventKey, 'awards');
+    },
+
+    // Shown under GET /api/tba/webhook/notifications?message_type=verification
+    async verification({ verification_key: verificationKey }) {
+        console.log(`🔑 TBA webhook verification key: ${verificationKey}`);
+        return { verification_key: verificationKey };
+    }
+};
+
+/**
+ * Store a notification before doing anything with it
+ * @param {{ message_type: string, message_data: object }} message
+ * @param {object} [options]
+ * @param {'tba'|'replay'} [options.source]
+ */
+function receive({ message_type: messageType, message_data: data = {} }, { source = 'tba' } = {}) {
+    return repositories.tbaWebhooks.create({
+        message_type: messageType,
+        event_key: data.event_key || null,
+        match_key: data.match_key || data.match?.key || null,
+        message_data: data,
+        source,
+        status: 'received'
+    });
+}
+
+/**
+ * Apply a stored notification (again, for a replay)
+ * Never throws: a failure is recorded on the notification.
+ *
+ * @returns {Promise<object>} The notification with its status, result or error
+ */
+async function processNotification(notification) {
+    const handler = HANDLERS[notification.message_type];
+    const needsEvent = handler && handler !== HANDLERS.verification;
+    let changes;
+
+    try {
+        if (needsEvent && !/^\d{4}[a-z0-9]+$/.test(notification.event_key || '')) {
+            throw new Error(`${notification.message_type} without a valid event_key`);
+        }
+        changes = handler
+            ? { status: 'processed', result: await handler(notification.message_data), error: null }
+            : { status: 'ignored', result: null, error: null };
+    } catch (error) {
+        changes = { status: 'error', result: null, error: error.message };
+    }
+
+    const updated = await repositories.tbaWebhooks.update(notification.id, { ...changes, processed_at: new Date().toISOString() });
+
+    if (changes.status === 'error') {
+        log('error', `TBA webhook ${notification.message_type} failed: ${changes.error}`, { id: notification.id });
+    } else if (changes.status === 'processed') {
+        const about = notification.match_key || notification.event_key;
+        log('tba', `TBA webhook ${notification.message_type}${about ? ` (${about})` : ''}`, { id: notification.id });
+    }
+
+    return updated;
+}
+
+module.exports = {
+    MESSAGE_TYPES: Object.keys(HANDLERS),
+    setLogger,
+    webhookSecret,
+    verifySignature,
+    receive,
+    processNotification
+};
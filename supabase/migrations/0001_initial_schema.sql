@@ -1,46 +1,19 @@
 -- ============================================================================
--- Team 589 Falkon Robotics - Scouting Database Setup
--- Complete database initialization script
+-- Migration 0001: Initial schema
+-- Core scouting tables, TBA integration tables, RLS and policies
 --
--- This script will:
--- 1. Drop all existing tables (if they exist)
--- 2. Create all tables for scouting and TBA data
--- 3. Set up Row Level Security policies
--- 4. Create indexes for performance
---
--- USAGE: Copy entire file and run in Supabase Dashboard SQL Editor
--- ============================================================================
-
+-- Same tables as the old supabase/supabase_setup.sql, written so it can run
+-- against a database created from that file (nothing is dropped).
 -- ============================================================================
--- STEP 1: DROP ALL EXISTING TABLES
--- ============================================================================
-
--- Drop tables in correct order (respecting foreign key constraints)
-DROP TABLE IF EXISTS tba_sync_log CASCADE;
-DROP TABLE IF EXISTS predictions CASCADE;
-DROP TABLE IF EXISTS district_rankings CASCADE;
-DROP TABLE IF EXISTS districts CASCADE;
-DROP TABLE IF EXISTS media CASCADE;
-DROP TABLE IF EXISTS event_opr CASCADE;
-DROP TABLE IF EXISTS team_event_status CASCADE;
-DROP TABLE IF EXISTS event_rankings CASCADE;
-DROP TABLE IF EXISTS awards CASCADE;
-DROP TABLE IF EXISTS tba_matches CASCADE;
-DROP TABLE IF EXISTS event_teams CASCADE;
-DROP TABLE IF EXISTS events CASCADE;
-DROP TABLE IF EXISTS robots CASCADE;
-DROP TABLE IF EXISTS robot_info CASCADE;
-DROP TABLE IF EXISTS matches CASCADE;
-DROP TABLE IF EXISTS teams CASCADE;
 
 -- ============================================================================
--- STEP 2: CREATE CORE SCOUTING TABLES
+-- CORE SCOUTING TABLES
 -- ============================================================================
 
 -- -----------------------------------------------------------------------------
 -- TEAMS - FRC Team Information
 -- -----------------------------------------------------------------------------
-CREATE TABLE teams (
+CREATE TABLE IF NOT EXISTS teams (
     id SERIAL PRIMARY KEY,
     team_number INTEGER UNIQUE NOT NULL,
     team_name VARCHAR(255) NOT NULL,
@@ -63,14 +36,14 @@ CREATE TABLE teams (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_teams_team_number ON teams(team_number);
-CREATE INDEX idx_teams_team_key ON teams(team_key);
-CREATE INDEX idx_teams_regional ON teams(regional);
+CREATE INDEX IF NOT EXISTS idx_teams_team_number ON teams(team_number);
+CREATE INDEX IF NOT EXISTS idx_teams_team_key ON teams(team_key);
+CREATE INDEX IF NOT EXISTS idx_teams_regional ON teams(regional);
 
 -- -----------------------------------------------------------------------------
 -- MATCHES - Scouting Match Data
 -- -----------------------------------------------------------------------------
-CREATE TABLE matches (
+CREATE TABLE IF NOT EXISTS matches (
     id SERIAL PRIMARY KEY,
     team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
     match_number INTEGER NOT NULL,
@@ -98,19 +71,93 @@ CREATE TABLE matches (
     played_defense BOOLEAN DEFAULT FALSE,
     comments TEXT,
 
+    -- Game-specific fields for seasons whose definition uses JSON storage
+    game_data JSONB DEFAULT '{}'::jsonb,
+
+    -- UUID generated by the scouting client; makes re-submission idempotent
+    client_id UUID UNIQUE,
+
+    -- Multi-scouter consensus (see scouting_reports)
+    review_status VARCHAR(20) NOT NULL DEFAULT 'single', -- single, agreed, conflict, resolved
+    report_count INTEGER DEFAULT 0,
+    disagreements JSONB DEFAULT '[]'::jsonb,
+    resolved_values JSONB,
+    resolved_by VARCHAR(100),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+
     -- Timestamps
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_matches_team ON matches(team_id);
-CREATE INDEX idx_matches_regional ON matches(regional);
-CREATE INDEX idx_matches_match_number ON matches(match_number);
+CREATE INDEX IF NOT EXISTS idx_matches_team ON matches(team_id);
+CREATE INDEX IF NOT EXISTS idx_matches_regional ON matches(regional);
+CREATE INDEX IF NOT EXISTS idx_matches_match_number ON matches(match_number);
+
+-- -----------------------------------------------------------------------------
+-- SCOUTING_REPORTS - Every scouter's raw report (consensus lives in matches)
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS scouting_reports (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    match_number INTEGER NOT NULL,
+    regional VARCHAR(100) NOT NULL,
+    scouter_name VARCHAR(100) NOT NULL,
+    client_id UUID UNIQUE,
+    report_data JSONB NOT NULL DEFAULT '{}'::jsonb, -- game element values as submitted
+    comments TEXT,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(team_id, regional, match_number, scouter_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scouting_reports_match ON scouting_reports(team_id, regional, match_number);
+
+-- -----------------------------------------------------------------------------
+-- SCOUTER_ROSTER - Who is scouting at an event and when
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS scouter_roster (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    availability JSONB DEFAULT '[]'::jsonb, -- [{ from_match, to_match }], empty = all event
+    max_consecutive INTEGER DEFAULT 6,
+    active BOOLEAN DEFAULT TRUE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(event_key, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scouter_roster_event ON scouter_roster(event_key);
+
+-- -----------------------------------------------------------------------------
+-- SCOUTER_ASSIGNMENTS - Generated schedule, one row per robot per qual match
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS scouter_assignments (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL,
+    match_key VARCHAR(50) NOT NULL,
+    match_number INTEGER NOT NULL,
+    station VARCHAR(5) NOT NULL, -- red1..red3, blue1..blue3
+    team_number INTEGER NOT NULL,
+    scouter_name VARCHAR(100), -- NULL when nobody could cover the robot
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(event_key, match_number, station)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scouter_assignments_event ON scouter_assignments(event_key, match_number);
+CREATE INDEX IF NOT EXISTS idx_scouter_assignments_scouter ON scouter_assignments(scouter_name);
 
 -- -----------------------------------------------------------------------------
 -- ROBOT_INFO - Pre-Match Robot Capabilities
 -- -----------------------------------------------------------------------------
-CREATE TABLE robot_info (
+CREATE TABLE IF NOT EXISTS robot_info (
     id SERIAL PRIMARY KEY,
     team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
     regional VARCHAR(100) NOT NULL,
@@ -134,17 +181,17 @@ CREATE TABLE robot_info (
     UNIQUE(team_id, regional)
 );
 
-CREATE INDEX idx_robot_info_team ON robot_info(team_id);
-CREATE INDEX idx_robot_info_regional ON robot_info(regional);
+CREATE INDEX IF NOT EXISTS idx_robot_info_team ON robot_info(team_id);
+CREATE INDEX IF NOT EXISTS idx_robot_info_regional ON robot_info(regional);
 
 -- ============================================================================
--- STEP 3: CREATE TBA INTEGRATION TABLES
+-- TBA INTEGRATION TABLES
 -- ============================================================================
 
 -- -----------------------------------------------------------------------------
 -- EVENTS - FRC Competition Events
 -- -----------------------------------------------------------------------------
-CREATE TABLE events (
+CREATE TABLE IF NOT EXISTS events (
     id SERIAL PRIMARY KEY,
     event_key VARCHAR(20) UNIQUE NOT NULL,
     name VARCHAR(255) NOT NULL,
@@ -186,14 +233,14 @@ CREATE TABLE events (
     tba_last_updated TIMESTAMP WITH TIME ZONE
 );
 
-CREATE INDEX idx_events_event_key ON events(event_key);
-CREATE INDEX idx_events_year ON events(year);
-CREATE INDEX idx_events_event_type ON events(event_type);
+CREATE INDEX IF NOT EXISTS idx_events_event_key ON events(event_key);
+CREATE INDEX IF NOT EXISTS idx_events_year ON events(year);
+CREATE INDEX IF NOT EXISTS idx_events_event_type ON events(event_type);
 
 -- -----------------------------------------------------------------------------
 -- EVENT_TEAMS - Team Participation in Events
 -- -----------------------------------------------------------------------------
-CREATE TABLE event_teams (
+CREATE TABLE IF NOT EXISTS event_teams (
     id SERIAL PRIMARY KEY,
     event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
     team_key VARCHAR(10) NOT NULL,
@@ -205,13 +252,13 @@ CREATE TABLE event_teams (
     UNIQUE(event_key, team_key)
 );
 
-CREATE INDEX idx_event_teams_event ON event_teams(event_key);
-CREATE INDEX idx_event_teams_team ON event_teams(team_key);
+CREATE INDEX IF NOT EXISTS idx_event_teams_event ON event_teams(event_key);
+CREATE INDEX IF NOT EXISTS idx_event_teams_team ON event_teams(team_key);
 
 -- -----------------------------------------------------------------------------
 -- TBA_MATCHES - Official Match Results from TBA
 -- -----------------------------------------------------------------------------
-CREATE TABLE tba_matches (
+CREATE TABLE IF NOT EXISTS tba_matches (
     id SERIAL PRIMARY KEY,
     match_key VARCHAR(50) UNIQUE NOT NULL,
     event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
@@ -244,14 +291,14 @@ CREATE TABLE tba_matches (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_tba_matches_match_key ON tba_matches(match_key);
-CREATE INDEX idx_tba_matches_event ON tba_matches(event_key);
-CREATE INDEX idx_tba_matches_comp_level ON tba_matches(comp_level);
+CREATE INDEX IF NOT EXISTS idx_tba_matches_match_key ON tba_matches(match_key);
+CREATE INDEX IF NOT EXISTS idx_tba_matches_event ON tba_matches(event_key);
+CREATE INDEX IF NOT EXISTS idx_tba_matches_comp_level ON tba_matches(comp_level);
 
 -- -----------------------------------------------------------------------------
 -- AWARDS - Team Awards
 -- -----------------------------------------------------------------------------
-CREATE TABLE awards (
+CREATE TABLE IF NOT EXISTS awards (
     id SERIAL PRIMARY KEY,
     event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
     award_type INTEGER NOT NULL,
@@ -268,13 +315,13 @@ CREATE TABLE awards (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_awards_event ON awards(event_key);
-CREATE INDEX idx_awards_year ON awards(year);
+CREATE INDEX IF NOT EXISTS idx_awards_event ON awards(event_key);
+CREATE INDEX IF NOT EXISTS idx_awards_year ON awards(year);
 
 -- -----------------------------------------------------------------------------
 -- EVENT_RANKINGS - Qualification Rankings
 -- -----------------------------------------------------------------------------
-CREATE TABLE event_rankings (
+CREATE TABLE IF NOT EXISTS event_rankings (
     id SERIAL PRIMARY KEY,
     event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
     team_key VARCHAR(10) NOT NULL,
@@ -304,14 +351,14 @@ CREATE TABLE event_rankings (
     UNIQUE(event_key, team_key)
 );
 
-CREATE INDEX idx_event_rankings_event ON event_rankings(event_key);
-CREATE INDEX idx_event_rankings_team ON event_rankings(team_key);
-CREATE INDEX idx_event_rankings_rank ON event_rankings(event_key, rank);
+CREATE INDEX IF NOT EXISTS idx_event_rankings_event ON event_rankings(event_key);
+CREATE INDEX IF NOT EXISTS idx_event_rankings_team ON event_rankings(team_key);
+CREATE INDEX IF NOT EXISTS idx_event_rankings_rank ON event_rankings(event_key, rank);
 
 -- -----------------------------------------------------------------------------
 -- TEAM_EVENT_STATUS - Team Progression Through Events
 -- -----------------------------------------------------------------------------
-CREATE TABLE team_event_status (
+CREATE TABLE IF NOT EXISTS team_event_status (
     id SERIAL PRIMARY KEY,
     event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
     team_key VARCHAR(10) NOT NULL,
@@ -341,13 +388,13 @@ CREATE TABLE team_event_status (
     UNIQUE(event_key, team_key)
 );
 
-CREATE INDEX idx_team_event_status_event ON team_event_status(event_key);
-CREATE INDEX idx_team_event_status_team ON team_event_status(team_key);
+CREATE INDEX IF NOT EXISTS idx_team_event_status_event ON team_event_status(event_key);
+CREATE INDEX IF NOT EXISTS idx_team_event_status_team ON team_event_status(team_key);
 
 -- -----------------------------------------------------------------------------
 -- EVENT_OPR - Offensive Power Ratings
 -- -----------------------------------------------------------------------------
-CREATE TABLE event_opr (
+CREATE TABLE IF NOT EXISTS event_opr (
     id SERIAL PRIMARY KEY,
     event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
     team_key VARCHAR(10) NOT NULL,
@@ -364,13 +411,94 @@ CREATE TABLE event_opr (
     UNIQUE(event_key, team_key)
 );
 
-CREATE INDEX idx_event_opr_event ON event_opr(event_key);
-CREATE INDEX idx_event_opr_team ON event_opr(team_key);
+CREATE INDEX IF NOT EXISTS idx_event_opr_event ON event_opr(event_key);
+CREATE INDEX IF NOT EXISTS idx_event_opr_team ON event_opr(team_key);
+
+-- -----------------------------------------------------------------------------
+-- CALCULATED_OPRS - Our own OPR/DPR/CCWM solved from stored tba_matches
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS calculated_oprs (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
+    team_key VARCHAR(10) NOT NULL,
+    team_number INTEGER NOT NULL,
+
+    -- Ratings
+    opr DECIMAL(10,2),
+    dpr DECIMAL(10,2),
+    ccwm DECIMAL(10,2),
+
+    -- Component OPRs keyed by score_breakdown field (autoPoints, teleopPoints, ...)
+    component_oprs JSONB,
+
+    -- Number of alliance appearances used in the calculation
+    matches_counted INTEGER DEFAULT 0,
+
+    -- Timestamps
+    calculated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(event_key, team_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calculated_oprs_event ON calculated_oprs(event_key);
+CREATE INDEX IF NOT EXISTS idx_calculated_oprs_team ON calculated_oprs(team_key);
+
+-- -----------------------------------------------------------------------------
+-- MATCH_RECONCILIATION - Scouted alliance totals vs TBA score_breakdown
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS match_reconciliation (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
+    match_key VARCHAR(50) NOT NULL,
+    match_number INTEGER NOT NULL,
+    alliance VARCHAR(4) NOT NULL, -- red, blue
+    regional VARCHAR(100) NOT NULL,
+    team_numbers INTEGER[] NOT NULL,
+    missing_teams INTEGER[] DEFAULT '{}',
+
+    -- [{ label, scouted, official, error }] and per-station [{ team_number, element, scouted, official, correct }]
+    checks JSONB DEFAULT '[]'::jsonb,
+    robot_checks JSONB DEFAULT '[]'::jsonb,
+    total_abs_error DECIMAL(10,2),
+    relative_error DECIMAL(10,4),
+    status VARCHAR(20) NOT NULL, -- ok, wrong, incomplete
+
+    reconciled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(match_key, alliance)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_reconciliation_event ON match_reconciliation(event_key);
+CREATE INDEX IF NOT EXISTS idx_match_reconciliation_status ON match_reconciliation(status);
+
+-- -----------------------------------------------------------------------------
+-- SCOUTER_ACCURACY - One scouter's report measured against TBA
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS scouter_accuracy (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
+    match_key VARCHAR(50) NOT NULL,
+    scouter_name VARCHAR(100) NOT NULL,
+    team_number INTEGER NOT NULL,
+
+    -- Alliance error with this report in place of the consensus (null if the alliance wasn't fully scouted)
+    abs_error DECIMAL(10,2),
+    official_total DECIMAL(10,2),
+    robot_checks_correct INTEGER DEFAULT 0,
+    robot_checks_total INTEGER DEFAULT 0,
+
+    reconciled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(match_key, team_number, scouter_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scouter_accuracy_scouter ON scouter_accuracy(scouter_name);
+CREATE INDEX IF NOT EXISTS idx_scouter_accuracy_event ON scouter_accuracy(event_key);
 
 -- -----------------------------------------------------------------------------
 -- MEDIA - Team Photos, Videos, Social Media
 -- -----------------------------------------------------------------------------
-CREATE TABLE media (
+CREATE TABLE IF NOT EXISTS media (
     id SERIAL PRIMARY KEY,
     team_key VARCHAR(10),
     year INTEGER,
@@ -391,14 +519,14 @@ CREATE TABLE media (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_media_team ON media(team_key);
-CREATE INDEX idx_media_year ON media(year);
-CREATE INDEX idx_media_type ON media(type);
+CREATE INDEX IF NOT EXISTS idx_media_team ON media(team_key);
+CREATE INDEX IF NOT EXISTS idx_media_year ON media(year);
+CREATE INDEX IF NOT EXISTS idx_media_type ON media(type);
 
 -- -----------------------------------------------------------------------------
 -- DISTRICTS - Regional Competition Districts
 -- -----------------------------------------------------------------------------
-CREATE TABLE districts (
+CREATE TABLE IF NOT EXISTS districts (
     id SERIAL PRIMARY KEY,
     district_key VARCHAR(20) UNIQUE NOT NULL,
     abbreviation VARCHAR(10) NOT NULL,
@@ -409,12 +537,12 @@ CREATE TABLE districts (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_districts_year ON districts(year);
+CREATE INDEX IF NOT EXISTS idx_districts_year ON districts(year);
 
 -- -----------------------------------------------------------------------------
 -- DISTRICT_RANKINGS - Team Rankings within Districts
 -- -----------------------------------------------------------------------------
-CREATE TABLE district_rankings (
+CREATE TABLE IF NOT EXISTS district_rankings (
     id SERIAL PRIMARY KEY,
     district_key VARCHAR(20) NOT NULL REFERENCES districts(district_key) ON DELETE CASCADE,
     team_key VARCHAR(10) NOT NULL,
@@ -436,13 +564,13 @@ CREATE TABLE district_rankings (
     UNIQUE(district_key, team_key)
 );
 
-CREATE INDEX idx_district_rankings_district ON district_rankings(district_key);
-CREATE INDEX idx_district_rankings_team ON district_rankings(team_key);
+CREATE INDEX IF NOT EXISTS idx_district_rankings_district ON district_rankings(district_key);
+CREATE INDEX IF NOT EXISTS idx_district_rankings_team ON district_rankings(team_key);
 
 -- -----------------------------------------------------------------------------
 -- PREDICTIONS - Match and Event Predictions
 -- -----------------------------------------------------------------------------
-CREATE TABLE predictions (
+CREATE TABLE IF NOT EXISTS predictions (
     id SERIAL PRIMARY KEY,
 
     -- Can be for match or event
@@ -456,13 +584,13 @@ CREATE TABLE predictions (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_predictions_match ON predictions(match_key);
-CREATE INDEX idx_predictions_event ON predictions(event_key);
+CREATE INDEX IF NOT EXISTS idx_predictions_match ON predictions(match_key);
+CREATE INDEX IF NOT EXISTS idx_predictions_event ON predictions(event_key);
 
 -- -----------------------------------------------------------------------------
 -- ROBOTS - Robot Specifications
 -- -----------------------------------------------------------------------------
-CREATE TABLE robots (
+CREATE TABLE IF NOT EXISTS robots (
     id SERIAL PRIMARY KEY,
     team_key VARCHAR(10) NOT NULL,
     year INTEGER NOT NULL,
@@ -479,13 +607,13 @@ CREATE TABLE robots (
     UNIQUE(team_key, year)
 );
 
-CREATE INDEX idx_robots_team ON robots(team_key);
-CREATE INDEX idx_robots_year ON robots(year);
+CREATE INDEX IF NOT EXISTS idx_robots_team ON robots(team_key);
+CREATE INDEX IF NOT EXISTS idx_robots_year ON robots(year);
 
 -- -----------------------------------------------------------------------------
 -- TBA_SYNC_LOG - Track TBA Data Synchronization
 -- -----------------------------------------------------------------------------
-CREATE TABLE tba_sync_log (
+CREATE TABLE IF NOT EXISTS tba_sync_log (
     id SERIAL PRIMARY KEY,
 
     -- Sync Details
@@ -505,16 +633,19 @@ CREATE TABLE tba_sync_log (
     metadata JSONB
 );
 
-CREATE INDEX idx_tba_sync_log_entity_type ON tba_sync_log(entity_type);
-CREATE INDEX idx_tba_sync_log_started_at ON tba_sync_log(started_at);
+CREATE INDEX IF NOT EXISTS idx_tba_sync_log_entity_type ON tba_sync_log(entity_type);
+CREATE INDEX IF NOT EXISTS idx_tba_sync_log_started_at ON tba_sync_log(started_at);
 
 -- ============================================================================
--- STEP 4: ENABLE ROW LEVEL SECURITY
+-- ROW LEVEL SECURITY
 -- ============================================================================
 
 -- Enable RLS on all tables
 ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
 ALTER TABLE matches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scouting_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scouter_roster ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scouter_assignments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE robot_info ENABLE ROW LEVEL SECURITY;
 ALTER TABLE events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE event_teams ENABLE ROW LEVEL SECURITY;
@@ -523,6 +654,9 @@ ALTER TABLE awards ENABLE ROW LEVEL SECURITY;
 ALTER TABLE event_rankings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE team_event_status ENABLE ROW LEVEL SECURITY;
 ALTER TABLE event_opr ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calculated_oprs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_reconciliation ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scouter_accuracy ENABLE ROW LEVEL SECURITY;
 ALTER TABLE media ENABLE ROW LEVEL SECURITY;
 ALTER TABLE districts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE district_rankings ENABLE ROW LEVEL SECURITY;
@@ -531,113 +665,220 @@ ALTER TABLE robots ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tba_sync_log ENABLE ROW LEVEL SECURITY;
 
 -- ============================================================================
--- STEP 5: CREATE RLS POLICIES - Public Read, Service Role Write
+-- RLS POLICIES - Public Read, Service Role Write
 -- ============================================================================
 
 -- TEAMS Policies
+DROP POLICY IF EXISTS "Teams are publicly readable" ON teams;
 CREATE POLICY "Teams are publicly readable" ON teams FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert teams" ON teams;
 CREATE POLICY "Service role can insert teams" ON teams FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update teams" ON teams;
 CREATE POLICY "Service role can update teams" ON teams FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete teams" ON teams;
 CREATE POLICY "Service role can delete teams" ON teams FOR DELETE USING (auth.role() = 'service_role');
 
 -- MATCHES Policies
+DROP POLICY IF EXISTS "Matches are publicly readable" ON matches;
 CREATE POLICY "Matches are publicly readable" ON matches FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert matches" ON matches;
 CREATE POLICY "Service role can insert matches" ON matches FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update matches" ON matches;
 CREATE POLICY "Service role can update matches" ON matches FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete matches" ON matches;
 CREATE POLICY "Service role can delete matches" ON matches FOR DELETE USING (auth.role() = 'service_role');
 
+DROP POLICY IF EXISTS "Scouting reports are publicly readable" ON scouting_reports;
+CREATE POLICY "Scouting reports are publicly readable" ON scouting_reports FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert scouting reports" ON scouting_reports;
+CREATE POLICY "Service role can insert scouting reports" ON scouting_reports FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update scouting reports" ON scouting_reports;
+CREATE POLICY "Service role can update scouting reports" ON scouting_reports FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete scouting reports" ON scouting_reports;
+CREATE POLICY "Service role can delete scouting reports" ON scouting_reports FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Scouter roster is publicly readable" ON scouter_roster;
+CREATE POLICY "Scouter roster is publicly readable" ON scouter_roster FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert scouter roster" ON scouter_roster;
+CREATE POLICY "Service role can insert scouter roster" ON scouter_roster FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update scouter roster" ON scouter_roster;
+CREATE POLICY "Service role can update scouter roster" ON scouter_roster FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete scouter roster" ON scouter_roster;
+CREATE POLICY "Service role can delete scouter roster" ON scouter_roster FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Scouter assignments are publicly readable" ON scouter_assignments;
+CREATE POLICY "Scouter assignments are publicly readable" ON scouter_assignments FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert scouter assignments" ON scouter_assignments;
+CREATE POLICY "Service role can insert scouter assignments" ON scouter_assignments FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update scouter assignments" ON scouter_assignments;
+CREATE POLICY "Service role can update scouter assignments" ON scouter_assignments FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete scouter assignments" ON scouter_assignments;
+CREATE POLICY "Service role can delete scouter assignments" ON scouter_assignments FOR DELETE USING (auth.role() = 'service_role');
+
 -- ROBOT_INFO Policies
+DROP POLICY IF EXISTS "Robot info is publicly readable" ON robot_info;
 CREATE POLICY "Robot info is publicly readable" ON robot_info FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert robot info" ON robot_info;
 CREATE POLICY "Service role can insert robot info" ON robot_info FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update robot info" ON robot_info;
 CREATE POLICY "Service role can update robot info" ON robot_info FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete robot info" ON robot_info;
 CREATE POLICY "Service role can delete robot info" ON robot_info FOR DELETE USING (auth.role() = 'service_role');
 
 -- EVENTS Policies
+DROP POLICY IF EXISTS "Events are publicly readable" ON events;
 CREATE POLICY "Events are publicly readable" ON events FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert events" ON events;
 CREATE POLICY "Service role can insert events" ON events FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update events" ON events;
 CREATE POLICY "Service role can update events" ON events FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete events" ON events;
 CREATE POLICY "Service role can delete events" ON events FOR DELETE USING (auth.role() = 'service_role');
 
 -- EVENT_TEAMS Policies
+DROP POLICY IF EXISTS "Event teams are publicly readable" ON event_teams;
 CREATE POLICY "Event teams are publicly readable" ON event_teams FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert event teams" ON event_teams;
 CREATE POLICY "Service role can insert event teams" ON event_teams FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update event teams" ON event_teams;
 CREATE POLICY "Service role can update event teams" ON event_teams FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete event teams" ON event_teams;
 CREATE POLICY "Service role can delete event teams" ON event_teams FOR DELETE USING (auth.role() = 'service_role');
 
 -- TBA_MATCHES Policies
+DROP POLICY IF EXISTS "TBA matches are publicly readable" ON tba_matches;
 CREATE POLICY "TBA matches are publicly readable" ON tba_matches FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert tba matches" ON tba_matches;
 CREATE POLICY "Service role can insert tba matches" ON tba_matches FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update tba matches" ON tba_matches;
 CREATE POLICY "Service role can update tba matches" ON tba_matches FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete tba matches" ON tba_matches;
 CREATE POLICY "Service role can delete tba matches" ON tba_matches FOR DELETE USING (auth.role() = 'service_role');
 
 -- AWARDS Policies
+DROP POLICY IF EXISTS "Awards are publicly readable" ON awards;
 CREATE POLICY "Awards are publicly readable" ON awards FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert awards" ON awards;
 CREATE POLICY "Service role can insert awards" ON awards FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update awards" ON awards;
 CREATE POLICY "Service role can update awards" ON awards FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete awards" ON awards;
 CREATE POLICY "Service role can delete awards" ON awards FOR DELETE USING (auth.role() = 'service_role');
 
 -- EVENT_RANKINGS Policies
+DROP POLICY IF EXISTS "Event rankings are publicly readable" ON event_rankings;
 CREATE POLICY "Event rankings are publicly readable" ON event_rankings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert rankings" ON event_rankings;
 CREATE POLICY "Service role can insert rankings" ON event_rankings FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update rankings" ON event_rankings;
 CREATE POLICY "Service role can update rankings" ON event_rankings FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete rankings" ON event_rankings;
 CREATE POLICY "Service role can delete rankings" ON event_rankings FOR DELETE USING (auth.role() = 'service_role');
 
 -- TEAM_EVENT_STATUS Policies
+DROP POLICY IF EXISTS "Team event status is publicly readable" ON team_event_status;
 CREATE POLICY "Team event status is publicly readable" ON team_event_status FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert team event status" ON team_event_status;
 CREATE POLICY "Service role can insert team event status" ON team_event_status FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update team event status" ON team_event_status;
 CREATE POLICY "Service role can update team event status" ON team_event_status FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete team event status" ON team_event_status;
 CREATE POLICY "Service role can delete team event status" ON team_event_status FOR DELETE USING (auth.role() = 'service_role');
 
 -- EVENT_OPR Policies
+DROP POLICY IF EXISTS "Event OPR is publicly readable" ON event_opr;
 CREATE POLICY "Event OPR is publicly readable" ON event_opr FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert OPR" ON event_opr;
 CREATE POLICY "Service role can insert OPR" ON event_opr FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update OPR" ON event_opr;
 CREATE POLICY "Service role can update OPR" ON event_opr FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete OPR" ON event_opr;
 CREATE POLICY "Service role can delete OPR" ON event_opr FOR DELETE USING (auth.role() = 'service_role');
 
+-- CALCULATED_OPRS Policies
+DROP POLICY IF EXISTS "Calculated OPR is publicly readable" ON calculated_oprs;
+CREATE POLICY "Calculated OPR is publicly readable" ON calculated_oprs FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert calculated OPR" ON calculated_oprs;
+CREATE POLICY "Service role can insert calculated OPR" ON calculated_oprs FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update calculated OPR" ON calculated_oprs;
+CREATE POLICY "Service role can update calculated OPR" ON calculated_oprs FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete calculated OPR" ON calculated_oprs;
+CREATE POLICY "Service role can delete calculated OPR" ON calculated_oprs FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Match reconciliation is publicly readable" ON match_reconciliation;
+CREATE POLICY "Match reconciliation is publicly readable" ON match_reconciliation FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert match reconciliation" ON match_reconciliation;
+CREATE POLICY "Service role can insert match reconciliation" ON match_reconciliation FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update match reconciliation" ON match_reconciliation;
+CREATE POLICY "Service role can update match reconciliation" ON match_reconciliation FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete match reconciliation" ON match_reconciliation;
+CREATE POLICY "Service role can delete match reconciliation" ON match_reconciliation FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Scouter accuracy is publicly readable" ON scouter_accuracy;
+CREATE POLICY "Scouter accuracy is publicly readable" ON scouter_accuracy FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert scouter accuracy" ON scouter_accuracy;
+CREATE POLICY "Service role can insert scouter accuracy" ON scouter_accuracy FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update scouter accuracy" ON scouter_accuracy;
+CREATE POLICY "Service role can update scouter accuracy" ON scouter_accuracy FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete scouter accuracy" ON scouter_accuracy;
+CREATE POLICY "Service role can delete scouter accuracy" ON scouter_accuracy FOR DELETE USING (auth.role() = 'service_role');
+
 -- MEDIA Policies
+DROP POLICY IF EXISTS "Media is publicly readable" ON media;
 CREATE POLICY "Media is publicly readable" ON media FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert media" ON media;
 CREATE POLICY "Service role can insert media" ON media FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update media" ON media;
 CREATE POLICY "Service role can update media" ON media FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete media" ON media;
 CREATE POLICY "Service role can delete media" ON media FOR DELETE USING (auth.role() = 'service_role');
 
 -- DISTRICTS Policies
+DROP POLICY IF EXISTS "Districts are publicly readable" ON districts;
 CREATE POLICY "Districts are publicly readable" ON districts FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert districts" ON districts;
 CREATE POLICY "Service role can insert districts" ON districts FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update districts" ON districts;
 CREATE POLICY "Service role can update districts" ON districts FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete districts" ON districts;
 CREATE POLICY "Service role can delete districts" ON districts FOR DELETE USING (auth.role() = 'service_role');
 
 -- DISTRICT_RANKINGS Policies
+DROP POLICY IF EXISTS "District rankings are publicly readable" ON district_rankings;
 CREATE POLICY "District rankings are publicly readable" ON district_rankings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert district rankings" ON district_rankings;
 CREATE POLICY "Service role can insert district rankings" ON district_rankings FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update district rankings" ON district_rankings;
 CREATE POLICY "Service role can update district rankings" ON district_rankings FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete district rankings" ON district_rankings;
 CREATE POLICY "Service role can delete district rankings" ON district_rankings FOR DELETE USING (auth.role() = 'service_role');
 
 -- PREDICTIONS Policies
+DROP POLICY IF EXISTS "Predictions are publicly readable" ON predictions;
 CREATE POLICY "Predictions are publicly readable" ON predictions FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert predictions" ON predictions;
 CREATE POLICY "Service role can insert predictions" ON predictions FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update predictions" ON predictions;
 CREATE POLICY "Service role can update predictions" ON predictions FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete predictions" ON predictions;
 CREATE POLICY "Service role can delete predictions" ON predictions FOR DELETE USING (auth.role() = 'service_role');
 
 -- ROBOTS Policies
+DROP POLICY IF EXISTS "Robots are publicly readable" ON robots;
 CREATE POLICY "Robots are publicly readable" ON robots FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert robots" ON robots;
 CREATE POLICY "Service role can insert robots" ON robots FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update robots" ON robots;
 CREATE POLICY "Service role can update robots" ON robots FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete robots" ON robots;
 CREATE POLICY "Service role can delete robots" ON robots FOR DELETE USING (auth.role() = 'service_role');
 
 -- TBA_SYNC_LOG Policies (service role only)
+DROP POLICY IF EXISTS "Service role can read sync log" ON tba_sync_log;
 CREATE POLICY "Service role can read sync log" ON tba_sync_log FOR SELECT USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can insert sync log" ON tba_sync_log;
 CREATE POLICY "Service role can insert sync log" ON tba_sync_log FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update sync log" ON tba_sync_log;
 CREATE POLICY "Service role can update sync log" ON tba_sync_log FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete sync log" ON tba_sync_log;
 CREATE POLICY "Service role can delete sync log" ON tba_sync_log FOR DELETE USING (auth.role() = 'service_role');
-
--- ============================================================================
--- SETUP COMPLETE
--- ============================================================================
-
--- Verify table creation
-SELECT 'Setup complete! Tables created:' AS status;
-SELECT table_name
-FROM information_schema.tables
-WHERE table_schema = 'public'
-  AND table_type = 'BASE TABLE'
-ORDER BY table_name;
@@ -0,0 +1,86 @@
+-- ============================================================================
+-- Migration 0002: Align scouting tables with the routes
+--
+-- The initial schema predates the full Crescendo definition and the pit
+-- scouting form, so POST /api/matches and POST /api/robot-info wrote
+-- columns that didn't exist. Teams are also per regional in the routes
+-- ("Team already exists in this regional"), not globally unique.
+-- ============================================================================
+
+-- -----------------------------------------------------------------------------
+-- TEAMS - one row per team per regional
+-- -----------------------------------------------------------------------------
+ALTER TABLE teams DROP CONSTRAINT IF EXISTS teams_team_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_number_regional ON teams(team_number, regional);
+
+-- -----------------------------------------------------------------------------
+-- MATCHES - every Crescendo element column (see src/games/crescendo2024.js)
+-- -----------------------------------------------------------------------------
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS starting_position VARCHAR(20);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_m2 INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_m3 INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_m4 INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_m5 INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_s2 INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_s3 INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS auto_r INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS teleop_ground_intake INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS teleop_source_intake INTEGER DEFAULT 0;
+
+-- Scouters are optional on batch/QR uploads from older apps
+ALTER TABLE matches ALTER COLUMN scouter_name DROP NOT NULL;
+
+-- Columns that used to be separate patch files (offline-sync.sql,
+-- multi-scouter.sql, game-definitions.sql), for databases that predate them
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS client_id UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_client_id ON matches(client_id);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS game_data JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS review_status VARCHAR(20) NOT NULL DEFAULT 'single';
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS report_count INTEGER DEFAULT 0;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS disagreements JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS resolved_values JSONB;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS resolved_by VARCHAR(100);
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_matches_review_status ON matches(review_status);
+
+-- -----------------------------------------------------------------------------
+-- ROBOT_INFO - pit scouting form fields
+-- -----------------------------------------------------------------------------
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS can_ground_intake BOOLEAN DEFAULT FALSE;
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS can_source_intake BOOLEAN DEFAULT FALSE;
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS max_climb_level VARCHAR(20) DEFAULT 'None';
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS robot_weight DECIMAL(5,2);
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS robot_height DECIMAL(4,1);
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS drive_type VARCHAR(50);
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS scouter_name VARCHAR(100);
+
+-- -----------------------------------------------------------------------------
+-- TEAM_STATISTICS - per-team stats recalculated after each match
+-- -----------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS team_statistics (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    regional VARCHAR(100) NOT NULL,
+    stat_category VARCHAR(50) NOT NULL, -- 'auto', 'teleop', 'endgame', ...
+    stat_name VARCHAR(100) NOT NULL,    -- 'taxi_rate', ...
+    stat_value DECIMAL(10,4),
+    stat_fraction VARCHAR(20),          -- "15/20" format for display
+    total_matches INTEGER,
+    last_calculated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(team_id, regional, stat_category, stat_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_statistics_team ON team_statistics(team_id, regional);
+
+ALTER TABLE team_statistics ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Team statistics are publicly readable" ON team_statistics;
+CREATE POLICY "Team statistics are publicly readable" ON team_statistics FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert team statistics" ON team_statistics;
+CREATE POLICY "Service role can insert team statistics" ON team_statistics FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update team statistics" ON team_statistics;
+CREATE POLICY "Service role can update team statistics" ON team_statistics FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete team statistics" ON team_statistics;
+CREATE POLICY "Service role can delete team statistics" ON team_statistics FOR DELETE USING (auth.role() = 'service_role');
@@ -0,0 +1,312 @@
+-- ============================================================================
+-- Migration 0003: Seasons and regionals
+-- Season -> Regional -> Team layer used by statistics, predictions and
+-- game definitions (previously only in database-schema-seasons.sql)
+--
+-- matches and robot_info keep their `regional` name and gain a nullable
+-- regional_id so both styles of route work against one database.
+-- ============================================================================
+
+-- ============================================================================
+-- SEASON MANAGEMENT LAYER
+-- ============================================================================
+
+-- Seasons (2025, 2026, etc.)
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    season_year INTEGER UNIQUE NOT NULL,
+    season_name TEXT NOT NULL, -- "2025 Crescendo", "2026 TBD"
+    game_name TEXT, -- "Crescendo", "Charged Up"
+    game_definition JSONB, -- Scoring elements, phases and point values (see src/games/)
+    is_active BOOLEAN DEFAULT FALSE,
+    start_date DATE,
+    end_date DATE,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Regionals within seasons
+CREATE TABLE IF NOT EXISTS regionals (
+    id SERIAL PRIMARY KEY,
+    season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+    regional_name TEXT NOT NULL, -- "Orange County", "San Diego"
+    regional_code TEXT, -- "CAOC", "CASD"
+    start_date DATE,
+    end_date DATE,
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(season_id, regional_name)
+);
+
+-- Team participation in specific regionals
+CREATE TABLE IF NOT EXISTS team_regional_participation (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+    registered_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(team_id, regional_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_year ON seasons(season_year);
+CREATE INDEX IF NOT EXISTS idx_regionals_season ON regionals(season_id);
+CREATE INDEX IF NOT EXISTS idx_team_participation_regional ON team_regional_participation(regional_id);
+
+-- ============================================================================
+-- REGIONAL LINKS ON SCOUTING DATA
+-- ============================================================================
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE;
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_matches_team_regional_id ON matches(team_id, regional_id);
+CREATE INDEX IF NOT EXISTS idx_robot_info_regional_id ON robot_info(regional_id);
+
+-- ============================================================================
+-- STATISTICS TABLES
+-- ============================================================================
+
+-- Team statistics percentages (Firebase: season/regional/teams/teamNumber/Stats/Percentage/*)
+CREATE TABLE IF NOT EXISTS team_stats_percentage (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+
+    -- Pregame percentages
+    pregame_amp_percent DECIMAL(5,2) DEFAULT 0,
+    pregame_middle_percent DECIMAL(5,2) DEFAULT 0,
+    pregame_source_percent DECIMAL(5,2) DEFAULT 0,
+
+    -- Auto percentages
+    auto_taxi_percent DECIMAL(5,2) DEFAULT 0,
+    auto_m1_percent DECIMAL(5,2) DEFAULT 0,
+    auto_m2_percent DECIMAL(5,2) DEFAULT 0,
+    auto_m3_percent DECIMAL(5,2) DEFAULT 0,
+    auto_m4_percent DECIMAL(5,2) DEFAULT 0,
+    auto_m5_percent DECIMAL(5,2) DEFAULT 0,
+    auto_s1_percent DECIMAL(5,2) DEFAULT 0,
+    auto_s2_percent DECIMAL(5,2) DEFAULT 0,
+    auto_s3_percent DECIMAL(5,2) DEFAULT 0,
+    auto_r_percent DECIMAL(5,2) DEFAULT 0,
+
+    -- Teleop percentages
+    teleop_amp_percent DECIMAL(5,2) DEFAULT 0,
+    teleop_ground_intake_percent DECIMAL(5,2) DEFAULT 0,
+    teleop_source_intake_percent DECIMAL(5,2) DEFAULT 0,
+    teleop_speaker_percent DECIMAL(5,2) DEFAULT 0,
+
+    -- Endgame climb percentages
+    endgame_nothing_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_park_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_single_climb_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_double_climb_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_triple_climb_percent DECIMAL(5,2) DEFAULT 0,
+
+    -- Endgame trap percentages
+    endgame_0_trap_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_1_trap_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_2_trap_percent DECIMAL(5,2) DEFAULT 0,
+    endgame_3_trap_percent DECIMAL(5,2) DEFAULT 0,
+
+    -- Postgame percentages
+    postgame_driver_rating_avg DECIMAL(3,2) DEFAULT 0,
+    postgame_disabled_percent DECIMAL(5,2) DEFAULT 0,
+    postgame_defense_percent DECIMAL(5,2) DEFAULT 0,
+
+    -- Percentages for games that don't use the columns above
+    stats_data JSONB DEFAULT '{}'::jsonb,
+
+    last_calculated TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(team_id, regional_id)
+);
+
+-- Team statistics fractions (Firebase: season/regional/teams/teamNumber/Stats/Fraction/*)
+CREATE TABLE IF NOT EXISTS team_stats_fraction (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+
+    -- Pregame fractions
+    pregame_amp_fraction TEXT DEFAULT '0/0',
+    pregame_middle_fraction TEXT DEFAULT '0/0',
+    pregame_source_fraction TEXT DEFAULT '0/0',
+    pregame_total INTEGER DEFAULT 0,
+
+    -- Auto fractions
+    auto_taxi_fraction TEXT DEFAULT '0/0',
+    auto_m1_fraction TEXT DEFAULT '0/0',
+    auto_m2_fraction TEXT DEFAULT '0/0',
+    auto_m3_fraction TEXT DEFAULT '0/0',
+    auto_m4_fraction TEXT DEFAULT '0/0',
+    auto_m5_fraction TEXT DEFAULT '0/0',
+    auto_s1_fraction TEXT DEFAULT '0/0',
+    auto_s2_fraction TEXT DEFAULT '0/0',
+    auto_s3_fraction TEXT DEFAULT '0/0',
+    auto_r_fraction TEXT DEFAULT '0/0',
+    auto_total INTEGER DEFAULT 0,
+
+    -- Teleop fractions
+    teleop_amp_fraction TEXT DEFAULT '0/0',
+    teleop_ground_intake_fraction TEXT DEFAULT '0/0',
+    teleop_source_intake_fraction TEXT DEFAULT '0/0',
+    teleop_speaker_fraction TEXT DEFAULT '0/0',
+    teleop_amp_total INTEGER DEFAULT 0,
+    teleop_intake_total INTEGER DEFAULT 0,
+    teleop_speaker_total INTEGER DEFAULT 0,
+
+    -- Endgame fractions
+    endgame_nothing_fraction TEXT DEFAULT '0/0',
+    endgame_park_fraction TEXT DEFAULT '0/0',
+    endgame_single_climb_fraction TEXT DEFAULT '0/0',
+    endgame_double_climb_fraction TEXT DEFAULT '0/0',
+    endgame_triple_climb_fraction TEXT DEFAULT '0/0',
+    endgame_0_trap_fraction TEXT DEFAULT '0/0',
+    endgame_1_trap_fraction TEXT DEFAULT '0/0',
+    endgame_2_trap_fraction TEXT DEFAULT '0/0',
+    endgame_3_trap_fraction TEXT DEFAULT '0/0',
+    endgame_total INTEGER DEFAULT 0,
+
+    -- Postgame fractions
+    postgame_disabled_fraction TEXT DEFAULT '0/0',
+    postgame_defense_fraction TEXT DEFAULT '0/0',
+    postgame_total INTEGER DEFAULT 0,
+
+    -- Fractions for games that don't use the columns above
+    stats_data JSONB DEFAULT '{}'::jsonb,
+
+    last_calculated TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(team_id, regional_id)
+);
+
+-- Team rankings (Firebase: season/regional/teams/teamNumber/Stats/Rank)
+CREATE TABLE IF NOT EXISTS team_rankings (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+
+    overall_rank INTEGER,
+    auto_rank INTEGER,
+    teleop_rank INTEGER,
+    endgame_rank INTEGER,
+
+    overall_score DECIMAL(10,2) DEFAULT 0,
+    auto_score DECIMAL(10,2) DEFAULT 0,
+    teleop_score DECIMAL(10,2) DEFAULT 0,
+    endgame_score DECIMAL(10,2) DEFAULT 0,
+
+    matches_played INTEGER DEFAULT 0,
+    last_calculated TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(team_id, regional_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stats_percentage_team_regional ON team_stats_percentage(team_id, regional_id);
+CREATE INDEX IF NOT EXISTS idx_stats_fraction_team_regional ON team_stats_fraction(team_id, regional_id);
+CREATE INDEX IF NOT EXISTS idx_rankings_team_regional ON team_rankings(team_id, regional_id);
+CREATE INDEX IF NOT EXISTS idx_rankings_overall_rank ON team_rankings(regional_id, overall_rank);
+
+-- ============================================================================
+-- HELPER VIEWS FOR FIREBASE COMPATIBILITY
+-- ============================================================================
+
+-- View to mimic Firebase path: season/regional/teams/teamNumber/Stats/Percentage/*
+CREATE OR REPLACE VIEW firebase_stats_percentage AS
+SELECT
+    s.season_year,
+    r.regional_name,
+    t.team_number,
+    sp.*
+FROM team_stats_percentage sp
+JOIN teams t ON sp.team_id = t.id
+JOIN regionals r ON sp.regional_id = r.id
+JOIN seasons s ON r.season_id = s.id;
+
+-- View to mimic Firebase path: season/regional/teams/teamNumber/Stats/Fraction/*
+CREATE OR REPLACE VIEW firebase_stats_fraction AS
+SELECT
+    s.season_year,
+    r.regional_name,
+    t.team_number,
+    sf.*
+FROM team_stats_fraction sf
+JOIN teams t ON sf.team_id = t.id
+JOIN regionals r ON sf.regional_id = r.id
+JOIN seasons s ON r.season_id = s.id;
+
+-- View to mimic Firebase path: season/regional/teams/teamNumber/Stats/Rank
+CREATE OR REPLACE VIEW firebase_rankings AS
+SELECT
+    s.season_year,
+    r.regional_name,
+    t.team_number,
+    tr.*
+FROM team_rankings tr
+JOIN teams t ON tr.team_id = t.id
+JOIN regionals r ON tr.regional_id = r.id
+JOIN seasons s ON r.season_id = s.id;
+
+-- ============================================================================
+-- ROW LEVEL SECURITY - Public Read, Service Role Write
+-- ============================================================================
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE regionals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_regional_participation ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_stats_percentage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_stats_fraction ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_rankings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Seasons are publicly readable" ON seasons;
+CREATE POLICY "Seasons are publicly readable" ON seasons FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert seasons" ON seasons;
+CREATE POLICY "Service role can insert seasons" ON seasons FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update seasons" ON seasons;
+CREATE POLICY "Service role can update seasons" ON seasons FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete seasons" ON seasons;
+CREATE POLICY "Service role can delete seasons" ON seasons FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Regionals are publicly readable" ON regionals;
+CREATE POLICY "Regionals are publicly readable" ON regionals FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert regionals" ON regionals;
+CREATE POLICY "Service role can insert regionals" ON regionals FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update regionals" ON regionals;
+CREATE POLICY "Service role can update regionals" ON regionals FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete regionals" ON regionals;
+CREATE POLICY "Service role can delete regionals" ON regionals FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Team participation is publicly readable" ON team_regional_participation;
+CREATE POLICY "Team participation is publicly readable" ON team_regional_participation FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert team participation" ON team_regional_participation;
+CREATE POLICY "Service role can insert team participation" ON team_regional_participation FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update team participation" ON team_regional_participation;
+CREATE POLICY "Service role can update team participation" ON team_regional_participation FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete team participation" ON team_regional_participation;
+CREATE POLICY "Service role can delete team participation" ON team_regional_participation FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Percentage stats are publicly readable" ON team_stats_percentage;
+CREATE POLICY "Percentage stats are publicly readable" ON team_stats_percentage FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert percentage stats" ON team_stats_percentage;
+CREATE POLICY "Service role can insert percentage stats" ON team_stats_percentage FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update percentage stats" ON team_stats_percentage;
+CREATE POLICY "Service role can update percentage stats" ON team_stats_percentage FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete percentage stats" ON team_stats_percentage;
+CREATE POLICY "Service role can delete percentage stats" ON team_stats_percentage FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Fraction stats are publicly readable" ON team_stats_fraction;
+CREATE POLICY "Fraction stats are publicly readable" ON team_stats_fraction FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert fraction stats" ON team_stats_fraction;
+CREATE POLICY "Service role can insert fraction stats" ON team_stats_fraction FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update fraction stats" ON team_stats_fraction;
+CREATE POLICY "Service role can update fraction stats" ON team_stats_fraction FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete fraction stats" ON team_stats_fraction;
+CREATE POLICY "Service role can delete fraction stats" ON team_stats_fraction FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Team rankings are publicly readable" ON team_rankings;
+CREATE POLICY "Team rankings are publicly readable" ON team_rankings FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert team rankings" ON team_rankings;
+CREATE POLICY "Service role can insert team rankings" ON team_rankings FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update team rankings" ON team_rankings;
+CREATE POLICY "Service role can update team rankings" ON team_rankings FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete team rankings" ON team_rankings;
+CREATE POLICY "Service role can delete team rankings" ON team_rankings FOR DELETE USING (auth.role() = 'service_role');
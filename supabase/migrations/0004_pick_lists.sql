@@ -0,0 +1,81 @@
+-- ============================================================================
+-- Migration 0004: Pick lists
+-- Alliance selection lists and the live draft board (src/routes/pickLists.js)
+-- ============================================================================
+
+-- Named pick lists per regional ("First Pick", "Do Not Pick", ...)
+-- version is bumped on every change for optimistic concurrency
+CREATE TABLE IF NOT EXISTS pick_lists (
+    id SERIAL PRIMARY KEY,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    list_type TEXT DEFAULT 'custom' CHECK (list_type IN ('first_pick', 'second_pick', 'do_not_pick', 'custom')),
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(regional_id, name)
+);
+
+-- Ordered teams on a pick list
+CREATE TABLE IF NOT EXISTS pick_list_entries (
+    id SERIAL PRIMARY KEY,
+    pick_list_id INTEGER REFERENCES pick_lists(id) ON DELETE CASCADE,
+    team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+    team_number INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    notes TEXT,
+    tags TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(pick_list_id, team_number)
+);
+
+-- Live draft: teams picked or declined during alliance selection
+CREATE TABLE IF NOT EXISTS draft_picks (
+    id SERIAL PRIMARY KEY,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE,
+    team_number INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('picked', 'declined')),
+    alliance_number INTEGER CHECK (alliance_number >= 1 AND alliance_number <= 8),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(regional_id, team_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pick_lists_regional ON pick_lists(regional_id);
+CREATE INDEX IF NOT EXISTS idx_pick_list_entries_list ON pick_list_entries(pick_list_id, position);
+CREATE INDEX IF NOT EXISTS idx_draft_picks_regional ON draft_picks(regional_id);
+
+ALTER TABLE pick_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pick_list_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE draft_picks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Pick lists are publicly readable" ON pick_lists;
+CREATE POLICY "Pick lists are publicly readable" ON pick_lists FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert pick lists" ON pick_lists;
+CREATE POLICY "Service role can insert pick lists" ON pick_lists FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update pick lists" ON pick_lists;
+CREATE POLICY "Service role can update pick lists" ON pick_lists FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete pick lists" ON pick_lists;
+CREATE POLICY "Service role can delete pick lists" ON pick_lists FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Pick list entries are publicly readable" ON pick_list_entries;
+CREATE POLICY "Pick list entries are publicly readable" ON pick_list_entries FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert pick list entries" ON pick_list_entries;
+CREATE POLICY "Service role can insert pick list entries" ON pick_list_entries FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update pick list entries" ON pick_list_entries;
+CREATE POLICY "Service role can update pick list entries" ON pick_list_entries FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete pick list entries" ON pick_list_entries;
+CREATE POLICY "Service role can delete pick list entries" ON pick_list_entries FOR DELETE USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Draft picks are publicly readable" ON draft_picks;
+CREATE POLICY "Draft picks are publicly readable" ON draft_picks FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert draft picks" ON draft_picks;
+CREATE POLICY "Service role can insert draft picks" ON draft_picks FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update draft picks" ON draft_picks;
+CREATE POLICY "Service role can update draft picks" ON draft_picks FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete draft picks" ON draft_picks;
+CREATE POLICY "Service role can delete draft picks" ON draft_picks FOR DELETE USING (auth.role() = 'service_role');
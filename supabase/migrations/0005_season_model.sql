@@ -0,0 +1,136 @@
+-- ============================================================================
+-- Migration 0005: One data model - season -> regional -> team
+--
+-- Teams become one row per team number, entered in regionals through
+-- team_regional_participation. matches, robot_info and scouting_reports
+-- point at their regional with regional_id. The `regional` name columns
+-- stay (the API keeps filling them in) so older clients and reports work.
+-- ============================================================================
+
+-- -----------------------------------------------------------------------------
+-- REGIONALS FOR EXISTING DATA
+-- Regionals only known by name go in the active season (or the latest one)
+-- -----------------------------------------------------------------------------
+INSERT INTO seasons (season_year, season_name, is_active)
+SELECT EXTRACT(YEAR FROM NOW())::INTEGER, EXTRACT(YEAR FROM NOW())::INTEGER || ' Season', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM seasons);
+
+INSERT INTO regionals (season_id, regional_name)
+SELECT
+    (SELECT id FROM seasons ORDER BY COALESCE(is_active, FALSE) DESC, season_year DESC LIMIT 1),
+    names.regional
+FROM (
+    SELECT regional FROM teams
+    UNION SELECT regional FROM matches
+    UNION SELECT regional FROM robot_info
+    UNION SELECT regional FROM scouting_reports
+) names
+WHERE names.regional IS NOT NULL
+AND NOT EXISTS (SELECT 1 FROM regionals r WHERE r.regional_name = names.regional);
+
+-- -----------------------------------------------------------------------------
+-- REGIONAL_ID ON SCOUTING DATA
+-- A name used in several seasons resolves to the active (or latest) one
+-- -----------------------------------------------------------------------------
+ALTER TABLE scouting_reports ADD COLUMN IF NOT EXISTS regional_id INTEGER REFERENCES regionals(id) ON DELETE CASCADE;
+
+UPDATE matches SET regional_id = (
+    SELECT r.id FROM regionals r JOIN seasons s ON s.id = r.season_id
+    WHERE r.regional_name = matches.regional
+    ORDER BY COALESCE(s.is_active, FALSE) DESC, s.season_year DESC LIMIT 1
+) WHERE regional_id IS NULL;
+
+UPDATE robot_info SET regional_id = (
+    SELECT r.id FROM regionals r JOIN seasons s ON s.id = r.season_id
+    WHERE r.regional_name = robot_info.regional
+    ORDER BY COALESCE(s.is_active, FALSE) DESC, s.season_year DESC LIMIT 1
+) WHERE regional_id IS NULL;
+
+UPDATE scouting_reports SET regional_id = (
+    SELECT r.id FROM regionals r JOIN seasons s ON s.id = r.season_id
+    WHERE r.regional_name = scouting_reports.regional
+    ORDER BY COALESCE(s.is_active, FALSE) DESC, s.season_year DESC LIMIT 1
+) WHERE regional_id IS NULL;
+
+-- -----------------------------------------------------------------------------
+-- ONE TEAM ROW PER TEAM NUMBER
+-- Duplicates (one per regional) fold into the lowest ID; what each row
+-- meant ("team X is at regional Y") becomes a participation row
+-- -----------------------------------------------------------------------------
+INSERT INTO team_regional_participation (team_id, regional_id)
+SELECT DISTINCT canonical.id, r.id
+FROM teams t
+JOIN (SELECT team_number, MIN(id) AS id FROM teams GROUP BY team_number) canonical
+    ON canonical.team_number = t.team_number
+JOIN regionals r ON r.id = (
+    SELECT r2.id FROM regionals r2 JOIN seasons s ON s.id = r2.season_id
+    WHERE r2.regional_name = t.regional
+    ORDER BY COALESCE(s.is_active, FALSE) DESC, s.season_year DESC LIMIT 1
+)
+WHERE NOT EXISTS (
+    SELECT 1 FROM team_regional_participation p
+    WHERE p.team_id = canonical.id AND p.regional_id = r.id
+);
+
+UPDATE matches SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = matches.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE robot_info SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = robot_info.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE scouting_reports SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = scouting_reports.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE team_statistics SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = team_statistics.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE team_stats_percentage SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = team_stats_percentage.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE team_stats_fraction SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = team_stats_fraction.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE team_rankings SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = team_rankings.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+UPDATE pick_list_entries SET team_id = (
+    SELECT MIN(c.id) FROM teams c JOIN teams t ON t.team_number = c.team_number WHERE t.id = pick_list_entries.team_id
+) WHERE team_id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+DELETE FROM teams WHERE id NOT IN (SELECT MIN(id) FROM teams GROUP BY team_number);
+
+-- Teams that were scouted or pit scouted at a regional are in it
+INSERT INTO team_regional_participation (team_id, regional_id)
+SELECT DISTINCT source.team_id, source.regional_id
+FROM (
+    SELECT team_id, regional_id FROM matches
+    UNION SELECT team_id, regional_id FROM robot_info
+) source
+WHERE source.regional_id IS NOT NULL
+AND NOT EXISTS (
+    SELECT 1 FROM team_regional_participation p
+    WHERE p.team_id = source.team_id AND p.regional_id = source.regional_id
+);
+
+-- -----------------------------------------------------------------------------
+-- CONSTRAINTS
+-- -----------------------------------------------------------------------------
+DROP INDEX IF EXISTS idx_teams_number_regional;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_number ON teams(team_number);
+-- Which regional a team was first added under; participation is the real link
+ALTER TABLE teams ALTER COLUMN regional DROP NOT NULL;
+
+-- A regional name repeats every season, so uniqueness moves to regional_id
+ALTER TABLE robot_info DROP CONSTRAINT IF EXISTS robot_info_team_id_regional_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_robot_info_team_regional_unique ON robot_info(team_id, regional_id);
+
+ALTER TABLE scouting_reports DROP CONSTRAINT IF EXISTS scouting_reports_team_id_regional_match_number_scouter_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scouting_reports_unique ON scouting_reports(team_id, regional_id, match_number, scouter_name);
+CREATE INDEX IF NOT EXISTS idx_scouting_reports_regional_id ON scouting_reports(team_id, regional_id, match_number);
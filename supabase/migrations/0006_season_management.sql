@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration 0006: Season management
+--
+-- Seasons can be archived (hidden from the app, kept for history) and can
+-- pin the regional the scouting app defaults to. Only one season may be
+-- active at a time.
+-- ============================================================================
+
+ALTER TABLE seasons ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE seasons ADD COLUMN IF NOT EXISTS current_regional_id INTEGER REFERENCES regionals(id) ON DELETE SET NULL;
+
+-- Databases that ended up with several active seasons keep the latest one
+UPDATE seasons SET is_active = FALSE
+WHERE is_active
+AND id <> (SELECT id FROM seasons WHERE is_active ORDER BY season_year DESC LIMIT 1);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_single_active ON seasons(is_active) WHERE is_active;
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- Migration 0007: Scouter accounts
+--
+-- Per-person accounts (scouter, lead, admin) that sign in with a password or
+-- a PIN. Only the API (service role) reads this table - RLS is on with no
+-- policies. Matches and scouter reports record which account submitted them.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE, -- stored lowercase
+    display_name VARCHAR(100) NOT NULL,   -- becomes scouter_name on submitted data
+    role VARCHAR(20) NOT NULL DEFAULT 'scouter' CHECK (role IN ('scouter', 'lead', 'admin')),
+    credential_type VARCHAR(10) NOT NULL CHECK (credential_type IN ('password', 'pin')),
+    credential_hash TEXT NOT NULL,
+    -- Bumped when the credential, role or active flag changes; older tokens stop working
+    token_version INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS scouter_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE scouting_reports ADD COLUMN IF NOT EXISTS scouter_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
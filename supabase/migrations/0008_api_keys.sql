@@ -0,0 +1,26 @@
+-- ============================================================================
+-- Migration 0008: Scoped API keys
+--
+-- Named keys for tablets, the dashboard and partner teams, each with its own
+-- scopes, optional expiry and optional list of regionals it may write to.
+-- Only a SHA-256 hash of each key is stored. Only the API (service role)
+-- reads this table - RLS is on with no policies.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,      -- first characters, to tell keys apart
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',  -- read, submit-matches, pit-scouting, admin, tba-import
+    regional_ids INTEGER[],               -- NULL = any regional
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip VARCHAR(64),
+    rotated_from INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
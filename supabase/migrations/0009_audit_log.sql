@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Migration 0009: Audit log
+--
+-- One row per change to teams, matches, robot info, statistics recalculations
+-- and TBA imports: who made it (account and/or API key), when, and the record
+-- before and after. Entries are only ever inserted. Only the API (service
+-- role) reads this table - RLS is on with no policies.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL,     -- team, match, robot_info, statistics, tba_import
+    entity_id VARCHAR(100),               -- row ID, or an event/team key for imports
+    action VARCHAR(20) NOT NULL,          -- create, update, delete, restore, register, recalculate, import
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE SET NULL,
+    actor_type VARCHAR(20) NOT NULL,      -- user, api_key, anonymous (development mode)
+    actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor_name VARCHAR(100),
+    api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+    role VARCHAR(20),
+    scopes TEXT[],
+    ip VARCHAR(64),
+    before JSONB,
+    after JSONB,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(actor_user_id);
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
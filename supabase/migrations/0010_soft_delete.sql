@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Migration 0010: Soft delete
+--
+-- Deleting a team, match or robot info row now sets deleted_at instead of
+-- removing it, so it can be restored from the trash. Deleting a team also
+-- trashes its matches and robot info (same deleted_at, so restoring the team
+-- brings them back). Rows are only removed for good by an admin purge once
+-- they've been in the trash longer than the retention window.
+-- ============================================================================
+
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- The trash listing and purge only look at deleted rows
+CREATE INDEX IF NOT EXISTS idx_teams_deleted ON teams(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_matches_deleted ON matches(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_robot_info_deleted ON robot_info(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,143 @@
+-- ============================================================================
+-- Migration 0011: Organizations
+--
+-- Several scouting groups can share one deployment. Each organization has
+-- its own scouting data (matches, raw reports, robot info, statistics, pick
+-- lists, the draft board, scouter schedules, reconciliation results and
+-- predictions) plus its own accounts, API keys and audit log. Teams,
+-- seasons, regionals and everything from TBA stay shared.
+--
+-- Everything that existed before goes to the host organization (id 1).
+-- organization_shares holds opt-in sharing: the organization lets the
+-- partner read its scouting data (one way; joint scouting shares both ways).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(50) NOT NULL UNIQUE,     -- short lowercase handle, e.g. team-589
+    team_number INTEGER,                  -- the FRC team that runs it, if any
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO organizations (id, name, slug, team_number)
+VALUES (1, 'Team 589 Falkon Robotics', 'team-589', 589)
+ON CONFLICT (id) DO NOTHING;
+SELECT setval(pg_get_serial_sequence('organizations', 'id'), (SELECT MAX(id) FROM organizations));
+
+CREATE TABLE IF NOT EXISTS organization_shares (
+    id SERIAL PRIMARY KEY,
+    organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,          -- shares its data...
+    partner_organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,  -- ...with this one
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(organization_id, partner_organization_id),
+    CHECK (organization_id <> partner_organization_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_shares_partner ON organization_shares(partner_organization_id);
+
+-- -----------------------------------------------------------------------------
+-- OWNERSHIP
+-- -----------------------------------------------------------------------------
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE scouting_reports ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE robot_info ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE team_stats_percentage ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE team_stats_fraction ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE team_rankings ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE pick_lists ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE draft_picks ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE scouter_roster ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE scouter_assignments ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE match_reconciliation ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE scouter_accuracy ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE predictions ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS organization_id INTEGER NOT NULL DEFAULT 1 REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE;
+UPDATE audit_log SET organization_id = 1 WHERE organization_id IS NULL;
+
+-- -----------------------------------------------------------------------------
+-- CONSTRAINTS - what was unique per regional/event is now unique per organization
+-- -----------------------------------------------------------------------------
+DROP INDEX IF EXISTS idx_robot_info_team_regional_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_robot_info_org_team_regional ON robot_info(organization_id, team_id, regional_id);
+
+DROP INDEX IF EXISTS idx_scouting_reports_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scouting_reports_org_unique
+    ON scouting_reports(organization_id, team_id, regional_id, match_number, scouter_name);
+
+ALTER TABLE team_stats_percentage DROP CONSTRAINT IF EXISTS team_stats_percentage_team_id_regional_id_key;
+ALTER TABLE team_stats_percentage ADD CONSTRAINT team_stats_percentage_org_team_regional_key UNIQUE (organization_id, team_id, regional_id);
+ALTER TABLE team_stats_fraction DROP CONSTRAINT IF EXISTS team_stats_fraction_team_id_regional_id_key;
+ALTER TABLE team_stats_fraction ADD CONSTRAINT team_stats_fraction_org_team_regional_key UNIQUE (organization_id, team_id, regional_id);
+ALTER TABLE team_rankings DROP CONSTRAINT IF EXISTS team_rankings_team_id_regional_id_key;
+ALTER TABLE team_rankings ADD CONSTRAINT team_rankings_org_team_regional_key UNIQUE (organization_id, team_id, regional_id);
+
+ALTER TABLE pick_lists DROP CONSTRAINT IF EXISTS pick_lists_regional_id_name_key;
+ALTER TABLE pick_lists ADD CONSTRAINT pick_lists_org_regional_name_key UNIQUE (organization_id, regional_id, name);
+ALTER TABLE draft_picks DROP CONSTRAINT IF EXISTS draft_picks_regional_id_team_number_key;
+ALTER TABLE draft_picks ADD CONSTRAINT draft_picks_org_regional_team_key UNIQUE (organization_id, regional_id, team_number);
+
+ALTER TABLE scouter_roster DROP CONSTRAINT IF EXISTS scouter_roster_event_key_name_key;
+ALTER TABLE scouter_roster ADD CONSTRAINT scouter_roster_org_event_name_key UNIQUE (organization_id, event_key, name);
+ALTER TABLE scouter_assignments DROP CONSTRAINT IF EXISTS scouter_assignments_event_key_match_number_station_key;
+ALTER TABLE scouter_assignments ADD CONSTRAINT scouter_assignments_org_event_match_station_key
+    UNIQUE (organization_id, event_key, match_number, station);
+
+ALTER TABLE match_reconciliation DROP CONSTRAINT IF EXISTS match_reconciliation_match_key_alliance_key;
+ALTER TABLE match_reconciliation ADD CONSTRAINT match_reconciliation_org_match_alliance_key UNIQUE (organization_id, match_key, alliance);
+ALTER TABLE scouter_accuracy DROP CONSTRAINT IF EXISTS scouter_accuracy_match_key_team_number_scouter_name_key;
+ALTER TABLE scouter_accuracy ADD CONSTRAINT scouter_accuracy_org_match_team_scouter_key
+    UNIQUE (organization_id, match_key, team_number, scouter_name);
+
+CREATE INDEX IF NOT EXISTS idx_matches_org_team_regional ON matches(organization_id, team_id, regional_id);
+CREATE INDEX IF NOT EXISTS idx_rankings_org_regional ON team_rankings(organization_id, regional_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_org ON audit_log(organization_id, created_at DESC);
+
+-- The Firebase-path views, with the owning organization (new column last)
+CREATE OR REPLACE VIEW firebase_stats_percentage AS
+SELECT s.season_year, r.regional_name, t.team_number, sp.*
+FROM team_stats_percentage sp
+JOIN teams t ON sp.team_id = t.id
+JOIN regionals r ON sp.regional_id = r.id
+JOIN seasons s ON r.season_id = s.id;
+
+CREATE OR REPLACE VIEW firebase_stats_fraction AS
+SELECT s.season_year, r.regional_name, t.team_number, sf.*
+FROM team_stats_fraction sf
+JOIN teams t ON sf.team_id = t.id
+JOIN regionals r ON sf.regional_id = r.id
+JOIN seasons s ON r.season_id = s.id;
+
+CREATE OR REPLACE VIEW firebase_rankings AS
+SELECT s.season_year, r.regional_name, t.team_number, tr.*
+FROM team_rankings tr
+JOIN teams t ON tr.team_id = t.id
+JOIN regionals r ON tr.regional_id = r.id
+JOIN seasons s ON r.season_id = s.id;
+
+-- -----------------------------------------------------------------------------
+-- ROW LEVEL SECURITY
+-- An organization's scouting is only readable through the API, which checks
+-- who is asking; the public-read policies would show it to anyone.
+-- -----------------------------------------------------------------------------
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_shares ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Matches are publicly readable" ON matches;
+DROP POLICY IF EXISTS "Scouting reports are publicly readable" ON scouting_reports;
+DROP POLICY IF EXISTS "Robot info is publicly readable" ON robot_info;
+DROP POLICY IF EXISTS "Scouter roster is publicly readable" ON scouter_roster;
+DROP POLICY IF EXISTS "Scouter assignments are publicly readable" ON scouter_assignments;
+DROP POLICY IF EXISTS "Match reconciliation is publicly readable" ON match_reconciliation;
+DROP POLICY IF EXISTS "Scouter accuracy is publicly readable" ON scouter_accuracy;
+DROP POLICY IF EXISTS "Predictions are publicly readable" ON predictions;
+DROP POLICY IF EXISTS "Percentage stats are publicly readable" ON team_stats_percentage;
+DROP POLICY IF EXISTS "Fraction stats are publicly readable" ON team_stats_fraction;
+DROP POLICY IF EXISTS "Team rankings are publicly readable" ON team_rankings;
+DROP POLICY IF EXISTS "Pick lists are publicly readable" ON pick_lists;
+DROP POLICY IF EXISTS "Pick list entries are publicly readable" ON pick_list_entries;
+DROP POLICY IF EXISTS "Draft picks are publicly readable" ON draft_picks;
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration 0012: TBA response cache
+--
+-- The last response to every TBA endpoint we've called, so pages the
+-- dashboard loads over and over come from here while fresh (TBA's
+-- Cache-Control max-age), are revalidated with If-None-Match /
+-- If-Modified-Since when not, and can still be served when TBA can't be
+-- reached. Only the API (service role) reads this table - RLS is on with
+-- no policies.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tba_responses (
+    id SERIAL PRIMARY KEY,
+    endpoint VARCHAR(300) NOT NULL UNIQUE,    -- path under /api/v3, e.g. /event/2025caoc/matches
+    body JSONB NOT NULL,
+    etag VARCHAR(200),
+    last_modified VARCHAR(100),
+    size_bytes INTEGER,
+    fetched_at TIMESTAMP WITH TIME ZONE,      -- when TBA last sent the body
+    checked_at TIMESTAMP WITH TIME ZONE,      -- when TBA last sent it or confirmed it unchanged (304)
+    expires_at TIMESTAMP WITH TIME ZONE       -- fresh until then
+);
+
+ALTER TABLE tba_responses ENABLE ROW LEVEL SECURITY;
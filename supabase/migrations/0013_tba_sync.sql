@@ -0,0 +1,56 @@
+-- ============================================================================
+-- Migration 0013: Scheduled TBA sync
+--
+-- The API pulls each synced event's matches (schedule and results),
+-- rankings and alliances from TBA on a timer. tba_sync_schedules holds the
+-- per-event settings; the active regional's event gets a row of its own
+-- (`follows_active`) that only runs while it stays the active one. Runs are
+-- written to tba_sync_log, rankings to event_rankings and alliances to the
+-- new event_alliances.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tba_sync_schedules (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL UNIQUE,
+    regional_id INTEGER REFERENCES regionals(id) ON DELETE SET NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    interval_minutes INTEGER NOT NULL DEFAULT 5 CHECK (interval_minutes >= 1),
+    tasks TEXT[] NOT NULL DEFAULT ARRAY['matches', 'rankings', 'alliances'],
+    follows_active BOOLEAN NOT NULL DEFAULT FALSE,  -- created for the active regional, not by hand
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(20),                        -- success, partial, error
+    last_error TEXT,
+    last_summary JSONB,                             -- records per task from the last run
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS event_alliances (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
+    alliance_number INTEGER NOT NULL,               -- 1 = first seed
+    name VARCHAR(100),
+    picks TEXT[] NOT NULL,                          -- team keys, captain first
+    declines TEXT[],
+    backup JSONB,                                   -- { in, out } when a backup robot was called
+    status JSONB,                                   -- playoff progress from TBA
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(event_key, alliance_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_alliances_event ON event_alliances(event_key);
+CREATE INDEX IF NOT EXISTS idx_tba_sync_log_entity_key ON tba_sync_log(entity_key, started_at DESC);
+
+ALTER TABLE tba_sync_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_alliances ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Event alliances are publicly readable" ON event_alliances;
+CREATE POLICY "Event alliances are publicly readable" ON event_alliances FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert alliances" ON event_alliances;
+CREATE POLICY "Service role can insert alliances" ON event_alliances FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update alliances" ON event_alliances;
+CREATE POLICY "Service role can update alliances" ON event_alliances FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete alliances" ON event_alliances;
+CREATE POLICY "Service role can delete alliances" ON event_alliances FOR DELETE USING (auth.role() = 'service_role');
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Migration 0014: TBA webhook notifications
+--
+-- TBA pushes match scores, schedule changes and alliance selection to
+-- POST /api/tba/webhook as they happen. Every signed notification is kept
+-- here with what processing it did (or why it failed), so it can be looked
+-- at and replayed later.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tba_webhook_notifications (
+    id SERIAL PRIMARY KEY,
+    message_type VARCHAR(50) NOT NULL,          -- match_score, schedule_updated, verification, ...
+    event_key VARCHAR(20),
+    match_key VARCHAR(30),
+    message_data JSONB NOT NULL DEFAULT '{}',
+    source VARCHAR(20) NOT NULL DEFAULT 'tba',  -- tba, or replay for a recorded payload
+    status VARCHAR(20) NOT NULL DEFAULT 'received', -- received, processed, ignored, error
+    result JSONB,
+    error TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tba_webhook_notifications_received ON tba_webhook_notifications(received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tba_webhook_notifications_event ON tba_webhook_notifications(event_key);
+
+-- Only the API (service role) reads them: a verification notification carries the key TBA asks for
+ALTER TABLE tba_webhook_notifications ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,38 @@
+-- ============================================================================
+-- Migration 0015: Official event data
+--
+-- Rankings, alliances, awards, OPRs and district points imported from TBA
+-- (and kept current by the sync) so team views can show them without a
+-- live TBA call. Rankings, alliances, awards and OPRs already have tables
+-- (0001, 0013); district points earned at an event are new. Awards are
+-- replaced per event on each import, so they get no unique key.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS event_district_points (
+    id SERIAL PRIMARY KEY,
+    event_key VARCHAR(20) NOT NULL REFERENCES events(event_key) ON DELETE CASCADE,
+    team_key VARCHAR(10) NOT NULL,
+    qual_points INTEGER,
+    elim_points INTEGER,
+    alliance_points INTEGER,
+    award_points INTEGER,
+    total INTEGER NOT NULL,
+    tiebreakers JSONB,                      -- { highest_qual_scores, qual_wins }
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(event_key, team_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_district_points_event ON event_district_points(event_key);
+
+ALTER TABLE event_district_points ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Event district points are publicly readable" ON event_district_points;
+CREATE POLICY "Event district points are publicly readable" ON event_district_points FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role can insert district points" ON event_district_points;
+CREATE POLICY "Service role can insert district points" ON event_district_points FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can update district points" ON event_district_points;
+CREATE POLICY "Service role can update district points" ON event_district_points FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service role can delete district points" ON event_district_points;
+CREATE POLICY "Service role can delete district points" ON event_district_points FOR DELETE USING (auth.role() = 'service_role');
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 0016: One saved prediction per match
+--
+-- Predictions used to be saved by GET /api/predictions/match/:matchKey, a
+-- new row on every call. Saving is now a POST that replaces the
+-- organization's earlier prediction for the match, so only the newest row
+-- of each is kept and (organization_id, match_key) becomes unique;
+-- updated_at says when it was last replaced.
+-- ============================================================================
+
+DELETE FROM predictions p
+USING predictions newer
+WHERE newer.organization_id = p.organization_id
+  AND newer.match_key = p.match_key
+  AND newer.id > p.id;
+
+ALTER TABLE predictions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_predictions_organization_match ON predictions(organization_id, match_key);